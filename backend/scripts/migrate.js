@@ -0,0 +1,73 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the database pool is created
+dotenv.config();
+
+const db = require('../src/config/database');
+const migrator = require('../src/config/migrator');
+
+/**
+ * Migration CLI
+ * Usage:
+ *   node scripts/migrate.js migrate          Apply all pending migrations
+ *   node scripts/migrate.js rollback [steps] Roll back the last N migrations (default 1)
+ *   node scripts/migrate.js status           Show applied and pending migrations
+ */
+
+const printStatus = async () => {
+  const { applied, pending, unknown } = await migrator.status();
+
+  console.log('📋 Applied migrations:');
+  if (applied.length === 0) console.log('   (none)');
+  applied.forEach(m => {
+    console.log(`   ✅ ${migrator.formatMigration(m)} (${new Date(m.applied_at).toISOString()})`);
+  });
+
+  console.log('📋 Pending migrations:');
+  if (pending.length === 0) console.log('   (none)');
+  pending.forEach(m => console.log(`   ⏳ ${migrator.formatMigration(m)}`));
+
+  if (unknown.length > 0) {
+    console.log('⚠️  Applied migrations with no matching file:');
+    unknown.forEach(m => console.log(`   ❓ ${migrator.formatMigration(m)}`));
+  }
+};
+
+const run = async () => {
+  const [command = 'migrate', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'migrate': {
+      const applied = await migrator.migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is already up to date');
+      break;
+    }
+    case 'rollback': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Rollback steps must be a positive integer');
+      }
+      const rolledBack = await migrator.rollback(steps);
+      console.log(`↩️  Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use migrate, rollback or status`);
+  }
+};
+
+run()
+  .then(async () => {
+    await db.closePool();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('❌', error.message);
+    await db.closePool();
+    process.exit(1);
+  });
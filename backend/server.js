@@ -6,6 +6,7 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const db = require('./src/config/database');
+const migrator = require('./src/config/migrator');
 const apiRoutes = require('./src/routes');
 
 const app = express();
@@ -79,8 +80,8 @@ const startServer = async () => {
       process.exit(1);
     }
 
-    // Initialize database tables
-    await db.initializeTables();
+    // Refuse to start on a schema that is behind the migrations
+    await migrator.assertSchemaUpToDate();
     
     // Create default admin user
     await db.createDefaultAdmin();
@@ -1,8 +1,15 @@
 const { Pool } = require('pg');
+const {
+  DEFAULT_INSTITUTION_ID,
+  runWithInstitution,
+  getInstitutionContext
+} = require('../utils/institutionContext');
 
 /**
  * Database configuration and connection pool
- * Handles PostgreSQL database connections using Neon
+ * Handles PostgreSQL database connections using Neon. Every connection
+ * handed out carries the current institution (see utils/institutionContext.js),
+ * which the row-level security policies filter every table by.
  */
 
 // Create connection pool
@@ -30,6 +37,15 @@ const testConnection = async () => {
     const client = await pool.connect();
     const result = await client.query('SELECT NOW()');
     console.log('✅ Database connected successfully at:', result.rows[0].now);
+
+    // Superusers and BYPASSRLS roles ignore the institution policies
+    const role = await client.query(
+      'SELECT rolsuper OR rolbypassrls AS bypasses_rls FROM pg_roles WHERE rolname = current_user'
+    );
+    if (role.rows[0]?.bypasses_rls) {
+      console.warn('⚠️  The database role bypasses row-level security: institutions are NOT isolated from each other');
+    }
+
     client.release();
     return true;
   } catch (error) {
@@ -39,96 +55,33 @@ const testConnection = async () => {
 };
 
 /**
- * Initialize database tables
- * Creates tables if they don't exist
+ * Point a client at the current institution
+ * The setting lasts for the connection, so it's only sent when it changes.
+ * @param {Object} client - Database client, outside of any transaction
  */
-const initializeTables = async () => {
-  const client = await pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-
-    // Create users table
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        role VARCHAR(20) DEFAULT 'student' CHECK (role IN ('admin', 'teacher', 'student')),
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `;
-
-    // Create sessions table
-    const createSessionsTable = `
-      CREATE TABLE IF NOT EXISTS sessions (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(200) NOT NULL,
-        description TEXT NOT NULL,
-        date_time TIMESTAMP WITH TIME ZONE NOT NULL,
-        meeting_link TEXT NOT NULL,
-        recording_link TEXT,
-        teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `;
-
-    // Create attendance table
-    const createAttendanceTable = `
-      CREATE TABLE IF NOT EXISTS attendance (
-        id SERIAL PRIMARY KEY,
-        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
-        student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        status VARCHAR(20) DEFAULT 'present' CHECK (status IN ('present', 'absent', 'late')),
-        timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        UNIQUE(session_id, student_id)
-      );
-    `;
-
-    // Execute table creation queries
-    await client.query(createUsersTable);
-    await client.query(createSessionsTable);
-    await client.query(createAttendanceTable);
-
-    // Create indexes for better performance
-    const createIndexes = `
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
-      CREATE INDEX IF NOT EXISTS idx_sessions_teacher_id ON sessions(teacher_id);
-      CREATE INDEX IF NOT EXISTS idx_sessions_date_time ON sessions(date_time);
-      CREATE INDEX IF NOT EXISTS idx_attendance_session_id ON attendance(session_id);
-      CREATE INDEX IF NOT EXISTS idx_attendance_student_id ON attendance(student_id);
-      CREATE INDEX IF NOT EXISTS idx_attendance_timestamp ON attendance(timestamp);
-    `;
-
-    await client.query(createIndexes);
-
-    await client.query('COMMIT');
-    console.log('✅ Database tables initialized successfully');
-    return true;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('❌ Database table initialization failed:', error.message);
-    throw error;
-  } finally {
-    client.release();
-  }
+const applyInstitution = async (client) => {
+  const context = getInstitutionContext();
+  const institutionId = context?.institutionId ? String(context.institutionId) : '';
+  const allInstitutions = context?.allInstitutions ? 'on' : 'off';
+  const key = `${institutionId}:${allInstitutions}`;
+
+  if (client.institutionKey === key) return;
+
+  await client.query(
+    "SELECT set_config('app.institution_id', $1, false), set_config('app.all_institutions', $2, false)",
+    [institutionId, allInstitutions]
+  );
+  client.institutionKey = key;
 };
 
 /**
- * Create default admin user if no admin exists
+ * Create the default institution's admin if it has none
+ * The first admin is also the super-admin, who manages the institutions.
  */
-const createDefaultAdmin = async () => {
+const createDefaultAdmin = () => runWithInstitution(DEFAULT_INSTITUTION_ID, async () => {
   try {
-    const client = await pool.connect();
-    
     // Check if any admin exists
-    const adminCheck = await client.query(
+    const adminCheck = await query(
       "SELECT COUNT(*) FROM users WHERE role = 'admin'"
     );
     
@@ -136,9 +89,9 @@ const createDefaultAdmin = async () => {
       const bcrypt = require('bcrypt');
       const hashedPassword = await bcrypt.hash('admin123', 10);
       
-      await client.query(
-        `INSERT INTO users (name, email, password, role) 
-         VALUES ($1, $2, $3, $4)`,
+      await query(
+        `INSERT INTO users (name, email, password, role, email_verified_at, is_super_admin) 
+         VALUES ($1, $2, $3, $4, NOW(), TRUE)`,
         ['System Administrator', 'admin@erp.com', hashedPassword, 'admin']
       );
       
@@ -147,12 +100,10 @@ const createDefaultAdmin = async () => {
       console.log('   Password: admin123');
       console.log('   ⚠️  Please change this password after first login!');
     }
-    
-    client.release();
   } catch (error) {
     console.error('❌ Failed to create default admin:', error.message);
   }
-};
+});
 
 /**
  * Execute a database query
@@ -162,8 +113,11 @@ const createDefaultAdmin = async () => {
  */
 const query = async (text, params) => {
   const start = Date.now();
+  let client;
   try {
-    const res = await pool.query(text, params);
+    client = await pool.connect();
+    await applyInstitution(client);
+    const res = await client.query(text, params);
     const duration = Date.now() - start;
     
     // Log slow queries (> 500ms) in development (adjusted for cloud database latency)
@@ -183,15 +137,25 @@ const query = async (text, params) => {
       error: error.message
     });
     throw error;
+  } finally {
+    if (client) client.release();
   }
 };
 
 /**
  * Get a client from the pool for transactions
+ * It stays on the institution current when it was taken.
  * @returns {Object} Database client
  */
 const getClient = async () => {
-  return await pool.connect();
+  const client = await pool.connect();
+  try {
+    await applyInstitution(client);
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+  return client;
 };
 
 /**
@@ -207,7 +171,6 @@ module.exports = {
   getClient,
   pool,
   testConnection,
-  initializeTables,
   createDefaultAdmin,
   closePool
 };
\ No newline at end of file
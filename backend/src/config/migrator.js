@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { runForAllInstitutions } = require('../utils/institutionContext');
+
+/**
+ * Schema migration runner
+ * Applies numbered up/down migrations from src/migrations and records
+ * them in the schema_migrations table
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so concurrent runners don't interleave
+const MIGRATION_LOCK_KEY = 720451;
+
+/**
+ * Format a migration as it appears on disk, e.g. 003_create_courses
+ * @param {Object} migration - Object with version and name
+ * @returns {string} Migration label
+ */
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+/**
+ * Load migration definitions from disk, ordered by version
+ * @returns {Array} Array of {version, name, up, down}
+ */
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { version: parseInt(match[1], 10), name: match[2], up, down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Guard against two files sharing a version number
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+};
+
+/**
+ * Create the schema_migrations tracking table if it doesn't exist
+ * @param {Object} client - Database client
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+};
+
+/**
+ * Get applied migration versions
+ * @param {Object} client - Database client
+ * @returns {Array} Array of {version, name, applied_at}
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * Run a callback while holding the migration lock
+ * Migrations see and change the rows of every institution.
+ * @param {Function} callback - Receives a database client
+ * @returns {*} Callback result
+ */
+const withMigrationLock = (callback) => runForAllInstitutions(async () => {
+  const client = await db.getClient();
+
+  // Unlock only once the lock is held
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  try {
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+});
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Array} Applied migrations
+ */
+const migrate = async () => {
+  return withMigrationLock(async (client) => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(m => m.version));
+    const pending = loadMigrations().filter(m => !appliedVersions.has(m.version));
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`✅ Applied migration ${formatMigration(migration)}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${formatMigration(migration)} failed: ${error.message}`);
+      }
+    }
+
+    return pending;
+  });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back (default: 1)
+ * @returns {Array} Rolled back migrations
+ */
+const rollback = async (steps = 1) => {
+  return withMigrationLock(async (client) => {
+    const migrationsByVersion = new Map(loadMigrations().map(m => [m.version, m]));
+    const toRollback = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const applied of toRollback) {
+      const migration = migrationsByVersion.get(applied.version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${applied.version} (${applied.name}) not found`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        console.log(`↩️  Rolled back migration ${formatMigration(migration)}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${formatMigration(migration)} failed: ${error.message}`);
+      }
+    }
+
+    return toRollback;
+  });
+};
+
+/**
+ * Get migration status
+ * @returns {Object} {applied, pending, unknown} where unknown are applied
+ *                   versions with no matching migration file
+ */
+const status = async () => {
+  const client = await db.getClient();
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+    const migrations = loadMigrations();
+
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const knownVersions = new Set(migrations.map(m => m.version));
+
+    return {
+      applied,
+      pending: migrations
+        .filter(m => !appliedVersions.has(m.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: applied.filter(m => !knownVersions.has(m.version))
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Ensure the database schema is up to date
+ * Throws if any migration has not been applied yet
+ */
+const assertSchemaUpToDate = async () => {
+  const { pending, unknown } = await status();
+
+  if (unknown.length > 0) {
+    console.warn(
+      '⚠️  Database has migrations unknown to this build:',
+      unknown.map(formatMigration).join(', ')
+    );
+  }
+
+  if (pending.length > 0) {
+    throw new Error(
+      `Database schema is behind by ${pending.length} migration(s): ` +
+      `${pending.map(formatMigration).join(', ')}. Run "npm run migrate" first.`
+    );
+  }
+
+  console.log('✅ Database schema is up to date');
+};
+
+module.exports = {
+  formatMigration,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  assertSchemaUpToDate
+};
@@ -0,0 +1,275 @@
+const AbsenceRequest = require('../models/AbsenceRequest');
+const Attendance = require('../models/Attendance');
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const eventHub = require('../utils/eventHub');
+const { getPermissionScope, hasSessionPermission } = require('../utils/permissions');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const { decodeUpload, sendFile } = require('../utils/fileUpload');
+
+const DOCUMENT_UPLOAD = {
+  label: 'Document',
+  allowedTypes: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'],
+  typeNames: 'PDF, JPEG, PNG or WebP'
+};
+const MAX_REASON_LENGTH = 2000;
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Check whether a user may see a request
+ * @param {Object} user - req.user
+ * @param {Object} request - Absence request object with its session's teacher_id and course_id
+ * @param {string} permission - Permission staff need on the session
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canAccessRequest = async (user, request, permission) =>
+  request.student_id === user.userId || hasSessionPermission(user, request, permission);
+
+/**
+ * Absence Request Controller
+ * Handles justifications for missed sessions
+ */
+class AbsenceRequestController {
+  /**
+   * Submit an absence justification (students)
+   * Body: {sessionId, reason, document: {name, type, data (base64)}}
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createRequest(req, res) {
+    try {
+      const { sessionId, reason } = req.body;
+      const studentId = req.user.userId;
+
+      if (!sessionId || !reason || !String(reason).trim()) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'Session ID and reason are required'
+        });
+      }
+
+      if (String(reason).length > MAX_REASON_LENGTH) {
+        return res.status(400).json({
+          error: 'Reason too long',
+          message: `Reason must be at most ${MAX_REASON_LENGTH} characters`
+        });
+      }
+
+      const { file: document, error: documentError } = decodeUpload(req.body.document, DOCUMENT_UPLOAD);
+      if (documentError) {
+        return res.status(400).json({
+          error: 'Invalid document',
+          message: documentError
+        });
+      }
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The specified session does not exist'
+        });
+      }
+
+      if (session.course_id && !(await Course.isStudentEnrolled(studentId, session.course_id))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You are not enrolled in the course of this session'
+        });
+      }
+
+      if (new Date(session.date_time) > new Date()) {
+        return res.status(400).json({
+          error: 'Session not started',
+          message: 'Absences can only be justified for sessions that have started'
+        });
+      }
+
+      const attendance = await Attendance.checkAttendance(session.id, studentId);
+      if (attendance && attendance.status !== 'absent') {
+        return res.status(400).json({
+          error: 'Not absent',
+          message: `Your attendance for this session is already recorded as ${attendance.status}`
+        });
+      }
+
+      if (await AbsenceRequest.findActive(session.id, studentId)) {
+        return res.status(409).json({
+          error: 'Request already exists',
+          message: 'You already have a pending or approved request for this session'
+        });
+      }
+
+      const { request, notification } = await AbsenceRequest.create({
+        session_id: session.id,
+        student_id: studentId,
+        reason: String(reason).trim(),
+        document
+      });
+      eventHub.publishNotification(notification);
+
+      res.status(201).json({
+        message: 'Absence request submitted successfully',
+        request
+      });
+    } catch (error) {
+      console.error('Create absence request error:', error);
+
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Request already exists',
+          message: 'You already have a pending or approved request for this session'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to submit absence request',
+        message: 'An error occurred while submitting the absence request'
+      });
+    }
+  }
+
+  /**
+   * Get absence requests
+   * Students see their own, staff those for the sessions of the courses in their course.view scope.
+   * Query: status - pending, approved or rejected
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRequests(req, res) {
+    try {
+      const { status } = req.query;
+
+      if (status && !REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${REQUEST_STATUSES.join(', ')}`
+        });
+      }
+
+      // Staff see the requests for the sessions of the courses they may view
+      const filters = { status };
+      if (req.user.role === 'student') {
+        filters.studentId = req.user.userId;
+      } else {
+        const scope = await getPermissionScope(req.user, 'course.view');
+        if (!scope) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'You do not have access to absence requests'
+          });
+        }
+        if (scope === 'own') filters.teacherId = req.user.userId;
+        if (scope === 'department') filters.departmentId = req.user.departmentId;
+      }
+
+      const requests = await AbsenceRequest.findAll(filters);
+
+      res.json({
+        message: 'Absence requests retrieved successfully',
+        requests,
+        count: requests.length
+      });
+    } catch (error) {
+      console.error('Get absence requests error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch absence requests',
+        message: 'An error occurred while fetching absence requests'
+      });
+    }
+  }
+
+  /**
+   * Download the document attached to a request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getDocument(req, res) {
+    try {
+      const request = await AbsenceRequest.findById(req.params.id);
+
+      if (!request || !(await canAccessRequest(req.user, request, 'course.view'))) {
+        return res.status(404).json({
+          error: 'Absence request not found',
+          message: 'Absence request with the specified ID does not exist'
+        });
+      }
+
+      const document = await AbsenceRequest.findDocument(request.id);
+      if (!document) {
+        return res.status(404).json({
+          error: 'Document not found',
+          message: 'This absence request has no attached document'
+        });
+      }
+
+      sendFile(res, { name: document.document_name, type: document.document_type, data: document.document_data });
+    } catch (error) {
+      console.error('Get absence request document error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch document',
+        message: 'An error occurred while fetching the document'
+      });
+    }
+  }
+
+  /**
+   * Approve or reject an absence request (teacher/admin)
+   * Body: {decision: 'approved' | 'rejected', note}
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reviewRequest(req, res) {
+    try {
+      const { decision, note } = req.body;
+
+      if (!['approved', 'rejected'].includes(decision)) {
+        return res.status(400).json({
+          error: 'Invalid decision',
+          message: 'Decision must be one of: approved, rejected'
+        });
+      }
+
+      const request = await AbsenceRequest.findById(req.params.id);
+
+      if (!request || !(await canAccessRequest(req.user, request, 'attendance.mark'))) {
+        return res.status(404).json({
+          error: 'Absence request not found',
+          message: 'Absence request with the specified ID does not exist'
+        });
+      }
+
+      const result = request.status === 'pending'
+        ? await AbsenceRequest.review(request, decision, req.user.userId, note)
+        : null;
+
+      if (!result) {
+        return res.status(400).json({
+          error: 'Request already reviewed',
+          message: 'Only pending requests can be approved or rejected'
+        });
+      }
+
+      eventHub.publishNotification(result.notification);
+
+      res.json({
+        message: `Absence request ${decision} successfully`,
+        request: result.request,
+        attendance: result.attendance
+      });
+    } catch (error) {
+      console.error('Review absence request error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to review absence request',
+        message: 'An error occurred while reviewing the absence request'
+      });
+    }
+  }
+}
+
+module.exports = AbsenceRequestController;
@@ -0,0 +1,548 @@
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const Course = require('../models/Course');
+const eventHub = require('../utils/eventHub');
+const { hasCoursePermission } = require('../utils/permissions');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const { decodeUpload, sendFile } = require('../utils/fileUpload');
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_INSTRUCTIONS_LENGTH = 10000;
+const MAX_POINTS = 1000;
+const MAX_TEXT_RESPONSE_LENGTH = 50000;
+const MAX_FEEDBACK_LENGTH = 5000;
+
+const SUBMISSION_UPLOAD = {
+  label: 'File',
+  allowedTypes: [
+    'application/pdf',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'image/jpeg',
+    'image/png'
+  ],
+  typeNames: 'PDF, Word, text, ZIP, JPEG or PNG'
+};
+
+/**
+ * Check and normalize the fields of an assignment
+ * @param {Object} body - Request body {title, instructions, due_at, points, allow_late_submissions}
+ * @param {boolean} partial - True for an update, where missing fields are kept
+ * @returns {Object} {assignment} with the normalized fields, or {message} if invalid
+ */
+const readAssignment = (body, partial) => {
+  const { title, instructions, due_at, points, allow_late_submissions } = body;
+  const assignment = {};
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+      return { message: `Title is required and must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    assignment.title = title.trim();
+  }
+
+  if (instructions !== undefined && instructions !== null) {
+    if (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return { message: `Instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters` };
+    }
+    assignment.instructions = instructions.trim() || null;
+  } else if (instructions === null || !partial) {
+    assignment.instructions = null;
+  }
+
+  if (due_at !== undefined || !partial) {
+    if (!due_at || isNaN(new Date(due_at).getTime())) {
+      return { message: 'due_at must be a valid date and time' };
+    }
+    assignment.due_at = new Date(due_at);
+  }
+
+  if (points !== undefined || !partial) {
+    if (!Number.isInteger(Number(points)) || Number(points) < 1 || Number(points) > MAX_POINTS) {
+      return { message: `Points must be a whole number between 1 and ${MAX_POINTS}` };
+    }
+    assignment.points = Number(points);
+  }
+
+  if (allow_late_submissions !== undefined) {
+    if (typeof allow_late_submissions !== 'boolean') {
+      return { message: 'allow_late_submissions must be true or false' };
+    }
+    assignment.allow_late_submissions = allow_late_submissions;
+  } else if (!partial) {
+    assignment.allow_late_submissions = true;
+  }
+
+  return { assignment };
+};
+
+/**
+ * Load the assignment named by the route, checking it belongs to the route's course
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Assignment or null if not found
+ */
+const findRouteAssignment = async (req) => {
+  if (!/^\d+$/.test(String(req.params.assignmentId))) return null;
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  return assignment && String(assignment.course_id) === String(req.params.courseId) ? assignment : null;
+};
+
+/**
+ * Send the response for an unknown assignment
+ * @param {Object} res - Express response object
+ */
+const sendAssignmentNotFound = (res) => res.status(404).json({
+  error: 'Assignment not found',
+  message: 'Assignment with the specified ID does not exist in this course'
+});
+
+/**
+ * Get how a user takes part in a course's assignments
+ * @param {Object} user - req.user
+ * @param {number} courseId - Course ID
+ * @returns {Promise<string|null>} 'staff', 'student' (enrolled) or null if neither
+ */
+const getCourseAccess = async (user, courseId) => {
+  if (await hasCoursePermission(user, courseId, 'course.view')) return 'staff';
+  if (await Course.isStudentEnrolled(user.userId, courseId)) return 'student';
+  return null;
+};
+
+/**
+ * Assignment Controller
+ * Handles the assignments of a course, students' submissions and their grading
+ */
+class AssignmentController {
+  /**
+   * Get the assignments of a course
+   * Staff get submission counts; students get their own submission status.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAssignments(req, res) {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      const access = await getCourseAccess(req.user, course.id);
+      if (!access) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the assignments of courses you teach or are enrolled in'
+        });
+      }
+
+      const assignments = access === 'staff'
+        ? await Assignment.findByCourseId(course.id)
+        : await Assignment.findByCourseIdForStudent(course.id, req.user.userId);
+
+      res.json({
+        assignments,
+        count: assignments.length
+      });
+    } catch (error) {
+      console.error('Get assignments error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch assignments',
+        message: 'An error occurred while fetching the assignments'
+      });
+    }
+  }
+
+  /**
+   * Create an assignment and notify the enrolled students
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createAssignment(req, res) {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'assignment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only create assignments in courses you teach'
+        });
+      }
+
+      const { assignment, message } = readAssignment(req.body, false);
+      if (!assignment) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      const result = await Assignment.create({
+        ...assignment,
+        course_id: course.id,
+        created_by: req.user.userId
+      });
+      result.notifications.forEach(eventHub.publishNotification);
+
+      res.status(201).json({
+        message: 'Assignment created successfully',
+        assignment: result.assignment
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Create assignment error:', error);
+      res.status(500).json({
+        error: 'Failed to create assignment',
+        message: 'An error occurred while creating the assignment'
+      });
+    }
+  }
+
+  /**
+   * Get an assignment; students also get their own submission
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAssignment(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      const access = assignment && await getCourseAccess(req.user, assignment.course_id);
+      if (!access) {
+        return sendAssignmentNotFound(res);
+      }
+
+      res.json({
+        assignment,
+        submission: access === 'student'
+          ? await AssignmentSubmission.findByAssignmentAndStudent(assignment.id, req.user.userId)
+          : undefined
+      });
+    } catch (error) {
+      console.error('Get assignment error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch assignment',
+        message: 'An error occurred while fetching the assignment'
+      });
+    }
+  }
+
+  /**
+   * Update an assignment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateAssignment(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      if (!assignment) {
+        return sendAssignmentNotFound(res);
+      }
+
+      if (!(await hasCoursePermission(req.user, assignment.course_id, 'assignment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only edit the assignments of courses you teach'
+        });
+      }
+
+      const { assignment: updateData, message } = readAssignment(req.body, true);
+      if (!updateData) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      res.json({
+        message: 'Assignment updated successfully',
+        assignment: await Assignment.update(assignment.id, updateData)
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Update assignment error:', error);
+      res.status(500).json({
+        error: 'Failed to update assignment',
+        message: 'An error occurred while updating the assignment'
+      });
+    }
+  }
+
+  /**
+   * Delete an assignment with its submissions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteAssignment(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      if (!assignment) {
+        return sendAssignmentNotFound(res);
+      }
+
+      if (!(await hasCoursePermission(req.user, assignment.course_id, 'assignment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only delete the assignments of courses you teach'
+        });
+      }
+
+      await Assignment.delete(assignment.id);
+
+      res.json({
+        message: 'Assignment deleted successfully'
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Delete assignment error:', error);
+      res.status(500).json({
+        error: 'Failed to delete assignment',
+        message: 'An error occurred while deleting the assignment'
+      });
+    }
+  }
+
+  /**
+   * Hand in an assignment (students)
+   * Body: {text, file: {name, type, data (base64)}}; at least one of them.
+   * Handing in again replaces the previous submission until it is graded.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async submitAssignment(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      if (!assignment) {
+        return sendAssignmentNotFound(res);
+      }
+
+      if (!(await Course.isStudentEnrolled(req.user.userId, assignment.course_id))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You must be enrolled in this course to hand in its assignments'
+        });
+      }
+
+      const { text } = req.body;
+      if (text !== undefined && text !== null &&
+          (typeof text !== 'string' || text.length > MAX_TEXT_RESPONSE_LENGTH)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Text must be at most ${MAX_TEXT_RESPONSE_LENGTH} characters`
+        });
+      }
+
+      const { file, error: fileError } = decodeUpload(req.body.file, SUBMISSION_UPLOAD);
+      if (fileError) {
+        return res.status(400).json({
+          error: 'Invalid file',
+          message: fileError
+        });
+      }
+
+      const textResponse = text && text.trim() ? text : null;
+      if (!textResponse && !file) {
+        return res.status(400).json({
+          error: 'Empty submission',
+          message: 'Enter a text response or attach a file'
+        });
+      }
+
+      if (!assignment.allow_late_submissions && new Date(assignment.due_at) < new Date()) {
+        return res.status(400).json({
+          error: 'Submissions closed',
+          message: 'This assignment was due and doesn\'t accept late submissions'
+        });
+      }
+
+      const submission = await AssignmentSubmission.submit({
+        assignment_id: assignment.id,
+        student_id: req.user.userId,
+        text_response: textResponse,
+        file
+      });
+
+      if (!submission) {
+        return res.status(409).json({
+          error: 'Already graded',
+          message: 'Your submission was already graded and can no longer be replaced'
+        });
+      }
+
+      res.status(201).json({
+        message: submission.is_late
+          ? 'Assignment handed in after the due date; it is marked as late'
+          : 'Assignment handed in successfully',
+        submission
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Submit assignment error:', error);
+      res.status(500).json({
+        error: 'Failed to hand in assignment',
+        message: 'An error occurred while handing in the assignment'
+      });
+    }
+  }
+
+  /**
+   * Get the submissions for an assignment, with the enrolled students who haven't handed in
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSubmissions(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      if (!assignment) {
+        return sendAssignmentNotFound(res);
+      }
+
+      if (!(await hasCoursePermission(req.user, assignment.course_id, 'assignment.grade'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the submissions of courses you teach'
+        });
+      }
+
+      const submissions = await AssignmentSubmission.findByAssignment(assignment);
+
+      res.json({
+        assignment,
+        submissions,
+        count: submissions.length
+      });
+    } catch (error) {
+      console.error('Get submissions error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch submissions',
+        message: 'An error occurred while fetching the submissions'
+      });
+    }
+  }
+
+  /**
+   * Download the file of a submission (its student or graders)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSubmissionFile(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      const submission = assignment && await AssignmentSubmission.findById(req.params.submissionId);
+
+      const canView = submission && submission.assignment_id === assignment.id &&
+        (submission.student_id === req.user.userId ||
+          await hasCoursePermission(req.user, assignment.course_id, 'assignment.grade'));
+      if (!canView) {
+        return res.status(404).json({
+          error: 'Submission not found',
+          message: 'Submission with the specified ID does not exist'
+        });
+      }
+
+      const file = await AssignmentSubmission.findFile(submission.id);
+      if (!file) {
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'This submission has no attached file'
+        });
+      }
+
+      sendFile(res, { name: file.file_name, type: file.file_type, data: file.file_data });
+    } catch (error) {
+      console.error('Get submission file error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch file',
+        message: 'An error occurred while fetching the file'
+      });
+    }
+  }
+
+  /**
+   * Grade a submission and notify its student
+   * Body: {score, feedback}
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async gradeSubmission(req, res) {
+    try {
+      const assignment = await findRouteAssignment(req);
+      const submission = assignment && await AssignmentSubmission.findById(req.params.submissionId);
+      if (!submission || submission.assignment_id !== assignment.id) {
+        return res.status(404).json({
+          error: 'Submission not found',
+          message: 'Submission with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, assignment.course_id, 'assignment.grade'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only grade the submissions of courses you teach'
+        });
+      }
+
+      const { feedback } = req.body;
+      const score = Number(req.body.score);
+      if (req.body.score === null || req.body.score === '' || !Number.isFinite(score) ||
+          score < 0 || score > assignment.points || Math.round(score * 100) !== score * 100) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Score must be between 0 and ${assignment.points}, with at most two decimals`
+        });
+      }
+
+      if (feedback !== undefined && feedback !== null &&
+          (typeof feedback !== 'string' || feedback.length > MAX_FEEDBACK_LENGTH)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Feedback must be at most ${MAX_FEEDBACK_LENGTH} characters`
+        });
+      }
+
+      const result = await AssignmentSubmission.grade(submission, assignment, {
+        score,
+        feedback: feedback ? feedback.trim() : null
+      }, req.user.userId);
+      eventHub.publishNotification(result.notification);
+
+      res.json({
+        message: 'Submission graded successfully',
+        submission: result.submission
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Grade submission error:', error);
+      res.status(500).json({
+        error: 'Failed to grade submission',
+        message: 'An error occurred while grading the submission'
+      });
+    }
+  }
+}
+
+module.exports = AssignmentController;
@@ -1,4 +1,28 @@
 const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const User = require('../models/User');
+const eventHub = require('../utils/eventHub');
+const { getInstitutionId } = require('../utils/institutionContext');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const { verifyCode, verifyCheckInToken } = require('../utils/attendanceCode');
+const { getPermissionScope, hasSessionPermission } = require('../utils/permissions');
+
+/**
+ * Tell the session's teacher and admins that a student checked in
+ * @param {Object} session - Session object
+ * @param {Object} attendance - Attendance record
+ */
+const publishCheckIn = async (session, attendance) => {
+  const student = await User.findById(attendance.student_id);
+  eventHub.publish([`session:${session.id}:attendance`, `user:${session.teacher_id}`, `admins:${getInstitutionId()}`], 'attendance.checkin', {
+    sessionId: session.id,
+    attendance: {
+      ...attendance,
+      student_name: student ? student.name : null,
+      student_email: student ? student.email : null
+    }
+  });
+};
 
 /**
  * Attendance Controller
@@ -12,7 +36,7 @@ class AttendanceController {
    */
   static async markAttendance(req, res) {
     try {
-      const { sessionId, studentId, status = 'present' } = req.body;
+      const { sessionId, studentId, status = 'present', reason } = req.body;
 
       // Validate required fields
       if (!sessionId || !studentId) {
@@ -23,15 +47,19 @@ class AttendanceController {
       }
 
       // Validate status
-      const validStatuses = ['present', 'absent', 'late'];
+      const validStatuses = ['present', 'absent', 'late', 'excused'];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({
           error: 'Invalid status',
-          message: 'Status must be one of: present, absent, late'
+          message: 'Status must be one of: present, absent, late, excused'
         });
       }
 
-      const attendance = await Attendance.markAttendance(sessionId, studentId, status);
+      const attendance = await Attendance.markAttendance(sessionId, studentId, status, {
+        changedBy: req.user.userId,
+        source: 'manual',
+        reason
+      });
 
       res.status(201).json({
         message: 'Attendance marked successfully',
@@ -39,6 +67,11 @@ class AttendanceController {
       });
     } catch (error) {
       console.error('Mark attendance error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to mark attendance',
         message: 'An error occurred while marking attendance'
@@ -81,10 +114,10 @@ class AttendanceController {
     try {
       let studentId;
       
-      // Students can only view their own attendance, admins can view any student's
+      // Students can only view their own attendance, users who see all reports any student's
       if (req.user.role === 'student') {
         studentId = req.user.userId;
-      } else if (req.user.role === 'admin' && req.params.studentId) {
+      } else if (req.params.studentId && (await getPermissionScope(req.user, 'reports.view'))) {
         studentId = req.params.studentId;
       } else {
         return res.status(400).json({
@@ -112,12 +145,16 @@ class AttendanceController {
 
   /**
    * Get attendance statistics
+   * Query: excludeExcused=true leaves excused absences out of the attendance rate, termId limits it to one term
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async getAttendanceStats(req, res) {
     try {
-      const stats = await Attendance.getStats();
+      const stats = await Attendance.getStats({
+        excludeExcused: req.query.excludeExcused === 'true',
+        termId: req.query.termId !== undefined ? Number(req.query.termId) : undefined
+      });
       
       res.json({
         message: 'Attendance statistics retrieved successfully',
@@ -140,18 +177,22 @@ class AttendanceController {
   static async updateAttendanceStatus(req, res) {
     try {
       const { attendanceId } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       // Validate status
-      const validStatuses = ['present', 'absent', 'late'];
+      const validStatuses = ['present', 'absent', 'late', 'excused'];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({
           error: 'Invalid status',
-          message: 'Status must be one of: present, absent, late'
+          message: 'Status must be one of: present, absent, late, excused'
         });
       }
 
-      const updatedAttendance = await Attendance.updateStatus(attendanceId, status);
+      const updatedAttendance = await Attendance.updateStatus(attendanceId, status, {
+        changedBy: req.user.userId,
+        source: 'manual',
+        reason
+      });
 
       if (!updatedAttendance) {
         return res.status(404).json({
@@ -166,6 +207,11 @@ class AttendanceController {
       });
     } catch (error) {
       console.error('Update attendance status error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to update attendance status',
         message: 'An error occurred while updating attendance status'
@@ -175,6 +221,7 @@ class AttendanceController {
 
   /**
    * Get attendance report for teacher's sessions
+   * Query: excludeExcused=true leaves excused absences out of the attendance rates, termId limits it to one term
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -182,19 +229,22 @@ class AttendanceController {
     try {
       let teacherId;
       
-      // Teachers can only view their own sessions, admins can view any teacher's
-      if (req.user.role === 'teacher') {
-        teacherId = req.user.userId;
-      } else if (req.user.role === 'admin' && req.params.teacherId) {
+      // Users who see all reports can view any teacher's, teachers their own
+      if (req.params.teacherId && (await getPermissionScope(req.user, 'reports.view'))) {
         teacherId = req.params.teacherId;
+      } else if (req.permissionScope === 'own') {
+        teacherId = req.user.userId;
       } else {
         return res.status(400).json({
           error: 'Invalid request',
-          message: 'Teacher ID is required for admin users'
+          message: 'Teacher ID is required'
         });
       }
 
-      const report = await Attendance.getTeacherReport(teacherId);
+      const report = await Attendance.getTeacherReport(teacherId, {
+        excludeExcused: req.query.excludeExcused === 'true',
+        termId: req.query.termId !== undefined ? Number(req.query.termId) : undefined
+      });
       
       res.json({
         message: 'Teacher attendance report retrieved successfully',
@@ -210,6 +260,102 @@ class AttendanceController {
     }
   }
 
+  /**
+   * Get the change history of an attendance record
+   * Covers every change to the student's attendance for that session, including
+   * ones made before the record was last replaced.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAttendanceHistory(req, res) {
+    try {
+      const attendance = await Attendance.findById(req.params.attendanceId);
+
+      if (!attendance) {
+        return res.status(404).json({
+          error: 'Attendance record not found',
+          message: 'Attendance record with the specified ID does not exist'
+        });
+      }
+
+      const session = { teacher_id: attendance.teacher_id, course_id: attendance.session_course_id };
+      const canView = attendance.student_id === req.user.userId ||
+        await hasSessionPermission(req.user, session, 'course.view');
+
+      if (!canView) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You do not have access to this attendance record'
+        });
+      }
+
+      const history = await AttendanceAudit.findAll({
+        sessionId: attendance.session_id,
+        studentId: attendance.student_id
+      });
+
+      res.json({
+        message: 'Attendance history retrieved successfully',
+        attendance,
+        history
+      });
+    } catch (error) {
+      console.error('Get attendance history error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch attendance history',
+        message: 'An error occurred while fetching attendance history'
+      });
+    }
+  }
+
+  /**
+   * Get the attendance change history of a student
+   * Students see their own history, staff the changes in the sessions of the courses they may view.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getStudentAttendanceHistory(req, res) {
+    try {
+      const { role, userId } = req.user;
+      const studentId = role === 'student' ? userId : req.params.studentId;
+
+      if (!studentId) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Student ID is required'
+        });
+      }
+
+      // Staff only see the changes in the sessions of the courses they may view
+      const filters = { studentId };
+      if (role !== 'student') {
+        const scope = await getPermissionScope(req.user, 'course.view');
+        if (!scope) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'You do not have access to attendance history'
+          });
+        }
+        if (scope === 'own') filters.teacherId = userId;
+        if (scope === 'department') filters.departmentId = req.user.departmentId;
+      }
+
+      const history = await AttendanceAudit.findAll(filters);
+
+      res.json({
+        message: 'Student attendance history retrieved successfully',
+        studentId,
+        history
+      });
+    } catch (error) {
+      console.error('Get student attendance history error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch attendance history',
+        message: 'An error occurred while fetching attendance history'
+      });
+    }
+  }
+
   /**
    * Check in for attendance with code (students)
    * @param {Object} req - Express request object
@@ -245,18 +391,32 @@ class AttendanceController {
         });
       }
 
-      if (session.attendance_code !== attendanceCode) {
+      const attendanceKey = await Session.findAttendanceKey(sessionId);
+      const codeStatus = attendanceKey
+        ? verifyCode(attendanceKey.secret, attendanceKey.period_seconds, attendanceCode)
+        : 'invalid';
+
+      if (codeStatus === 'expired') {
+        return res.status(400).json({
+          error: 'Attendance code expired',
+          message: 'This attendance code has expired, please enter the current code'
+        });
+      }
+
+      if (codeStatus !== 'valid') {
         return res.status(400).json({
           error: 'Invalid attendance code',
           message: 'The attendance code provided is incorrect'
         });
       }
 
-      // Mark attendance as present
-      const attendance = await Attendance.markAttendance(sessionId, studentId, 'present');
+      // Mark attendance as present, or late after the course's threshold
+      const attendance = await Attendance.checkIn(session, studentId, 'code_check_in');
+      // Not awaited: the check-in is saved, a failed update of the live view mustn't fail it
+      publishCheckIn(session, attendance).catch(error => console.error('Publish check-in error:', error));
 
       res.status(201).json({
-        message: 'Successfully checked in',
+        message: attendance.status === 'late' ? 'Checked in late' : 'Successfully checked in',
         attendance,
         session: {
           id: session.id,
@@ -266,6 +426,89 @@ class AttendanceController {
       });
     } catch (error) {
       console.error('Check in with code error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to check in',
+        message: 'An error occurred while checking in'
+      });
+    }
+  }
+
+  /**
+   * Check in for attendance with a signed QR code token (students)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async checkInWithQrToken(req, res) {
+    try {
+      const { sessionId, token } = req.body;
+      const studentId = req.user.userId;
+
+      if (!sessionId || !token) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'Session ID and check-in token are required'
+        });
+      }
+
+      const Session = require('../models/Session');
+      const session = await Session.findById(sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The specified session does not exist'
+        });
+      }
+
+      const attendanceKey = session.is_live ? await Session.findAttendanceKey(sessionId) : null;
+      if (!attendanceKey) {
+        return res.status(400).json({
+          error: 'Session not live',
+          message: 'This session is not currently accepting attendance'
+        });
+      }
+
+      const tokenStatus = verifyCheckInToken(attendanceKey.secret, session.id, token);
+
+      if (tokenStatus === 'expired') {
+        return res.status(400).json({
+          error: 'QR code expired',
+          message: 'This QR code has expired, please scan the current one'
+        });
+      }
+
+      if (tokenStatus !== 'valid') {
+        return res.status(400).json({
+          error: 'Invalid QR code',
+          message: 'This QR code is not valid for the session'
+        });
+      }
+
+      const attendance = await Attendance.checkIn(session, studentId, 'qr_check_in');
+      // Not awaited: the check-in is saved, a failed update of the live view mustn't fail it
+      publishCheckIn(session, attendance).catch(error => console.error('Publish check-in error:', error));
+
+      res.status(201).json({
+        message: attendance.status === 'late' ? 'Checked in late' : 'Successfully checked in',
+        attendance,
+        session: {
+          id: session.id,
+          title: session.title,
+          meeting_link: session.meeting_link
+        }
+      });
+    } catch (error) {
+      console.error('Check in with QR code error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to check in',
         message: 'An error occurred while checking in'
@@ -1,7 +1,168 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const TwoFactor = require('../models/TwoFactor');
+const Institution = require('../models/Institution');
 const db = require('../config/database');
+const eventHub = require('../utils/eventHub');
+const { getInstitutionId, runForAllInstitutions, setInstitution } = require('../utils/institutionContext');
+const { getRolePermissions } = require('../utils/permissions');
+const { sendMail } = require('../utils/mailer');
+const { frontendLink, passwordResetEmail, emailVerificationEmail } = require('../utils/emailTemplates');
+
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRE || '15m';
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+// Reset emails per account and hour, on top of the per-IP request limit
+const MAX_PASSWORD_RESETS_PER_HOUR = 3;
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS, 10) || 24;
+
+// Verification emails per account and hour, on top of the per-IP request limit
+const MAX_VERIFICATION_EMAILS_PER_HOUR = 3;
+
+// Time to enter the two-factor code after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSE = 'two_factor_login';
+
+/**
+ * Issue a verification token and email the link to the user
+ * Delivery isn't awaited; failures are only logged.
+ * @param {Object} user - User object
+ */
+const sendVerificationEmail = async (user) => {
+  const { token } = await EmailVerificationToken.create(user.id, EMAIL_VERIFICATION_TTL_HOURS);
+
+  sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      verifyUrl: frontendLink(`/verify-email?token=${token}`),
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    })
+  }).catch(error => console.error('Verification email error:', error));
+};
+
+/**
+ * Issue a password reset token and email the link to the user, unless they
+ * asked too often in the last hour
+ * @param {Object} user - User object
+ * @param {string|null} ip - Address the request came from
+ */
+const sendPasswordResetEmail = async (user, ip) => {
+  if (await PasswordResetToken.countRecent(user.id, 60) >= MAX_PASSWORD_RESETS_PER_HOUR) return;
+
+  const { token } = await PasswordResetToken.create(user.id, PASSWORD_RESET_TTL_MINUTES, ip);
+
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      name: user.name,
+      resetUrl: frontendLink(`/reset-password?token=${token}`),
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    })
+  });
+};
+
+/**
+ * Sign an access token for a login session
+ * @param {Object} user - User object
+ * @param {number} sessionId - Auth session ID
+ * @returns {Object} {token, expiresAt}
+ */
+const signAccessToken = (user, sessionId) => {
+  const token = jwt.sign(
+    { 
+      userId: user.id, 
+      email: user.email, 
+      role: user.role,
+      sid: sessionId,
+      tid: user.institution_id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Sign the short-lived token that proves the password step of a login passed
+ * It has no session ID, so it's rejected everywhere except the second login step.
+ * @param {Object} user - User object
+ * @returns {string} Challenge token
+ */
+const signTwoFactorChallenge = (user) => jwt.sign(
+  { userId: user.id, tid: user.institution_id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+/**
+ * Start a login session and issue its first token pair
+ * @param {Object} user - User object
+ * @param {Object} req - Express request object
+ * @returns {Object} {token, refreshToken, expiresAt}
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await AuthSession.create(user.id, {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  });
+  return { ...signAccessToken(user, session.id), refreshToken };
+};
+
+/**
+ * Switch the request to the institution of a refresh token's session
+ * Refresh tokens are looked up in every institution, like reset links, so a
+ * client that doesn't name its institution can still renew its session.
+ * @param {Object} req - Express request object
+ * @param {string} refreshToken - Refresh token
+ * @returns {boolean} False if the token is unknown, or from another institution than the request names
+ */
+const useRefreshTokenInstitution = async (req, refreshToken) => {
+  const institutionId = await runForAllInstitutions(() => AuthSession.findInstitutionIdByRefreshToken(refreshToken));
+  if (institutionId === null) return false;
+  if (req.institution && req.institution.explicit && req.institution.id !== institutionId) return false;
+
+  setInstitution(institutionId);
+  return true;
+};
+
+/**
+ * Start a login session and build the login response
+ * @param {Object} user - User object
+ * @param {Object} req - Express request object
+ * @returns {Object} Login response body
+ */
+const completeLogin = async (user, req) => {
+  const { token, refreshToken, expiresAt } = await startSession(user, req);
+  const institution = await Institution.findById(user.institution_id);
+
+  return {
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department_id: user.department_id,
+      institution_id: user.institution_id,
+      institution_slug: institution ? institution.slug : null,
+      is_super_admin: user.is_super_admin,
+      permissions: await getRolePermissions(user.role),
+      approval_status: user.approval_status,
+      two_factor_setup_required: await TwoFactor.isSetupRequired(user)
+    },
+    token,
+    refreshToken,
+    expiresAt
+  };
+};
 
 /**
  * Authentication Controller
@@ -39,33 +200,36 @@ class AuthController {
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
       // Create user
+      // Teachers get their privileges once an admin approves the account
       const newUser = await User.create({
         name,
         email,
         password: hashedPassword,
-        role
+        role,
+        approvalStatus: role === 'teacher' ? 'pending_approval' : 'approved'
       });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: newUser.id, 
-          email: newUser.email, 
-          role: newUser.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // The account can't log in until the email address is verified
+      await sendVerificationEmail(newUser);
+
+      if (newUser.approval_status === 'pending_approval') {
+        eventHub.publish(`admins:${getInstitutionId()}`, 'teacher.application', {
+          userId: newUser.id,
+          name: newUser.name,
+          email: newUser.email
+        });
+      }
 
       res.status(201).json({
-        message: 'User registered successfully',
+        message: 'Registration successful. Check your email to verify your address before logging in',
         user: {
           id: newUser.id,
           name: newUser.name,
           email: newUser.email,
-          role: newUser.role
+          role: newUser.role,
+          approval_status: newUser.approval_status
         },
-        token
+        verificationRequired: true
       });
     } catch (error) {
       console.error('Registration error:', error);
@@ -111,27 +275,24 @@ class AuthController {
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id, 
-          email: user.email, 
-          role: user.role 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      if (!user.email_verified_at) {
+        return res.status(403).json({
+          error: 'Email not verified',
+          message: 'Please verify your email address before logging in. Check your inbox for the verification link'
+        });
+      }
 
-      res.json({
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
-      });
+      // Users with two-factor authentication finish the login with a code
+      if (user.two_factor_enabled_at) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user)
+        });
+      }
+
+      // Start a login session
+      res.json(await completeLogin(user, req));
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({
@@ -141,6 +302,367 @@ class AuthController {
     }
   }
 
+  /**
+   * Second login step: check the two-factor code (or a recovery code) and start the session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let challenge;
+      try {
+        challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      } catch (error) {
+        challenge = null;
+      }
+
+      if (!challenge || challenge.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+        return res.status(401).json({
+          error: 'Login expired',
+          message: 'Your login attempt has expired. Please login again'
+        });
+      }
+
+      setInstitution(challenge.tid);
+      const user = await User.findById(challenge.userId);
+      if (!user || !user.two_factor_enabled_at) {
+        return res.status(401).json({
+          error: 'Login expired',
+          message: 'Your login attempt has expired. Please login again'
+        });
+      }
+
+      const isCodeValid = recoveryCode
+        ? await TwoFactor.consumeRecoveryCode(user.id, recoveryCode)
+        : await TwoFactor.verifyCode(user, code);
+      if (!isCodeValid) {
+        return res.status(401).json({
+          error: 'Invalid code',
+          message: recoveryCode
+            ? 'The recovery code is incorrect or was already used'
+            : 'The authentication code is incorrect'
+        });
+      }
+
+      const response = await completeLogin(user, req);
+      if (recoveryCode) {
+        response.recoveryCodesRemaining = await TwoFactor.countRecoveryCodes(user.id);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        error: 'Login failed',
+        message: 'An error occurred while logging in'
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({
+          error: 'Missing refresh token',
+          message: 'A refresh token is required'
+        });
+      }
+
+      if (!await useRefreshTokenInstitution(req, refreshToken)) {
+        return res.status(401).json({
+          error: 'Invalid refresh token',
+          message: 'Your session has ended. Please login again'
+        });
+      }
+
+      const result = await AuthSession.rotate(refreshToken);
+
+      if (result.status === 'reused') {
+        eventHub.disconnect(`auth:${result.session.id}`);
+        console.warn(`⚠️  Refresh token reuse detected, revoked session ${result.session.id} of user ${result.session.user_id}`);
+      }
+
+      if (result.status === 'rotated') {
+        return res.status(401).json({
+          error: 'Refresh token already used',
+          message: 'This refresh token was just used. Use the latest one'
+        });
+      }
+
+      if (result.status !== 'valid' || !result.user) {
+        return res.status(401).json({
+          error: 'Invalid refresh token',
+          message: 'Your session has ended. Please login again'
+        });
+      }
+
+      const { token, expiresAt } = signAccessToken(result.user, result.session.id);
+
+      res.json({
+        message: 'Token refreshed successfully',
+        user: result.user,
+        token,
+        refreshToken: result.refreshToken,
+        expiresAt
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        error: 'Failed to refresh token',
+        message: 'An error occurred while refreshing the token'
+      });
+    }
+  }
+
+  /**
+   * Logout: revoke the current login session
+   * Works with an expired access token as long as the refresh token is sent.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async logout(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      let session = null;
+      if (refreshToken && typeof refreshToken === 'string') {
+        if (await useRefreshTokenInstitution(req, refreshToken)) {
+          session = await AuthSession.findByRefreshToken(refreshToken);
+        }
+      } else if (req.user) {
+        session = { id: req.user.sessionId, user_id: req.user.userId };
+      }
+
+      if (session) {
+        await AuthSession.revoke(session.id, session.user_id, 'logout');
+        eventHub.disconnect(`auth:${session.id}`);
+      }
+
+      res.json({
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        error: 'Logout failed',
+        message: 'An error occurred while logging out'
+      });
+    }
+  }
+
+  /**
+   * Logout from all devices: revoke every login session of the user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async logoutAll(req, res) {
+    try {
+      const revokedIds = await AuthSession.revokeAllForUser(req.user.userId, 'logout_all');
+      eventHub.disconnect(`user:${req.user.userId}`);
+
+      res.json({
+        message: 'Logged out from all devices',
+        revokedCount: revokedIds.length
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({
+        error: 'Logout failed',
+        message: 'An error occurred while logging out from all devices'
+      });
+    }
+  }
+
+  /**
+   * List the active login sessions of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await AuthSession.findActiveByUserId(req.user.userId);
+
+      res.json({
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.user.sessionId
+        }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch sessions',
+        message: 'An error occurred while fetching your sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's login sessions (e.g. a lost device)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeSession(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId, 10);
+      const revoked = await AuthSession.revoke(sessionId, req.user.userId, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'No active session with the specified ID'
+        });
+      }
+
+      eventHub.disconnect(`auth:${sessionId}`);
+
+      res.json({
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke session',
+        message: 'An error occurred while revoking the session'
+      });
+    }
+  }
+
+  /**
+   * Email a password reset link
+   * Always answers the same way, so it can't be used to find out which emails have accounts.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      const user = await User.findByEmail(email);
+
+      // Not awaited: the response time mustn't reveal whether the account exists
+      if (user) {
+        sendPasswordResetEmail(user, req.ip || null)
+          .catch(error => console.error('Password reset email error:', error));
+      }
+
+      res.json({
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        error: 'Failed to request password reset',
+        message: 'An error occurred while requesting a password reset'
+      });
+    }
+  }
+
+  /**
+   * Set a new password with a reset token
+   * Logs the user out on every device.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      // Reset links don't name an institution, so the token is looked up in all of them
+      const user = await runForAllInstitutions(() => PasswordResetToken.consume(token, hashedPassword));
+
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid reset link',
+          message: 'This password reset link is invalid, expired or was already used'
+        });
+      }
+
+      setInstitution(user.institution_id);
+
+      await AuthSession.revokeAllForUser(user.id, 'password_reset');
+      eventHub.disconnect(`user:${user.id}`);
+
+      res.json({
+        message: 'Password reset successfully. You can now log in with your new password'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        error: 'Failed to reset password',
+        message: 'An error occurred while resetting the password'
+      });
+    }
+  }
+
+  /**
+   * Verify an email address with a verification token
+   * Looked up across institutions, like password reset tokens.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async verifyEmail(req, res) {
+    try {
+      const user = await runForAllInstitutions(() => EmailVerificationToken.consume(req.body.token));
+
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid verification link',
+          message: 'This verification link is invalid, expired or was already used'
+        });
+      }
+
+      res.json({
+        message: 'Email verified successfully. You can now log in'
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        error: 'Failed to verify email',
+        message: 'An error occurred while verifying the email address'
+      });
+    }
+  }
+
+  /**
+   * Send a new verification email
+   * Always answers the same way, so it can't be used to find out which emails have accounts.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resendVerification(req, res) {
+    try {
+      const user = await User.findByEmail(req.body.email);
+
+      // Not awaited: the response time mustn't reveal whether the account exists
+      if (user && !user.email_verified_at) {
+        EmailVerificationToken.countRecent(user.id, 60)
+          .then(count => (count < MAX_VERIFICATION_EMAILS_PER_HOUR ? sendVerificationEmail(user) : null))
+          .catch(error => console.error('Verification email error:', error));
+      }
+
+      res.json({
+        message: 'If this email belongs to an unverified account, a new verification link has been sent'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        error: 'Failed to resend verification email',
+        message: 'An error occurred while sending the verification email'
+      });
+    }
+  }
+
   /**
    * Get current user profile
    * @param {Object} req - Express request object
@@ -161,7 +683,15 @@ class AuthController {
           id: user.id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          department_id: user.department_id,
+          institution_id: user.institution_id,
+          is_super_admin: user.is_super_admin,
+          permissions: await getRolePermissions(user.role),
+          approval_status: user.approval_status,
+          approval_reason: user.approval_reason,
+          two_factor_enabled: !!user.two_factor_enabled_at,
+          two_factor_setup_required: req.user.twoFactorSetupRequired
         }
       });
     } catch (error) {
@@ -243,7 +773,7 @@ class AuthController {
       const user = userResult.rows[0];
 
       // Verify current password
-      const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+      const isValidPassword = await bcrypt.compare(currentPassword, user.password);
       if (!isValidPassword) {
         return res.status(400).json({
           error: 'Invalid current password',
@@ -258,12 +788,16 @@ class AuthController {
       // Update password
       const updateQuery = `
         UPDATE users 
-        SET password_hash = $1, updated_at = NOW()
+        SET password = $1, updated_at = NOW()
         WHERE id = $2
       `;
 
       await db.query(updateQuery, [hashedNewPassword, userId]);
 
+      // Sign out every other device; this one stays logged in
+      const revokedIds = await AuthSession.revokeAllForUser(userId, 'password_changed', req.user.sessionId);
+      eventHub.disconnect(revokedIds.map(id => `auth:${id}`));
+
       res.json({
         message: 'Password changed successfully'
       });
@@ -0,0 +1,137 @@
+const CalendarToken = require('../models/CalendarToken');
+const Session = require('../models/Session');
+const { buildCalendar } = require('../utils/icalendar');
+const { runForAllInstitutions, setInstitution } = require('../utils/institutionContext');
+
+/**
+ * Build the public URL of a user's feed
+ * @param {Object} req - Express request object
+ * @param {string} token - Raw feed token
+ * @returns {string} Feed URL
+ */
+const buildFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${baseUrl.replace(/\/$/, '')}/calendar/${token}.ics`;
+};
+
+/**
+ * Calendar Controller
+ * Handles iCalendar feed subscriptions
+ */
+class CalendarController {
+  /**
+   * Get the feed status of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFeedStatus(req, res) {
+    try {
+      const feedToken = await CalendarToken.findByUserId(req.user.userId);
+
+      res.json({
+        active: !!feedToken,
+        created_at: feedToken ? feedToken.created_at : null,
+        last_used_at: feedToken ? feedToken.last_used_at : null
+      });
+    } catch (error) {
+      console.error('Get calendar feed status error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch calendar feed',
+        message: 'An error occurred while fetching the calendar feed'
+      });
+    }
+  }
+
+  /**
+   * Generate a new feed URL, revoking the previous one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async regenerateFeedToken(req, res) {
+    try {
+      const { token, created_at } = await CalendarToken.regenerate(req.user.userId);
+
+      res.status(201).json({
+        message: 'Calendar feed URL generated successfully',
+        feedUrl: buildFeedUrl(req, token),
+        created_at
+      });
+    } catch (error) {
+      console.error('Regenerate calendar token error:', error);
+      res.status(500).json({
+        error: 'Failed to generate calendar feed',
+        message: 'An error occurred while generating the calendar feed URL'
+      });
+    }
+  }
+
+  /**
+   * Revoke the current user's feed URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeFeedToken(req, res) {
+    try {
+      const revoked = await CalendarToken.revoke(req.user.userId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'Calendar feed not found',
+          message: 'You do not have an active calendar feed'
+        });
+      }
+
+      res.json({
+        message: 'Calendar feed revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke calendar token error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke calendar feed',
+        message: 'An error occurred while revoking the calendar feed'
+      });
+    }
+  }
+
+  /**
+   * Serve the iCalendar feed for a token
+   * Students get the sessions of their enrolled courses, teachers and admins
+   * get the sessions they own. Feed URLs don't name an institution, so the
+   * token is looked up in all of them.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFeed(req, res) {
+    try {
+      const user = await runForAllInstitutions(() => CalendarToken.findUserByToken(req.params.token));
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'Calendar feed not found',
+          message: 'This calendar feed does not exist or has been revoked'
+        });
+      }
+
+      setInstitution(user.institution_id);
+
+      const sessions = user.role === 'student'
+        ? await Session.findByEnrolledStudentId(user.id)
+        : await Session.findByTeacherId(user.id);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="sessions.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(buildCalendar(`${user.name} - Sessions`, sessions));
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      res.status(500).json({
+        error: 'Failed to build calendar feed',
+        message: 'An error occurred while building the calendar feed'
+      });
+    }
+  }
+}
+
+module.exports = CalendarController;
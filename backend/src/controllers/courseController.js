@@ -1,5 +1,119 @@
 const Course = require('../models/Course');
 const db = require('../config/database');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const eventHub = require('../utils/eventHub');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const CourseStaff = require('../models/CourseStaff');
+const User = require('../models/User');
+const { getPermissionScope, hasCoursePermission } = require('../utils/permissions');
+
+// Upper bound for the lateness threshold of a course, in minutes
+const MAX_LATE_THRESHOLD_MINUTES = 240;
+
+/**
+ * Check a lateness threshold from the request body
+ * @param {*} value - Submitted value
+ * @returns {boolean} True if it is a whole number of minutes within range
+ */
+const isValidLateThreshold = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= MAX_LATE_THRESHOLD_MINUTES;
+
+// Upper bound for the reason given when an enrollment ends
+const MAX_END_REASON_LENGTH = 500;
+
+// Who may enroll: everyone, students the teacher approves, or students with the key
+const ENROLLMENT_POLICIES = ['open', 'approval', 'key'];
+const MAX_ENROLLMENT_KEY_LENGTH = 100;
+
+// Upper bound for the enrollment window offsets, in days from the start date
+const MAX_ENROLLMENT_WINDOW_DAYS = 365;
+
+/**
+ * Check an enrollment window offset from the request body
+ * @param {*} value - Submitted value; null removes the bound
+ * @returns {boolean} True if it is null or a whole number of days within range
+ */
+const isValidWindowDays = (value) =>
+  value === null ||
+  (Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= MAX_ENROLLMENT_WINDOW_DAYS);
+
+// Upper bound for the number of prerequisites of one course
+const MAX_PREREQUISITES = 10;
+
+/**
+ * Check a prerequisite list from the request body
+ * @param {*} value - Submitted value
+ * @returns {boolean} True if it is a list of distinct {courseId, minAttendanceRate}
+ *   with a percentage or null as rate
+ */
+const isValidPrerequisiteList = (value) =>
+  Array.isArray(value) &&
+  value.length <= MAX_PREREQUISITES &&
+  value.every(p => p && Number.isInteger(p.courseId) && (
+    p.minAttendanceRate === null ||
+    (Number.isInteger(p.minAttendanceRate) && p.minAttendanceRate >= 0 && p.minAttendanceRate <= 100)
+  )) &&
+  new Set(value.map(p => p.courseId)).size === value.length;
+
+// Staff roles an owner can hand out; each course has exactly one owner
+const ASSIGNABLE_STAFF_ROLES = ['co_teacher', 'ta'];
+
+/**
+ * Tell where a course is in its schedule
+ * Students drop an upcoming course and withdraw from a running one.
+ * @param {Object} course - Course object
+ * @returns {string} 'upcoming', 'running' or 'ended'
+ */
+const getCoursePhase = (course) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (course.end_date && new Date(course.end_date) < today) return 'ended';
+  if (course.start_date && new Date(course.start_date) <= new Date()) return 'running';
+  return 'upcoming';
+};
+
+/**
+ * Tell whether a course is over: its term, or else its own end date, has passed
+ * @param {Object} course - Course object with its term dates
+ * @returns {boolean} True if the course can be archived
+ */
+const isCourseOver = (course) => {
+  const endDate = course.term_end_date || course.end_date;
+  if (!endDate) return false;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return new Date(endDate) < today;
+};
+
+/**
+ * Read the term and archive filters of a course listing (checked by validateListFilters)
+ * @param {Object} query - Request query
+ * @returns {Object} {termId, archived}, undefined when not given
+ */
+const readListFilters = (query) => ({
+  termId: query.termId !== undefined ? Number(query.termId) : undefined,
+  archived: query.archived !== undefined ? query.archived === 'true' : undefined
+});
+
+/**
+ * Check a term or department ID given for a course
+ * @param {*} value - Submitted value
+ * @returns {boolean} True for a positive integer or null (none)
+ */
+const isValidOptionalId = (value) => value === null || (Number.isInteger(Number(value)) && Number(value) > 0);
+
+/**
+ * Read the optional reason for ending an enrollment from the request body
+ * @param {*} value - Submitted value
+ * @returns {string|null|undefined} Trimmed reason, null if none, undefined if invalid
+ */
+const parseEndReason = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_END_REASON_LENGTH) return undefined;
+  return value.trim() || null;
+};
 
 /**
  * Course Controller
@@ -11,99 +125,1092 @@ class CourseController {
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async createCourse(req, res) {
+  static async createCourse(req, res) {
+    try {
+      const {
+        title, description, course_code, max_students, start_date, end_date, late_threshold_minutes, term_id, department_id
+      } = req.body;
+      
+      // Validate required fields
+      if (!title || !course_code) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'Title and course code are required'
+        });
+      }
+
+      if (late_threshold_minutes !== undefined && !isValidLateThreshold(late_threshold_minutes)) {
+        return res.status(400).json({
+          error: 'Invalid late threshold',
+          message: `Late threshold must be between 0 and ${MAX_LATE_THRESHOLD_MINUTES} minutes`
+        });
+      }
+
+      if (term_id !== undefined && term_id !== '' && !isValidOptionalId(term_id)) {
+        return res.status(400).json({
+          error: 'Invalid term',
+          message: 'Term must be the ID of an academic term'
+        });
+      }
+
+      if (department_id !== undefined && department_id !== '' && !isValidOptionalId(department_id)) {
+        return res.status(400).json({
+          error: 'Invalid department',
+          message: 'Department must be the ID of a department'
+        });
+      }
+
+      // For teachers, use their own ID; for admins, allow specifying teacher_id
+      let teacherId = req.user.userId;
+      if (req.user.role === 'admin' && req.body.teacher_id) {
+        teacherId = req.body.teacher_id;
+      }
+
+      // Courses belong to their creator's department unless someone who may
+      // update every course picks another one
+      let departmentId = req.user.departmentId || null;
+      if (department_id !== undefined && (await getPermissionScope(req.user, 'course.update')) === 'all') {
+        departmentId = department_id ? Number(department_id) : null;
+      }
+
+      const courseData = {
+        title,
+        description,
+        course_code,
+        teacher_id: teacherId,
+        max_students: max_students || 50,
+        start_date,
+        end_date,
+        late_threshold_minutes,
+        term_id: term_id ? Number(term_id) : null,
+        department_id: departmentId
+      };
+
+      const newCourse = await Course.create(courseData);
+
+      res.status(201).json({
+        message: 'Course created successfully',
+        course: newCourse
+      });
+    } catch (error) {
+      console.error('Create course error:', error);
+      
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Course code already exists',
+          message: 'Please choose a different course code'
+        });
+      }
+
+      if (error.code === '23503') { // Foreign key violation
+        return res.status(400).json({
+          error: 'Invalid term or department',
+          message: 'The selected term or department does not exist'
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to create course',
+        message: 'An error occurred while creating the course'
+      });
+    }
+  }
+
+  /**
+   * Get all courses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllCourses(req, res) {
+    try {
+      let courses;
+      const filters = readListFilters(req.query);
+      const scope = await getPermissionScope(req.user, 'course.view');
+      
+      if (scope === 'all') {
+        courses = await Course.findAll(filters);
+      } else if (scope === 'department') {
+        courses = req.user.departmentId
+          ? await Course.findAll({ ...filters, departmentId: req.user.departmentId })
+          : [];
+      } else if (scope === 'own') {
+        courses = await Course.findByTeacherId(req.user.userId, filters);
+      } else {
+        // Students see available courses (not enrolled in, not archived)
+        courses = await Course.findAvailableForStudent(req.user.userId, filters);
+      }
+
+      res.json({
+        message: 'Courses retrieved successfully',
+        courses,
+        count: courses.length
+      });
+    } catch (error) {
+      console.error('Get all courses error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch courses',
+        message: 'An error occurred while fetching courses'
+      });
+    }
+  }
+
+  /**
+   * Get course by ID with enrolled students (for teachers)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCourseById(req, res) {
+    try {
+      const { id } = req.params;
+      const course = await Course.findById(id);
+
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      // Check access permissions; students see the public part of any course
+      const canView = await hasCoursePermission(req.user, course.id, 'course.view');
+      if (!canView && req.user.role !== 'student') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view your own courses'
+        });
+      }
+
+      // Get enrolled students for those who may view the course
+      let enrolledStudents = [];
+      if (canView) {
+        enrolledStudents = await Course.getEnrolledStudents(id);
+      }
+
+      // The enrollment key is only for those who may view the course
+      let courseData = course;
+      if (!canView) {
+        const { enrollment_key, ...publicCourse } = course;
+        courseData = publicCourse;
+      }
+
+      res.json({
+        course: courseData,
+        enrolledStudents
+      });
+    } catch (error) {
+      console.error('Get course by ID error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch course',
+        message: 'An error occurred while fetching the course'
+      });
+    }
+  }
+
+  /**
+   * Enroll student in a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async enrollInCourse(req, res) {
+    try {
+      const { courseId } = req.params;
+      const studentId = req.user.userId;
+
+      // Only students can enroll themselves
+      if (req.user.role !== 'student') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only students can enroll in courses'
+        });
+      }
+
+      const enrollment = await Course.enrollStudent(studentId, courseId, req.body.enrollmentKey);
+
+      res.status(201).json({
+        message: enrollment.status === 'pending'
+          ? 'Enrollment request sent. The teacher will review it'
+          : 'Successfully enrolled in course',
+        enrollment
+      });
+    } catch (error) {
+      console.error('Enroll in course error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+      
+      if (error.message.includes('removed from this course')) {
+        return res.status(403).json({
+          error: 'Removed from course',
+          message: 'You were removed from this course. Ask the teacher to readmit you'
+        });
+      }
+
+      if (error.message.includes('already enrolled') || error.message.includes('already pending')) {
+        return res.status(400).json({
+          error: 'Already enrolled',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('enrollment key')) {
+        return res.status(403).json({
+          error: 'Invalid enrollment key',
+          message: 'The enrollment key is not correct'
+        });
+      }
+
+      if (error.message.includes('Enrollment is')) {
+        return res.status(400).json({
+          error: 'Enrollment closed',
+          message: error.message
+        });
+      }
+
+      if (error.message.startsWith('Prerequisites not met')) {
+        return res.status(403).json({
+          error: 'Prerequisites not met',
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('full')) {
+        return res.status(400).json({
+          error: 'Enrollment failed',
+          message: 'Course is full. You can join the waitlist instead',
+          waitlistAvailable: true
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(400).json({
+          error: 'Enrollment failed',
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        error: 'Failed to enroll',
+        message: 'An error occurred while enrolling in the course'
+      });
+    }
+  }
+
+  /**
+   * Drop a course that hasn't started yet (student)
+   * The enrollment is kept as 'dropped' and the seat goes to the waitlist.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async dropCourse(req, res) {
+    try {
+      const { courseId } = req.params;
+      const reason = parseEndReason(req.body.reason);
+
+      if (reason === undefined) {
+        return res.status(400).json({
+          error: 'Invalid reason',
+          message: `Reason must be text of at most ${MAX_END_REASON_LENGTH} characters`
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (getCoursePhase(course) !== 'upcoming') {
+        return res.status(400).json({
+          error: 'Cannot drop course',
+          message: 'The course has already started. Withdraw from it instead'
+        });
+      }
+
+      const enrollment = await Course.endEnrollment(req.user.userId, courseId, {
+        status: 'dropped',
+        reason,
+        endedBy: req.user.userId
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Not enrolled',
+          message: 'You are not enrolled in this course'
+        });
+      }
+
+      res.json({
+        message: 'Course dropped successfully',
+        enrollment
+      });
+    } catch (error) {
+      console.error('Drop course error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to drop course',
+        message: 'An error occurred while dropping the course'
+      });
+    }
+  }
+
+  /**
+   * Withdraw from a running course (student)
+   * The enrollment is kept as 'withdrawn' and the seat goes to the waitlist.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async withdrawFromCourse(req, res) {
+    try {
+      const { courseId } = req.params;
+      const reason = parseEndReason(req.body.reason);
+
+      if (reason === undefined) {
+        return res.status(400).json({
+          error: 'Invalid reason',
+          message: `Reason must be text of at most ${MAX_END_REASON_LENGTH} characters`
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      const phase = getCoursePhase(course);
+      if (phase !== 'running') {
+        return res.status(400).json({
+          error: 'Cannot withdraw from course',
+          message: phase === 'upcoming'
+            ? 'The course has not started yet. Drop it instead'
+            : 'The course has already ended'
+        });
+      }
+
+      const enrollment = await Course.endEnrollment(req.user.userId, courseId, {
+        status: 'withdrawn',
+        reason,
+        endedBy: req.user.userId
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Not enrolled',
+          message: 'You are not enrolled in this course'
+        });
+      }
+
+      res.json({
+        message: 'Withdrawn from course successfully',
+        enrollment
+      });
+    } catch (error) {
+      console.error('Withdraw from course error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to withdraw',
+        message: 'An error occurred while withdrawing from the course'
+      });
+    }
+  }
+
+  /**
+   * Remove a student from a course (teacher/admin)
+   * The enrollment is kept as 'removed' and the student is notified.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeStudent(req, res) {
+    try {
+      const { courseId, studentId } = req.params;
+      const reason = parseEndReason(req.body.reason);
+
+      if (!reason) {
+        return res.status(400).json({
+          error: 'Invalid reason',
+          message: `A reason of at most ${MAX_END_REASON_LENGTH} characters is required`
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'enrollment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only remove students from your own courses'
+        });
+      }
+
+      const enrollment = await Course.endEnrollment(studentId, courseId, {
+        status: 'removed',
+        reason,
+        endedBy: req.user.userId
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Not enrolled',
+          message: 'This student is not enrolled in the course'
+        });
+      }
+
+      res.json({
+        message: 'Student removed from course',
+        enrollment
+      });
+    } catch (error) {
+      console.error('Remove student error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to remove student',
+        message: 'An error occurred while removing the student from the course'
+      });
+    }
+  }
+
+  /**
+   * Enroll a student who was removed from a course again (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async readmitStudent(req, res) {
+    try {
+      const { courseId, studentId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'enrollment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only readmit students to your own courses'
+        });
+      }
+
+      const enrollment = await Course.readmitStudent(studentId, courseId);
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Not removed',
+          message: 'This student was not removed from the course'
+        });
+      }
+
+      res.json({
+        message: 'Student readmitted to course',
+        enrollment
+      });
+    } catch (error) {
+      if (error.message === 'Course is full') {
+        return res.status(400).json({
+          error: 'Course is full',
+          message: 'Free a seat or raise the course capacity before readmitting the student'
+        });
+      }
+
+      console.error('Readmit student error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to readmit student',
+        message: 'An error occurred while readmitting the student to the course'
+      });
+    }
+  }
+
+  /**
+   * Get the pending enrollment requests of a course (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getEnrollmentRequests(req, res) {
+    try {
+      const { courseId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view enrollment requests of your own courses'
+        });
+      }
+
+      const requests = await Course.getEnrollmentRequests(courseId);
+
+      res.json({
+        message: 'Enrollment requests retrieved successfully',
+        requests
+      });
+    } catch (error) {
+      console.error('Get enrollment requests error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch enrollment requests',
+        message: 'An error occurred while fetching enrollment requests'
+      });
+    }
+  }
+
+  /**
+   * Approve or deny an enrollment request (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reviewEnrollmentRequest(req, res) {
+    try {
+      const { courseId, studentId } = req.params;
+      const { decision } = req.body;
+      const reason = parseEndReason(req.body.reason);
+
+      if (!['approved', 'denied'].includes(decision)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: "Decision must be 'approved' or 'denied'"
+        });
+      }
+
+      if (reason === undefined) {
+        return res.status(400).json({
+          error: 'Invalid reason',
+          message: `Reason must be text of at most ${MAX_END_REASON_LENGTH} characters`
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'enrollment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only review enrollment requests of your own courses'
+        });
+      }
+
+      const enrollment = await Course.reviewEnrollmentRequest(studentId, courseId, {
+        decision,
+        reason,
+        reviewedBy: req.user.userId
+      });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          error: 'Request not found',
+          message: 'This student has no pending enrollment request'
+        });
+      }
+
+      res.json({
+        message: decision === 'approved' ? 'Enrollment request approved' : 'Enrollment request denied',
+        enrollment
+      });
+    } catch (error) {
+      if (error.message.includes('full')) {
+        return res.status(409).json({
+          error: 'Course is full',
+          message: 'Raise the maximum number of students before approving more requests'
+        });
+      }
+
+      console.error('Review enrollment request error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to review enrollment request',
+        message: 'An error occurred while reviewing the enrollment request'
+      });
+    }
+  }
+
+  /**
+   * Join the waitlist of a full course (student)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async joinWaitlist(req, res) {
+    try {
+      const { courseId } = req.params;
+      const entry = await Course.joinWaitlist(req.user.userId, courseId, req.body.enrollmentKey);
+
+      res.status(201).json({
+        message: `You are number ${entry.queue_position} on the waitlist`,
+        waitlist: entry
+      });
+    } catch (error) {
+      if (error.message.includes('enrollment key')) {
+        return res.status(403).json({
+          error: 'Invalid enrollment key',
+          message: 'The enrollment key is not correct'
+        });
+      }
+
+      if (error.message.startsWith('Prerequisites not met')) {
+        return res.status(403).json({
+          error: 'Prerequisites not met',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('removed from this course')) {
+        return res.status(403).json({
+          error: 'Removed from course',
+          message: 'You were removed from this course. Ask the teacher to readmit you'
+        });
+      }
+
+      if (error.message.includes('already') || error.message.includes('open seats') ||
+          error.message.includes('not found') || error.message.includes('approval') ||
+          error.message.includes('Enrollment is')) {
+        return res.status(400).json({
+          error: 'Cannot join waitlist',
+          message: error.message
+        });
+      }
+
+      console.error('Join waitlist error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to join waitlist',
+        message: 'An error occurred while joining the waitlist'
+      });
+    }
+  }
+
+  /**
+   * Leave the waitlist of a course (student)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async leaveWaitlist(req, res) {
+    try {
+      const { courseId } = req.params;
+      const removed = await Course.leaveWaitlist(req.user.userId, courseId);
+
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not on waitlist',
+          message: 'You are not on the waitlist of this course'
+        });
+      }
+
+      res.json({
+        message: 'You left the waitlist'
+      });
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({
+        error: 'Failed to leave waitlist',
+        message: 'An error occurred while leaving the waitlist'
+      });
+    }
+  }
+
+  /**
+   * Get the waitlist of a course (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCourseWaitlist(req, res) {
+    try {
+      const { courseId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the waitlist of your own courses'
+        });
+      }
+
+      const waitlist = await Course.getWaitlist(courseId);
+
+      res.json({
+        message: 'Course waitlist retrieved successfully',
+        waitlist
+      });
+    } catch (error) {
+      console.error('Get course waitlist error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch waitlist',
+        message: 'An error occurred while fetching the waitlist'
+      });
+    }
+  }
+
+  /**
+   * Rearrange the waitlist of a course (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reorderWaitlist(req, res) {
+    try {
+      const { courseId } = req.params;
+      const { studentIds } = req.body;
+
+      if (!Array.isArray(studentIds) || !studentIds.every(Number.isInteger)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'studentIds must be an array of student IDs'
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'enrollment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage the waitlist of your own courses'
+        });
+      }
+
+      const reordered = await Course.reorderWaitlist(courseId, studentIds);
+      if (!reordered) {
+        return res.status(409).json({
+          error: 'Waitlist changed',
+          message: 'The waitlist changed in the meantime. Reload it and try again'
+        });
+      }
+
+      res.json({
+        message: 'Waitlist reordered successfully',
+        waitlist: await Course.getWaitlist(courseId)
+      });
+    } catch (error) {
+      console.error('Reorder waitlist error:', error);
+      res.status(500).json({
+        error: 'Failed to reorder waitlist',
+        message: 'An error occurred while reordering the waitlist'
+      });
+    }
+  }
+
+  /**
+   * Get the prerequisites of a course and the courses to choose them from (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCoursePrerequisites(req, res) {
+    try {
+      const { courseId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the prerequisites of your own courses'
+        });
+      }
+
+      const [prerequisites, candidates] = await Promise.all([
+        Course.getPrerequisites(courseId),
+        Course.findPrerequisiteCandidates(courseId)
+      ]);
+
+      res.json({
+        message: 'Prerequisites retrieved successfully',
+        prerequisites,
+        candidates
+      });
+    } catch (error) {
+      console.error('Get course prerequisites error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch prerequisites',
+        message: 'An error occurred while fetching the prerequisites'
+      });
+    }
+  }
+
+  /**
+   * Replace the prerequisites of a course (teacher/admin)
+   * Students already enrolled keep their place; the prerequisites apply to
+   * enrolling and joining the waitlist from now on.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setCoursePrerequisites(req, res) {
+    try {
+      const { courseId } = req.params;
+      const { prerequisites } = req.body;
+
+      if (!isValidPrerequisiteList(prerequisites)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `prerequisites must be a list of at most ${MAX_PREREQUISITES} different courses, ` +
+            'each {courseId, minAttendanceRate} with a rate from 0 to 100 or null'
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.update'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only change the prerequisites of your own courses'
+        });
+      }
+
+      if (prerequisites.some(p => p.courseId === course.id)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'A course can\'t be its own prerequisite'
+        });
+      }
+
+      res.json({
+        message: 'Prerequisites updated successfully',
+        prerequisites: await Course.setPrerequisites(course.id, prerequisites)
+      });
+    } catch (error) {
+      if (error.message.includes('not found') || error.message.includes('cycle')) {
+        return res.status(400).json({
+          error: 'Invalid prerequisites',
+          message: error.message
+        });
+      }
+
+      console.error('Set course prerequisites error:', error);
+      res.status(500).json({
+        error: 'Failed to update prerequisites',
+        message: 'An error occurred while updating the prerequisites'
+      });
+    }
+  }
+
+  /**
+   * Remove a student from the waitlist of a course (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeFromWaitlist(req, res) {
+    try {
+      const { courseId, studentId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'enrollment.manage'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage the waitlist of your own courses'
+        });
+      }
+
+      const removed = await Course.leaveWaitlist(studentId, courseId);
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not on waitlist',
+          message: 'This student is not on the waitlist'
+        });
+      }
+
+      res.json({
+        message: 'Student removed from the waitlist'
+      });
+    } catch (error) {
+      console.error('Remove from waitlist error:', error);
+      res.status(500).json({
+        error: 'Failed to remove from waitlist',
+        message: 'An error occurred while removing the student from the waitlist'
+      });
+    }
+  }
+
+  /**
+   * Get the staff of a course (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCourseStaff(req, res) {
     try {
-      const { title, description, course_code, max_students, start_date, end_date } = req.body;
-      
-      // Validate required fields
-      if (!title || !course_code) {
-        return res.status(400).json({
-          error: 'Missing required fields',
-          message: 'Title and course code are required'
+      const { courseId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
         });
       }
 
-      // For teachers, use their own ID; for admins, allow specifying teacher_id
-      let teacherId = req.user.userId;
-      if (req.user.role === 'admin' && req.body.teacher_id) {
-        teacherId = req.body.teacher_id;
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the staff of courses you teach'
+        });
       }
 
-      const courseData = {
-        title,
-        description,
-        course_code,
-        teacher_id: teacherId,
-        max_students: max_students || 50,
-        start_date,
-        end_date
-      };
-
-      const newCourse = await Course.create(courseData);
-
-      res.status(201).json({
-        message: 'Course created successfully',
-        course: newCourse
+      res.json({
+        message: 'Course staff retrieved successfully',
+        staff: await CourseStaff.findByCourseId(course.id)
       });
     } catch (error) {
-      console.error('Create course error:', error);
-      
-      if (error.code === '23505') { // Unique constraint violation
-        return res.status(400).json({
-          error: 'Course code already exists',
-          message: 'Please choose a different course code'
-        });
-      }
-      
+      console.error('Get course staff error:', error);
       res.status(500).json({
-        error: 'Failed to create course',
-        message: 'An error occurred while creating the course'
+        error: 'Failed to fetch course staff',
+        message: 'An error occurred while fetching the course staff'
       });
     }
   }
 
   /**
-   * Get all courses
+   * Add a co-teacher or teaching assistant to a course (owner/admin)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getAllCourses(req, res) {
+  static async addCourseStaff(req, res) {
     try {
-      let courses;
-      
-      if (req.user.role === 'admin') {
-        courses = await Course.findAll();
-      } else if (req.user.role === 'teacher') {
-        courses = await Course.findByTeacherId(req.user.userId);
-      } else {
-        // Students see available courses (not enrolled in)
-        courses = await Course.findAvailableForStudent(req.user.userId);
+      const { courseId } = req.params;
+      const { email, role } = req.body;
+
+      if (typeof email !== 'string' || !email.trim() || !ASSIGNABLE_STAFF_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `email is required and role must be one of: ${ASSIGNABLE_STAFF_ROLES.join(', ')}`
+        });
       }
 
-      res.json({
-        message: 'Courses retrieved successfully',
-        courses,
-        count: courses.length
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.staff'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the owner of a course can change its staff'
+        });
+      }
+
+      const user = await User.findByEmail(email.trim());
+      if (!user || user.role !== 'teacher') {
+        return res.status(400).json({
+          error: 'Invalid user',
+          message: 'No teacher account uses this email address'
+        });
+      }
+
+      const member = await CourseStaff.add(course.id, user.id, role, req.user.userId);
+
+      res.status(201).json({
+        message: 'Staff member added successfully',
+        member
       });
     } catch (error) {
-      console.error('Get all courses error:', error);
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Already on staff',
+          message: 'This teacher is already on the staff of the course'
+        });
+      }
+
+      console.error('Add course staff error:', error);
       res.status(500).json({
-        error: 'Failed to fetch courses',
-        message: 'An error occurred while fetching courses'
+        error: 'Failed to add staff member',
+        message: 'An error occurred while adding the staff member'
       });
     }
   }
 
   /**
-   * Get course by ID with enrolled students (for teachers)
+   * Change the role of a co-teacher or teaching assistant (owner/admin)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getCourseById(req, res) {
+  static async updateCourseStaff(req, res) {
     try {
-      const { id } = req.params;
-      const course = await Course.findById(id);
+      const { courseId, userId } = req.params;
+      const { role } = req.body;
+
+      if (!ASSIGNABLE_STAFF_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `role must be one of: ${ASSIGNABLE_STAFF_ROLES.join(', ')}`
+        });
+      }
 
+      const course = await Course.findById(courseId);
       if (!course) {
         return res.status(404).json({
           error: 'Course not found',
@@ -111,77 +1218,75 @@ class CourseController {
         });
       }
 
-      // Check access permissions
-      if (req.user.role === 'teacher' && course.teacher_id !== req.user.userId) {
+      if (!(await hasCoursePermission(req.user, course.id, 'course.staff'))) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'You can only view your own courses'
+          message: 'Only the owner of a course can change its staff'
         });
       }
 
-      // Get enrolled students if teacher or admin
-      let enrolledStudents = [];
-      if (req.user.role === 'teacher' || req.user.role === 'admin') {
-        enrolledStudents = await Course.getEnrolledStudents(id);
+      const member = await CourseStaff.updateRole(course.id, userId, role);
+      if (!member) {
+        return res.status(404).json({
+          error: 'Staff member not found',
+          message: 'This teacher is not a co-teacher or TA of the course'
+        });
       }
 
       res.json({
-        course,
-        enrolledStudents
+        message: 'Staff member updated successfully',
+        member
       });
     } catch (error) {
-      console.error('Get course by ID error:', error);
+      console.error('Update course staff error:', error);
       res.status(500).json({
-        error: 'Failed to fetch course',
-        message: 'An error occurred while fetching the course'
+        error: 'Failed to update staff member',
+        message: 'An error occurred while updating the staff member'
       });
     }
   }
 
   /**
-   * Enroll student in a course
+   * Remove a co-teacher or teaching assistant from a course (owner/admin)
+   * The owner stays on the staff as long as the course exists.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async enrollInCourse(req, res) {
+  static async removeCourseStaff(req, res) {
     try {
-      const { courseId } = req.params;
-      const studentId = req.user.userId;
+      const { courseId, userId } = req.params;
 
-      // Only students can enroll themselves
-      if (req.user.role !== 'student') {
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.staff'))) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'Only students can enroll in courses'
+          message: 'Only the owner of a course can change its staff'
         });
       }
 
-      const enrollment = await Course.enrollStudent(studentId, courseId);
+      const removed = await CourseStaff.remove(course.id, userId);
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Staff member not found',
+          message: 'This teacher is not a co-teacher or TA of the course'
+        });
+      }
 
-      res.status(201).json({
-        message: 'Successfully enrolled in course',
-        enrollment
+      res.json({
+        message: 'Staff member removed successfully'
       });
     } catch (error) {
-      console.error('Enroll in course error:', error);
-      
-      if (error.message.includes('already enrolled')) {
-        return res.status(400).json({
-          error: 'Already enrolled',
-          message: error.message
-        });
-      }
-      
-      if (error.message.includes('full') || error.message.includes('not found')) {
-        return res.status(400).json({
-          error: 'Enrollment failed',
-          message: error.message
-        });
-      }
-      
+      console.error('Remove course staff error:', error);
       res.status(500).json({
-        error: 'Failed to enroll',
-        message: 'An error occurred while enrolling in the course'
+        error: 'Failed to remove staff member',
+        message: 'An error occurred while removing the staff member'
       });
     }
   }
@@ -194,7 +1299,7 @@ class CourseController {
   static async getStudentCourses(req, res) {
     try {
       const studentId = req.user.userId;
-      const courses = await Course.getStudentCourses(studentId);
+      const courses = await Course.getStudentCourses(studentId, readListFilters(req.query));
 
       res.json({
         message: 'Student courses retrieved successfully',
@@ -218,50 +1323,83 @@ class CourseController {
   static async markAttendance(req, res) {
     try {
       const { courseId, sessionId } = req.params;
-      const { attendanceData } = req.body; // Array of {studentId, status}
+      const { attendanceData, reason } = req.body; // Array of {studentId, status}
       const teacherId = req.user.userId;
 
-      // Verify teacher owns the course
+      // Verify the teacher is on the course staff
       const course = await Course.findById(courseId);
-      if (!course || course.teacher_id !== teacherId) {
+      if (!course || !(await hasCoursePermission(req.user, course.id, 'attendance.mark'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only mark attendance for your own courses'
         });
       }
 
-      const client = await db.connect();
+      const client = await db.getClient();
       
       try {
         await client.query('BEGIN');
         
-        // Delete existing attendance for this session
-        await client.query(
-          'DELETE FROM attendance WHERE session_id = $1 AND course_id = $2',
+        // Delete existing attendance for this session; records of students
+        // who left the course stay as history
+        const deletedResult = await client.query(
+          `DELETE FROM attendance
+           WHERE session_id = $1 AND course_id = $2
+             AND student_id IN (SELECT student_id FROM enrollments WHERE course_id = $2 AND status = 'active')
+           RETURNING *`,
           [sessionId, courseId]
         );
         
         // Insert new attendance records
+        const notifications = [];
+        const insertedRows = [];
         for (const { studentId, status } of attendanceData) {
           if (status === 'present') {
-            await client.query(
+            const insertResult = await client.query(
               `INSERT INTO attendance (session_id, student_id, course_id, status, marked_by, marked_at)
-               VALUES ($1, $2, $3, $4, $5, NOW())`,
+               VALUES ($1, $2, $3, $4, $5, NOW())
+               RETURNING *`,
               [sessionId, studentId, courseId, 'present', teacherId]
             );
+            insertedRows.push(insertResult.rows[0]);
             
             // Create notification for student
-            await client.query(
+            const notificationResult = await client.query(
               `INSERT INTO notifications (user_id, type, title, message, data)
-               VALUES ($1, 'attendance', $2, $3, $4)`,
+               VALUES ($1, 'attendance', $2, $3, $4)
+               RETURNING *`,
               [studentId, 'Attendance Marked', 
                `Your attendance has been marked as present for ${course.title}`,
                JSON.stringify({ courseId, sessionId, status: 'present' })]
             );
+            notifications.push(notificationResult.rows[0]);
           }
         }
+
+        // Log the net change per student: replaced, newly marked or removed
+        const changes = new Map(deletedResult.rows.map(row => [row.student_id, {
+          session_id: row.session_id,
+          student_id: row.student_id,
+          old_status: row.status,
+          new_status: null
+        }]));
+        insertedRows.forEach(row => {
+          changes.set(row.student_id, {
+            ...changes.get(row.student_id),
+            attendance_id: row.id,
+            session_id: row.session_id,
+            student_id: row.student_id,
+            new_status: row.status
+          });
+        });
+        await AttendanceAudit.record([...changes.values()], {
+          changedBy: teacherId,
+          source: 'bulk',
+          reason
+        }, client);
         
         await client.query('COMMIT');
+        notifications.forEach(eventHub.publishNotification);
         
         res.json({
           message: 'Attendance marked successfully',
@@ -277,6 +1415,11 @@ class CourseController {
       
     } catch (error) {
       console.error('Mark attendance error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to mark attendance',
         message: 'An error occurred while marking attendance'
@@ -294,24 +1437,28 @@ class CourseController {
       const { courseId } = req.params;
       const teacherId = req.user.userId;
 
-      // Verify teacher owns the course
+      // Verify the teacher is on the course staff
       const course = await Course.findById(courseId);
-      if (!course || course.teacher_id !== teacherId) {
+      if (!course || !(await hasCoursePermission(req.user, course.id, 'course.view'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only view attendance for your own courses'
         });
       }
 
+      // Students who left are kept for the sessions held while they were enrolled
       const query = `
         SELECT s.id as session_id, s.title as session_title, s.date_time,
                u.id as student_id, u.name as student_name, u.email,
-               a.status, a.marked_at
+               a.status, a.marked_at,
+               e.status as enrollment_status, e.ended_at
         FROM sessions s
         CROSS JOIN enrollments e
         JOIN users u ON e.student_id = u.id
         LEFT JOIN attendance a ON s.id = a.session_id AND u.id = a.student_id
-        WHERE s.course_id = $1 AND e.course_id = $1 AND e.status = 'active'
+        WHERE s.course_id = $1 AND e.course_id = $1
+          AND e.status NOT IN ('pending', 'denied')
+          AND (e.status = 'active' OR s.date_time <= e.ended_at OR a.id IS NOT NULL)
         ORDER BY s.date_time DESC, u.name
       `;
       
@@ -340,7 +1487,56 @@ class CourseController {
   static async updateCourse(req, res) {
     try {
       const { id } = req.params;
-      const { title, description, max_students, start_date, end_date } = req.body;
+      const {
+        title, description, max_students, start_date, end_date, late_threshold_minutes,
+        enrollment_policy, enrollment_key, enrollment_opens_days_before, enrollment_closes_days_after, term_id,
+        department_id
+      } = req.body;
+
+      if (late_threshold_minutes !== undefined && !isValidLateThreshold(late_threshold_minutes)) {
+        return res.status(400).json({
+          error: 'Invalid late threshold',
+          message: `Late threshold must be between 0 and ${MAX_LATE_THRESHOLD_MINUTES} minutes`
+        });
+      }
+
+      if (enrollment_policy !== undefined && !ENROLLMENT_POLICIES.includes(enrollment_policy)) {
+        return res.status(400).json({
+          error: 'Invalid enrollment policy',
+          message: `Enrollment policy must be one of: ${ENROLLMENT_POLICIES.join(', ')}`
+        });
+      }
+
+      if (enrollment_key !== undefined && enrollment_key !== null &&
+          (typeof enrollment_key !== 'string' || !enrollment_key.trim() ||
+           enrollment_key.trim().length > MAX_ENROLLMENT_KEY_LENGTH)) {
+        return res.status(400).json({
+          error: 'Invalid enrollment key',
+          message: `Enrollment key must be between 1 and ${MAX_ENROLLMENT_KEY_LENGTH} characters`
+        });
+      }
+
+      if ((enrollment_opens_days_before !== undefined && !isValidWindowDays(enrollment_opens_days_before)) ||
+          (enrollment_closes_days_after !== undefined && !isValidWindowDays(enrollment_closes_days_after))) {
+        return res.status(400).json({
+          error: 'Invalid enrollment window',
+          message: `Enrollment window offsets must be between 0 and ${MAX_ENROLLMENT_WINDOW_DAYS} days, or empty`
+        });
+      }
+
+      if (term_id !== undefined && !isValidOptionalId(term_id)) {
+        return res.status(400).json({
+          error: 'Invalid term',
+          message: 'Term must be the ID of an academic term'
+        });
+      }
+
+      if (department_id !== undefined && !isValidOptionalId(department_id)) {
+        return res.status(400).json({
+          error: 'Invalid department',
+          message: 'Department must be the ID of a department'
+        });
+      }
 
       // Check if course exists
       const existingCourse = await Course.findById(id);
@@ -352,28 +1548,79 @@ class CourseController {
       }
 
       // Check permissions
-      if (req.user.role === 'teacher' && existingCourse.teacher_id !== req.user.userId) {
+      if (!(await hasCoursePermission(req.user, existingCourse.id, 'course.update'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only update your own courses'
         });
       }
 
+      if (existingCourse.archived_at) {
+        return sendCourseArchived(res);
+      }
+
+      // Moving a course between departments would take it out of a department admin's reach
+      const departmentChanged = department_id !== undefined &&
+        (department_id === null ? null : Number(department_id)) !== existingCourse.department_id;
+      if (departmentChanged && req.permissionScope !== 'all') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only users who can update every course can change its department'
+        });
+      }
+
+      const policy = enrollment_policy || existingCourse.enrollment_policy;
+      const key = enrollment_key !== undefined ? enrollment_key : existingCourse.enrollment_key;
+      if (policy === 'key' && !key) {
+        return res.status(400).json({
+          error: 'Invalid enrollment key',
+          message: 'Set an enrollment key for courses that require one'
+        });
+      }
+
       const updateData = {};
       if (title) updateData.title = title;
       if (description) updateData.description = description;
       if (max_students) updateData.max_students = max_students;
       if (start_date) updateData.start_date = start_date;
       if (end_date) updateData.end_date = end_date;
+      if (late_threshold_minutes !== undefined) updateData.late_threshold_minutes = Number(late_threshold_minutes);
+      if (enrollment_policy) updateData.enrollment_policy = enrollment_policy;
+      if (enrollment_key !== undefined) updateData.enrollment_key = enrollment_key ? enrollment_key.trim() : null;
+      if (enrollment_opens_days_before !== undefined) {
+        updateData.enrollment_opens_days_before =
+          enrollment_opens_days_before === null ? null : Number(enrollment_opens_days_before);
+      }
+      if (enrollment_closes_days_after !== undefined) {
+        updateData.enrollment_closes_days_after =
+          enrollment_closes_days_after === null ? null : Number(enrollment_closes_days_after);
+      }
+      if (term_id !== undefined) updateData.term_id = term_id === null ? null : Number(term_id);
+      if (department_id !== undefined) updateData.department_id = department_id === null ? null : Number(department_id);
 
       const updatedCourse = await Course.update(id, updateData);
 
+      // New seats go to the waitlist first
+      let promotedFromWaitlist = 0;
+      if (updateData.max_students && Number(updateData.max_students) > Number(existingCourse.max_students)) {
+        promotedFromWaitlist = await Course.fillFromWaitlist(id);
+      }
+
       res.json({
         message: 'Course updated successfully',
-        course: updatedCourse
+        course: updatedCourse,
+        promotedFromWaitlist
       });
     } catch (error) {
       console.error('Update course error:', error);
+
+      if (error.code === '23503') { // Foreign key violation
+        return res.status(400).json({
+          error: 'Invalid term or department',
+          message: 'The selected term or department does not exist'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to update course',
         message: 'An error occurred while updating the course'
@@ -382,28 +1629,43 @@ class CourseController {
   }
 
   /**
-   * Get teacher's courses
+   * Get the courses the teacher is on the staff of, with their staff_role
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async getTeacherCourses(req, res) {
     try {
       const teacherId = req.user.userId;
+      const { termId, archived } = readListFilters(req.query);
+      const values = [teacherId];
+
+      let filterSql = '';
+      if (termId !== undefined) {
+        values.push(termId);
+        filterSql += ` AND c.term_id = $${values.length}`;
+      }
+      if (archived !== undefined) {
+        filterSql += archived ? ' AND c.archived_at IS NOT NULL' : ' AND c.archived_at IS NULL';
+      }
       
       const query = `
         SELECT 
           c.*,
           u.name as teacher_name,
+          t.name as term_name,
+          cs.role as staff_role,
           COUNT(DISTINCT e.id) as enrolled_students
         FROM courses c
+        JOIN course_staff cs ON cs.course_id = c.id AND cs.user_id = $1
         LEFT JOIN users u ON c.teacher_id = u.id
+        LEFT JOIN academic_terms t ON c.term_id = t.id
         LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
-        WHERE c.teacher_id = $1
-        GROUP BY c.id, u.name
+        WHERE TRUE${filterSql}
+        GROUP BY c.id, u.name, t.name, cs.role
         ORDER BY c.created_at DESC
       `;
       
-      const result = await db.query(query, [teacherId]);
+      const result = await db.query(query, values);
       
       res.json({
         message: 'Teacher courses retrieved successfully',
@@ -436,7 +1698,7 @@ class CourseController {
         });
       }
 
-      if (req.user.role === 'teacher' && course.teacher_id !== req.user.userId) {
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only view students from your own courses'
@@ -449,11 +1711,15 @@ class CourseController {
           u.name as full_name,
           u.email,
           e.enrollment_date,
-          e.status as enrollment_status
+          e.status as enrollment_status,
+          e.ended_at,
+          e.end_reason,
+          ender.name as ended_by_name
         FROM enrollments e
         JOIN users u ON e.student_id = u.id
-        WHERE e.course_id = $1
-        ORDER BY e.enrollment_date DESC
+        LEFT JOIN users ender ON e.ended_by = ender.id
+        WHERE e.course_id = $1 AND e.status NOT IN ('pending', 'denied')
+        ORDER BY e.status = 'active' DESC, e.enrollment_date DESC
       `;
       
       const result = await db.query(query, [courseId]);
@@ -490,7 +1756,7 @@ class CourseController {
       }
 
       // Check permissions
-      if (req.user.role === 'teacher' && course.teacher_id !== req.user.userId) {
+      if (req.user.role !== 'student' && !(await hasCoursePermission(req.user, course.id, 'course.view'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only view sessions from your own courses'
@@ -527,12 +1793,8 @@ class CourseController {
           ) as attendance
         FROM sessions s
         LEFT JOIN users u ON s.teacher_id = u.id
-        WHERE s.id IN (
-          SELECT DISTINCT session_id 
-          FROM course_sessions 
-          WHERE course_id = $1
-        )
-        ORDER BY s.scheduled_start_time DESC
+        WHERE s.course_id = $1
+        ORDER BY s.date_time DESC
       `;
       
       const result = await db.query(query, [courseId]);
@@ -565,9 +1827,9 @@ class CourseController {
           c.title as course_title,
           u.name as student_name
         FROM notifications n
-        LEFT JOIN courses c ON n.course_id = c.id
-        LEFT JOIN users u ON n.student_id = u.id
-        WHERE n.teacher_id = $1 AND n.is_read = false
+        LEFT JOIN courses c ON (n.data->>'courseId')::int = c.id
+        LEFT JOIN users u ON (n.data->>'studentId')::int = u.id
+        WHERE n.user_id = $1 AND n.is_read = false
         ORDER BY n.created_at DESC
         LIMIT 20
       `;
@@ -600,7 +1862,7 @@ class CourseController {
       const query = `
         UPDATE notifications 
         SET is_read = true, updated_at = NOW()
-        WHERE id = $1 AND teacher_id = $2
+        WHERE id = $1 AND user_id = $2
         RETURNING *
       `;
       
@@ -626,6 +1888,95 @@ class CourseController {
     }
   }
 
+  /**
+   * Archive a course once it's over (teacher of the course/admin)
+   * The course stays viewable and reportable, but its sessions, enrollments
+   * and attendance are frozen.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async archiveCourse(req, res) {
+    try {
+      const { id } = req.params;
+
+      const course = await Course.findById(id);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with the specified ID does not exist'
+        });
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.archive'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only archive your own courses'
+        });
+      }
+
+      if (course.archived_at) {
+        return res.status(409).json({
+          error: 'Already archived',
+          message: 'This course is already archived'
+        });
+      }
+
+      if (!isCourseOver(course)) {
+        return res.status(400).json({
+          error: 'Course not over',
+          message: 'A course can be archived once its term (or end date) has passed'
+        });
+      }
+
+      const archivedCourse = await Course.archive(id, req.user.userId);
+      if (!archivedCourse) {
+        return res.status(409).json({
+          error: 'Already archived',
+          message: 'This course is already archived'
+        });
+      }
+
+      res.json({
+        message: 'Course archived successfully',
+        course: archivedCourse
+      });
+    } catch (error) {
+      console.error('Archive course error:', error);
+      res.status(500).json({
+        error: 'Failed to archive course',
+        message: 'An error occurred while archiving the course'
+      });
+    }
+  }
+
+  /**
+   * Take a course out of the archive (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unarchiveCourse(req, res) {
+    try {
+      const course = await Course.unarchive(req.params.id);
+      if (!course) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'No archived course with the specified ID'
+        });
+      }
+
+      res.json({
+        message: 'Course restored from the archive',
+        course
+      });
+    } catch (error) {
+      console.error('Unarchive course error:', error);
+      res.status(500).json({
+        error: 'Failed to unarchive course',
+        message: 'An error occurred while restoring the course'
+      });
+    }
+  }
+
   /**
    * Delete a course (admin only)
    * @param {Object} req - Express request object
@@ -643,6 +1994,13 @@ class CourseController {
         });
       }
 
+      if (course.archived_at) {
+        return res.status(400).json({
+          error: 'Cannot delete course',
+          message: 'Archived courses are kept for reporting and cannot be deleted'
+        });
+      }
+
       // Check if there are enrollments
       const enrollmentQuery = 'SELECT COUNT(*) FROM enrollments WHERE course_id = $1';
       const enrollmentResult = await db.query(enrollmentQuery, [id]);
@@ -651,7 +2009,7 @@ class CourseController {
       if (enrollmentCount > 0) {
         return res.status(400).json({
           error: 'Cannot delete course',
-          message: 'Course has active enrollments and cannot be deleted'
+          message: 'Course has enrollments and cannot be deleted. Archive it at the end of its term instead'
         });
       }
 
@@ -687,7 +2045,7 @@ class CourseController {
         });
       }
 
-      if (req.user.role === 'teacher' && course.teacher_id !== req.user.userId) {
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only view statistics from your own courses'
@@ -707,7 +2065,7 @@ class CourseController {
         CROSS JOIN sessions s
         LEFT JOIN attendance a ON e.student_id = a.student_id AND s.id = a.session_id
         WHERE e.course_id = $1 AND e.status = 'active'
-          AND s.id IN (SELECT session_id FROM course_sessions WHERE course_id = $1)
+          AND s.course_id = $1
       `;
       
       const result = await db.query(statsQuery, [courseId]);
@@ -0,0 +1,162 @@
+const Department = require('../models/Department');
+
+const MAX_DEPARTMENT_NAME_LENGTH = 100;
+
+/**
+ * Check and normalize the name of a department
+ * @param {*} name - Submitted name
+ * @returns {string|null} Trimmed name or null if invalid
+ */
+const readDepartmentName = (name) => {
+  if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > MAX_DEPARTMENT_NAME_LENGTH) {
+    return null;
+  }
+  return name.trim();
+};
+
+/**
+ * Department Controller
+ * Handles the departments courses and users belong to
+ */
+class DepartmentController {
+  /**
+   * Get all departments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getDepartments(req, res) {
+    try {
+      const departments = await Department.findAll();
+
+      res.json({
+        departments,
+        count: departments.length
+      });
+    } catch (error) {
+      console.error('Get departments error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch departments',
+        message: 'An error occurred while fetching the departments'
+      });
+    }
+  }
+
+  /**
+   * Create a department
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createDepartment(req, res) {
+    try {
+      const name = readDepartmentName(req.body.name);
+      if (!name) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Name must be between 2 and ${MAX_DEPARTMENT_NAME_LENGTH} characters`
+        });
+      }
+
+      const department = await Department.create(name);
+
+      res.status(201).json({
+        message: 'Department created successfully',
+        department
+      });
+    } catch (error) {
+      console.error('Create department error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Department already exists',
+          message: 'A department with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create department',
+        message: 'An error occurred while creating the department'
+      });
+    }
+  }
+
+  /**
+   * Rename a department
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateDepartment(req, res) {
+    try {
+      const name = readDepartmentName(req.body.name);
+      if (!name) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Name must be between 2 and ${MAX_DEPARTMENT_NAME_LENGTH} characters`
+        });
+      }
+
+      const department = await Department.update(req.params.id, name);
+      if (!department) {
+        return res.status(404).json({
+          error: 'Department not found',
+          message: 'Department with the specified ID does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Department updated successfully',
+        department
+      });
+    } catch (error) {
+      console.error('Update department error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Department already exists',
+          message: 'A department with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update department',
+        message: 'An error occurred while updating the department'
+      });
+    }
+  }
+
+  /**
+   * Delete a department no course belongs to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteDepartment(req, res) {
+    try {
+      const department = await Department.findById(req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          error: 'Department not found',
+          message: 'Department with the specified ID does not exist'
+        });
+      }
+
+      const deleted = await Department.delete(req.params.id);
+      if (!deleted) {
+        return res.status(400).json({
+          error: 'Cannot delete department',
+          message: 'Courses belong to this department. Move them to another department first'
+        });
+      }
+
+      res.json({
+        message: 'Department deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete department error:', error);
+      res.status(500).json({
+        error: 'Failed to delete department',
+        message: 'An error occurred while deleting the department'
+      });
+    }
+  }
+}
+
+module.exports = DepartmentController;
@@ -0,0 +1,78 @@
+const Session = require('../models/Session');
+const Course = require('../models/Course');
+const eventHub = require('../utils/eventHub');
+const { getInstitutionId } = require('../utils/institutionContext');
+const { hasSessionPermission } = require('../utils/permissions');
+
+// Upper bound on session rooms per connection
+const MAX_SESSION_ROOMS = 50;
+
+/**
+ * Check whether a user may follow a session in real time
+ * @param {Object} user - req.user
+ * @param {Object} session - Session object
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canFollowSession = async (user, session) => {
+  if (user.role !== 'student') return hasSessionPermission(user, session, 'course.view');
+  // Students see sessions without a course, and those of their courses
+  if (!session.course_id) return true;
+  return Course.isStudentEnrolled(user.userId, session.course_id);
+};
+
+/**
+ * Event Controller
+ * Handles the real-time event stream
+ */
+class EventController {
+  /**
+   * Open a Server-Sent Events stream
+   * Query: sessions - comma separated session IDs to follow
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async stream(req, res) {
+    try {
+      const sessionIds = [...new Set(
+        String(req.query.sessions || '')
+          .split(',')
+          .map(id => parseInt(id, 10))
+          .filter(id => Number.isInteger(id) && id > 0)
+      )];
+
+      if (sessionIds.length > MAX_SESSION_ROOMS) {
+        return res.status(400).json({
+          error: 'Too many sessions',
+          message: `You can follow at most ${MAX_SESSION_ROOMS} sessions per connection`
+        });
+      }
+
+      const { userId, role } = req.user;
+      const rooms = [`user:${userId}`, `auth:${req.user.sessionId}`];
+      if (role === 'admin') rooms.push(`admins:${getInstitutionId()}`);
+
+      for (const sessionId of sessionIds) {
+        const session = await Session.findById(sessionId);
+        if (!session || !(await canFollowSession(req.user, session))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `You cannot follow session ${sessionId}`
+          });
+        }
+
+        rooms.push(`session:${sessionId}`);
+        if (role !== 'student') rooms.push(`session:${sessionId}:attendance`);
+      }
+
+      eventHub.subscribe(req, res, rooms);
+    } catch (error) {
+      console.error('Open event stream error:', error);
+      res.status(500).json({
+        error: 'Failed to open event stream',
+        message: 'An error occurred while opening the event stream'
+      });
+    }
+  }
+}
+
+module.exports = EventController;
@@ -0,0 +1,644 @@
+const Course = require('../models/Course');
+const Gradebook = require('../models/Gradebook');
+const GradeCategory = require('../models/GradeCategory');
+const GradeItem = require('../models/GradeItem');
+const { hasCoursePermission } = require('../utils/permissions');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const {
+  CATEGORY_SOURCES, DEFAULT_GRADE_SCALE, normalizeGradeScale, computeGradebook
+} = require('../utils/gradebook');
+
+const MAX_CATEGORY_NAME_LENGTH = 100;
+const MAX_ITEM_TITLE_LENGTH = 255;
+const MAX_ITEM_POINTS = 1000;
+
+/**
+ * Check that a number has at most two decimals
+ * @param {number} value - Number
+ * @returns {boolean} True if it has at most two decimals
+ */
+const hasTwoDecimals = (value) => Math.abs(Math.round(value * 100) - value * 100) < 1e-9;
+
+/**
+ * Check and normalize the fields of a grade category
+ * @param {Object} body - Request body {name, weight, source, position}
+ * @param {boolean} partial - True for an update, where missing fields are kept
+ * @returns {Object} {category} with the normalized fields, or {message} if invalid
+ */
+const readCategory = (body, partial) => {
+  const { name, weight, source, position } = body;
+  const category = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_CATEGORY_NAME_LENGTH) {
+      return { message: `Name is required and must be at most ${MAX_CATEGORY_NAME_LENGTH} characters` };
+    }
+    category.name = name.trim();
+  }
+
+  if (weight !== undefined || !partial) {
+    const value = Number(weight);
+    if (weight === null || weight === '' || !Number.isFinite(value) || value <= 0 || value > 100 || !hasTwoDecimals(value)) {
+      return { message: 'Weight must be more than 0 and at most 100, with at most two decimals' };
+    }
+    category.weight = value;
+  }
+
+  if (!partial) {
+    category.source = source === undefined ? 'items' : source;
+    if (!CATEGORY_SOURCES.includes(category.source)) {
+      return { message: `Source must be one of: ${CATEGORY_SOURCES.join(', ')}` };
+    }
+  }
+
+  if (position !== undefined) {
+    if (!Number.isInteger(position) || position < 0) {
+      return { message: 'Position must be a whole number of 0 or more' };
+    }
+    category.position = position;
+  }
+
+  return { category };
+};
+
+/**
+ * Check and normalize the fields of a grade item
+ * @param {Object} body - Request body {category_id, title, points, due_date}
+ * @param {boolean} partial - True for an update, where missing fields are kept
+ * @returns {Object} {item} with the normalized fields, or {message} if invalid
+ */
+const readItem = (body, partial) => {
+  const { category_id, title, points, due_date } = body;
+  const item = {};
+
+  if (category_id !== undefined || !partial) {
+    if (!Number.isInteger(Number(category_id)) || Number(category_id) < 1) {
+      return { message: 'category_id must be the ID of a grade category' };
+    }
+    item.category_id = Number(category_id);
+  }
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_ITEM_TITLE_LENGTH) {
+      return { message: `Title is required and must be at most ${MAX_ITEM_TITLE_LENGTH} characters` };
+    }
+    item.title = title.trim();
+  }
+
+  if (points !== undefined || !partial) {
+    const value = Number(points);
+    if (points === null || points === '' || !Number.isFinite(value) || value <= 0 || value > MAX_ITEM_POINTS ||
+        !hasTwoDecimals(value)) {
+      return { message: `Points must be more than 0 and at most ${MAX_ITEM_POINTS}, with at most two decimals` };
+    }
+    item.points = value;
+  }
+
+  if (due_date !== undefined && due_date !== null && due_date !== '') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(due_date) || isNaN(new Date(due_date).getTime())) {
+      return { message: 'due_date must be a date (YYYY-MM-DD)' };
+    }
+    item.due_date = due_date;
+  } else if (due_date !== undefined || !partial) {
+    item.due_date = null;
+  }
+
+  return { item };
+};
+
+/**
+ * Get the letter-grade scale of a course
+ * @param {Object} course - Course object
+ * @returns {Array} The course's scale, or the default one, from the highest minimum down
+ */
+const getCourseScale = (course) => (course.grade_scale ? normalizeGradeScale(course.grade_scale).scale : null) ||
+  DEFAULT_GRADE_SCALE;
+
+/**
+ * Send the response for an unknown course
+ * @param {Object} res - Express response object
+ */
+const sendCourseNotFound = (res) => res.status(404).json({
+  error: 'Course not found',
+  message: 'Course with the specified ID does not exist'
+});
+
+/**
+ * Load the course of the route and check the user may manage its gradebook
+ * Sends the error response itself when the course is unknown or the user may not.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Course, or null if a response was sent
+ */
+const findManagedCourse = async (req, res) => {
+  const course = await Course.findById(req.params.courseId);
+  if (!course) {
+    sendCourseNotFound(res);
+    return null;
+  }
+
+  if (!(await hasCoursePermission(req.user, course.id, 'gradebook.manage'))) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only manage the gradebook of courses you teach'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+/**
+ * Load the grade category named by the route, checking it belongs to the route's course
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Category or null if not found
+ */
+const findRouteCategory = async (req) => {
+  if (!/^\d+$/.test(String(req.params.categoryId))) return null;
+  const category = await GradeCategory.findById(req.params.categoryId);
+  return category && String(category.course_id) === String(req.params.courseId) ? category : null;
+};
+
+/**
+ * Load the grade item named by the route, checking it belongs to the route's course
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Item or null if not found
+ */
+const findRouteItem = async (req) => {
+  if (!/^\d+$/.test(String(req.params.itemId))) return null;
+  const item = await GradeItem.findById(req.params.itemId);
+  return item && String(item.course_id) === String(req.params.courseId) ? item : null;
+};
+
+/**
+ * Check that a category can hold grade items
+ * @param {number} categoryId - Category ID
+ * @param {number} courseId - Course the item belongs to
+ * @returns {Promise<string|null>} Error message, or null if it can
+ */
+const checkItemCategory = async (categoryId, courseId) => {
+  const category = await GradeCategory.findById(categoryId);
+  if (!category || category.course_id !== courseId) {
+    return 'Grade category not found in this course';
+  }
+  if (category.source !== 'items') {
+    return `The ${category.name} category is graded from ${category.source}; it can't have items`;
+  }
+  return null;
+};
+
+/**
+ * Send the response for a duplicate grade category
+ * @param {Object} res - Express response object
+ */
+const sendDuplicateCategory = (res) => res.status(409).json({
+  error: 'Category already exists',
+  message: 'The course already has a category with this name, or already has an assignments or attendance category'
+});
+
+/**
+ * Gradebook Controller
+ * Handles course gradebooks: weighted grade categories, grade items and their
+ * scores, letter-grade scales and the computed grades
+ */
+class GradebookController {
+  /**
+   * Get the gradebook of a course: every active student with their scores,
+   * category percentages and running and final grades
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getGradebook(req, res) {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return sendCourseNotFound(res);
+      }
+
+      if (!(await hasCoursePermission(req.user, course.id, 'course.view'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view the gradebook of courses you teach'
+        });
+      }
+
+      const scale = getCourseScale(course);
+      const gradebook = await Gradebook.load(course.id);
+
+      res.json({
+        scale,
+        is_default_scale: !course.grade_scale,
+        categories: gradebook.categories,
+        columns: gradebook.columns,
+        students: computeGradebook(gradebook, scale),
+        can_manage: await hasCoursePermission(req.user, course.id, 'gradebook.manage')
+      });
+    } catch (error) {
+      console.error('Get gradebook error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch gradebook',
+        message: 'An error occurred while fetching the gradebook'
+      });
+    }
+  }
+
+  /**
+   * Get the current student's grades in a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMyGrades(req, res) {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return sendCourseNotFound(res);
+      }
+
+      if (!(await Course.isStudentEnrolled(req.user.userId, course.id))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view your grades in courses you are enrolled in'
+        });
+      }
+
+      const scale = getCourseScale(course);
+      const gradebook = await Gradebook.load(course.id, req.user.userId);
+      const [grades = null] = computeGradebook(gradebook, scale);
+
+      res.json({
+        scale,
+        categories: gradebook.categories,
+        columns: gradebook.columns,
+        grades
+      });
+    } catch (error) {
+      console.error('Get my grades error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch grades',
+        message: 'An error occurred while fetching your grades'
+      });
+    }
+  }
+
+  /**
+   * Create a grade category
+   * Body: {name, weight, source ('items', 'assignments' or 'attendance')}
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCategory(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const { category, message } = readCategory(req.body, false);
+      if (!category) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      const created = await GradeCategory.create({ ...category, course_id: course.id });
+
+      res.status(201).json({
+        message: 'Grade category created successfully',
+        category: created
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return sendDuplicateCategory(res);
+      }
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Create grade category error:', error);
+      res.status(500).json({
+        error: 'Failed to create grade category',
+        message: 'An error occurred while creating the grade category'
+      });
+    }
+  }
+
+  /**
+   * Update a grade category's name, weight or position
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateCategory(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const category = await findRouteCategory(req);
+      if (!category) {
+        return res.status(404).json({
+          error: 'Grade category not found',
+          message: 'Grade category with the specified ID does not exist in this course'
+        });
+      }
+
+      const { category: updateData, message } = readCategory(req.body, true);
+      if (!updateData) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      res.json({
+        message: 'Grade category updated successfully',
+        category: await GradeCategory.update(category.id, updateData)
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return sendDuplicateCategory(res);
+      }
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Update grade category error:', error);
+      res.status(500).json({
+        error: 'Failed to update grade category',
+        message: 'An error occurred while updating the grade category'
+      });
+    }
+  }
+
+  /**
+   * Delete a grade category with its items and their scores
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteCategory(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const category = await findRouteCategory(req);
+      if (!category) {
+        return res.status(404).json({
+          error: 'Grade category not found',
+          message: 'Grade category with the specified ID does not exist in this course'
+        });
+      }
+
+      await GradeCategory.delete(category.id);
+
+      res.json({
+        message: 'Grade category deleted successfully'
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Delete grade category error:', error);
+      res.status(500).json({
+        error: 'Failed to delete grade category',
+        message: 'An error occurred while deleting the grade category'
+      });
+    }
+  }
+
+  /**
+   * Create a grade item in a category graded from items
+   * Body: {category_id, title, points, due_date}
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createItem(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const { item, message } = readItem(req.body, false);
+      const categoryError = item && await checkItemCategory(item.category_id, course.id);
+      if (!item || categoryError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: message || categoryError
+        });
+      }
+
+      const created = await GradeItem.create({ ...item, course_id: course.id, created_by: req.user.userId });
+
+      res.status(201).json({
+        message: 'Grade item created successfully',
+        item: created
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Create grade item error:', error);
+      res.status(500).json({
+        error: 'Failed to create grade item',
+        message: 'An error occurred while creating the grade item'
+      });
+    }
+  }
+
+  /**
+   * Update a grade item
+   * Scores above a lowered point value are kept as they are.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateItem(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const item = await findRouteItem(req);
+      if (!item) {
+        return res.status(404).json({
+          error: 'Grade item not found',
+          message: 'Grade item with the specified ID does not exist in this course'
+        });
+      }
+
+      const { item: updateData, message } = readItem(req.body, true);
+      const categoryError = updateData && updateData.category_id !== undefined &&
+        await checkItemCategory(updateData.category_id, course.id);
+      if (!updateData || categoryError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: message || categoryError
+        });
+      }
+
+      res.json({
+        message: 'Grade item updated successfully',
+        item: await GradeItem.update(item.id, updateData)
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Update grade item error:', error);
+      res.status(500).json({
+        error: 'Failed to update grade item',
+        message: 'An error occurred while updating the grade item'
+      });
+    }
+  }
+
+  /**
+   * Delete a grade item with its scores
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteItem(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const item = await findRouteItem(req);
+      if (!item) {
+        return res.status(404).json({
+          error: 'Grade item not found',
+          message: 'Grade item with the specified ID does not exist in this course'
+        });
+      }
+
+      await GradeItem.delete(item.id);
+
+      res.json({
+        message: 'Grade item deleted successfully'
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Delete grade item error:', error);
+      res.status(500).json({
+        error: 'Failed to delete grade item',
+        message: 'An error occurred while deleting the grade item'
+      });
+    }
+  }
+
+  /**
+   * Enter scores for a grade item
+   * Body: {scores: [{studentId, score}]}; a null score clears it. Every
+   * student must be actively enrolled, and the scores are saved all or none.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setItemScores(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      const item = await findRouteItem(req);
+      if (!item) {
+        return res.status(404).json({
+          error: 'Grade item not found',
+          message: 'Grade item with the specified ID does not exist in this course'
+        });
+      }
+
+      const { scores } = req.body;
+      if (!Array.isArray(scores) || scores.length === 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'scores must be a non-empty array of {studentId, score}'
+        });
+      }
+
+      const points = Number(item.points);
+      const studentIds = new Set(await Gradebook.getStudentIds(course.id));
+      const seen = new Set();
+      const details = [];
+      const normalized = scores.map(({ studentId, score } = {}, index) => {
+        const id = Number(studentId);
+        const value = score === null || score === '' ? null : Number(score);
+        if (!studentIds.has(id)) {
+          details.push(`Entry ${index + 1}: student ${studentId} is not enrolled in this course`);
+        } else if (seen.has(id)) {
+          details.push(`Entry ${index + 1}: student ${studentId} appears more than once`);
+        } else if (value !== null && (!Number.isFinite(value) || value < 0 || value > points || !hasTwoDecimals(value))) {
+          details.push(`Entry ${index + 1}: score must be between 0 and ${points}, with at most two decimals`);
+        }
+        seen.add(id);
+        return { studentId: id, score: value };
+      });
+
+      if (details.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Some scores are invalid; none were saved',
+          details
+        });
+      }
+
+      const count = await GradeItem.setScores(item.id, normalized, req.user.userId);
+
+      res.json({
+        message: `${count} score${count === 1 ? '' : 's'} saved`,
+        count
+      });
+    } catch (error) {
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      console.error('Set grade scores error:', error);
+      res.status(500).json({
+        error: 'Failed to save scores',
+        message: 'An error occurred while saving the scores'
+      });
+    }
+  }
+
+  /**
+   * Set the letter-grade scale of a course
+   * Body: {scale: [{letter, min}]}, or {scale: null} to go back to the default scale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setGradeScale(req, res) {
+    try {
+      const course = await findManagedCourse(req, res);
+      if (!course) return;
+
+      if (course.archived_at) {
+        return sendCourseArchived(res);
+      }
+
+      let scale = null;
+      if (req.body.scale !== null) {
+        const normalized = normalizeGradeScale(req.body.scale);
+        if (normalized.error) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            message: normalized.error
+          });
+        }
+        scale = normalized.scale;
+      }
+
+      await Gradebook.setScale(course.id, scale);
+
+      res.json({
+        message: scale ? 'Grade scale saved successfully' : 'Grade scale reset to the default',
+        scale: scale || DEFAULT_GRADE_SCALE,
+        is_default_scale: !scale
+      });
+    } catch (error) {
+      console.error('Set grade scale error:', error);
+      res.status(500).json({
+        error: 'Failed to save grade scale',
+        message: 'An error occurred while saving the grade scale'
+      });
+    }
+  }
+}
+
+module.exports = GradebookController;
@@ -0,0 +1,170 @@
+const bcrypt = require('bcrypt');
+const Institution = require('../models/Institution');
+const { INSTITUTION_SLUG_PATTERN, RESERVED_SLUGS } = require('../utils/institutionContext');
+const { isValidEmail, validatePassword } = require('../middleware/validation');
+
+const MAX_INSTITUTION_NAME_LENGTH = 100;
+
+/**
+ * Check and normalize the name of an institution
+ * @param {*} name - Submitted name
+ * @returns {string|null} Trimmed name or null if invalid
+ */
+const readInstitutionName = (name) => {
+  if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > MAX_INSTITUTION_NAME_LENGTH) {
+    return null;
+  }
+  return name.trim();
+};
+
+/**
+ * Check the first admin of a new institution
+ * @param {*} admin - Submitted {name, email, password}
+ * @returns {Array} Validation errors; empty if valid
+ */
+const validateAdmin = (admin) => {
+  if (!admin || typeof admin !== 'object') {
+    return ['The first admin (name, email and password) is required'];
+  }
+
+  const errors = [];
+  if (typeof admin.name !== 'string' || admin.name.trim().length < 2 || admin.name.trim().length > 100) {
+    errors.push('Admin name must be between 2 and 100 characters');
+  }
+  if (typeof admin.email !== 'string' || !isValidEmail(admin.email.trim())) {
+    errors.push('Please provide a valid admin email address');
+  }
+  errors.push(...validatePassword(admin.password).errors);
+  return errors;
+};
+
+/**
+ * Institution Controller
+ * Handles the institutions sharing the deployment; for super-admins only
+ */
+class InstitutionController {
+  /**
+   * Get all institutions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInstitutions(req, res) {
+    try {
+      const institutions = await Institution.findAll();
+
+      res.json({
+        institutions,
+        count: institutions.length
+      });
+    } catch (error) {
+      console.error('Get institutions error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch institutions',
+        message: 'An error occurred while fetching the institutions'
+      });
+    }
+  }
+
+  /**
+   * Create an institution with its first admin
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createInstitution(req, res) {
+    try {
+      const { slug, admin } = req.body;
+      const name = readInstitutionName(req.body.name);
+      const errors = [];
+
+      if (!name) {
+        errors.push(`Name must be between 2 and ${MAX_INSTITUTION_NAME_LENGTH} characters`);
+      }
+      if (typeof slug !== 'string' || !INSTITUTION_SLUG_PATTERN.test(slug)) {
+        errors.push('Address must be 2 to 50 lowercase letters, digits or hyphens, not starting or ending with a hyphen');
+      } else if (RESERVED_SLUGS.includes(slug)) {
+        errors.push(`The address "${slug}" is reserved`);
+      }
+      errors.push(...validateAdmin(admin));
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Please check your input data',
+          details: errors
+        });
+      }
+
+      const saltRounds = 10;
+      const hashedPassword = await bcrypt.hash(admin.password, saltRounds);
+
+      const { institution, admin: newAdmin } = await Institution.create({
+        name,
+        slug,
+        admin: {
+          name: admin.name.trim(),
+          email: admin.email.trim().toLowerCase(),
+          password: hashedPassword
+        }
+      });
+
+      res.status(201).json({
+        message: 'Institution created successfully',
+        institution,
+        admin: newAdmin
+      });
+    } catch (error) {
+      console.error('Create institution error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Institution already exists',
+          message: 'An institution with this address already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create institution',
+        message: 'An error occurred while creating the institution'
+      });
+    }
+  }
+
+  /**
+   * Rename an institution
+   * The address (slug) can't change, as links and subdomains depend on it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateInstitution(req, res) {
+    try {
+      const name = readInstitutionName(req.body.name);
+      if (!name) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Name must be between 2 and ${MAX_INSTITUTION_NAME_LENGTH} characters`
+        });
+      }
+
+      const institution = await Institution.update(req.params.id, name);
+      if (!institution) {
+        return res.status(404).json({
+          error: 'Institution not found',
+          message: 'Institution with the specified ID does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Institution updated successfully',
+        institution
+      });
+    } catch (error) {
+      console.error('Update institution error:', error);
+      res.status(500).json({
+        error: 'Failed to update institution',
+        message: 'An error occurred while updating the institution'
+      });
+    }
+  }
+}
+
+module.exports = InstitutionController;
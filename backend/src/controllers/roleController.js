@@ -0,0 +1,216 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, ROLE_NAME_PATTERN, isValidGrant, canGrant } = require('../utils/permissions');
+
+const MAX_DESCRIPTION_LENGTH = 255;
+
+/**
+ * Check the description and permissions of a role
+ * @param {Object} body - Request body {description, permissions}
+ * @returns {Object} {role} with the normalized fields, or {message} if invalid
+ */
+const readRole = ({ description, permissions }) => {
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+    return { message: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return { message: 'Permissions must map permission names to a scope' };
+  }
+
+  for (const [permission, scope] of Object.entries(permissions)) {
+    if (!isValidGrant(permission, scope)) {
+      return { message: `${permission} cannot be granted with the scope "${scope}"` };
+    }
+  }
+
+  return { role: { description: description ? description.trim() : null, permissions } };
+};
+
+/**
+ * Send the response for a role with permissions the user doesn't hold
+ * @param {Object} res - Express response object
+ */
+const sendGrantNotAllowed = (res) => res.status(403).json({
+  error: 'Access denied',
+  message: 'A role can only grant permissions you have yourself, in at most the scope you have them in'
+});
+
+/**
+ * Send the response for an attempt to change the built-in admin role
+ * @param {Object} res - Express response object
+ */
+const sendAdminRoleLocked = (res) => res.status(400).json({
+  error: 'Role cannot be changed',
+  message: 'Admins always have every permission'
+});
+
+/**
+ * Role Controller
+ * Handles the roles users are given and the permissions they grant
+ */
+class RoleController {
+  /**
+   * Get all roles, with the permissions that can be granted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRoles(req, res) {
+    try {
+      const roles = await Role.findAll();
+
+      res.json({
+        roles,
+        permissions: PERMISSIONS,
+        count: roles.length
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch roles',
+        message: 'An error occurred while fetching the roles'
+      });
+    }
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createRole(req, res) {
+    try {
+      const { name } = req.body;
+      if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Name must be 2 to 20 lowercase letters, digits or underscores, starting with a letter'
+        });
+      }
+
+      const { role, message } = readRole(req.body);
+      if (!role) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      if (!await canGrant(req.user, role.permissions)) {
+        return sendGrantNotAllowed(res);
+      }
+
+      const newRole = await Role.create({ name, ...role });
+
+      res.status(201).json({
+        message: 'Role created successfully',
+        role: newRole
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Role already exists',
+          message: 'A role with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create role',
+        message: 'An error occurred while creating the role'
+      });
+    }
+  }
+
+  /**
+   * Update the description and permissions of a role
+   * The new permissions replace the old ones and apply within 30 seconds.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateRole(req, res) {
+    try {
+      const { name } = req.params;
+      if (name === 'admin') {
+        return sendAdminRoleLocked(res);
+      }
+
+      const { role, message } = readRole(req.body);
+      if (!role) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      if (!await canGrant(req.user, role.permissions)) {
+        return sendGrantNotAllowed(res);
+      }
+
+      const updatedRole = await Role.update(name, role);
+      if (!updatedRole) {
+        return res.status(404).json({
+          error: 'Role not found',
+          message: 'Role with the specified name does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Role updated successfully',
+        role: updatedRole
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({
+        error: 'Failed to update role',
+        message: 'An error occurred while updating the role'
+      });
+    }
+  }
+
+  /**
+   * Delete a custom role no user has
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteRole(req, res) {
+    try {
+      const { name } = req.params;
+      const role = await Role.findByName(name);
+      if (!role) {
+        return res.status(404).json({
+          error: 'Role not found',
+          message: 'Role with the specified name does not exist'
+        });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({
+          error: 'Cannot delete role',
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      const deleted = await Role.delete(name);
+      if (!deleted) {
+        return res.status(400).json({
+          error: 'Cannot delete role',
+          message: 'Users have this role. Give them another role first'
+        });
+      }
+
+      res.json({
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        error: 'Failed to delete role',
+        message: 'An error occurred while deleting the role'
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
@@ -1,6 +1,51 @@
 const Session = require('../models/Session');
 const Attendance = require('../models/Attendance');
+const Course = require('../models/Course');
 const db = require('../config/database');
+const eventHub = require('../utils/eventHub');
+const { getInstitutionId } = require('../utils/institutionContext');
+const { getPermissionScope, hasCoursePermission, hasSessionPermission } = require('../utils/permissions');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const { normalizeLink } = require('../middleware/validation');
+const {
+  DEFAULT_PERIOD_SECONDS,
+  MIN_PERIOD_SECONDS,
+  MAX_PERIOD_SECONDS,
+  getCurrentCode,
+  createCheckInToken
+} = require('../utils/attendanceCode');
+
+/**
+ * Build the attendance code part of a live session response
+ * serverTime lets clients correct for clock skew in their countdown.
+ * @param {number|string} sessionId - Session ID
+ * @param {Object} attendanceKey - {secret, period_seconds}
+ * @returns {Object} {attendanceCode, checkInToken, codePeriod, expiresAt, serverTime}
+ */
+const formatAttendanceCode = (sessionId, attendanceKey) => {
+  const { secret, period_seconds: periodSeconds } = attendanceKey;
+  const { code, period, expiresAt } = getCurrentCode(secret, periodSeconds);
+  return {
+    attendanceCode: code,
+    checkInToken: createCheckInToken(secret, periodSeconds, sessionId).token,
+    codePeriod: period,
+    expiresAt,
+    serverTime: new Date()
+  };
+};
+
+/**
+ * Tell followers of a session that it went live or ended
+ * @param {Object} session - Updated session object
+ */
+const publishLiveChange = (session) => {
+  eventHub.publish([`session:${session.id}`, `user:${session.teacher_id}`, `admins:${getInstitutionId()}`], 'session.live', {
+    sessionId: session.id,
+    title: session.title,
+    is_live: session.is_live,
+    session_ended_at: session.session_ended_at
+  });
+};
 
 /**
  * Session Controller
@@ -14,7 +59,7 @@ class SessionController {
    */
   static async createSession(req, res) {
     try {
-      const { title, description, date_time, meeting_link, recording_link } = req.body;
+      const { title, description, date_time, meeting_link, recording_link, course_id } = req.body;
       
       // Validate required fields
       if (!title || !description || !date_time || !meeting_link) {
@@ -24,19 +69,41 @@ class SessionController {
         });
       }
 
-      // For teachers, use their own ID; for admins, allow specifying teacher_id
+      // Users scheduling only their own sessions teach them; others may specify teacher_id
       let teacherId = req.user.userId;
-      if (req.user.role === 'admin' && req.body.teacher_id) {
+      if (req.permissionScope !== 'own' && req.body.teacher_id) {
         teacherId = req.body.teacher_id;
       }
 
+      if (course_id) {
+        const course = await Course.findById(course_id);
+        if (!course) {
+          return res.status(404).json({
+            error: 'Course not found',
+            message: 'Course with the specified ID does not exist'
+          });
+        }
+        if (!(await hasCoursePermission(req.user, course.id, 'session.create'))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'You can only schedule sessions for courses you teach'
+          });
+        }
+      } else if (req.permissionScope === 'department') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Sessions you schedule must belong to a course of your department'
+        });
+      }
+
       const sessionData = {
         title,
         description,
         date_time,
         meeting_link,
         recording_link: recording_link || null,
-        teacher_id: teacherId
+        teacher_id: teacherId,
+        course_id
       };
 
       const newSession = await Session.create(sessionData);
@@ -47,6 +114,11 @@ class SessionController {
       });
     } catch (error) {
       console.error('Create session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to create session',
         message: 'An error occurred while creating the session'
@@ -62,15 +134,21 @@ class SessionController {
   static async getAllSessions(req, res) {
     try {
       let sessions;
+      const filters = { termId: req.query.termId !== undefined ? Number(req.query.termId) : undefined };
       
-      // Role-based access
-      if (req.user.role === 'admin') {
-        sessions = await Session.findAll();
-      } else if (req.user.role === 'teacher') {
-        sessions = await Session.findByTeacherId(req.user.userId);
+      // Sessions of the courses the user may view; students see the upcoming ones
+      const scope = await getPermissionScope(req.user, 'course.view');
+      if (scope === 'all') {
+        sessions = await Session.findAll(filters);
+      } else if (scope === 'department') {
+        sessions = req.user.departmentId
+          ? await Session.findAll({ ...filters, departmentId: req.user.departmentId })
+          : [];
+      } else if (scope === 'own') {
+        sessions = await Session.findByTeacherId(req.user.userId, filters);
       } else {
         // Students see all upcoming sessions
-        sessions = await Session.findUpcoming();
+        sessions = await Session.findUpcoming(filters);
       }
 
       res.json({
@@ -105,7 +183,7 @@ class SessionController {
       }
 
       // Check access permissions
-      if (req.user.role === 'teacher' && session.teacher_id !== req.user.userId) {
+      if (req.user.role !== 'student' && !(await hasSessionPermission(req.user, session, 'course.view'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only view your own sessions'
@@ -134,6 +212,13 @@ class SessionController {
       const { id } = req.params;
       const { title, description, date_time, meeting_link, recording_link } = req.body;
 
+      if ((meeting_link && !normalizeLink(meeting_link)) || (recording_link && !normalizeLink(recording_link))) {
+        return res.status(400).json({
+          error: 'Invalid link',
+          message: 'Meeting and recording links must be valid URLs'
+        });
+      }
+
       // Check if session exists
       const existingSession = await Session.findById(id);
       if (!existingSession) {
@@ -144,7 +229,7 @@ class SessionController {
       }
 
       // Check permissions
-      if (req.user.role === 'teacher' && existingSession.teacher_id !== req.user.userId) {
+      if (!(await hasSessionPermission(req.user, existingSession, 'session.update'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only update your own sessions'
@@ -156,8 +241,8 @@ class SessionController {
       if (title) updateData.title = title;
       if (description) updateData.description = description;
       if (date_time) updateData.date_time = date_time;
-      if (meeting_link) updateData.meeting_link = meeting_link;
-      if (recording_link !== undefined) updateData.recording_link = recording_link;
+      if (meeting_link) updateData.meeting_link = normalizeLink(meeting_link);
+      if (recording_link !== undefined) updateData.recording_link = recording_link ? normalizeLink(recording_link) : recording_link;
 
       const updatedSession = await Session.update(id, updateData);
 
@@ -167,6 +252,11 @@ class SessionController {
       });
     } catch (error) {
       console.error('Update session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to update session',
         message: 'An error occurred while updating the session'
@@ -193,7 +283,7 @@ class SessionController {
       }
 
       // Check permissions
-      if (req.user.role === 'teacher' && session.teacher_id !== req.user.userId) {
+      if (!(await hasSessionPermission(req.user, session, 'session.delete'))) {
         return res.status(403).json({
           error: 'Access denied',
           message: 'You can only delete your own sessions'
@@ -207,6 +297,11 @@ class SessionController {
       });
     } catch (error) {
       console.error('Delete session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to delete session',
         message: 'An error occurred while deleting the session'
@@ -247,7 +342,7 @@ class SessionController {
       }
 
       // Record attendance
-      await Attendance.markAttendance(id, studentId);
+      await Attendance.markAttendance(id, studentId, 'present', { changedBy: studentId, source: 'join' });
 
       res.json({
         message: 'Successfully joined session',
@@ -260,6 +355,11 @@ class SessionController {
       });
     } catch (error) {
       console.error('Join session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to join session',
         message: 'An error occurred while joining the session'
@@ -268,42 +368,65 @@ class SessionController {
   }
 
   /**
-   * Start live session with attendance code
+   * Start live session with a rotating attendance code
+   * Body: {codePeriod} - optional rotation period in seconds
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async startLiveSession(req, res) {
     try {
       const { id } = req.params;
-      const { attendanceCode } = req.body;
+      const codePeriod = req.body.codePeriod === undefined
+        ? DEFAULT_PERIOD_SECONDS
+        : Number(req.body.codePeriod);
 
-      if (!attendanceCode) {
+      if (!Number.isInteger(codePeriod) || codePeriod < MIN_PERIOD_SECONDS || codePeriod > MAX_PERIOD_SECONDS) {
         return res.status(400).json({
-          error: 'Missing attendance code',
-          message: 'Attendance code is required to start live session'
+          error: 'Invalid code period',
+          message: `Code period must be between ${MIN_PERIOD_SECONDS} and ${MAX_PERIOD_SECONDS} seconds`
+        });
+      }
+
+      const session = await Session.findById(id);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'Session with the specified ID does not exist'
         });
       }
 
       // Verify session ownership for teachers
-      if (req.user.role === 'teacher') {
-        const session = await Session.findById(id);
-        if (!session || session.teacher_id !== req.user.userId) {
-          return res.status(403).json({
-            error: 'Access denied',
-            message: 'You can only start your own sessions'
-          });
-        }
+      if (!(await hasSessionPermission(req.user, session, 'session.live'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only start your own sessions'
+        });
       }
 
-      const updatedSession = await Session.startLiveSession(id, attendanceCode);
+      if (session.status === 'cancelled') {
+        return res.status(400).json({
+          error: 'Session cancelled',
+          message: 'A cancelled session cannot be started'
+        });
+      }
+
+      const updatedSession = await Session.startLiveSession(id, codePeriod);
+      const attendanceKey = await Session.findAttendanceKey(id);
+
+      publishLiveChange(updatedSession);
       
       res.json({
         message: 'Live session started successfully',
         session: updatedSession,
-        attendanceCode
+        ...formatAttendanceCode(id, attendanceKey)
       });
     } catch (error) {
       console.error('Start live session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to start live session',
         message: 'An error occurred while starting the live session'
@@ -311,6 +434,42 @@ class SessionController {
     }
   }
 
+  /**
+   * Get the current attendance code of a live session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAttendanceCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      // Verify the user may run this session
+      const session = await Session.findById(id);
+      if (!session || !(await hasSessionPermission(req.user, session, 'session.live'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only view codes of your own sessions'
+        });
+      }
+
+      const attendanceKey = await Session.findAttendanceKey(id);
+      if (!attendanceKey) {
+        return res.status(400).json({
+          error: 'Session not live',
+          message: 'This session is not currently accepting attendance'
+        });
+      }
+
+      res.json(formatAttendanceCode(id, attendanceKey));
+    } catch (error) {
+      console.error('Get attendance code error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch attendance code',
+        message: 'An error occurred while fetching the attendance code'
+      });
+    }
+  }
+
   /**
    * End live session
    * @param {Object} req - Express request object
@@ -320,25 +479,40 @@ class SessionController {
     try {
       const { id } = req.params;
 
-      // Verify session ownership for teachers
-      if (req.user.role === 'teacher') {
-        const session = await Session.findById(id);
-        if (!session || session.teacher_id !== req.user.userId) {
-          return res.status(403).json({
-            error: 'Access denied',
-            message: 'You can only end your own sessions'
-          });
-        }
+      // Verify the user may run this session
+      const session = await Session.findById(id);
+      if (!session || !(await hasSessionPermission(req.user, session, 'session.live'))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only end your own sessions'
+        });
+      }
+
+      const result = await Session.endLiveSession(id, req.user.userId);
+
+      if (!result) {
+        return res.status(400).json({
+          error: 'Session is not live',
+          message: 'Only a live session can be ended'
+        });
       }
 
-      const updatedSession = await Session.endLiveSession(id);
+      publishLiveChange(result.session);
       
       res.json({
-        message: 'Live session ended successfully',
-        session: updatedSession
+        message: result.absentees.length > 0
+          ? `Live session ended, ${result.absentees.length} students marked absent`
+          : 'Live session ended successfully',
+        session: result.session,
+        absentCount: result.absentees.length
       });
     } catch (error) {
       console.error('End live session error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
       res.status(500).json({
         error: 'Failed to end live session',
         message: 'An error occurred while ending the live session'
@@ -355,16 +529,22 @@ class SessionController {
     try {
       let liveSessions;
 
-      if (req.user.role === 'admin') {
-        // Admins can see all live sessions
+      if (req.permissionScope !== 'own') {
+        // Admins see all live sessions, department admins those of their department's courses
+        const values = [];
+        let departmentSql = '';
+        if (req.permissionScope === 'department') {
+          values.push(req.user.departmentId);
+          departmentSql = ' AND s.course_id IN (SELECT id FROM courses WHERE department_id = $1)';
+        }
         const query = `
           SELECT s.*, u.name as teacher_name, u.email as teacher_email
           FROM sessions s
           LEFT JOIN users u ON s.teacher_id = u.id
-          WHERE s.is_live = true
+          WHERE s.is_live = true${departmentSql}
           ORDER BY s.date_time DESC
         `;
-        const result = await db.query(query);
+        const result = await db.query(query, values);
         liveSessions = result.rows;
       } else {
         // Teachers see only their live sessions
@@ -0,0 +1,402 @@
+const SessionSeries = require('../models/SessionSeries');
+const Course = require('../models/Course');
+const { isCourseArchivedError, sendCourseArchived } = require('../utils/courseArchive');
+const { hasCoursePermission, hasSessionPermission } = require('../utils/permissions');
+const {
+  splitLocalDateTime,
+  validateRecurrence,
+  zonedTimeToDate,
+  expandOccurrences,
+  buildRRule
+} = require('../utils/recurrence');
+const { normalizeLink } = require('../middleware/validation');
+
+/**
+ * Session Series Controller
+ * Handles recurring session series and edits to individual occurrences
+ */
+
+/**
+ * Load a series and check the user may manage it
+ * Sends the error response itself and returns null when access is refused
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} permission - Course staff permission needed on the series' course
+ * @returns {Object|null} Series object
+ */
+const loadOwnedSeries = async (req, res, permission) => {
+  const series = await SessionSeries.findById(req.params.seriesId);
+
+  if (!series) {
+    res.status(404).json({
+      error: 'Series not found',
+      message: 'Session series with the specified ID does not exist'
+    });
+    return null;
+  }
+
+  if (!(await hasSessionPermission(req.user, series, permission))) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only manage your own session series'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+/**
+ * Load an upcoming occurrence of a series
+ * Sends the error response itself and returns null when it can't be changed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Occurrence object
+ */
+const loadUpcomingOccurrence = async (req, res) => {
+  const occurrence = await SessionSeries.findOccurrence(req.params.seriesId, req.params.sessionId);
+
+  if (!occurrence) {
+    res.status(404).json({
+      error: 'Occurrence not found',
+      message: 'The session is not part of this series'
+    });
+    return null;
+  }
+
+  if (occurrence.is_live || new Date(occurrence.date_time) <= new Date()) {
+    res.status(400).json({
+      error: 'Occurrence already started',
+      message: 'Only upcoming occurrences can be changed'
+    });
+    return null;
+  }
+
+  return occurrence;
+};
+
+class SessionSeriesController {
+  /**
+   * Create a recurring session series (teacher/admin)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createSeries(req, res) {
+    try {
+      const { title, description, meeting_link, date_time, timezone, recurrence, course_id } = req.body;
+      const { date: startDate, time: startTime } = splitLocalDateTime(date_time);
+
+      // Users scheduling only their own sessions teach them; others may specify teacher_id
+      let teacherId = req.user.userId;
+      if (req.permissionScope !== 'own' && req.body.teacher_id) {
+        teacherId = req.body.teacher_id;
+      }
+
+      if (course_id) {
+        const course = await Course.findById(course_id);
+        if (!course) {
+          return res.status(404).json({
+            error: 'Course not found',
+            message: 'Course with the specified ID does not exist'
+          });
+        }
+        if (!(await hasCoursePermission(req.user, course.id, 'session.create'))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'You can only schedule sessions for courses you teach'
+          });
+        }
+      } else if (req.permissionScope === 'department') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Sessions you schedule must belong to a course of your department'
+        });
+      }
+
+      const occurrences = expandOccurrences({
+        startDate,
+        startTime,
+        timeZone: timezone,
+        rrule: buildRRule(recurrence)
+      });
+
+      if (occurrences.length === 0) {
+        return res.status(400).json({
+          error: 'Empty series',
+          message: 'The recurrence does not produce any sessions'
+        });
+      }
+
+      if (occurrences[0].dateTime <= new Date()) {
+        return res.status(400).json({
+          error: 'Invalid start',
+          message: 'The first session of the series must be in the future'
+        });
+      }
+
+      const { series, sessions } = await SessionSeries.create({
+        title,
+        description,
+        meeting_link,
+        teacher_id: teacherId,
+        course_id,
+        start_date: startDate,
+        start_time: startTime,
+        timezone,
+        recurrence
+      });
+
+      res.status(201).json({
+        message: `Session series created with ${sessions.length} sessions`,
+        series,
+        sessions
+      });
+    } catch (error) {
+      console.error('Create session series error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      if (error.message.includes('cannot have more than')) {
+        return res.status(400).json({
+          error: 'Series too long',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create session series',
+        message: 'An error occurred while creating the session series'
+      });
+    }
+  }
+
+  /**
+   * Get a series with its occurrences and exceptions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSeriesById(req, res) {
+    try {
+      const series = await loadOwnedSeries(req, res, 'course.view');
+      if (!series) return;
+
+      const [sessions, exceptions] = await Promise.all([
+        SessionSeries.findOccurrences(series.id),
+        SessionSeries.findExceptions(series.id)
+      ]);
+
+      res.json({
+        series,
+        sessions,
+        exceptions
+      });
+    } catch (error) {
+      console.error('Get session series error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch session series',
+        message: 'An error occurred while fetching the session series'
+      });
+    }
+  }
+
+  /**
+   * Update an occurrence, either on its own or together with all following ones
+   * Body: {scope: 'this' | 'following', title, description, meeting_link, date_time, recurrence}
+   * date_time is local wall-clock time (YYYY-MM-DDTHH:mm) in the series timezone.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateOccurrence(req, res) {
+    try {
+      const { scope = 'this', title, description, meeting_link, date_time, recurrence } = req.body;
+
+      if (!['this', 'following'].includes(scope)) {
+        return res.status(400).json({
+          error: 'Invalid scope',
+          message: 'Scope must be one of: this, following'
+        });
+      }
+
+      if (meeting_link && !normalizeLink(meeting_link)) {
+        return res.status(400).json({
+          error: 'Invalid link',
+          message: 'Meeting link must be a valid URL'
+        });
+      }
+
+      const series = await loadOwnedSeries(req, res, 'session.update');
+      if (!series) return;
+
+      const occurrence = await loadUpcomingOccurrence(req, res);
+      if (!occurrence) return;
+
+      const localDateTime = date_time ? splitLocalDateTime(date_time) : null;
+      if (date_time && !localDateTime) {
+        return res.status(400).json({
+          error: 'Invalid date',
+          message: 'Date and time must be in the format YYYY-MM-DDTHH:mm'
+        });
+      }
+
+      if (scope === 'this') {
+        if (recurrence) {
+          return res.status(400).json({
+            error: 'Invalid request',
+            message: 'The recurrence can only be changed for this and following occurrences'
+          });
+        }
+
+        const updateData = {};
+        if (title) updateData.title = title;
+        if (description) updateData.description = description;
+        if (meeting_link) updateData.meeting_link = normalizeLink(meeting_link);
+        if (localDateTime) {
+          updateData.date_time = zonedTimeToDate(localDateTime.date, localDateTime.time, series.timezone);
+        }
+
+        if (Object.keys(updateData).length === 0) {
+          return res.status(400).json({
+            error: 'Nothing to update',
+            message: 'Provide at least one field to change'
+          });
+        }
+
+        const session = await SessionSeries.updateOccurrence(occurrence, updateData, req.user.userId);
+
+        return res.json({
+          message: 'Occurrence updated successfully',
+          session
+        });
+      }
+
+      // The new series must not overlap what's left of the old one, nor start in the past
+      if (localDateTime && localDateTime.date < occurrence.occurrence_date) {
+        return res.status(400).json({
+          error: 'Invalid start',
+          message: 'The new series cannot start before the session it replaces'
+        });
+      }
+
+      if (localDateTime && zonedTimeToDate(localDateTime.date, localDateTime.time, series.timezone) <= new Date()) {
+        return res.status(400).json({
+          error: 'Invalid start',
+          message: 'The first session of the new series must be in the future'
+        });
+      }
+
+      const startDate = localDateTime ? localDateTime.date : occurrence.occurrence_date;
+      if (recurrence) {
+        const recurrenceErrors = validateRecurrence(recurrence, startDate);
+        if (recurrenceErrors.length > 0) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            message: 'Please check your input data',
+            details: recurrenceErrors
+          });
+        }
+      }
+
+      const result = await SessionSeries.updateFollowing(series, occurrence, {
+        title,
+        description,
+        meeting_link: meeting_link ? normalizeLink(meeting_link) : meeting_link,
+        start_date: startDate,
+        start_time: localDateTime ? localDateTime.time : null,
+        recurrence
+      });
+
+      res.json({
+        message: `Updated this and ${Math.max(result.sessions.length - 1, 0)} following sessions`,
+        series: result.series,
+        sessions: result.sessions
+      });
+    } catch (error) {
+      console.error('Update occurrence error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      if (error.message.includes('cannot have more than')) {
+        return res.status(400).json({
+          error: 'Series too long',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update occurrence',
+        message: 'An error occurred while updating the occurrence'
+      });
+    }
+  }
+
+  /**
+   * Skip an occurrence (removes the session, the rest of the series is unchanged)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async skipOccurrence(req, res) {
+    try {
+      const series = await loadOwnedSeries(req, res, 'session.delete');
+      if (!series) return;
+
+      const occurrence = await loadUpcomingOccurrence(req, res);
+      if (!occurrence) return;
+
+      await SessionSeries.skipOccurrence(occurrence, req.user.userId, req.body.reason);
+
+      res.json({
+        message: 'Occurrence skipped successfully'
+      });
+    } catch (error) {
+      console.error('Skip occurrence error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to skip occurrence',
+        message: 'An error occurred while skipping the occurrence'
+      });
+    }
+  }
+
+  /**
+   * Cancel an occurrence (keeps the session visible as cancelled)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async cancelOccurrence(req, res) {
+    try {
+      const series = await loadOwnedSeries(req, res, 'session.delete');
+      if (!series) return;
+
+      const occurrence = await loadUpcomingOccurrence(req, res);
+      if (!occurrence) return;
+
+      const session = await SessionSeries.cancelOccurrence(occurrence, req.user.userId, req.body.reason);
+
+      res.json({
+        message: 'Occurrence cancelled successfully',
+        session
+      });
+    } catch (error) {
+      console.error('Cancel occurrence error:', error);
+
+      if (isCourseArchivedError(error)) {
+        return sendCourseArchived(res);
+      }
+
+      res.status(500).json({
+        error: 'Failed to cancel occurrence',
+        message: 'An error occurred while cancelling the occurrence'
+      });
+    }
+  }
+}
+
+module.exports = SessionSeriesController;
@@ -0,0 +1,78 @@
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+
+// Two-factor policies an admin can choose from
+const TWO_FACTOR_POLICIES = [[], ['admin'], ['admin', 'teacher']];
+
+/**
+ * Settings Controller
+ * Handles instance-wide settings (admin only)
+ */
+class SettingsController {
+  /**
+   * Get the security settings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSecuritySettings(req, res) {
+    try {
+      res.json({
+        twoFactorRequiredRoles: await TwoFactor.getRequiredRoles()
+      });
+    } catch (error) {
+      console.error('Get security settings error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch settings',
+        message: 'An error occurred while fetching the security settings'
+      });
+    }
+  }
+
+  /**
+   * Update the security settings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateSecuritySettings(req, res) {
+    try {
+      const { twoFactorRequiredRoles } = req.body;
+
+      const policy = TWO_FACTOR_POLICIES.find(roles =>
+        Array.isArray(twoFactorRequiredRoles) &&
+        roles.length === twoFactorRequiredRoles.length &&
+        roles.every(role => twoFactorRequiredRoles.includes(role))
+      );
+
+      if (!policy) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'twoFactorRequiredRoles must be [], ["admin"] or ["admin", "teacher"]'
+        });
+      }
+
+      // Otherwise the admin would lock themselves out of this page
+      const admin = await User.findById(req.user.userId);
+      if (policy.includes('admin') && !admin.two_factor_enabled_at) {
+        return res.status(400).json({
+          error: 'Two-factor not enabled',
+          message: 'Enable two-factor authentication on your own account before requiring it for admins'
+        });
+      }
+
+      const roles = await TwoFactor.setRequiredRoles(policy, req.user.userId);
+
+      res.json({
+        message: 'Security settings updated successfully',
+        twoFactorRequiredRoles: roles
+      });
+    } catch (error) {
+      console.error('Update security settings error:', error);
+      res.status(500).json({
+        error: 'Failed to update settings',
+        message: 'An error occurred while updating the security settings'
+      });
+    }
+  }
+}
+
+module.exports = SettingsController;
@@ -0,0 +1,173 @@
+const AcademicTerm = require('../models/AcademicTerm');
+
+const MAX_TERM_NAME_LENGTH = 100;
+
+/**
+ * Check and normalize the fields of a term
+ * @param {Object} body - Request body {name, start_date, end_date}
+ * @returns {Object} {term} with the normalized fields, or {message} if invalid
+ */
+const readTerm = ({ name, start_date, end_date }) => {
+  if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > MAX_TERM_NAME_LENGTH) {
+    return { message: `Name must be between 2 and ${MAX_TERM_NAME_LENGTH} characters` };
+  }
+
+  const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(value).getTime());
+  if (!isDate(start_date) || !isDate(end_date)) {
+    return { message: 'Start and end dates must be valid dates (YYYY-MM-DD)' };
+  }
+
+  if (end_date < start_date) {
+    return { message: 'End date must be on or after the start date' };
+  }
+
+  return { term: { name: name.trim(), start_date, end_date } };
+};
+
+/**
+ * Term Controller
+ * Handles the academic terms courses are grouped into
+ */
+class TermController {
+  /**
+   * Get all terms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getTerms(req, res) {
+    try {
+      const terms = await AcademicTerm.findAll();
+
+      res.json({
+        terms,
+        count: terms.length
+      });
+    } catch (error) {
+      console.error('Get terms error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch terms',
+        message: 'An error occurred while fetching the academic terms'
+      });
+    }
+  }
+
+  /**
+   * Create a term (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createTerm(req, res) {
+    try {
+      const { term, message } = readTerm(req.body);
+      if (!term) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      const newTerm = await AcademicTerm.create(term);
+
+      res.status(201).json({
+        message: 'Term created successfully',
+        term: newTerm
+      });
+    } catch (error) {
+      console.error('Create term error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Term already exists',
+          message: 'A term with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create term',
+        message: 'An error occurred while creating the term'
+      });
+    }
+  }
+
+  /**
+   * Update a term (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateTerm(req, res) {
+    try {
+      const { term, message } = readTerm(req.body);
+      if (!term) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message
+        });
+      }
+
+      const updatedTerm = await AcademicTerm.update(req.params.id, term);
+      if (!updatedTerm) {
+        return res.status(404).json({
+          error: 'Term not found',
+          message: 'Term with the specified ID does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Term updated successfully',
+        term: updatedTerm
+      });
+    } catch (error) {
+      console.error('Update term error:', error);
+
+      if (error.code === '23505') { // Unique constraint violation
+        return res.status(400).json({
+          error: 'Term already exists',
+          message: 'A term with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update term',
+        message: 'An error occurred while updating the term'
+      });
+    }
+  }
+
+  /**
+   * Delete a term no course belongs to (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteTerm(req, res) {
+    try {
+      const term = await AcademicTerm.findById(req.params.id);
+      if (!term) {
+        return res.status(404).json({
+          error: 'Term not found',
+          message: 'Term with the specified ID does not exist'
+        });
+      }
+
+      const deleted = await AcademicTerm.delete(req.params.id);
+      if (!deleted) {
+        return res.status(400).json({
+          error: 'Cannot delete term',
+          message: 'Courses belong to this term. Move them to another term first'
+        });
+      }
+
+      res.json({
+        message: 'Term deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete term error:', error);
+      res.status(500).json({
+        error: 'Failed to delete term',
+        message: 'An error occurred while deleting the term'
+      });
+    }
+  }
+}
+
+module.exports = TermController;
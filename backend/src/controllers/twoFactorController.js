@@ -0,0 +1,261 @@
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+const AuthSession = require('../models/AuthSession');
+const eventHub = require('../utils/eventHub');
+const { provisioningUri } = require('../utils/totp');
+const { canAssignRole } = require('../utils/permissions');
+
+/**
+ * Two-Factor Controller
+ * Handles enrollment in TOTP two-factor authentication and its recovery codes
+ */
+class TwoFactorController {
+  /**
+   * Get the two-factor status of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      const enabled = !!user.two_factor_enabled_at;
+      const requiredRoles = await TwoFactor.getRequiredRoles();
+
+      res.json({
+        enabled,
+        enabledAt: user.two_factor_enabled_at,
+        required: requiredRoles.includes(user.role),
+        recoveryCodesRemaining: enabled ? await TwoFactor.countRecoveryCodes(user.id) : 0
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch two-factor status',
+        message: 'An error occurred while fetching the two-factor authentication status'
+      });
+    }
+  }
+
+  /**
+   * Start enrollment: create a secret for the user's authenticator app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async setup(req, res) {
+    try {
+      const secret = await TwoFactor.startSetup(req.user.userId);
+
+      if (!secret) {
+        return res.status(400).json({
+          error: 'Two-factor already enabled',
+          message: 'Two-factor authentication is already enabled. Disable it first to set up a new device'
+        });
+      }
+
+      res.json({
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        secret,
+        otpauthUrl: provisioningUri(secret, req.user.email)
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({
+        error: 'Failed to set up two-factor authentication',
+        message: 'An error occurred while setting up two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async enable(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+
+      if (user.two_factor_enabled_at || !user.two_factor_secret) {
+        return res.status(400).json({
+          error: 'No pending setup',
+          message: user.two_factor_enabled_at
+            ? 'Two-factor authentication is already enabled'
+            : 'Start the two-factor setup first'
+        });
+      }
+
+      if (!await TwoFactor.verifyCode(user, req.body.code)) {
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The code is incorrect. Check the time on your device and try again'
+        });
+      }
+
+      const recoveryCodes = await TwoFactor.enable(user.id);
+
+      res.json({
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({
+        error: 'Failed to enable two-factor authentication',
+        message: 'An error occurred while enabling two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * Needs the password and a current code (or recovery code).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async disable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const user = await User.findById(req.user.userId);
+
+      if (!user.two_factor_enabled_at) {
+        return res.status(400).json({
+          error: 'Two-factor not enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const requiredRoles = await TwoFactor.getRequiredRoles();
+      if (requiredRoles.includes(user.role)) {
+        return res.status(403).json({
+          error: 'Two-factor authentication required',
+          message: `Two-factor authentication is mandatory for the ${user.role} role`
+        });
+      }
+
+      const isPasswordValid = password && await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          error: 'Invalid password',
+          message: 'Password is incorrect'
+        });
+      }
+
+      const isCodeValid = recoveryCode
+        ? await TwoFactor.consumeRecoveryCode(user.id, recoveryCode)
+        : await TwoFactor.verifyCode(user, code);
+      if (!isCodeValid) {
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The authentication code is incorrect'
+        });
+      }
+
+      await TwoFactor.disable(user.id);
+
+      res.json({
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        error: 'Failed to disable two-factor authentication',
+        message: 'An error occurred while disabling two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes, e.g. after using some of them
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+
+      if (!user.two_factor_enabled_at) {
+        return res.status(400).json({
+          error: 'Two-factor not enabled',
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!await TwoFactor.verifyCode(user, req.body.code)) {
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The authentication code is incorrect'
+        });
+      }
+
+      const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(user.id);
+
+      res.json({
+        message: 'New recovery codes generated. The old codes no longer work',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        error: 'Failed to generate recovery codes',
+        message: 'An error occurred while generating recovery codes'
+      });
+    }
+  }
+
+  /**
+   * Reset a user's two-factor authentication, e.g. after a lost phone (admin only)
+   * The user is logged out everywhere and enrolls again on next login.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resetForUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (parseInt(id, 10) === req.user.userId) {
+        return res.status(400).json({
+          error: 'Cannot reset own two-factor',
+          message: 'Use your own settings page to change your two-factor authentication'
+        });
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'User with the specified ID does not exist'
+        });
+      }
+
+      if (!await canAssignRole(req.user, user.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage accounts whose role has no permissions you do not have yourself'
+        });
+      }
+
+      if (!await TwoFactor.disable(user.id)) {
+        return res.status(400).json({
+          error: 'Two-factor not enabled',
+          message: 'This user has not set up two-factor authentication'
+        });
+      }
+
+      await AuthSession.revokeAllForUser(user.id, 'two_factor_reset');
+      eventHub.disconnect(`user:${user.id}`);
+
+      res.json({
+        message: 'Two-factor authentication reset successfully'
+      });
+    } catch (error) {
+      console.error('Reset two-factor error:', error);
+      res.status(500).json({
+        error: 'Failed to reset two-factor authentication',
+        message: 'An error occurred while resetting two-factor authentication'
+      });
+    }
+  }
+}
+
+module.exports = TwoFactorController;
@@ -1,5 +1,74 @@
+const crypto = require('crypto');
+const db = require('../config/database');
 const User = require('../models/User');
+const Course = require('../models/Course');
+const AuthSession = require('../models/AuthSession');
+const PasswordResetToken = require('../models/PasswordResetToken');
 const bcrypt = require('bcrypt');
+const eventHub = require('../utils/eventHub');
+const { sendMail } = require('../utils/mailer');
+const { frontendLink, teacherApplicationEmail, accountInvitationEmail } = require('../utils/emailTemplates');
+const { parseRoster } = require('../utils/rosterImport');
+const { isCourseArchivedError } = require('../utils/courseArchive');
+const { canAssignRole } = require('../utils/permissions');
+
+const APPLICATION_STATUSES = ['pending_approval', 'rejected'];
+const MAX_APPROVAL_REASON_LENGTH = 1000;
+
+// How long the set-password link of an imported user stays valid
+const INVITATION_TTL_DAYS = 7;
+
+/**
+ * Check parsed roster rows against the database
+ * Adds errors for emails that already have an account, unknown or inactive
+ * course codes, and courses without enough free seats. Seats go to the
+ * otherwise valid rows in file order.
+ * @param {Array} rows - Rows from parseRoster (errors are appended in place)
+ * @returns {Map} Course by course code for the codes that exist
+ */
+const checkRosterAgainstDatabase = async (rows) => {
+  const emails = rows.map(row => row.email).filter(Boolean);
+  const codes = [...new Set(rows.flatMap(row => row.courseCodes))];
+
+  const [existingEmails, courses] = await Promise.all([
+    emails.length > 0 ? User.findExistingEmails(emails) : [],
+    codes.length > 0 ? Course.findByCodes(codes) : []
+  ]);
+
+  const taken = new Set(existingEmails);
+  const coursesByCode = new Map(courses.map(course => [course.course_code, course]));
+
+  rows.forEach((row) => {
+    if (taken.has(row.email)) {
+      row.errors.push('A user with this email already exists');
+    }
+
+    row.courseCodes.forEach((code) => {
+      const course = coursesByCode.get(code);
+      if (!course) {
+        row.errors.push(`Course ${code} does not exist`);
+      } else if (!course.is_active) {
+        row.errors.push(`Course ${code} is not active`);
+      } else if (course.archived_at) {
+        row.errors.push(`Course ${code} is archived`);
+      }
+    });
+  });
+
+  const seatsTaken = new Map(courses.map(course => [course.id, course.enrolled]));
+  rows.filter(row => row.errors.length === 0).forEach((row) => {
+    row.courseCodes.forEach((code) => {
+      const course = coursesByCode.get(code);
+      if (seatsTaken.get(course.id) >= course.max_students) {
+        row.errors.push(`Course ${code} is full (${course.max_students} students)`);
+      } else {
+        seatsTaken.set(course.id, seatsTaken.get(course.id) + 1);
+      }
+    });
+  });
+
+  return coursesByCode;
+};
 
 /**
  * User Controller
@@ -13,7 +82,7 @@ class UserController {
    */
   static async createUser(req, res) {
     try {
-      const { name, email, password, role = 'student' } = req.body;
+      const { name, email, password, role = 'student', emailVerified = true } = req.body;
 
       // Validate required fields
       if (!name || !email || !password) {
@@ -23,6 +92,13 @@ class UserController {
         });
       }
 
+      if (!await canAssignRole(req.user, role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You cannot give a role with permissions you do not have yourself'
+        });
+      }
+
       // Check if user already exists
       const existingUser = await User.findByEmail(email);
       if (existingUser) {
@@ -36,12 +112,13 @@ class UserController {
       const saltRounds = 10;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-      // Create user
+      // Create user; accounts created by an admin are verified unless asked otherwise
       const newUser = await User.create({
         name,
         email,
         password: hashedPassword,
-        role
+        role,
+        emailVerified: emailVerified !== false
       });
 
       res.status(201).json({
@@ -51,11 +128,20 @@ class UserController {
           name: newUser.name,
           email: newUser.email,
           role: newUser.role,
+          email_verified_at: newUser.email_verified_at,
           created_at: newUser.created_at
         }
       });
     } catch (error) {
       console.error('Create user error:', error);
+
+      if (error.code === '23503') { // Foreign key violation
+        return res.status(400).json({
+          error: 'Invalid role',
+          message: 'Unknown role'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to create user',
         message: 'An error occurred while creating the user'
@@ -63,6 +149,150 @@ class UserController {
     }
   }
 
+  /**
+   * Import users from a CSV roster (admin only)
+   * Every row is checked first. The import only runs when all rows are valid,
+   * and then creates all users and enrollments in one transaction. With dryRun
+   * nothing is written and only the per-row report is returned. Users without
+   * a password in the file are emailed a link to choose one.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async importUsers(req, res) {
+    try {
+      const { csv, dryRun = false } = req.body;
+
+      if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({
+          error: 'Missing CSV',
+          message: 'Please provide the contents of a CSV file'
+        });
+      }
+
+      const { rows, error } = parseRoster(csv);
+      if (error) {
+        return res.status(400).json({
+          error: 'Invalid CSV',
+          message: error
+        });
+      }
+
+      const coursesByCode = await checkRosterAgainstDatabase(rows);
+
+      for (const role of new Set(rows.map(row => row.role))) {
+        if (!await canAssignRole(req.user, role)) {
+          rows.filter(row => row.role === role)
+            .forEach(row => row.errors.push(`You cannot give the ${role} role`));
+        }
+      }
+
+      const invalidRows = rows.filter(row => row.errors.length > 0).length;
+      const report = {
+        dryRun: Boolean(dryRun),
+        summary: {
+          totalRows: rows.length,
+          validRows: rows.length - invalidRows,
+          invalidRows,
+          enrollments: rows.reduce((total, row) => total + row.courseCodes.length, 0),
+          invitations: rows.filter(row => !row.password).length
+        },
+        // Passwords never leave the server
+        rows: rows.map(({ password, ...row }) => ({ ...row, hasPassword: Boolean(password) }))
+      };
+
+      if (dryRun) {
+        return res.json({
+          message: invalidRows > 0
+            ? `${invalidRows} of ${rows.length} rows have errors`
+            : `All ${rows.length} rows are valid`,
+          report
+        });
+      }
+
+      if (invalidRows > 0) {
+        return res.status(400).json({
+          error: 'Invalid rows',
+          message: `${invalidRows} of ${rows.length} rows have errors; nothing was imported`,
+          report
+        });
+      }
+
+      // Hash before opening the transaction; invited users get a random password nobody knows
+      const saltRounds = 10;
+      const hashedPasswords = await Promise.all(rows.map(row => (
+        bcrypt.hash(row.password || crypto.randomBytes(32).toString('hex'), saltRounds)
+      )));
+
+      const client = await db.getClient();
+      const invitedUsers = [];
+
+      try {
+        await client.query('BEGIN');
+
+        const studentsByCourse = new Map();
+        for (const [index, row] of rows.entries()) {
+          const user = await User.create({
+            name: row.name,
+            email: row.email,
+            password: hashedPasswords[index],
+            role: row.role,
+            emailVerified: true
+          }, client);
+          if (!row.password) invitedUsers.push(user);
+
+          row.courseCodes.forEach((code) => {
+            const courseId = coursesByCode.get(code).id;
+            studentsByCourse.set(courseId, [...(studentsByCourse.get(courseId) || []), user.id]);
+          });
+        }
+
+        for (const [courseId, studentIds] of studentsByCourse) {
+          await Course.addImportedStudents(courseId, studentIds, client);
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // Not awaited: a failed email mustn't undo the import
+      invitedUsers.forEach((user) => {
+        PasswordResetToken.create(user.id, INVITATION_TTL_DAYS * 24 * 60, req.ip || null)
+          .then(({ token }) => sendMail({
+            to: user.email,
+            ...accountInvitationEmail({
+              name: user.name,
+              setPasswordUrl: frontendLink(`/reset-password?token=${token}`),
+              expiresInDays: INVITATION_TTL_DAYS
+            })
+          }))
+          .catch(error => console.error('Invitation email error:', error));
+      });
+
+      res.status(201).json({
+        message: `${rows.length} users imported successfully`,
+        report
+      });
+    } catch (error) {
+      // Another request took one of the emails or the last seats, or archived a course, since the check
+      if (error.code === '23505' || error.message === 'Course is full' || isCourseArchivedError(error)) {
+        return res.status(409).json({
+          error: 'Import conflict',
+          message: 'Users or enrollments changed during the import; please check the file again'
+        });
+      }
+
+      console.error('Import users error:', error);
+      res.status(500).json({
+        error: 'Failed to import users',
+        message: 'An error occurred while importing users'
+      });
+    }
+  }
+
   /**
    * Get all users (admin only) or users by role (teacher/admin)
    * @param {Object} req - Express request object
@@ -88,6 +318,11 @@ class UserController {
         email: user.email,
         phone: user.phone || 'Not provided',
         role: user.role,
+        department_id: user.department_id,
+        department_name: user.department_name,
+        email_verified_at: user.email_verified_at,
+        approval_status: user.approval_status,
+        two_factor_enabled: !!user.two_factor_enabled_at,
         created_at: user.created_at
       }));
 
@@ -124,6 +359,7 @@ class UserController {
           name: user.name,
           email: user.email,
           role: user.role,
+          email_verified_at: user.email_verified_at,
           created_at: user.created_at
         }
       });
@@ -144,7 +380,7 @@ class UserController {
   static async updateUser(req, res) {
     try {
       const { id } = req.params;
-      const { name, email, role, password } = req.body;
+      const { name, email, role, departmentId, password, emailVerified } = req.body;
 
       // Check if user exists
       const existingUser = await User.findById(id);
@@ -155,11 +391,30 @@ class UserController {
         });
       }
 
+      // Taking over a wider account would grant its permissions, as giving its role would
+      if (!await canAssignRole(req.user, existingUser.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage accounts whose role has no permissions you do not have yourself'
+        });
+      }
+
+      if (role && role !== existingUser.role && !await canAssignRole(req.user, role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You cannot give a role with permissions you do not have yourself'
+        });
+      }
+
       // Prepare update data
       const updateData = {};
       if (name) updateData.name = name;
       if (email) updateData.email = email;
       if (role) updateData.role = role;
+      if (departmentId !== undefined) updateData.department_id = departmentId === null ? null : Number(departmentId);
+
+      // A role set by an admin needs no further approval
+      if (role && role !== existingUser.role) updateData.approval_status = 'approved';
       
       // Hash password if provided
       if (password) {
@@ -167,20 +422,51 @@ class UserController {
         updateData.password = await bcrypt.hash(password, saltRounds);
       }
 
+      // Admin override of the email verification; keeps the original date when already verified
+      if (emailVerified !== undefined) {
+        updateData.email_verified_at = emailVerified ? (existingUser.email_verified_at || new Date()) : null;
+      }
+
       // Update user
       const updatedUser = await User.update(id, updateData);
 
+      // A new password or role, or a revoked verification, takes effect on every device immediately
+      let revokeReason = null;
+      if (updateData.password) {
+        revokeReason = 'password_changed';
+      } else if (role && role !== existingUser.role) {
+        revokeReason = 'role_changed';
+      } else if (emailVerified === false && existingUser.email_verified_at) {
+        revokeReason = 'email_unverified';
+      }
+
+      if (revokeReason) {
+        await AuthSession.revokeAllForUser(id, revokeReason);
+        eventHub.disconnect(`user:${id}`);
+      }
+
       res.json({
         message: 'User updated successfully',
         user: {
           id: updatedUser.id,
           name: updatedUser.name,
           email: updatedUser.email,
-          role: updatedUser.role
+          role: updatedUser.role,
+          department_id: updatedUser.department_id,
+          email_verified_at: updatedUser.email_verified_at,
+          approval_status: updatedUser.approval_status
         }
       });
     } catch (error) {
       console.error('Update user error:', error);
+
+      if (error.code === '23503') { // Foreign key violation
+        return res.status(400).json({
+          error: 'Invalid role or department',
+          message: 'Unknown role or department'
+        });
+      }
+
       res.status(500).json({
         error: 'Failed to update user',
         message: 'An error occurred while updating the user'
@@ -188,6 +474,100 @@ class UserController {
     }
   }
 
+  /**
+   * Get teacher applicants (admin only)
+   * @param {Object} req - Express request object (?status=pending_approval|rejected)
+   * @param {Object} res - Express response object
+   */
+  static async getTeacherApplications(req, res) {
+    try {
+      const { status = 'pending_approval' } = req.query;
+
+      if (!APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}`
+        });
+      }
+
+      const applications = await User.findTeacherApplications(status);
+      res.json({ applications });
+    } catch (error) {
+      console.error('Get teacher applications error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch teacher applications',
+        message: 'An error occurred while fetching teacher applications'
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a teacher applicant (admin only)
+   * The applicant is notified in the app and by email either way.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reviewTeacherApplication(req, res) {
+    try {
+      const { id } = req.params;
+      const { decision } = req.body;
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+      if (!['approved', 'rejected'].includes(decision)) {
+        return res.status(400).json({
+          error: 'Invalid decision',
+          message: 'Decision must be one of: approved, rejected'
+        });
+      }
+
+      if (decision === 'rejected' && !reason) {
+        return res.status(400).json({
+          error: 'Reason required',
+          message: 'Please give the applicant a reason for the rejection'
+        });
+      }
+
+      if (reason.length > MAX_APPROVAL_REASON_LENGTH) {
+        return res.status(400).json({
+          error: 'Reason too long',
+          message: `Reason must be less than ${MAX_APPROVAL_REASON_LENGTH} characters long`
+        });
+      }
+
+      const result = await User.reviewTeacherApplication(id, decision, req.user.userId, reason || null);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Application not found',
+          message: 'No pending or rejected teacher application exists for this user'
+        });
+      }
+
+      eventHub.publishNotification(result.notification);
+
+      sendMail({
+        to: result.user.email,
+        ...teacherApplicationEmail({
+          name: result.user.name,
+          approved: decision === 'approved',
+          reason: reason || null,
+          loginUrl: frontendLink('/login')
+        })
+      }).catch(error => console.error('Teacher application email error:', error));
+
+      res.json({
+        message: `Teacher application ${decision} successfully`,
+        user: result.user
+      });
+    } catch (error) {
+      console.error('Review teacher application error:', error);
+      res.status(500).json({
+        error: 'Failed to review teacher application',
+        message: 'An error occurred while reviewing the teacher application'
+      });
+    }
+  }
+
   /**
    * Delete user (admin only)
    * @param {Object} req - Express request object
@@ -206,6 +586,13 @@ class UserController {
         });
       }
 
+      if (!await canAssignRole(req.user, user.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only manage accounts whose role has no permissions you do not have yourself'
+        });
+      }
+
       // Prevent admin from deleting themselves
       if (id === req.user.userId) {
         return res.status(400).json({
@@ -215,6 +602,7 @@ class UserController {
       }
 
       await User.delete(id);
+      eventHub.disconnect(`user:${id}`);
 
       res.json({
         message: 'User deleted successfully'
@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const TwoFactor = require('../models/TwoFactor');
+const { DEFAULT_INSTITUTION_ID, setInstitution } = require('../utils/institutionContext');
+
+/**
+ * Get the institution an access token was issued in
+ * Tokens from before institutions existed belong to the default one.
+ * @param {Object} req - Express request object
+ * @param {Object} decoded - Verified token payload
+ * @returns {number|null} Institution ID, or null if the request named another institution
+ */
+const tokenInstitution = (req, decoded) => {
+  const institutionId = decoded.tid ?? DEFAULT_INSTITUTION_ID;
+  if (req.institution && req.institution.explicit && req.institution.id !== institutionId) {
+    return null;
+  }
+  return institutionId;
+};
 
 /**
  * Authentication Middleware
@@ -19,6 +37,16 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // The rest of the request runs in the token's institution
+    const institutionId = tokenInstitution(req, decoded);
+    if (!institutionId) {
+      return res.status(403).json({
+        error: 'Wrong institution',
+        message: 'This account belongs to another institution'
+      });
+    }
+    setInstitution(institutionId);
     
     // Check if user still exists
     const user = await User.findById(decoded.userId);
@@ -29,11 +57,27 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Check the login session hasn't been revoked (logout, password change, ...)
+    const session = decoded.sid ? await AuthSession.findActive(decoded.sid) : null;
+    if (!session || session.user_id !== decoded.userId) {
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'Your session has ended. Please login again'
+      });
+    }
+
     // Add user info to request
+    // approvalStatus, the department and the two-factor policy are read live, so changes take effect immediately
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
-      role: decoded.role
+      role: decoded.role,
+      approvalStatus: user.approval_status,
+      departmentId: user.department_id,
+      institutionId,
+      isSuperAdmin: user.is_super_admin,
+      twoFactorSetupRequired: await TwoFactor.isSetupRequired(user),
+      sessionId: decoded.sid
     };
 
     next();
@@ -60,6 +104,18 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Accept the JWT from the access_token query parameter
+ * EventSource can't send headers, so streaming endpoints read the token from
+ * the URL. Must run before authenticateToken.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 /**
  * Optional authentication middleware
  * Adds user info to request if token is present, but doesn't require it
@@ -71,13 +127,26 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const institutionId = tokenInstitution(req, decoded);
+      if (!institutionId) {
+        return next();
+      }
+      setInstitution(institutionId);
+
       const user = await User.findById(decoded.userId);
+      const session = decoded.sid ? await AuthSession.findActive(decoded.sid) : null;
       
-      if (user) {
+      if (user && session && session.user_id === decoded.userId) {
         req.user = {
           userId: decoded.userId,
           email: decoded.email,
-          role: decoded.role
+          role: decoded.role,
+          approvalStatus: user.approval_status,
+          departmentId: user.department_id,
+          institutionId,
+          isSuperAdmin: user.is_super_admin,
+          twoFactorSetupRequired: await TwoFactor.isSetupRequired(user),
+          sessionId: decoded.sid
         };
       }
     }
@@ -91,5 +160,6 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  tokenFromQuery,
   optionalAuth
 };
\ No newline at end of file
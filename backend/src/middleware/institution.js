@@ -0,0 +1,90 @@
+const Institution = require('../models/Institution');
+const {
+  DEFAULT_INSTITUTION_ID,
+  RESERVED_SLUGS,
+  runWithInstitution
+} = require('../utils/institutionContext');
+
+/**
+ * Get the institution slug from a host name
+ * Institutions live on the direct subdomains of INSTITUTION_BASE_DOMAIN,
+ * e.g. acme.attendance.example.com for the base domain attendance.example.com.
+ * @param {string} hostname - Host name without port
+ * @returns {string|null} Slug or null if the host isn't an institution's
+ */
+const slugFromHostname = (hostname) => {
+  const baseDomain = (process.env.INSTITUTION_BASE_DOMAIN || '').toLowerCase();
+  if (!baseDomain || !hostname) return null;
+
+  const host = hostname.toLowerCase();
+  const suffix = `.${baseDomain}`;
+  if (!host.endsWith(suffix)) return null;
+
+  const slug = host.slice(0, -suffix.length);
+  if (!slug || slug.includes('.') || RESERVED_SLUGS.includes(slug)) return null;
+  return slug;
+};
+
+/**
+ * Get the institution slug a request names
+ * The API's own subdomain comes first, then the subdomain of the frontend
+ * calling it (Origin), then the X-Institution header.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Slug or null if none is named
+ */
+const requestedSlug = (req) => {
+  const fromHost = slugFromHostname(req.hostname);
+  if (fromHost) return fromHost;
+
+  const origin = req.get('origin');
+  if (origin) {
+    try {
+      const fromOrigin = slugFromHostname(new URL(origin).hostname);
+      if (fromOrigin) return fromOrigin;
+    } catch (error) {
+      // Not a URL; ignore it
+    }
+  }
+
+  const header = req.get('x-institution');
+  return header ? header.trim().toLowerCase() : null;
+};
+
+/**
+ * Institution Resolution Middleware
+ * Runs the rest of the request on behalf of the institution it names, or of
+ * the default institution if it names none. Sets req.institution to
+ * {id, slug, explicit}; an access token then has to be from that
+ * institution when explicit is true (see middleware/auth.js).
+ */
+const resolveInstitution = async (req, res, next) => {
+  try {
+    const slug = requestedSlug(req);
+
+    if (!slug) {
+      req.institution = { id: DEFAULT_INSTITUTION_ID, slug: null, explicit: false };
+      return runWithInstitution(DEFAULT_INSTITUTION_ID, next);
+    }
+
+    const institution = await Institution.findBySlug(slug);
+    if (!institution) {
+      return res.status(404).json({
+        error: 'Institution not found',
+        message: `No institution uses the address "${slug}"`
+      });
+    }
+
+    req.institution = { id: institution.id, slug: institution.slug, explicit: true };
+    runWithInstitution(institution.id, next);
+  } catch (error) {
+    console.error('Institution resolution error:', error);
+    res.status(500).json({
+      error: 'Institution lookup failed',
+      message: 'An error occurred while looking up the institution'
+    });
+  }
+};
+
+module.exports = {
+  resolveInstitution
+};
@@ -0,0 +1,51 @@
+/**
+ * Rate Limiting Middleware
+ * Counts requests per client IP in fixed windows. Counters live in memory,
+ * so each server process limits on its own.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - {windowMs, max, message}
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Forget finished windows so the map doesn't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits.entries()) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = req.ip;
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -1,15 +1,102 @@
 /**
  * Role-based Access Control Middleware
- * Ensures users have the required role to access specific routes
+ * Ensures users hold the permission a route requires, through their role
  */
 
+const db = require('../config/database');
+const { getPermissionScope, isInScope } = require('../utils/permissions');
+
+/**
+ * Send the response for an account that may not use its role yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} True if a response was sent
+ */
+const sendAccountRestriction = (req, res) => {
+  // Accounts awaiting approval (self-registered teachers) have no role privileges
+  if (req.user.approvalStatus && req.user.approvalStatus !== 'approved') {
+    res.status(403).json({
+      error: 'Account not approved',
+      message: req.user.approvalStatus === 'rejected'
+        ? 'Your teacher application was rejected'
+        : 'Your teacher account is waiting for approval by an administrator'
+    });
+    return true;
+  }
+
+  // Roles that must use two-factor authentication get no privileges until it's set up
+  if (req.user.twoFactorSetupRequired) {
+    res.status(403).json({
+      error: 'Two-factor authentication required',
+      message: 'Set up two-factor authentication in your settings to continue'
+    });
+    return true;
+  }
+
+  return false;
+};
+
 /**
- * Require specific roles
- * @param {Array|string} allowedRoles - Array of allowed roles or single role string
+ * Load the course, department and owner of a resource for a scope check
+ * @param {string} query - Query selecting course_id, department_id and owner_id by $1
+ * @param {*} id - Resource ID from the request
+ * @returns {Object|null} {courseId, departmentId, ownerId} or null if not found
+ */
+const loadResource = async (query, id) => {
+  if (!/^\d+$/.test(String(id))) return null;
+  const result = await db.query(query, [id]);
+  const row = result.rows[0];
+  return row ? { courseId: row.course_id, departmentId: row.department_id, ownerId: row.owner_id } : null;
+};
+
+/**
+ * Resolve the course named by a route or body parameter
+ * @param {string} param - Parameter holding the course ID
+ * @returns {Function} Resource resolver for requirePermission
+ */
+const courseResource = (param) => (req) => loadResource(
+  'SELECT id as course_id, department_id, teacher_id as owner_id FROM courses WHERE id = $1',
+  req.params[param] ?? req.body[param]
+);
+
+/**
+ * Resolve the session named by a route or body parameter
+ * @param {string} param - Parameter holding the session ID
+ * @returns {Function} Resource resolver for requirePermission
+ */
+const sessionResource = (param) => (req) => loadResource(
+  `SELECT s.course_id, c.department_id, s.teacher_id as owner_id
+   FROM sessions s LEFT JOIN courses c ON c.id = s.course_id
+   WHERE s.id = $1`,
+  req.params[param] ?? req.body[param]
+);
+
+/**
+ * Resolve the session of the attendance record named by a route parameter
+ * @param {string} param - Parameter holding the attendance ID
+ * @returns {Function} Resource resolver for requirePermission
+ */
+const attendanceResource = (param) => (req) => loadResource(
+  `SELECT s.course_id, c.department_id, s.teacher_id as owner_id
+   FROM attendance a
+   JOIN sessions s ON s.id = a.session_id
+   LEFT JOIN courses c ON c.id = s.course_id
+   WHERE a.id = $1`,
+  req.params[param]
+);
+
+/**
+ * Require a permission
+ * Without a resolver, holding the permission in any scope lets the request
+ * through and the controller narrows it down. With one, the resolved
+ * resource must also lie in the scope the permission is held in.
+ * The scope is left in req.permissionScope.
+ * @param {string} permission - Permission name (see utils/permissions.js)
+ * @param {Function} [resourceResolver] - async (req) => {courseId, departmentId, ownerId} or null if not found
  * @returns {Function} Express middleware function
  */
-const requireRole = (allowedRoles) => {
-  return (req, res, next) => {
+const requirePermission = (permission, resourceResolver) => {
+  return async (req, res, next) => {
     // Ensure user is authenticated first
     if (!req.user) {
       return res.status(401).json({
@@ -18,45 +105,72 @@ const requireRole = (allowedRoles) => {
       });
     }
 
-    // Convert single role to array for consistency
-    const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
-    
-    // Check if user's role is in the allowed roles
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: `This resource requires ${roles.join(' or ')} role. Your role: ${req.user.role}`
+    if (sendAccountRestriction(req, res)) return;
+
+    try {
+      const scope = await getPermissionScope(req.user, permission);
+      if (!scope) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `This resource requires the ${permission} permission. Your role: ${req.user.role}`
+        });
+      }
+
+      if (resourceResolver && scope !== 'all') {
+        const resource = await resourceResolver(req);
+        if (!resource) {
+          return res.status(404).json({
+            error: 'Resource not found',
+            message: 'The requested resource does not exist'
+          });
+        }
+
+        if (!(await isInScope(req.user, permission, scope, resource))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: scope === 'department'
+              ? 'You can only manage the courses of your own department'
+              : 'You can only access your own resources'
+          });
+        }
+      }
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        error: 'Access check failed',
+        message: 'An error occurred while checking resource access'
       });
     }
-
-    next();
   };
 };
 
 /**
- * Require admin role
+ * Allow super-admins only
+ * Super-admins manage the institutions of the deployment; within their own
+ * institution they have the permissions of their role like anyone else.
  */
-const requireAdmin = requireRole('admin');
-
-/**
- * Require teacher role (or admin)
- */
-const requireTeacher = requireRole(['teacher', 'admin']);
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'You must be logged in to access this resource'
+    });
+  }
 
-/**
- * Require student role (or admin)
- */
-const requireStudent = requireRole(['student', 'admin']);
+  if (sendAccountRestriction(req, res)) return;
 
-/**
- * Require teacher or admin role
- */
-const requireTeacherOrAdmin = requireRole(['teacher', 'admin']);
+  if (!req.user.isSuperAdmin) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This resource is only available to super-admins'
+    });
+  }
 
-/**
- * Require student or admin role
- */
-const requireStudentOrAdmin = requireRole(['student', 'admin']);
+  next();
+};
 
 /**
  * Allow any authenticated user
@@ -77,7 +191,7 @@ const requireAuth = (req, res, next) => {
  * @returns {boolean} True if user is admin
  */
 const isAdmin = (user) => {
-  return user && user.role === 'admin';
+  return user && user.role === 'admin' && !user.twoFactorSetupRequired;
 };
 
 /**
@@ -86,7 +200,8 @@ const isAdmin = (user) => {
  * @returns {boolean} True if user is teacher
  */
 const isTeacher = (user) => {
-  return user && user.role === 'teacher';
+  return user && user.role === 'teacher' && (!user.approvalStatus || user.approvalStatus === 'approved') &&
+    !user.twoFactorSetupRequired;
 };
 
 /**
@@ -164,12 +279,11 @@ const requireOwnershipOrAdmin = (getResourceUserId) => {
 };
 
 module.exports = {
-  requireRole,
-  requireAdmin,
-  requireTeacher,
-  requireStudent,
-  requireTeacherOrAdmin,
-  requireStudentOrAdmin,
+  requirePermission,
+  courseResource,
+  sessionResource,
+  attendanceResource,
+  requireSuperAdmin,
   requireAuth,
   requireOwnershipOrAdmin,
   isAdmin,
@@ -1,3 +1,6 @@
+const { splitLocalDateTime, isValidTimeZone, validateRecurrence } = require('../utils/recurrence');
+const { ROLE_NAME_PATTERN } = require('../utils/permissions');
+
 /**
  * Input Validation Middleware
  * Validates request data and sanitizes inputs
@@ -13,6 +16,22 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Normalize a link to the URL it parses as
+ * new URL() silently drops tabs and line breaks, so control characters are
+ * refused up front rather than stored and written into calendar feeds.
+ * @param {string} link - Link to normalize
+ * @returns {string|null} Normalized URL, or null if the link isn't a valid URL
+ */
+const normalizeLink = (link) => {
+  if (typeof link !== 'string' || /[\u0000-\u001F\u007F]/.test(link)) return null;
+  try {
+    return new URL(link.trim()).href;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Validate password strength
  * @param {string} password - Password to validate
@@ -79,10 +98,10 @@ const validateRegistration = (req, res, next) => {
     errors.push(...passwordValidation.errors);
   }
 
-  // Validate role
-  const validRoles = ['admin', 'teacher', 'student'];
+  // Validate role; admin accounts can only be created by an admin
+  const validRoles = ['teacher', 'student'];
   if (role && !validRoles.includes(role)) {
-    errors.push('Role must be one of: admin, teacher, student');
+    errors.push('Role must be one of: teacher, student');
   }
 
   if (errors.length > 0) {
@@ -169,21 +188,14 @@ const validateSessionCreation = (req, res, next) => {
   // Validate meeting_link
   if (!meeting_link || typeof meeting_link !== 'string' || meeting_link.trim().length === 0) {
     errors.push('Meeting link is required and must be a non-empty string');
-  } else {
-    try {
-      new URL(meeting_link.trim());
-    } catch {
-      errors.push('Meeting link must be a valid URL');
-    }
+  } else if (!normalizeLink(meeting_link)) {
+    errors.push('Meeting link must be a valid URL');
   }
 
   // Validate recording_link (optional)
-  if (recording_link && typeof recording_link === 'string' && recording_link.trim().length > 0) {
-    try {
-      new URL(recording_link.trim());
-    } catch {
-      errors.push('Recording link must be a valid URL');
-    }
+  if (recording_link && typeof recording_link === 'string' && recording_link.trim().length > 0 &&
+      !normalizeLink(recording_link)) {
+    errors.push('Recording link must be a valid URL');
   }
 
   if (errors.length > 0) {
@@ -197,9 +209,44 @@ const validateSessionCreation = (req, res, next) => {
   // Sanitize inputs
   req.body.title = title.trim();
   req.body.description = description.trim();
-  req.body.meeting_link = meeting_link.trim();
+  req.body.meeting_link = normalizeLink(meeting_link);
   if (recording_link) {
-    req.body.recording_link = recording_link.trim();
+    req.body.recording_link = normalizeLink(recording_link);
+  }
+
+  next();
+};
+
+/**
+ * Validate recurrence data for a session series
+ * Runs after validateSessionCreation, which covers the shared session fields
+ */
+const validateSessionSeries = (req, res, next) => {
+  const { date_time, timezone, recurrence, course_id } = req.body;
+  const errors = [];
+
+  // date_time is the local wall-clock time of the first session
+  const localDateTime = splitLocalDateTime(date_time);
+  if (!localDateTime) {
+    errors.push('Date and time must be in the format YYYY-MM-DDTHH:mm');
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    errors.push('Timezone must be a valid IANA timezone (e.g. Europe/London)');
+  }
+
+  errors.push(...validateRecurrence(recurrence, localDateTime && localDateTime.date));
+
+  if (course_id !== undefined && course_id !== null && !Number.isInteger(Number(course_id))) {
+    errors.push('Course ID must be a number');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: errors
+    });
   }
 
   next();
@@ -209,7 +256,7 @@ const validateSessionCreation = (req, res, next) => {
  * Validate user update data
  */
 const validateUserUpdate = (req, res, next) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, role, departmentId, emailVerified } = req.body;
   const errors = [];
 
   // Validate name (optional)
@@ -240,12 +287,20 @@ const validateUserUpdate = (req, res, next) => {
     }
   }
 
-  // Validate role (optional)
-  if (role !== undefined) {
-    const validRoles = ['admin', 'teacher', 'student'];
-    if (!validRoles.includes(role)) {
-      errors.push('Role must be one of: admin, teacher, student');
-    }
+  // Validate role (optional); whether it exists is up to the roles table
+  if (role !== undefined && (typeof role !== 'string' || !ROLE_NAME_PATTERN.test(role))) {
+    errors.push('Role must be the name of a role');
+  }
+
+  // Validate department (optional, null for none)
+  if (departmentId !== undefined && departmentId !== null &&
+      !(Number.isInteger(Number(departmentId)) && Number(departmentId) > 0)) {
+    errors.push('Department must be the ID of a department');
+  }
+
+  // Validate email verification override (optional)
+  if (emailVerified !== undefined && typeof emailVerified !== 'boolean') {
+    errors.push('emailVerified must be true or false');
   }
 
   if (errors.length > 0) {
@@ -263,6 +318,116 @@ const validateUserUpdate = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate a request that only carries an email address
+ * (forgot password, resend verification email)
+ */
+const validateEmailRequest = (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !isValidEmail(email.trim())) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: ['Please provide a valid email address']
+    });
+  }
+
+  // Sanitize inputs
+  req.body.email = email.trim().toLowerCase();
+
+  next();
+};
+
+/**
+ * Validate password reset
+ */
+const validateResetPassword = (req, res, next) => {
+  const { token, password } = req.body;
+  const errors = [];
+
+  if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    errors.push('A valid reset token is required');
+  }
+
+  const passwordValidation = validatePassword(typeof password === 'string' ? password : '');
+  if (!passwordValidation.isValid) {
+    errors.push(...passwordValidation.errors);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate email verification
+ */
+const validateVerifyEmail = (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: ['A valid verification token is required']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a code from an authenticator app
+ */
+const validateTwoFactorCode = (req, res, next) => {
+  const { code } = req.body;
+
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.replace(/\s/g, ''))) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: ['A 6-digit authentication code is required']
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the second login step
+ */
+const validateTwoFactorLogin = (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const errors = [];
+
+  if (!challengeToken || typeof challengeToken !== 'string') {
+    errors.push('A login challenge token is required');
+  }
+
+  const hasCode = typeof code === 'string' && /^\d{6}$/.test(code.replace(/\s/g, ''));
+  const hasRecoveryCode = typeof recoveryCode === 'string' && recoveryCode.trim().length > 0;
+  if (!hasCode && !hasRecoveryCode) {
+    errors.push('A 6-digit authentication code or a recovery code is required');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate attendance status update
  */
@@ -271,9 +436,15 @@ const validateAttendanceStatus = (req, res, next) => {
   const errors = [];
 
   // Validate status
-  const validStatuses = ['present', 'absent', 'late'];
+  const validStatuses = ['present', 'absent', 'late', 'excused'];
   if (!status || !validStatuses.includes(status)) {
-    errors.push('Status must be one of: present, absent, late');
+    errors.push('Status must be one of: present, absent, late, excused');
+  }
+
+  // Validate the optional reason recorded in the audit log
+  const { reason } = req.body;
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    errors.push('Reason must be text of at most 500 characters');
   }
 
   if (errors.length > 0) {
@@ -287,12 +458,47 @@ const validateAttendanceStatus = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate the optional term and archive filters of listings and reports
+ * (?termId=<term ID>&archived=true|false)
+ */
+const validateListFilters = (req, res, next) => {
+  const { termId, archived } = req.query;
+  const errors = [];
+
+  if (termId !== undefined && !/^[1-9]\d*$/.test(termId)) {
+    errors.push('termId must be the ID of a term');
+  }
+
+  if (archived !== undefined && !['true', 'false'].includes(archived)) {
+    errors.push('archived must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your filters',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
   validateSessionCreation,
+  validateSessionSeries,
   validateUserUpdate,
   validateAttendanceStatus,
+  validateListFilters,
   isValidEmail,
-  validatePassword
+  validatePassword,
+  normalizeLink
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Migration 001 - Core tables
+ * Creates the users, sessions and attendance tables previously built by
+ * initializeTables. Uses IF NOT EXISTS so databases created before the
+ * migration system can adopt it without data loss.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      role VARCHAR(20) DEFAULT 'student' CHECK (role IN ('admin', 'teacher', 'student')),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      description TEXT NOT NULL,
+      date_time TIMESTAMP WITH TIME ZONE NOT NULL,
+      meeting_link TEXT NOT NULL,
+      recording_link TEXT,
+      teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) DEFAULT 'present' CHECK (status IN ('present', 'absent', 'late')),
+      timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(session_id, student_id)
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+    CREATE INDEX IF NOT EXISTS idx_sessions_teacher_id ON sessions(teacher_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_date_time ON sessions(date_time);
+    CREATE INDEX IF NOT EXISTS idx_attendance_session_id ON attendance(session_id);
+    CREATE INDEX IF NOT EXISTS idx_attendance_student_id ON attendance(student_id);
+    CREATE INDEX IF NOT EXISTS idx_attendance_timestamp ON attendance(timestamp);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS attendance');
+  await client.query('DROP TABLE IF EXISTS sessions');
+  await client.query('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Migration 002 - User profile columns
+ * Adds the optional profile fields written by AuthController.updateProfile
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS phone VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS address TEXT,
+      ADD COLUMN IF NOT EXISTS bio TEXT;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS bio,
+      DROP COLUMN IF EXISTS address,
+      DROP COLUMN IF EXISTS phone;
+  `);
+};
+
+module.exports = { up, down };
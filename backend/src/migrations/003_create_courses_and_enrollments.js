@@ -0,0 +1,70 @@
+/**
+ * Migration 003 - Courses and enrollments
+ * Creates the courses and enrollments tables and links sessions and
+ * attendance records to a course
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS courses (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      course_code VARCHAR(50) UNIQUE NOT NULL,
+      teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      max_students INTEGER NOT NULL DEFAULT 50 CHECK (max_students > 0),
+      start_date DATE,
+      end_date DATE,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS enrollments (
+      id SERIAL PRIMARY KEY,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      enrollment_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(student_id, course_id)
+    );
+  `);
+
+  await client.query(`
+    ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL;
+  `);
+
+  await client.query(`
+    ALTER TABLE attendance
+      ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS marked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS marked_at TIMESTAMP WITH TIME ZONE;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_courses_teacher_id ON courses(teacher_id);
+    CREATE INDEX IF NOT EXISTS idx_enrollments_course_id ON enrollments(course_id);
+    CREATE INDEX IF NOT EXISTS idx_enrollments_student_id ON enrollments(student_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_course_id ON sessions(course_id);
+    CREATE INDEX IF NOT EXISTS idx_attendance_course_id ON attendance(course_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE attendance
+      DROP COLUMN IF EXISTS marked_at,
+      DROP COLUMN IF EXISTS marked_by,
+      DROP COLUMN IF EXISTS course_id;
+  `);
+  await client.query('ALTER TABLE sessions DROP COLUMN IF EXISTS course_id');
+  await client.query('DROP TABLE IF EXISTS enrollments');
+  await client.query('DROP TABLE IF EXISTS courses');
+};
+
+module.exports = { up, down };
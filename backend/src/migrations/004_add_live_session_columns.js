@@ -0,0 +1,29 @@
+/**
+ * Migration 004 - Live session columns
+ * Adds the attendance code and live state used by startLiveSession/endLiveSession
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS attendance_code VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS is_live BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS session_ended_at TIMESTAMP WITH TIME ZONE;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_attendance_code ON sessions(attendance_code) WHERE is_live = true;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_sessions_attendance_code');
+  await client.query(`
+    ALTER TABLE sessions
+      DROP COLUMN IF EXISTS session_ended_at,
+      DROP COLUMN IF EXISTS is_live,
+      DROP COLUMN IF EXISTS attendance_code;
+  `);
+};
+
+module.exports = { up, down };
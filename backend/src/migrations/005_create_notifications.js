@@ -0,0 +1,30 @@
+/**
+ * Migration 005 - Notifications
+ * Creates the per-user notifications table written on enrollment and attendance
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      message TEXT NOT NULL,
+      data JSONB,
+      is_read BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, is_read);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS notifications');
+};
+
+module.exports = { up, down };
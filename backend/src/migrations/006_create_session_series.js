@@ -0,0 +1,64 @@
+/**
+ * Migration 006 - Recurring session series
+ * Creates session_series and its per-occurrence exceptions, and links
+ * generated sessions back to their series
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE session_series (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      description TEXT NOT NULL,
+      meeting_link TEXT NOT NULL,
+      teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+      start_date DATE NOT NULL,
+      start_time TIME NOT NULL,
+      timezone VARCHAR(64) NOT NULL,
+      rrule TEXT NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE session_series_exceptions (
+      id SERIAL PRIMARY KEY,
+      series_id INTEGER NOT NULL REFERENCES session_series(id) ON DELETE CASCADE,
+      occurrence_date DATE NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('skipped', 'cancelled', 'moved')),
+      reason TEXT,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE(series_id, occurrence_date)
+    );
+  `);
+
+  await client.query(`
+    ALTER TABLE sessions
+      ADD COLUMN series_id INTEGER REFERENCES session_series(id) ON DELETE SET NULL,
+      ADD COLUMN occurrence_date DATE,
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+      ADD CONSTRAINT sessions_series_occurrence_unique UNIQUE (series_id, occurrence_date);
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_session_series_teacher_id ON session_series(teacher_id);
+    CREATE INDEX idx_sessions_series_id ON sessions(series_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE sessions
+      DROP CONSTRAINT IF EXISTS sessions_series_occurrence_unique,
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS occurrence_date,
+      DROP COLUMN IF EXISTS series_id;
+  `);
+  await client.query('DROP TABLE IF EXISTS session_series_exceptions');
+  await client.query('DROP TABLE IF EXISTS session_series');
+};
+
+module.exports = { up, down };
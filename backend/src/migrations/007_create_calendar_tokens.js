@@ -0,0 +1,22 @@
+/**
+ * Migration 007 - Calendar feed tokens
+ * One feed token per user; only a SHA-256 hash of the token is stored
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE calendar_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS calendar_tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+/**
+ * Migration 008 - Rotating attendance codes
+ * Live sessions get a secret from which time-based attendance codes are
+ * derived. It is kept out of the sessions table so that session queries
+ * never expose it.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE session_attendance_keys (
+      session_id INTEGER PRIMARY KEY REFERENCES sessions(id) ON DELETE CASCADE,
+      secret VARCHAR(64) NOT NULL,
+      period_seconds INTEGER NOT NULL CHECK (period_seconds > 0),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  // Static codes are no longer accepted
+  await client.query('UPDATE sessions SET attendance_code = NULL');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS session_attendance_keys');
+};
+
+module.exports = { up, down };
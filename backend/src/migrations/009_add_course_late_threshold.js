@@ -0,0 +1,18 @@
+/**
+ * Migration 009 - Lateness threshold per course
+ * Check-ins more than late_threshold_minutes after a session starts are
+ * recorded as late
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE courses
+      ADD COLUMN late_threshold_minutes INTEGER NOT NULL DEFAULT 10 CHECK (late_threshold_minutes >= 0);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE courses DROP COLUMN IF EXISTS late_threshold_minutes');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * Migration 010 - Excused absences
+ * Adds the excused attendance status and absence_requests, through which
+ * students justify a missed session and teachers approve or reject it
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE attendance
+      DROP CONSTRAINT IF EXISTS attendance_status_check,
+      ADD CONSTRAINT attendance_status_check CHECK (status IN ('present', 'absent', 'late', 'excused'));
+  `);
+
+  await client.query(`
+    CREATE TABLE absence_requests (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      document_name VARCHAR(255),
+      document_type VARCHAR(100),
+      document_data BYTEA,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+      reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMP WITH TIME ZONE,
+      review_note TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  // A rejected request may be followed by a new one, but only one can be open or approved
+  await client.query(`
+    CREATE UNIQUE INDEX idx_absence_requests_active
+      ON absence_requests(session_id, student_id)
+      WHERE status IN ('pending', 'approved');
+    CREATE INDEX idx_absence_requests_student_id ON absence_requests(student_id);
+    CREATE INDEX idx_absence_requests_status ON absence_requests(status);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS absence_requests');
+  await client.query("UPDATE attendance SET status = 'absent' WHERE status = 'excused'");
+  await client.query(`
+    ALTER TABLE attendance
+      DROP CONSTRAINT IF EXISTS attendance_status_check,
+      ADD CONSTRAINT attendance_status_check CHECK (status IN ('present', 'absent', 'late'));
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Migration 011 - Attendance audit trail
+ * Adds attendance_audit, an append-only log of every attendance status change
+ */
+
+const up = async (client) => {
+  // session_id/student_id identify the record even after the attendance row is replaced
+  await client.query(`
+    CREATE TABLE attendance_audit (
+      id SERIAL PRIMARY KEY,
+      attendance_id INTEGER REFERENCES attendance(id) ON DELETE SET NULL,
+      session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      old_status VARCHAR(20),
+      new_status VARCHAR(20),
+      changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      source VARCHAR(30) NOT NULL CHECK (source IN (
+        'join', 'code_check_in', 'qr_check_in', 'manual', 'bulk', 'auto_close', 'absence_request'
+      )),
+      reason TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_attendance_audit_session_student ON attendance_audit(session_id, student_id);
+    CREATE INDEX idx_attendance_audit_student_id ON attendance_audit(student_id);
+  `);
+
+  // Entries can't be edited or deleted directly; only the foreign key actions
+  // (run from their own triggers, hence a deeper trigger level) may touch them
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_attendance_audit_change() RETURNS trigger AS $$
+    BEGIN
+      IF pg_trigger_depth() = 1 THEN
+        RAISE EXCEPTION 'attendance_audit is append-only';
+      END IF;
+      RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER attendance_audit_append_only
+      BEFORE UPDATE OR DELETE ON attendance_audit
+      FOR EACH ROW EXECUTE FUNCTION prevent_attendance_audit_change();
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS attendance_audit');
+  await client.query('DROP FUNCTION IF EXISTS prevent_attendance_audit_change()');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+/**
+ * Migration 012 - Refresh tokens
+ * Adds auth_sessions (one per login, revocable server side) and the rotating
+ * refresh_tokens issued for them. Only token hashes are stored.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE auth_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      user_agent TEXT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      revoked_at TIMESTAMP WITH TIME ZONE,
+      revoked_reason VARCHAR(50)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      used_at TIMESTAMP WITH TIME ZONE,
+      replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id);
+    CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS refresh_tokens');
+  await client.query('DROP TABLE IF EXISTS auth_sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Migration 013 - Password reset
+ * Adds password_reset_tokens: single-use, expiring tokens emailed to users
+ * who forgot their password. Only token hashes are stored.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      requested_ip VARCHAR(45),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id, created_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS password_reset_tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+/**
+ * Migration 014 - Email verification
+ * Adds users.email_verified_at and email_verification_tokens: single-use,
+ * expiring tokens emailed on registration. Only token hashes are stored.
+ * Existing accounts are treated as verified so nobody gets locked out.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+  `);
+
+  await client.query(`
+    UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+  `);
+
+  await client.query(`
+    CREATE TABLE email_verification_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_email_verification_tokens_user_id ON email_verification_tokens(user_id, created_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS email_verification_tokens');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * Migration 015 - Teacher approval
+ * Self-registered teachers start in 'pending_approval' and have no teacher
+ * privileges until an admin approves them. Existing accounts are approved.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+        CHECK (approval_status IN ('pending_approval', 'approved', 'rejected')),
+      ADD COLUMN IF NOT EXISTS approval_reason TEXT,
+      ADD COLUMN IF NOT EXISTS approval_reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS approval_reviewed_at TIMESTAMP WITH TIME ZONE;
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_users_pending_approval ON users(created_at)
+      WHERE approval_status = 'pending_approval';
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_users_pending_approval');
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS approval_reviewed_at,
+      DROP COLUMN IF EXISTS approval_reviewed_by,
+      DROP COLUMN IF EXISTS approval_reason,
+      DROP COLUMN IF EXISTS approval_status;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+/**
+ * Migration 016 - Two-factor authentication
+ * TOTP secrets are stored encrypted on the user, recovery codes as hashes.
+ * app_settings holds instance-wide settings changed by admins, starting
+ * with the roles that must use two-factor authentication.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+      ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+  `);
+
+  await client.query(`
+    CREATE TABLE two_factor_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, code_hash)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS app_settings');
+  await client.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS two_factor_last_step,
+      DROP COLUMN IF EXISTS two_factor_enabled_at,
+      DROP COLUMN IF EXISTS two_factor_secret;
+  `);
+};
+
+module.exports = { up, down };
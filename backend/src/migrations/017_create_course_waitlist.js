@@ -0,0 +1,26 @@
+/**
+ * Migration 017 - Course waitlist
+ * Students wait for a seat in a full course. position orders the queue and
+ * can be rearranged by the teacher; gaps are allowed.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE course_waitlist (
+      id SERIAL PRIMARY KEY,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (course_id, student_id)
+    );
+  `);
+
+  await client.query('CREATE INDEX idx_course_waitlist_queue ON course_waitlist(course_id, position)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS course_waitlist');
+};
+
+module.exports = { up, down };
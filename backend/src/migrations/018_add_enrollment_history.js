@@ -0,0 +1,28 @@
+/**
+ * Migration 018 - Enrollment history
+ * Leaving a course keeps the enrollment row: students drop (before the course
+ * starts) or withdraw (after), teachers and admins remove. ended_* record
+ * when, why and by whom, and are cleared when the student enrolls again.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE enrollments
+      ADD CONSTRAINT enrollments_status_check CHECK (status IN ('active', 'dropped', 'withdrawn', 'removed')),
+      ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS end_reason TEXT,
+      ADD COLUMN IF NOT EXISTS ended_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE enrollments
+      DROP COLUMN IF EXISTS ended_by,
+      DROP COLUMN IF EXISTS end_reason,
+      DROP COLUMN IF EXISTS ended_at,
+      DROP CONSTRAINT IF EXISTS enrollments_status_check;
+  `);
+};
+
+module.exports = { up, down };
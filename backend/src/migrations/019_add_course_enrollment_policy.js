@@ -0,0 +1,42 @@
+/**
+ * Migration 019 - Course enrollment policy
+ * Courses are open to everyone, require the teacher's approval (requests
+ * wait as 'pending' enrollments) or require an enrollment key. The optional
+ * enrollment window is given in days relative to start_date.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE courses
+      ADD COLUMN IF NOT EXISTS enrollment_policy VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (enrollment_policy IN ('open', 'approval', 'key')),
+      ADD COLUMN IF NOT EXISTS enrollment_key VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS enrollment_opens_days_before INTEGER CHECK (enrollment_opens_days_before >= 0),
+      ADD COLUMN IF NOT EXISTS enrollment_closes_days_after INTEGER CHECK (enrollment_closes_days_after >= 0);
+  `);
+
+  await client.query(`
+    ALTER TABLE enrollments
+      DROP CONSTRAINT IF EXISTS enrollments_status_check,
+      ADD CONSTRAINT enrollments_status_check
+        CHECK (status IN ('pending', 'active', 'denied', 'dropped', 'withdrawn', 'removed'));
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`DELETE FROM enrollments WHERE status IN ('pending', 'denied')`);
+  await client.query(`
+    ALTER TABLE enrollments
+      DROP CONSTRAINT IF EXISTS enrollments_status_check,
+      ADD CONSTRAINT enrollments_status_check CHECK (status IN ('active', 'dropped', 'withdrawn', 'removed'));
+  `);
+  await client.query(`
+    ALTER TABLE courses
+      DROP COLUMN IF EXISTS enrollment_closes_days_after,
+      DROP COLUMN IF EXISTS enrollment_opens_days_before,
+      DROP COLUMN IF EXISTS enrollment_key,
+      DROP COLUMN IF EXISTS enrollment_policy;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+/**
+ * Migration 020 - Course prerequisites
+ * A course can require students to be enrolled in other courses first,
+ * optionally with a minimum attendance rate (percent) in them.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE course_prerequisites (
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      prerequisite_course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      min_attendance_rate INTEGER CHECK (min_attendance_rate BETWEEN 0 AND 100),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (course_id, prerequisite_course_id),
+      CHECK (course_id <> prerequisite_course_id)
+    );
+  `);
+
+  await client.query(
+    'CREATE INDEX idx_course_prerequisites_prerequisite ON course_prerequisites(prerequisite_course_id)'
+  );
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS course_prerequisites');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,127 @@
+/**
+ * Migration 021 - Academic terms and course archiving
+ * Courses can belong to a term. An archived course is frozen: its sessions,
+ * enrollments, waitlist and attendance can't be changed any more, but stay
+ * available for viewing and reports.
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE academic_terms (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      CHECK (end_date >= start_date)
+    );
+  `);
+
+  await client.query(`
+    ALTER TABLE courses
+      ADD COLUMN IF NOT EXISTS term_id INTEGER REFERENCES academic_terms(id) ON DELETE RESTRICT,
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+  `);
+
+  await client.query('CREATE INDEX idx_courses_term_id ON courses(term_id)');
+
+  // Changes cascading from deleting a course or user run from their own
+  // triggers, hence a deeper trigger level, and are let through
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_archived_course_change() RETURNS trigger AS $$
+    DECLARE
+      touched INTEGER[];
+    BEGIN
+      IF pg_trigger_depth() = 1 THEN
+        IF TG_OP = 'INSERT' THEN
+          touched := ARRAY[NEW.course_id];
+        ELSIF TG_OP = 'UPDATE' THEN
+          touched := ARRAY[OLD.course_id, NEW.course_id];
+        ELSE
+          touched := ARRAY[OLD.course_id];
+        END IF;
+
+        IF EXISTS (SELECT 1 FROM courses WHERE id = ANY(touched) AND archived_at IS NOT NULL) THEN
+          RAISE EXCEPTION 'Course is archived';
+        END IF;
+      END IF;
+
+      IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER sessions_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON sessions
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+
+    CREATE TRIGGER enrollments_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON enrollments
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+
+    CREATE TRIGGER course_waitlist_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON course_waitlist
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+  `);
+
+  // Attendance rows don't always carry course_id; the session knows the course
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_archived_attendance_change() RETURNS trigger AS $$
+    DECLARE
+      touched INTEGER[];
+    BEGIN
+      IF pg_trigger_depth() = 1 THEN
+        IF TG_OP = 'INSERT' THEN
+          touched := ARRAY[NEW.session_id];
+        ELSIF TG_OP = 'UPDATE' THEN
+          touched := ARRAY[OLD.session_id, NEW.session_id];
+        ELSE
+          touched := ARRAY[OLD.session_id];
+        END IF;
+
+        IF EXISTS (
+          SELECT 1 FROM sessions s JOIN courses c ON c.id = s.course_id
+          WHERE s.id = ANY(touched) AND c.archived_at IS NOT NULL
+        ) THEN
+          RAISE EXCEPTION 'Course is archived';
+        END IF;
+      END IF;
+
+      IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER attendance_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON attendance
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_attendance_change();
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TRIGGER IF EXISTS attendance_archived_course_frozen ON attendance;
+    DROP TRIGGER IF EXISTS course_waitlist_archived_course_frozen ON course_waitlist;
+    DROP TRIGGER IF EXISTS enrollments_archived_course_frozen ON enrollments;
+    DROP TRIGGER IF EXISTS sessions_archived_course_frozen ON sessions;
+    DROP FUNCTION IF EXISTS prevent_archived_attendance_change();
+    DROP FUNCTION IF EXISTS prevent_archived_course_change();
+  `);
+
+  await client.query(`
+    ALTER TABLE courses
+      DROP COLUMN IF EXISTS archived_by,
+      DROP COLUMN IF EXISTS archived_at,
+      DROP COLUMN IF EXISTS term_id;
+  `);
+
+  await client.query('DROP TABLE IF EXISTS academic_terms');
+};
+
+module.exports = { up, down };
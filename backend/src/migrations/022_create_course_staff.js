@@ -0,0 +1,34 @@
+/**
+ * Migration 022 - Course staff
+ * Besides its owner (courses.teacher_id), a course can have co-teachers and
+ * teaching assistants. Each staff role grants a set of permissions on the
+ * course (see utils/courseStaff.js).
+ */
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE course_staff (
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'co_teacher', 'ta')),
+      added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (course_id, user_id)
+    );
+  `);
+
+  await client.query('CREATE INDEX idx_course_staff_user_id ON course_staff(user_id)');
+  await client.query(`CREATE UNIQUE INDEX idx_course_staff_one_owner ON course_staff(course_id) WHERE role = 'owner'`);
+
+  // The teacher of each existing course becomes its owner
+  await client.query(`
+    INSERT INTO course_staff (course_id, user_id, role)
+    SELECT id, teacher_id, 'owner' FROM courses
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS course_staff');
+};
+
+module.exports = { up, down };
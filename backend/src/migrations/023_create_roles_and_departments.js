@@ -0,0 +1,139 @@
+/**
+ * Migration 023 - Roles, permissions and departments
+ * Roles become rows granting named permissions (see utils/permissions.js),
+ * each in a scope: everywhere, in the user's department or on what the user
+ * owns. Admins edit them; admin itself always has every permission and has
+ * no rows. Courses and users can belong to a department, which is what
+ * department admins are limited to.
+ */
+
+// Role definitions at the time of this migration; later edits live in the database
+const SYSTEM_ROLES = {
+  admin: {
+    description: 'Full access to everything',
+    permissions: {}
+  },
+  teacher: {
+    description: 'Teaches the courses they are on the staff of',
+    permissions: {
+      'students.view': 'all',
+      'course.create': 'all',
+      'course.view': 'own',
+      'course.update': 'own',
+      'course.archive': 'own',
+      'course.staff': 'own',
+      'enrollment.manage': 'own',
+      'session.create': 'own',
+      'session.update': 'own',
+      'session.delete': 'own',
+      'session.live': 'own',
+      'attendance.mark': 'own',
+      'absence.review': 'own'
+    }
+  },
+  student: {
+    description: 'Enrolls in courses and attends their sessions',
+    permissions: {
+      'course.enroll': 'all',
+      'session.join': 'all',
+      'absence.request': 'all'
+    }
+  },
+  department_admin: {
+    description: 'Manages the courses of their own department',
+    permissions: {
+      'students.view': 'all',
+      'course.view': 'department',
+      'course.update': 'department',
+      'course.archive': 'department',
+      'course.unarchive': 'department',
+      'course.delete': 'department',
+      'course.staff': 'department',
+      'enrollment.manage': 'department',
+      'session.create': 'department',
+      'session.update': 'department',
+      'session.delete': 'department',
+      'session.live': 'department',
+      'attendance.mark': 'department',
+      'absence.review': 'department'
+    }
+  },
+  auditor: {
+    description: 'Read-only access to users, courses and reports',
+    permissions: {
+      'users.view': 'all',
+      'students.view': 'all',
+      'course.view': 'all',
+      'reports.view': 'all'
+    }
+  }
+};
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE departments (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE roles (
+      name VARCHAR(20) PRIMARY KEY,
+      description VARCHAR(255),
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE role_permissions (
+      role VARCHAR(20) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+      permission VARCHAR(50) NOT NULL,
+      scope VARCHAR(20) NOT NULL CHECK (scope IN ('all', 'department', 'own')),
+      PRIMARY KEY (role, permission)
+    );
+  `);
+
+  for (const [name, { description, permissions }] of Object.entries(SYSTEM_ROLES)) {
+    await client.query(
+      'INSERT INTO roles (name, description, is_system) VALUES ($1, $2, TRUE)',
+      [name, description]
+    );
+    for (const [permission, scope] of Object.entries(permissions)) {
+      await client.query(
+        'INSERT INTO role_permissions (role, permission, scope) VALUES ($1, $2, $3)',
+        [name, permission, scope]
+      );
+    }
+  }
+
+  // Any role defined in the roles table can be given to a user
+  await client.query(`
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+    ALTER TABLE users
+      ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name),
+      ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL;
+    ALTER TABLE courses
+      ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id) ON DELETE RESTRICT;
+  `);
+
+  await client.query('CREATE INDEX idx_users_department_id ON users(department_id)');
+  await client.query('CREATE INDEX idx_courses_department_id ON courses(department_id)');
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE courses DROP COLUMN IF EXISTS department_id;
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS department_id,
+      DROP CONSTRAINT IF EXISTS users_role_fkey;
+    ALTER TABLE users
+      ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'teacher', 'student'));
+  `);
+
+  await client.query('DROP TABLE IF EXISTS role_permissions');
+  await client.query('DROP TABLE IF EXISTS roles');
+  await client.query('DROP TABLE IF EXISTS departments');
+};
+
+module.exports = { up, down };
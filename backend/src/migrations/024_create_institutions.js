@@ -0,0 +1,179 @@
+/**
+ * Migration 024 - Institutions
+ * One deployment serves several institutions (tenants). Every table gets an
+ * institution_id, filled in from the app.institution_id setting the database
+ * layer sends with each query, and a row-level security policy that hides and
+ * refuses the rows of other institutions. Existing data belongs to the default
+ * institution (ID 1); its admins become super-admins, who manage institutions.
+ * Names that were unique across the deployment are now unique per institution.
+ */
+
+const INSTITUTION_TABLES = [
+  'users',
+  'sessions',
+  'attendance',
+  'courses',
+  'enrollments',
+  'notifications',
+  'session_series',
+  'session_series_exceptions',
+  'calendar_tokens',
+  'session_attendance_keys',
+  'absence_requests',
+  'attendance_audit',
+  'auth_sessions',
+  'refresh_tokens',
+  'password_reset_tokens',
+  'email_verification_tokens',
+  'two_factor_recovery_codes',
+  'app_settings',
+  'course_waitlist',
+  'course_prerequisites',
+  'academic_terms',
+  'course_staff',
+  'departments',
+  'roles',
+  'role_permissions'
+];
+
+// Tables listed on their own rather than through a parent row
+const INDEXED_TABLES = ['users', 'courses', 'sessions', 'notifications', 'academic_terms', 'departments'];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE institutions (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(50) NOT NULL UNIQUE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO institutions (id, name, slug) VALUES (1, 'Default institution', 'default');
+    SELECT setval('institutions_id_seq', 1);
+  `);
+
+  // An empty setting means no institution, which matches no row
+  await client.query(`
+    CREATE FUNCTION current_institution_id() RETURNS integer AS $$
+      SELECT NULLIF(current_setting('app.institution_id', true), '')::integer
+    $$ LANGUAGE sql STABLE;
+
+    CREATE FUNCTION institution_visible(row_institution_id integer) RETURNS boolean AS $$
+      SELECT current_setting('app.all_institutions', true) = 'on'
+          OR row_institution_id = current_institution_id()
+    $$ LANGUAGE sql STABLE;
+  `);
+
+  for (const table of INSTITUTION_TABLES) {
+    await client.query(`
+      ALTER TABLE ${table} ADD COLUMN institution_id INTEGER NOT NULL DEFAULT 1 REFERENCES institutions(id);
+      ALTER TABLE ${table} ALTER COLUMN institution_id SET DEFAULT current_institution_id();
+    `);
+  }
+
+  for (const table of INDEXED_TABLES) {
+    await client.query(`CREATE INDEX idx_${table}_institution_id ON ${table}(institution_id)`);
+  }
+
+  await client.query(`
+    ALTER TABLE users DROP CONSTRAINT users_email_key;
+    ALTER TABLE users ADD CONSTRAINT users_institution_email_key UNIQUE (institution_id, email);
+
+    ALTER TABLE courses DROP CONSTRAINT courses_course_code_key;
+    ALTER TABLE courses ADD CONSTRAINT courses_institution_course_code_key UNIQUE (institution_id, course_code);
+
+    ALTER TABLE academic_terms DROP CONSTRAINT academic_terms_name_key;
+    ALTER TABLE academic_terms ADD CONSTRAINT academic_terms_institution_name_key UNIQUE (institution_id, name);
+
+    ALTER TABLE departments DROP CONSTRAINT departments_name_key;
+    ALTER TABLE departments ADD CONSTRAINT departments_institution_name_key UNIQUE (institution_id, name);
+
+    ALTER TABLE app_settings DROP CONSTRAINT app_settings_pkey;
+    ALTER TABLE app_settings ADD PRIMARY KEY (institution_id, key);
+  `);
+
+  // Each institution edits its own copy of the roles
+  await client.query(`
+    ALTER TABLE users DROP CONSTRAINT users_role_fkey;
+    ALTER TABLE role_permissions DROP CONSTRAINT role_permissions_role_fkey;
+    ALTER TABLE role_permissions DROP CONSTRAINT role_permissions_pkey;
+    ALTER TABLE roles DROP CONSTRAINT roles_pkey;
+
+    ALTER TABLE roles ADD PRIMARY KEY (institution_id, name);
+    ALTER TABLE role_permissions ADD PRIMARY KEY (institution_id, role, permission);
+    ALTER TABLE role_permissions ADD CONSTRAINT role_permissions_role_fkey
+      FOREIGN KEY (institution_id, role) REFERENCES roles(institution_id, name) ON DELETE CASCADE;
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey
+      FOREIGN KEY (institution_id, role) REFERENCES roles(institution_id, name);
+  `);
+
+  await client.query(`
+    ALTER TABLE users ADD COLUMN is_super_admin BOOLEAN NOT NULL DEFAULT FALSE;
+    UPDATE users SET is_super_admin = TRUE WHERE role = 'admin';
+  `);
+
+  // FORCE makes the policies apply to the table owner, which the app usually connects as
+  for (const table of INSTITUTION_TABLES) {
+    await client.query(`
+      ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE ${table} FORCE ROW LEVEL SECURITY;
+      CREATE POLICY institution_isolation ON ${table}
+        USING (institution_visible(institution_id))
+        WITH CHECK (institution_visible(institution_id));
+    `);
+  }
+};
+
+// Only possible while every row still belongs to the default institution
+const down = async (client) => {
+  for (const table of INSTITUTION_TABLES) {
+    await client.query(`
+      DROP POLICY IF EXISTS institution_isolation ON ${table};
+      ALTER TABLE ${table} NO FORCE ROW LEVEL SECURITY;
+      ALTER TABLE ${table} DISABLE ROW LEVEL SECURITY;
+    `);
+  }
+
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS is_super_admin');
+
+  await client.query(`
+    ALTER TABLE users DROP CONSTRAINT users_role_fkey;
+    ALTER TABLE role_permissions DROP CONSTRAINT role_permissions_role_fkey;
+    ALTER TABLE role_permissions DROP CONSTRAINT role_permissions_pkey;
+    ALTER TABLE roles DROP CONSTRAINT roles_pkey;
+
+    ALTER TABLE roles ADD PRIMARY KEY (name);
+    ALTER TABLE role_permissions ADD PRIMARY KEY (role, permission);
+    ALTER TABLE role_permissions ADD CONSTRAINT role_permissions_role_fkey
+      FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE;
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name);
+
+    ALTER TABLE app_settings DROP CONSTRAINT app_settings_pkey;
+    ALTER TABLE app_settings ADD PRIMARY KEY (key);
+
+    ALTER TABLE departments DROP CONSTRAINT departments_institution_name_key;
+    ALTER TABLE departments ADD CONSTRAINT departments_name_key UNIQUE (name);
+
+    ALTER TABLE academic_terms DROP CONSTRAINT academic_terms_institution_name_key;
+    ALTER TABLE academic_terms ADD CONSTRAINT academic_terms_name_key UNIQUE (name);
+
+    ALTER TABLE courses DROP CONSTRAINT courses_institution_course_code_key;
+    ALTER TABLE courses ADD CONSTRAINT courses_course_code_key UNIQUE (course_code);
+
+    ALTER TABLE users DROP CONSTRAINT users_institution_email_key;
+    ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email);
+  `);
+
+  for (const table of INSTITUTION_TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS institution_id`);
+  }
+
+  await client.query(`
+    DROP FUNCTION IF EXISTS institution_visible(integer);
+    DROP FUNCTION IF EXISTS current_institution_id();
+    DROP TABLE IF EXISTS institutions;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,131 @@
+/**
+ * Migration 025 - Assignments and submissions
+ * Course staff set assignments with a due date and a point value; enrolled
+ * students hand in text and/or a file, once per assignment (a new submission
+ * replaces the previous one until it is graded). Submissions after the due
+ * date are kept but flagged as late, unless the assignment refuses them.
+ * Archived courses freeze their assignments like their sessions.
+ */
+
+// Granted to the built-in roles of every institution, as in utils/permissions.js
+const NEW_GRANTS = [
+  ['teacher', 'assignment.manage', 'own'],
+  ['teacher', 'assignment.grade', 'own'],
+  ['department_admin', 'assignment.manage', 'department'],
+  ['department_admin', 'assignment.grade', 'department'],
+  ['student', 'assignment.submit', 'all']
+];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE assignments (
+      id SERIAL PRIMARY KEY,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      title VARCHAR(255) NOT NULL,
+      instructions TEXT,
+      due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      points INTEGER NOT NULL CHECK (points > 0),
+      allow_late_submissions BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      institution_id INTEGER NOT NULL DEFAULT current_institution_id() REFERENCES institutions(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE assignment_submissions (
+      id SERIAL PRIMARY KEY,
+      assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      text_response TEXT,
+      file_name VARCHAR(255),
+      file_type VARCHAR(100),
+      file_data BYTEA,
+      submitted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      is_late BOOLEAN NOT NULL DEFAULT FALSE,
+      score NUMERIC(7, 2) CHECK (score >= 0),
+      feedback TEXT,
+      graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      graded_at TIMESTAMP WITH TIME ZONE,
+      institution_id INTEGER NOT NULL DEFAULT current_institution_id() REFERENCES institutions(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (assignment_id, student_id),
+      CHECK (text_response IS NOT NULL OR file_data IS NOT NULL)
+    );
+  `);
+
+  await client.query('CREATE INDEX idx_assignments_course_id ON assignments(course_id, due_at)');
+  await client.query('CREATE INDEX idx_assignment_submissions_student_id ON assignment_submissions(student_id)');
+
+  await client.query(`
+    CREATE TRIGGER assignments_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON assignments
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+  `);
+
+  // Submissions don't carry course_id; the assignment knows the course
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_archived_submission_change() RETURNS trigger AS $$
+    DECLARE
+      touched INTEGER[];
+    BEGIN
+      IF pg_trigger_depth() = 1 THEN
+        IF TG_OP = 'INSERT' THEN
+          touched := ARRAY[NEW.assignment_id];
+        ELSIF TG_OP = 'UPDATE' THEN
+          touched := ARRAY[OLD.assignment_id, NEW.assignment_id];
+        ELSE
+          touched := ARRAY[OLD.assignment_id];
+        END IF;
+
+        IF EXISTS (
+          SELECT 1 FROM assignments a JOIN courses c ON c.id = a.course_id
+          WHERE a.id = ANY(touched) AND c.archived_at IS NOT NULL
+        ) THEN
+          RAISE EXCEPTION 'Course is archived';
+        END IF;
+      END IF;
+
+      IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER assignment_submissions_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON assignment_submissions
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_submission_change();
+  `);
+
+  for (const table of ['assignments', 'assignment_submissions']) {
+    await client.query(`
+      ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE ${table} FORCE ROW LEVEL SECURITY;
+      CREATE POLICY institution_isolation ON ${table}
+        USING (institution_visible(institution_id))
+        WITH CHECK (institution_visible(institution_id));
+    `);
+  }
+
+  for (const [role, permission, scope] of NEW_GRANTS) {
+    await client.query(
+      `INSERT INTO role_permissions (institution_id, role, permission, scope)
+       SELECT institution_id, name, $2, $3 FROM roles WHERE name = $1 AND is_system
+       ON CONFLICT DO NOTHING`,
+      [role, permission, scope]
+    );
+  }
+};
+
+const down = async (client) => {
+  await client.query(
+    "DELETE FROM role_permissions WHERE permission IN ('assignment.manage', 'assignment.grade', 'assignment.submit')"
+  );
+
+  await client.query('DROP TABLE IF EXISTS assignment_submissions');
+  await client.query('DROP TABLE IF EXISTS assignments');
+  await client.query('DROP FUNCTION IF EXISTS prevent_archived_submission_change()');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,142 @@
+/**
+ * Migration 026 - Gradebook
+ * A course's grade is the weighted average of its grade categories. A category
+ * is graded from its own items (quizzes, exams... scored by the staff), from
+ * the course's assignments or from the student's attendance rate; a course has
+ * at most one assignments and one attendance category. Letter grades come from
+ * the course's grade scale, or the default scale in utils/gradebook.js.
+ */
+
+// Granted to the built-in roles of every institution, as in utils/permissions.js
+const NEW_GRANTS = [
+  ['teacher', 'gradebook.manage', 'own'],
+  ['department_admin', 'gradebook.manage', 'department']
+];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE grade_categories (
+      id SERIAL PRIMARY KEY,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      weight NUMERIC(5, 2) NOT NULL CHECK (weight > 0 AND weight <= 100),
+      source VARCHAR(20) NOT NULL DEFAULT 'items' CHECK (source IN ('items', 'assignments', 'attendance')),
+      position INTEGER NOT NULL DEFAULT 0,
+      institution_id INTEGER NOT NULL DEFAULT current_institution_id() REFERENCES institutions(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (course_id, name)
+    );
+
+    CREATE TABLE grade_items (
+      id SERIAL PRIMARY KEY,
+      course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      category_id INTEGER NOT NULL REFERENCES grade_categories(id) ON DELETE CASCADE,
+      title VARCHAR(255) NOT NULL,
+      points NUMERIC(7, 2) NOT NULL CHECK (points > 0),
+      due_date DATE,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      institution_id INTEGER NOT NULL DEFAULT current_institution_id() REFERENCES institutions(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE grade_scores (
+      id SERIAL PRIMARY KEY,
+      item_id INTEGER NOT NULL REFERENCES grade_items(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      score NUMERIC(7, 2) NOT NULL CHECK (score >= 0),
+      graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      institution_id INTEGER NOT NULL DEFAULT current_institution_id() REFERENCES institutions(id),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (item_id, student_id)
+    );
+
+    ALTER TABLE courses ADD COLUMN grade_scale JSONB;
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX idx_grade_categories_course_source
+      ON grade_categories(course_id, source) WHERE source <> 'items'
+  `);
+  await client.query('CREATE INDEX idx_grade_items_course_id ON grade_items(course_id)');
+  await client.query('CREATE INDEX idx_grade_items_category_id ON grade_items(category_id)');
+  await client.query('CREATE INDEX idx_grade_scores_student_id ON grade_scores(student_id)');
+
+  await client.query(`
+    CREATE TRIGGER grade_categories_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON grade_categories
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+
+    CREATE TRIGGER grade_items_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON grade_items
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_course_change();
+  `);
+
+  // Scores don't carry course_id; the item knows the course
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_archived_score_change() RETURNS trigger AS $$
+    DECLARE
+      touched INTEGER[];
+    BEGIN
+      IF pg_trigger_depth() = 1 THEN
+        IF TG_OP = 'INSERT' THEN
+          touched := ARRAY[NEW.item_id];
+        ELSIF TG_OP = 'UPDATE' THEN
+          touched := ARRAY[OLD.item_id, NEW.item_id];
+        ELSE
+          touched := ARRAY[OLD.item_id];
+        END IF;
+
+        IF EXISTS (
+          SELECT 1 FROM grade_items i JOIN courses c ON c.id = i.course_id
+          WHERE i.id = ANY(touched) AND c.archived_at IS NOT NULL
+        ) THEN
+          RAISE EXCEPTION 'Course is archived';
+        END IF;
+      END IF;
+
+      IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER grade_scores_archived_course_frozen
+      BEFORE INSERT OR UPDATE OR DELETE ON grade_scores
+      FOR EACH ROW EXECUTE FUNCTION prevent_archived_score_change();
+  `);
+
+  for (const table of ['grade_categories', 'grade_items', 'grade_scores']) {
+    await client.query(`
+      ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE ${table} FORCE ROW LEVEL SECURITY;
+      CREATE POLICY institution_isolation ON ${table}
+        USING (institution_visible(institution_id))
+        WITH CHECK (institution_visible(institution_id));
+    `);
+  }
+
+  for (const [role, permission, scope] of NEW_GRANTS) {
+    await client.query(
+      `INSERT INTO role_permissions (institution_id, role, permission, scope)
+       SELECT institution_id, name, $2, $3 FROM roles WHERE name = $1 AND is_system
+       ON CONFLICT DO NOTHING`,
+      [role, permission, scope]
+    );
+  }
+};
+
+const down = async (client) => {
+  await client.query("DELETE FROM role_permissions WHERE permission = 'gradebook.manage'");
+
+  await client.query('DROP TABLE IF EXISTS grade_scores');
+  await client.query('DROP TABLE IF EXISTS grade_items');
+  await client.query('DROP TABLE IF EXISTS grade_categories');
+  await client.query('DROP FUNCTION IF EXISTS prevent_archived_score_change()');
+  await client.query('ALTER TABLE courses DROP COLUMN IF EXISTS grade_scale');
+};
+
+module.exports = { up, down };
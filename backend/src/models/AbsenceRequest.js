@@ -0,0 +1,234 @@
+const db = require('../config/database');
+const Notification = require('./Notification');
+const AttendanceAudit = require('./AttendanceAudit');
+const { staffSessionsSql } = require('../utils/courseStaff');
+
+// Columns returned by listings; the document itself is only loaded on demand
+const REQUEST_COLUMNS = `
+  ar.id, ar.session_id, ar.student_id, ar.reason, ar.document_name, ar.document_type,
+  (ar.document_data IS NOT NULL) as has_document,
+  ar.status, ar.reviewed_by, ar.reviewed_at, ar.review_note, ar.created_at, ar.updated_at
+`;
+
+/**
+ * Absence Request Model
+ * Handles students' justifications for missed sessions
+ */
+class AbsenceRequest {
+  /**
+   * Create an absence request and notify the session's teacher
+   * @param {Object} requestData - {session_id, student_id, reason, document}
+   *                               document: {name, type, data (Buffer)} or null
+   * @returns {Object} {request, notification}
+   */
+  static async create(requestData) {
+    const { session_id, student_id, reason, document } = requestData;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO absence_requests (session_id, student_id, reason, document_name, document_type, document_data)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [session_id, student_id, reason, document?.name || null, document?.type || null, document?.data || null]
+      );
+
+      const request = await AbsenceRequest.findById(result.rows[0].id, client);
+
+      const notification = await Notification.create({
+        user_id: request.teacher_id,
+        type: 'absence_request',
+        title: 'New Absence Request',
+        message: `${request.student_name} submitted an absence justification for ${request.session_title}`,
+        data: { absenceRequestId: request.id, sessionId: session_id, studentId: student_id }
+      }, client);
+
+      await client.query('COMMIT');
+      return { request, notification };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find an absence request by ID with session and student info
+   * @param {number} id - Absence request ID
+   * @param {Object} client - Database client (defaults to the pool)
+   * @returns {Object|null} Absence request object or null if not found
+   */
+  static async findById(id, client = db) {
+    const query = `
+      SELECT ${REQUEST_COLUMNS},
+             s.title as session_title, s.date_time as session_date_time, s.teacher_id, s.course_id,
+             u.name as student_name, u.email as student_email
+      FROM absence_requests ar
+      JOIN sessions s ON ar.session_id = s.id
+      JOIN users u ON ar.student_id = u.id
+      WHERE ar.id = $1
+    `;
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find absence requests
+   * @param {Object} filters - {studentId, teacherId, departmentId, status}; teacherId matches the
+   *   sessions the teacher runs or whose course they are on the staff of, departmentId
+   *   the sessions of the department's courses (null matches none)
+   * @returns {Array} Array of absence request objects
+   */
+  static async findAll(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.studentId) {
+      values.push(filters.studentId);
+      conditions.push(`ar.student_id = $${values.length}`);
+    }
+    if (filters.teacherId) {
+      values.push(filters.teacherId);
+      conditions.push(staffSessionsSql('s', `$${values.length}`));
+    }
+    if (filters.departmentId !== undefined) {
+      values.push(filters.departmentId);
+      conditions.push(`s.course_id IN (SELECT id FROM courses WHERE department_id = $${values.length})`);
+    }
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`ar.status = $${values.length}`);
+    }
+
+    const query = `
+      SELECT ${REQUEST_COLUMNS},
+             s.title as session_title, s.date_time as session_date_time, s.teacher_id,
+             u.name as student_name, u.email as student_email,
+             r.name as reviewer_name
+      FROM absence_requests ar
+      JOIN sessions s ON ar.session_id = s.id
+      JOIN users u ON ar.student_id = u.id
+      LEFT JOIN users r ON ar.reviewed_by = r.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ar.created_at DESC
+    `;
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Find the pending or approved request of a student for a session
+   * @param {number} sessionId - Session ID
+   * @param {number} studentId - Student ID
+   * @returns {Object|null} Absence request object or null if none is open
+   */
+  static async findActive(sessionId, studentId) {
+    const query = `
+      SELECT ${REQUEST_COLUMNS}
+      FROM absence_requests ar
+      WHERE ar.session_id = $1 AND ar.student_id = $2 AND ar.status IN ('pending', 'approved')
+    `;
+    const result = await db.query(query, [sessionId, studentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the attached document of a request
+   * @param {number} id - Absence request ID
+   * @returns {Object|null} {document_name, document_type, document_data} or null if none
+   */
+  static async findDocument(id) {
+    const query = `
+      SELECT document_name, document_type, document_data
+      FROM absence_requests
+      WHERE id = $1 AND document_data IS NOT NULL
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Approve or reject a pending request and notify the student
+   * Approving marks the student's attendance for the session as excused.
+   * @param {Object} request - Absence request object (from findById)
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {number} reviewerId - ID of the reviewing teacher/admin
+   * @param {string} note - Optional note for the student
+   * @returns {Object|null} {request, attendance, notification} or null if it was no longer pending
+   */
+  static async review(request, decision, reviewerId, note) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const updateResult = await client.query(
+        `UPDATE absence_requests
+         SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_note = $3, updated_at = NOW()
+         WHERE id = $4 AND status = 'pending'
+         RETURNING id`,
+        [decision, reviewerId, note || null, request.id]
+      );
+
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let attendance = null;
+      if (decision === 'approved') {
+        const previousResult = await client.query(
+          'SELECT status FROM attendance WHERE session_id = $1 AND student_id = $2 FOR UPDATE',
+          [request.session_id, request.student_id]
+        );
+
+        const attendanceResult = await client.query(
+          `INSERT INTO attendance (session_id, student_id, course_id, status, timestamp, created_at, updated_at)
+           VALUES ($1, $2, $3, 'excused', NOW(), NOW(), NOW())
+           ON CONFLICT (session_id, student_id)
+           DO UPDATE SET status = 'excused', updated_at = NOW()
+           RETURNING *`,
+          [request.session_id, request.student_id, request.course_id]
+        );
+        attendance = attendanceResult.rows[0];
+
+        await AttendanceAudit.record([{
+          attendance_id: attendance.id,
+          session_id: attendance.session_id,
+          student_id: attendance.student_id,
+          old_status: previousResult.rows[0]?.status,
+          new_status: attendance.status
+        }], {
+          changedBy: reviewerId,
+          source: 'absence_request',
+          reason: note || `Absence request #${request.id} approved`
+        }, client);
+      }
+
+      const notification = await Notification.create({
+        user_id: request.student_id,
+        type: 'absence_request',
+        title: decision === 'approved' ? 'Absence Excused' : 'Absence Request Rejected',
+        message: decision === 'approved'
+          ? `Your absence from ${request.session_title} has been excused`
+          : `Your absence justification for ${request.session_title} was rejected${note ? `: ${note}` : ''}`,
+        data: { absenceRequestId: request.id, sessionId: request.session_id, status: decision }
+      }, client);
+
+      const updatedRequest = await AbsenceRequest.findById(request.id, client);
+
+      await client.query('COMMIT');
+      return { request: updatedRequest, attendance, notification };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = AbsenceRequest;
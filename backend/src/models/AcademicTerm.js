@@ -0,0 +1,82 @@
+const db = require('../config/database');
+
+/**
+ * AcademicTerm Model
+ * Handles the terms courses are grouped into for listings and reports
+ */
+class AcademicTerm {
+  /**
+   * Create a term
+   * @param {Object} termData - {name, start_date, end_date}
+   * @returns {Object} Created term
+   */
+  static async create({ name, start_date, end_date }) {
+    const query = `
+      INSERT INTO academic_terms (name, start_date, end_date)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    const result = await db.query(query, [name, start_date, end_date]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find all terms, latest first
+   * @returns {Array} Terms with their course_count and archived_count
+   */
+  static async findAll() {
+    const query = `
+      SELECT t.*,
+             COUNT(c.id)::integer as course_count,
+             COUNT(c.archived_at)::integer as archived_count
+      FROM academic_terms t
+      LEFT JOIN courses c ON c.term_id = t.id
+      GROUP BY t.id
+      ORDER BY t.start_date DESC
+    `;
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find a term by ID
+   * @param {number} id - Term ID
+   * @returns {Object|null} Term or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM academic_terms WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a term
+   * @param {number} id - Term ID
+   * @param {Object} termData - {name, start_date, end_date}
+   * @returns {Object|null} Updated term or null if not found
+   */
+  static async update(id, { name, start_date, end_date }) {
+    const query = `
+      UPDATE academic_terms
+      SET name = $2, start_date = $3, end_date = $4, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, name, start_date, end_date]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a term that no course belongs to
+   * @param {number} id - Term ID
+   * @returns {boolean} True if the term was deleted
+   */
+  static async delete(id) {
+    const result = await db.query(
+      'DELETE FROM academic_terms WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM courses WHERE term_id = $1)',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = AcademicTerm;
@@ -0,0 +1,62 @@
+const db = require('../config/database');
+const { getInstitutionId } = require('../utils/institutionContext');
+
+// Settings are read on every authenticated request, so they're cached briefly
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get the cache key of a setting of the current institution
+ * @param {string} key - Setting key
+ * @returns {string} Cache key
+ */
+const cacheKey = (key) => `${getInstitutionId()}:${key}`;
+
+/**
+ * AppSetting Model
+ * Handles institution-wide settings changed by admins, stored as JSON by key
+ */
+class AppSetting {
+  /**
+   * Get a setting
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Value used when the setting was never set
+   * @returns {*} Setting value
+   */
+  static async get(key, defaultValue = null) {
+    const cached = cache.get(cacheKey(key));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const result = await db.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+    const value = result.rows.length > 0 ? result.rows[0].value : defaultValue;
+
+    cache.set(cacheKey(key), { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  /**
+   * Change a setting
+   * @param {string} key - Setting key
+   * @param {*} value - JSON serializable value
+   * @param {number} userId - Admin making the change
+   * @returns {Object} Setting row (key, value, updated_by, updated_at)
+   */
+  static async set(key, value, userId) {
+    const query = `
+      INSERT INTO app_settings (key, value, updated_by, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (institution_id, key) DO UPDATE
+      SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING key, value, updated_by, updated_at
+    `;
+    const result = await db.query(query, [key, JSON.stringify(value), userId]);
+
+    cache.delete(cacheKey(key));
+    return result.rows[0];
+  }
+}
+
+module.exports = AppSetting;
@@ -0,0 +1,155 @@
+const db = require('../config/database');
+const Notification = require('./Notification');
+
+/**
+ * Assignment Model
+ * Handles the coursework of a course: what students hand in, by when, and
+ * how many points it is worth
+ */
+class Assignment {
+  /**
+   * Create an assignment and notify the course's enrolled students
+   * @param {Object} assignmentData - {course_id, title, instructions, due_at, points,
+   *                                  allow_late_submissions, created_by}
+   * @returns {Object} {assignment, notifications}
+   */
+  static async create(assignmentData) {
+    const { course_id, title, instructions, due_at, points, allow_late_submissions, created_by } = assignmentData;
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO assignments (course_id, title, instructions, due_at, points, allow_late_submissions, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [course_id, title, instructions, due_at, points, allow_late_submissions, created_by]
+      );
+      const assignment = result.rows[0];
+
+      const studentsResult = await client.query(
+        `SELECT e.student_id, c.title as course_name
+         FROM enrollments e JOIN courses c ON c.id = e.course_id
+         WHERE e.course_id = $1 AND e.status = 'active'`,
+        [course_id]
+      );
+
+      const notifications = [];
+      for (const { student_id, course_name } of studentsResult.rows) {
+        notifications.push(await Notification.create({
+          user_id: student_id,
+          type: 'assignment',
+          title: 'New Assignment',
+          message: `${title} was assigned in ${course_name}`,
+          data: { assignmentId: assignment.id, courseId: course_id }
+        }, client));
+      }
+
+      await client.query('COMMIT');
+      return { assignment, notifications };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find an assignment by ID
+   * @param {number} id - Assignment ID
+   * @returns {Object|null} Assignment or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM assignments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the assignments of a course for its staff, by due date
+   * @param {number} courseId - Course ID
+   * @returns {Array} Assignments with their submission_count, late_count and graded_count
+   */
+  static async findByCourseId(courseId) {
+    const query = `
+      SELECT a.*,
+             COUNT(s.id)::integer as submission_count,
+             COUNT(s.id) FILTER (WHERE s.is_late)::integer as late_count,
+             COUNT(s.graded_at)::integer as graded_count
+      FROM assignments a
+      LEFT JOIN assignment_submissions s ON s.assignment_id = a.id
+      WHERE a.course_id = $1
+      GROUP BY a.id
+      ORDER BY a.due_at, a.id
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Find the assignments of a course for one student, by due date
+   * @param {number} courseId - Course ID
+   * @param {number} studentId - Student ID
+   * @returns {Array} Assignments with the student's submission_id, submitted_at,
+   *                  is_late, score and graded_at (null if not handed in)
+   */
+  static async findByCourseIdForStudent(courseId, studentId) {
+    const query = `
+      SELECT a.*,
+             s.id as submission_id, s.submitted_at, s.is_late, s.score, s.graded_at
+      FROM assignments a
+      LEFT JOIN assignment_submissions s ON s.assignment_id = a.id AND s.student_id = $2
+      WHERE a.course_id = $1
+      ORDER BY a.due_at, a.id
+    `;
+    const result = await db.query(query, [courseId, studentId]);
+    return result.rows;
+  }
+
+  /**
+   * Update an assignment
+   * Submissions keep their late flag from when they were handed in.
+   * @param {number} id - Assignment ID
+   * @param {Object} updateData - Any of title, instructions, due_at, points, allow_late_submissions
+   * @returns {Object|null} Updated assignment or null if not found
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const field of ['title', 'instructions', 'due_at', 'points', 'allow_late_submissions']) {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = $${paramCount}`);
+        values.push(updateData[field]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      return Assignment.findById(id);
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE assignments SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete an assignment with its submissions
+   * @param {number} id - Assignment ID
+   * @returns {boolean} True if the assignment was deleted
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM assignments WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Assignment;
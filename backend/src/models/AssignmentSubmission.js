@@ -0,0 +1,154 @@
+const db = require('../config/database');
+const Notification = require('./Notification');
+
+// Columns returned by listings; the file itself is only loaded on demand
+const SUBMISSION_COLUMNS = `
+  s.id, s.assignment_id, s.text_response, s.file_name, s.file_type,
+  (s.file_data IS NOT NULL) as has_file,
+  s.submitted_at, s.is_late, s.score, s.feedback, s.graded_by, s.graded_at, s.created_at, s.updated_at
+`;
+
+/**
+ * Assignment Submission Model
+ * Handles what students hand in for an assignment and its grading
+ */
+class AssignmentSubmission {
+  /**
+   * Hand in an assignment, replacing the student's previous submission
+   * A graded submission can't be replaced. The submission is late if the
+   * assignment is past due at this moment.
+   * @param {Object} submissionData - {assignment_id, student_id, text_response, file}
+   *                                  file: {name, type, data (Buffer)} or null
+   * @returns {Object|null} Submission or null if the previous one was already graded
+   */
+  static async submit(submissionData) {
+    const { assignment_id, student_id, text_response, file } = submissionData;
+
+    const query = `
+      INSERT INTO assignment_submissions
+        (assignment_id, student_id, text_response, file_name, file_type, file_data, submitted_at, is_late)
+      SELECT $1, $2, $3, $4, $5, $6, NOW(), NOW() > a.due_at
+      FROM assignments a WHERE a.id = $1
+      ON CONFLICT (assignment_id, student_id) DO UPDATE
+      SET text_response = EXCLUDED.text_response, file_name = EXCLUDED.file_name,
+          file_type = EXCLUDED.file_type, file_data = EXCLUDED.file_data,
+          submitted_at = EXCLUDED.submitted_at, is_late = EXCLUDED.is_late, updated_at = NOW()
+      WHERE assignment_submissions.graded_at IS NULL
+      RETURNING id
+    `;
+    const result = await db.query(query, [
+      assignment_id, student_id, text_response, file?.name || null, file?.type || null, file?.data || null
+    ]);
+
+    return result.rows[0] ? AssignmentSubmission.findById(result.rows[0].id) : null;
+  }
+
+  /**
+   * Find a submission by ID with the student's name
+   * @param {number} id - Submission ID
+   * @param {Object} client - Database client (defaults to the pool)
+   * @returns {Object|null} Submission or null if not found
+   */
+  static async findById(id, client = db) {
+    const query = `
+      SELECT ${SUBMISSION_COLUMNS}, s.student_id, u.name as student_name, u.email as student_email
+      FROM assignment_submissions s
+      JOIN users u ON u.id = s.student_id
+      WHERE s.id = $1
+    `;
+    const result = await client.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a student's submission for an assignment
+   * @param {number} assignmentId - Assignment ID
+   * @param {number} studentId - Student ID
+   * @returns {Object|null} Submission or null if not handed in
+   */
+  static async findByAssignmentAndStudent(assignmentId, studentId) {
+    const query = `
+      SELECT ${SUBMISSION_COLUMNS}, s.student_id
+      FROM assignment_submissions s
+      WHERE s.assignment_id = $1 AND s.student_id = $2
+    `;
+    const result = await db.query(query, [assignmentId, studentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the submissions for an assignment, with the enrolled students who haven't handed in
+   * @param {Object} assignment - Assignment object
+   * @returns {Array} One row per student by name: student_id, student_name, student_email and
+   *                  the submission columns (id null if not handed in)
+   */
+  static async findByAssignment(assignment) {
+    const query = `
+      SELECT ${SUBMISSION_COLUMNS}, u.id as student_id, u.name as student_name, u.email as student_email
+      FROM users u
+      LEFT JOIN assignment_submissions s ON s.assignment_id = $1 AND s.student_id = u.id
+      WHERE s.id IS NOT NULL
+         OR u.id IN (SELECT student_id FROM enrollments WHERE course_id = $2 AND status = 'active')
+      ORDER BY u.name, u.id
+    `;
+    const result = await db.query(query, [assignment.id, assignment.course_id]);
+    return result.rows;
+  }
+
+  /**
+   * Load the file of a submission
+   * @param {number} id - Submission ID
+   * @returns {Object|null} {file_name, file_type, file_data} or null if there is no file
+   */
+  static async findFile(id) {
+    const result = await db.query(
+      'SELECT file_name, file_type, file_data FROM assignment_submissions WHERE id = $1 AND file_data IS NOT NULL',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Grade a submission and notify its student
+   * Grading again replaces the score and feedback.
+   * @param {Object} submission - Submission object
+   * @param {Object} assignment - Assignment object
+   * @param {Object} grade - {score, feedback}
+   * @param {number} graderId - User grading
+   * @returns {Object} {submission, notification}
+   */
+  static async grade(submission, assignment, { score, feedback }, graderId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE assignment_submissions
+         SET score = $1, feedback = $2, graded_by = $3, graded_at = NOW(), updated_at = NOW()
+         WHERE id = $4`,
+        [score, feedback || null, graderId, submission.id]
+      );
+
+      const notification = await Notification.create({
+        user_id: submission.student_id,
+        type: 'assignment',
+        title: 'Assignment Graded',
+        message: `Your submission for ${assignment.title} was graded: ${score}/${assignment.points}`,
+        data: { assignmentId: assignment.id, courseId: assignment.course_id, submissionId: submission.id }
+      }, client);
+
+      const gradedSubmission = await AssignmentSubmission.findById(submission.id, client);
+
+      await client.query('COMMIT');
+      return { submission: gradedSubmission, notification };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = AssignmentSubmission;
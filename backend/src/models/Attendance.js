@@ -1,4 +1,6 @@
 const db = require('../config/database');
+const AttendanceAudit = require('./AttendanceAudit');
+const { staffSessionsSql } = require('../utils/courseStaff');
 
 /**
  * Attendance Model
@@ -7,38 +9,132 @@ const db = require('../config/database');
 class Attendance {
   /**
    * Mark attendance for a student in a session
+   * The change is recorded in the attendance audit log.
    * @param {number} sessionId - Session ID
    * @param {number} studentId - Student ID
    * @param {string} status - Attendance status (default: 'present')
+   * @param {Object} audit - {changedBy, source, reason} for the audit log
    * @returns {Object} Created attendance record
    */
-  static async markAttendance(sessionId, studentId, status = 'present') {
-    // Check if attendance already exists
-    const existingQuery = `
-      SELECT * FROM attendance 
-      WHERE session_id = $1 AND student_id = $2
-    `;
-    const existing = await db.query(existingQuery, [sessionId, studentId]);
-    
-    if (existing.rows.length > 0) {
-      // Update existing attendance
-      const updateQuery = `
-        UPDATE attendance 
-        SET status = $1, timestamp = NOW(), updated_at = NOW()
-        WHERE session_id = $2 AND student_id = $3
-        RETURNING *
-      `;
-      const result = await db.query(updateQuery, [status, sessionId, studentId]);
-      return result.rows[0];
-    } else {
-      // Create new attendance record
-      const insertQuery = `
-        INSERT INTO attendance (session_id, student_id, status, timestamp, created_at, updated_at)
-        VALUES ($1, $2, $3, NOW(), NOW(), NOW())
-        RETURNING *
+  static async markAttendance(sessionId, studentId, status = 'present', audit = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Check if attendance already exists
+      const existingQuery = `
+        SELECT * FROM attendance 
+        WHERE session_id = $1 AND student_id = $2
+        FOR UPDATE
       `;
-      const result = await db.query(insertQuery, [sessionId, studentId, status]);
-      return result.rows[0];
+      const existing = await client.query(existingQuery, [sessionId, studentId]);
+      const previous = existing.rows[0];
+
+      let attendance;
+      if (previous) {
+        // Update existing attendance
+        const updateQuery = `
+          UPDATE attendance 
+          SET status = $1, timestamp = NOW(), updated_at = NOW()
+          WHERE session_id = $2 AND student_id = $3
+          RETURNING *
+        `;
+        const result = await client.query(updateQuery, [status, sessionId, studentId]);
+        attendance = result.rows[0];
+      } else {
+        // Create new attendance record
+        const insertQuery = `
+          INSERT INTO attendance (session_id, student_id, status, timestamp, created_at, updated_at)
+          VALUES ($1, $2, $3, NOW(), NOW(), NOW())
+          RETURNING *
+        `;
+        const result = await client.query(insertQuery, [sessionId, studentId, status]);
+        attendance = result.rows[0];
+      }
+
+      await AttendanceAudit.record([{
+        attendance_id: attendance.id,
+        session_id: attendance.session_id,
+        student_id: attendance.student_id,
+        old_status: previous ? previous.status : null,
+        new_status: attendance.status
+      }], { source: 'manual', ...audit }, client);
+
+      await client.query('COMMIT');
+      return attendance;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a student's own check-in for a session
+   * Check-ins after the course's lateness threshold are recorded as late.
+   * An existing present/late record is kept as is, so checking in twice
+   * can't turn an on-time check-in into a late one. The record is written in
+   * one upsert, so simultaneous check-ins (a double tap, code and QR at once)
+   * don't collide.
+   * @param {Object} session - Session object
+   * @param {number} studentId - Student ID
+   * @param {string} source - Audit source: 'code_check_in' or 'qr_check_in'
+   * @returns {Object} Attendance record
+   */
+  static async checkIn(session, studentId, source = 'code_check_in') {
+    let status = 'present';
+    if (session.course_id) {
+      const thresholdResult = await db.query(
+        'SELECT late_threshold_minutes FROM courses WHERE id = $1',
+        [session.course_id]
+      );
+      const threshold = thresholdResult.rows[0]?.late_threshold_minutes;
+      const lateAfter = new Date(session.date_time).getTime() + threshold * 60 * 1000;
+      if (threshold !== undefined && Date.now() > lateAfter) {
+        status = 'late';
+      }
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only an absent record is overwritten; xmax = 0 tells a new row from an updated one
+      const result = await client.query(
+        `INSERT INTO attendance (session_id, student_id, status, timestamp, created_at, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW(), NOW())
+         ON CONFLICT (session_id, student_id) DO UPDATE
+         SET status = EXCLUDED.status, timestamp = NOW(), updated_at = NOW()
+         WHERE attendance.status = 'absent'
+         RETURNING *, (xmax = 0) as inserted`,
+        [session.id, studentId, status]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return Attendance.checkAttendance(session.id, studentId);
+      }
+
+      const { inserted, ...attendance } = result.rows[0];
+
+      await AttendanceAudit.record([{
+        attendance_id: attendance.id,
+        session_id: attendance.session_id,
+        student_id: attendance.student_id,
+        old_status: inserted ? null : 'absent',
+        new_status: attendance.status
+      }], { changedBy: studentId, source }, client);
+
+      await client.query('COMMIT');
+      return attendance;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -77,10 +173,17 @@ class Attendance {
         s.title as session_title,
         s.description as session_description,
         s.date_time as session_date_time,
-        u.name as teacher_name
+        u.name as teacher_name,
+        ar.status as absence_request_status
       FROM attendance a
       LEFT JOIN sessions s ON a.session_id = s.id
       LEFT JOIN users u ON s.teacher_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT status FROM absence_requests
+        WHERE session_id = a.session_id AND student_id = a.student_id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) ar ON true
       WHERE a.student_id = $1
       ORDER BY s.date_time DESC
     `;
@@ -90,50 +193,117 @@ class Attendance {
 
   /**
    * Update attendance status
+   * The change is recorded in the attendance audit log.
    * @param {number} attendanceId - Attendance ID
    * @param {string} status - New status
+   * @param {Object} audit - {changedBy, source, reason} for the audit log
    * @returns {Object|null} Updated attendance record
    */
-  static async updateStatus(attendanceId, status) {
+  static async updateStatus(attendanceId, status, audit = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT status FROM attendance WHERE id = $1 FOR UPDATE',
+        [attendanceId]
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const query = `
+        UPDATE attendance 
+        SET status = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *
+      `;
+      const result = await client.query(query, [status, attendanceId]);
+      const attendance = result.rows[0];
+
+      await AttendanceAudit.record([{
+        attendance_id: attendance.id,
+        session_id: attendance.session_id,
+        student_id: attendance.student_id,
+        old_status: existing.rows[0].status,
+        new_status: attendance.status
+      }], { source: 'manual', ...audit }, client);
+
+      await client.query('COMMIT');
+      return attendance;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find attendance by ID with session info
+   * @param {number} id - Attendance ID
+   * @returns {Object|null} Attendance record or null if not found
+   */
+  static async findById(id) {
     const query = `
-      UPDATE attendance 
-      SET status = $1, updated_at = NOW()
-      WHERE id = $2
-      RETURNING *
+      SELECT a.*, s.teacher_id, s.course_id as session_course_id, s.title as session_title
+      FROM attendance a
+      JOIN sessions s ON a.session_id = s.id
+      WHERE a.id = $1
     `;
-    const result = await db.query(query, [status, attendanceId]);
+    const result = await db.query(query, [id]);
     return result.rows[0] || null;
   }
 
   /**
    * Get attendance statistics
+   * @param {Object} options - {excludeExcused} leaves excused absences out of the attendance rate,
+   *   {termId} limits the statistics to the sessions of a term's courses
    * @returns {Object} Attendance statistics
    */
-  static async getStats() {
+  static async getStats({ excludeExcused = false, termId } = {}) {
+    const rateBase = excludeExcused
+      ? "COUNT(CASE WHEN status <> 'excused' THEN 1 END)"
+      : 'COUNT(*)';
+
     const query = `
       SELECT 
         COUNT(*) as total_attendance_records,
         COUNT(CASE WHEN status = 'present' THEN 1 END) as total_present,
         COUNT(CASE WHEN status = 'absent' THEN 1 END) as total_absent,
         COUNT(CASE WHEN status = 'late' THEN 1 END) as total_late,
+        COUNT(CASE WHEN status = 'excused' THEN 1 END) as total_excused,
         COUNT(CASE WHEN timestamp >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as attendance_this_week,
         COUNT(CASE WHEN timestamp >= CURRENT_DATE - INTERVAL '30 days' THEN 1 END) as attendance_this_month,
         ROUND(
-          (COUNT(CASE WHEN status = 'present' THEN 1 END) * 100.0 / NULLIF(COUNT(*), 0)), 2
+          (COUNT(CASE WHEN status = 'present' THEN 1 END) * 100.0 / NULLIF(${rateBase}, 0)), 2
         ) as attendance_rate
       FROM attendance
+      ${termId !== undefined ? `WHERE session_id IN (
+        SELECT s.id FROM sessions s JOIN courses c ON c.id = s.course_id WHERE c.term_id = $1
+      )` : ''}
     `;
     
-    const result = await db.query(query);
+    const result = await db.query(query, termId !== undefined ? [termId] : []);
     return result.rows[0];
   }
 
   /**
    * Get teacher attendance report
+   * Covers the sessions the teacher runs and those of the courses they are on the staff of.
    * @param {number} teacherId - Teacher ID
+   * @param {Object} options - {excludeExcused} leaves excused absences out of the attendance rate,
+   *   {termId} limits the report to the sessions of a term's courses
    * @returns {Object} Teacher attendance report
    */
-  static async getTeacherReport(teacherId) {
+  static async getTeacherReport(teacherId, { excludeExcused = false, termId } = {}) {
+    const rateBase = excludeExcused
+      ? "COUNT(CASE WHEN a.status <> 'excused' THEN 1 END)"
+      : 'COUNT(a.id)';
+
     const query = `
       SELECT 
         s.id as session_id,
@@ -143,17 +313,19 @@ class Attendance {
         COUNT(CASE WHEN a.status = 'present' THEN 1 END) as present_count,
         COUNT(CASE WHEN a.status = 'absent' THEN 1 END) as absent_count,
         COUNT(CASE WHEN a.status = 'late' THEN 1 END) as late_count,
+        COUNT(CASE WHEN a.status = 'excused' THEN 1 END) as excused_count,
         ROUND(
-          (COUNT(CASE WHEN a.status = 'present' THEN 1 END) * 100.0 / NULLIF(COUNT(a.id), 0)), 2
+          (COUNT(CASE WHEN a.status = 'present' THEN 1 END) * 100.0 / NULLIF(${rateBase}, 0)), 2
         ) as attendance_rate
       FROM sessions s
       LEFT JOIN attendance a ON s.id = a.session_id
-      WHERE s.teacher_id = $1
+      WHERE ${staffSessionsSql('s', '$1')}
+      ${termId !== undefined ? 'AND s.course_id IN (SELECT id FROM courses WHERE term_id = $2)' : ''}
       GROUP BY s.id, s.title, s.date_time
       ORDER BY s.date_time DESC
     `;
     
-    const result = await db.query(query, [teacherId]);
+    const result = await db.query(query, termId !== undefined ? [teacherId, termId] : [teacherId]);
     return result.rows;
   }
 
@@ -169,6 +341,7 @@ class Attendance {
         COUNT(CASE WHEN status = 'present' THEN 1 END) as sessions_present,
         COUNT(CASE WHEN status = 'absent' THEN 1 END) as sessions_absent,
         COUNT(CASE WHEN status = 'late' THEN 1 END) as sessions_late,
+        COUNT(CASE WHEN status = 'excused' THEN 1 END) as sessions_excused,
         ROUND(
           (COUNT(CASE WHEN status = 'present' THEN 1 END) * 100.0 / NULLIF(COUNT(*), 0)), 2
         ) as attendance_rate
@@ -0,0 +1,101 @@
+const db = require('../config/database');
+const { staffSessionsSql } = require('../utils/courseStaff');
+
+/**
+ * Attendance Audit Model
+ * Append-only log of attendance status changes
+ */
+class AttendanceAudit {
+  /**
+   * Record attendance changes
+   * Entries whose status didn't change are skipped. Pass the transaction
+   * client that made the changes so the log can't diverge from the data.
+   * @param {Array} changes - [{attendance_id, session_id, student_id, old_status, new_status}]
+   *                          old_status is null for new records, new_status null for removed ones
+   * @param {Object} context - {changedBy, source, reason}
+   * @param {Object} client - Database client (defaults to the pool)
+   * @returns {Array} Created audit entries
+   */
+  static async record(changes, context, client = db) {
+    const { changedBy = null, source, reason = null } = context;
+    const entries = changes.filter(change => (change.old_status || null) !== (change.new_status || null));
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const values = [];
+    const rows = entries.map((entry) => {
+      values.push(
+        entry.attendance_id || null,
+        entry.session_id,
+        entry.student_id,
+        entry.old_status || null,
+        entry.new_status || null,
+        changedBy,
+        source,
+        reason
+      );
+      const offset = values.length - 8;
+      return `(${Array.from({ length: 8 }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+    });
+
+    const query = `
+      INSERT INTO attendance_audit
+        (attendance_id, session_id, student_id, old_status, new_status, changed_by, source, reason)
+      VALUES ${rows.join(', ')}
+      RETURNING *
+    `;
+    const result = await client.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Find audit entries, newest first
+   * @param {Object} filters - {sessionId, studentId, teacherId, departmentId}; teacherId covers every course
+   *   the teacher is on the staff of, departmentId the courses of a department (null matches none)
+   * @returns {Array} Array of audit entries with session, student and actor info
+   */
+  static async findAll(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.sessionId) {
+      values.push(filters.sessionId);
+      conditions.push(`aa.session_id = $${values.length}`);
+    }
+    if (filters.studentId) {
+      values.push(filters.studentId);
+      conditions.push(`aa.student_id = $${values.length}`);
+    }
+    if (filters.teacherId) {
+      values.push(filters.teacherId);
+      conditions.push(staffSessionsSql('s', `$${values.length}`));
+    }
+    if (filters.departmentId !== undefined) {
+      values.push(filters.departmentId);
+      conditions.push(`s.course_id IN (SELECT id FROM courses WHERE department_id = $${values.length})`);
+    }
+
+    const query = `
+      SELECT
+        aa.*,
+        s.title as session_title,
+        s.date_time as session_date_time,
+        st.name as student_name,
+        st.email as student_email,
+        u.name as changed_by_name,
+        u.role as changed_by_role
+      FROM attendance_audit aa
+      JOIN sessions s ON aa.session_id = s.id
+      JOIN users st ON aa.student_id = st.id
+      LEFT JOIN users u ON aa.changed_by = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY aa.created_at DESC, aa.id DESC
+    `;
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+}
+
+module.exports = AttendanceAudit;
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Absolute lifetime of a login; refreshing doesn't extend it
+const SESSION_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// A refresh token presented again this soon after it was rotated is most
+// likely a race between two tabs, not a stolen token
+const REUSE_GRACE_SECONDS = 10;
+
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new refresh token for a session
+ * @param {Object} client - Database client
+ * @param {number} sessionId - Auth session ID
+ * @returns {Object} {id, token} - the raw token is only available here
+ */
+const insertRefreshToken = async (client, sessionId) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const result = await client.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2) RETURNING id',
+    [sessionId, hashToken(token)]
+  );
+  return { id: result.rows[0].id, token };
+};
+
+/**
+ * AuthSession Model
+ * Handles login sessions and their rotating refresh tokens
+ */
+class AuthSession {
+  /**
+   * Start a login session
+   * @param {number} userId - User ID
+   * @param {Object} metadata - {userAgent, ipAddress}
+   * @returns {Object} {session, refreshToken}
+   */
+  static async create(userId, { userAgent = null, ipAddress = null } = {}) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `INSERT INTO auth_sessions (user_id, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+         RETURNING ${SESSION_COLUMNS}`,
+        [userId, userAgent, ipAddress, SESSION_TTL_DAYS]
+      );
+      const session = sessionResult.rows[0];
+      const refreshToken = await insertRefreshToken(client, session.id);
+
+      await client.query('COMMIT');
+      return { session, refreshToken: refreshToken.token };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * Each refresh token works once. Presenting a used token again after the
+   * grace period means it leaked, so the whole session is revoked.
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} {status, session, user, refreshToken}
+   *                   status: 'valid', 'invalid', 'rotated' (used moments ago) or 'reused' (session revoked)
+   */
+  static async rotate(refreshToken) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `SELECT rt.id, rt.session_id,
+                (rt.used_at IS NOT NULL) as is_used,
+                (rt.used_at > NOW() - make_interval(secs => $2)) as used_recently,
+                (s.revoked_at IS NULL AND s.expires_at > NOW()) as session_active
+         FROM refresh_tokens rt
+         JOIN auth_sessions s ON rt.session_id = s.id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt, s`,
+        [hashToken(refreshToken), REUSE_GRACE_SECONDS]
+      );
+      const stored = tokenResult.rows[0];
+
+      if (!stored || !stored.session_active) {
+        await client.query('ROLLBACK');
+        return { status: 'invalid' };
+      }
+
+      if (stored.is_used) {
+        if (stored.used_recently) {
+          await client.query('ROLLBACK');
+          return { status: 'rotated' };
+        }
+
+        const revokedResult = await client.query(
+          `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+           WHERE id = $1
+           RETURNING ${SESSION_COLUMNS}`,
+          [stored.session_id]
+        );
+        await client.query('COMMIT');
+        return { status: 'reused', session: revokedResult.rows[0] };
+      }
+
+      const nextToken = await insertRefreshToken(client, stored.session_id);
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $1 WHERE id = $2',
+        [nextToken.id, stored.id]
+      );
+
+      const sessionResult = await client.query(
+        `UPDATE auth_sessions SET last_used_at = NOW()
+         WHERE id = $1
+         RETURNING ${SESSION_COLUMNS}`,
+        [stored.session_id]
+      );
+      const session = sessionResult.rows[0];
+
+      const userResult = await client.query(
+        'SELECT id, name, email, role, approval_status, institution_id FROM users WHERE id = $1',
+        [session.user_id]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'valid', session, user: userResult.rows[0], refreshToken: nextToken.token };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find an active (not revoked, not expired) session
+   * @param {number} id - Auth session ID
+   * @returns {Object|null} Session object or null if it is no longer active
+   */
+  static async findActive(id) {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM auth_sessions
+      WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the active sessions of a user, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Array} Array of session objects
+   */
+  static async findActiveByUserId(userId) {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM auth_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Find the session a refresh token belongs to, whether or not the token was used
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object|null} Session object or null if the token is unknown
+   */
+  static async findByRefreshToken(refreshToken) {
+    const query = `
+      SELECT s.id, s.user_id, s.user_agent, s.ip_address, s.created_at, s.last_used_at, s.expires_at
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = $1
+    `;
+    const result = await db.query(query, [hashToken(refreshToken)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the institution of the session a refresh token belongs to
+   * Called across institutions, since a refresh request may not name one.
+   * @param {string} refreshToken - Refresh token
+   * @returns {number|null} Institution ID or null if the token is unknown
+   */
+  static async findInstitutionIdByRefreshToken(refreshToken) {
+    const query = `
+      SELECT s.institution_id
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = $1
+    `;
+    const result = await db.query(query, [hashToken(refreshToken)]);
+    return result.rows[0] ? result.rows[0].institution_id : null;
+  }
+
+  /**
+   * Revoke a session of a user
+   * @param {number} id - Auth session ID
+   * @param {number} userId - Owner of the session
+   * @param {string} reason - Why it was revoked, e.g. 'logout'
+   * @returns {boolean} True if an active session was revoked
+   */
+  static async revoke(id, userId, reason) {
+    const query = `
+      UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+    `;
+    const result = await db.query(query, [id, userId, reason]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Why they were revoked, e.g. 'password_changed'
+   * @param {number} exceptId - Session to keep, e.g. the one making the request
+   * @returns {Array} IDs of the revoked sessions
+   */
+  static async revokeAllForUser(userId, reason, exceptId = null) {
+    const query = `
+      UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($3::integer IS NULL OR id <> $3)
+      RETURNING id
+    `;
+    const result = await db.query(query, [userId, reason, exceptId]);
+    return result.rows.map(row => row.id);
+  }
+}
+
+module.exports = AuthSession;
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Hash a calendar token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * CalendarToken Model
+ * Handles the per-user tokens that protect iCalendar feeds
+ */
+class CalendarToken {
+  /**
+   * Generate a new feed token for a user, revoking any previous one
+   * @param {number} userId - User ID
+   * @returns {Object} {token, created_at} - the raw token is only available here
+   */
+  static async regenerate(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const query = `
+      INSERT INTO calendar_tokens (user_id, token_hash, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET token_hash = EXCLUDED.token_hash, last_used_at = NULL, created_at = NOW()
+      RETURNING created_at
+    `;
+    const result = await db.query(query, [userId, hashToken(token)]);
+    return { token, created_at: result.rows[0].created_at };
+  }
+
+  /**
+   * Find token metadata for a user
+   * @param {number} userId - User ID
+   * @returns {Object|null} {created_at, last_used_at} or null if none exists
+   */
+  static async findByUserId(userId) {
+    const query = 'SELECT created_at, last_used_at FROM calendar_tokens WHERE user_id = $1';
+    const result = await db.query(query, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve a raw token to its user and record the access
+   * @param {string} token - Raw token
+   * @returns {Object|null} User object (id, name, role, institution_id) or null if the token is unknown
+   */
+  static async findUserByToken(token) {
+    const query = `
+      UPDATE calendar_tokens ct
+      SET last_used_at = NOW()
+      FROM users u
+      WHERE ct.token_hash = $1 AND u.id = ct.user_id
+      RETURNING u.id, u.name, u.role, u.institution_id
+    `;
+    const result = await db.query(query, [hashToken(token)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Revoke a user's feed token
+   * @param {number} userId - User ID
+   * @returns {boolean} True if a token was revoked
+   */
+  static async revoke(userId) {
+    const query = 'DELETE FROM calendar_tokens WHERE user_id = $1';
+    const result = await db.query(query, [userId]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = CalendarToken;
@@ -1,4 +1,219 @@
+const crypto = require('crypto');
 const db = require('../config/database');
+const eventHub = require('../utils/eventHub');
+const Notification = require('./Notification');
+
+// Where today falls in the enrollment window of course c: 'not_open_yet', 'closed' or 'open'
+// (archived courses are always closed)
+const ENROLLMENT_WINDOW_SQL = `
+  CASE
+    WHEN c.archived_at IS NOT NULL THEN 'closed'
+    WHEN CURRENT_DATE < c.start_date - c.enrollment_opens_days_before THEN 'not_open_yet'
+    WHEN CURRENT_DATE > c.start_date + c.enrollment_closes_days_after THEN 'closed'
+    ELSE 'open'
+  END`;
+
+/**
+ * Build the term, department and archive conditions of a course listing
+ * @param {Object} filters - {termId, departmentId, archived}; a filter left undefined isn't applied
+ * @param {Array} values - Query values so far; the term and department IDs are appended
+ * @returns {string} Conditions on course alias c, each starting with AND
+ */
+const courseFilterSql = ({ termId, departmentId, archived } = {}, values) => {
+  let sql = '';
+  if (termId !== undefined) {
+    values.push(termId);
+    sql += ` AND c.term_id = $${values.length}`;
+  }
+  if (departmentId !== undefined) {
+    values.push(departmentId);
+    sql += ` AND c.department_id = $${values.length}`;
+  }
+  if (archived !== undefined) {
+    sql += archived ? ' AND c.archived_at IS NOT NULL' : ' AND c.archived_at IS NULL';
+  }
+  return sql;
+};
+
+/**
+ * Leave the enrollment key out of a course shown to students
+ * @param {Object} course - Course row
+ * @returns {Object} Course without enrollment_key
+ */
+const withoutEnrollmentKey = ({ enrollment_key, ...course }) => course;
+
+/**
+ * Lock a course row and count its active enrollments
+ * Capacity checks and waitlist promotion hold this lock, so two of them
+ * can't hand out the same seat.
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} courseId - Course ID
+ * @returns {Object|null} {id, title, teacher_id, max_students, enrollment_policy,
+ *   enrollment_key, enrollment_window, enrolled} or null if not found
+ */
+const lockCourseSeats = async (client, courseId) => {
+  const courseResult = await client.query(
+    `SELECT c.id, c.title, c.teacher_id, c.max_students, c.enrollment_policy, c.enrollment_key,
+            ${ENROLLMENT_WINDOW_SQL} as enrollment_window
+     FROM courses c WHERE c.id = $1 FOR UPDATE`,
+    [courseId]
+  );
+  if (courseResult.rows.length === 0) return null;
+
+  const countResult = await client.query(
+    `SELECT COUNT(*)::integer as enrolled FROM enrollments WHERE course_id = $1 AND status = 'active'`,
+    [courseId]
+  );
+  return { ...courseResult.rows[0], enrolled: countResult.rows[0].enrolled };
+};
+
+/**
+ * Check that a student may enroll in (or queue for) a locked course
+ * Approval is handled by the caller; this covers the window and the key.
+ * @param {Object} course - Result of lockCourseSeats
+ * @param {string} [enrollmentKey] - Key given by the student
+ * @throws {Error} If enrollment is closed or the key doesn't match
+ */
+const assertEnrollmentAllowed = (course, enrollmentKey) => {
+  if (course.enrollment_window === 'not_open_yet') {
+    throw new Error('Enrollment is not open yet');
+  }
+  if (course.enrollment_window === 'closed') {
+    throw new Error('Enrollment is closed');
+  }
+
+  if (course.enrollment_policy === 'key') {
+    // Compare digests so the check takes the same time for every guess
+    const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+    if (!enrollmentKey || !crypto.timingSafeEqual(digest(course.enrollment_key), digest(enrollmentKey))) {
+      throw new Error('Invalid enrollment key');
+    }
+  }
+};
+
+/**
+ * Look up where a student stands on the prerequisites of courses
+ * The student needs an active enrollment in the prerequisite. While it is
+ * running they also need an attendance rate, so at least one session held,
+ * at or above the minimum; once it has ended or is archived it counts as
+ * taken, with the minimum still applying if sessions were held. The rate
+ * covers the sessions of the prerequisite held since the student enrolled:
+ * late counts as attended and excused sessions don't count.
+ * @param {Object} client - Database client or pool
+ * @param {number} studentId - Student ID
+ * @param {Array} courseIds - Courses whose prerequisites to check
+ * @returns {Array} {course_id, prerequisite_course_id, course_code, title,
+ *   min_attendance_rate, enrolled, completed, attendance_rate, met} per prerequisite
+ */
+const getPrerequisiteStanding = async (client, studentId, courseIds) => {
+  const result = await client.query(
+    `SELECT p.course_id, p.prerequisite_course_id, pc.course_code, pc.title, p.min_attendance_rate,
+            (e.student_id IS NOT NULL) as enrolled,
+            (pc.archived_at IS NOT NULL OR pc.end_date < CURRENT_DATE) as completed,
+            ROUND(held.attended * 100.0 / NULLIF(held.counted, 0), 2)::float as attendance_rate
+     FROM course_prerequisites p
+     JOIN courses pc ON pc.id = p.prerequisite_course_id
+     LEFT JOIN enrollments e
+       ON e.course_id = p.prerequisite_course_id AND e.student_id = $1 AND e.status = 'active'
+     CROSS JOIN LATERAL (
+       SELECT COUNT(*) FILTER (WHERE a.status IS DISTINCT FROM 'excused') as counted,
+              COUNT(*) FILTER (WHERE a.status IN ('present', 'late')) as attended
+       FROM sessions s
+       LEFT JOIN attendance a ON a.session_id = s.id AND a.student_id = $1
+       WHERE s.course_id = p.prerequisite_course_id AND s.status <> 'cancelled'
+         AND s.date_time >= e.enrollment_date AND s.date_time <= NOW()
+     ) held
+     WHERE p.course_id = ANY($2::integer[])
+     ORDER BY pc.course_code`,
+    [studentId, courseIds]
+  );
+
+  return result.rows.map(prerequisite => ({
+    ...prerequisite,
+    met: prerequisite.enrolled && (prerequisite.attendance_rate === null
+      ? prerequisite.completed
+      : prerequisite.min_attendance_rate === null || prerequisite.attendance_rate >= prerequisite.min_attendance_rate)
+  }));
+};
+
+/**
+ * Check that a student meets the prerequisites of a course
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} studentId - Student ID
+ * @param {number} courseId - Course ID
+ * @throws {Error} 'Prerequisites not met: ...' naming each unmet prerequisite
+ */
+const assertPrerequisitesMet = async (client, studentId, courseId) => {
+  const unmet = (await getPrerequisiteStanding(client, studentId, [courseId])).filter(p => !p.met);
+  if (unmet.length > 0) {
+    const reasons = unmet.map((p) => {
+      if (!p.enrolled) return `${p.course_code} (not enrolled)`;
+      if (p.attendance_rate === null) return `${p.course_code} (no sessions held yet)`;
+      return `${p.course_code} (attendance ${p.attendance_rate}%, ${p.min_attendance_rate}% required)`;
+    });
+    throw new Error(`Prerequisites not met: ${reasons.join(', ')}`);
+  }
+};
+
+/**
+ * Enroll waitlisted students, first in line first, while the course has free seats
+ * The caller holds the lock from lockCourseSeats and publishes the returned
+ * notifications after committing.
+ * @param {Object} client - Database client inside a transaction
+ * @param {Object} course - Result of lockCourseSeats
+ * @returns {Array} Notifications for the promoted students and the teacher
+ */
+const promoteFromWaitlist = async (client, course) => {
+  const notifications = [];
+  let freeSeats = course.max_students - course.enrolled;
+
+  while (freeSeats > 0) {
+    const nextResult = await client.query(
+      `DELETE FROM course_waitlist
+       WHERE id = (
+         SELECT id FROM course_waitlist WHERE course_id = $1 ORDER BY position, id LIMIT 1
+       )
+       RETURNING student_id`,
+      [course.id]
+    );
+    if (nextResult.rows.length === 0) break;
+
+    const studentId = nextResult.rows[0].student_id;
+
+    // A student who left the course earlier gets their old row back
+    await client.query(
+      `INSERT INTO enrollments (student_id, course_id, enrollment_date)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (student_id, course_id)
+       DO UPDATE SET status = 'active', enrollment_date = NOW(), updated_at = NOW(),
+                     ended_at = NULL, end_reason = NULL, ended_by = NULL`,
+      [studentId, course.id]
+    );
+
+    const studentResult = await client.query('SELECT name FROM users WHERE id = $1', [studentId]);
+    const studentName = studentResult.rows[0].name;
+
+    notifications.push(await Notification.create({
+      user_id: studentId,
+      type: 'waitlist_promoted',
+      title: 'Enrolled from Waitlist',
+      message: `A seat opened up in ${course.title}. You are now enrolled`,
+      data: { courseId: course.id }
+    }, client));
+
+    notifications.push(await Notification.create({
+      user_id: course.teacher_id,
+      type: 'enrollment',
+      title: 'New Student Enrollment',
+      message: `${studentName} was enrolled in your course ${course.title} from the waitlist`,
+      data: { studentId, courseId: course.id, student_name: studentName, fromWaitlist: true }
+    }, client));
+
+    freeSeats--;
+  }
+
+  return notifications;
+};
 
 /**
  * Course Model
@@ -11,146 +226,220 @@ class Course {
    * @returns {Object} Created course object
    */
   static async create(courseData) {
-    const { title, description, course_code, teacher_id, max_students, start_date, end_date } = courseData;
+    const { title, description, course_code, teacher_id, max_students, start_date, end_date, late_threshold_minutes, term_id, department_id } = courseData;
     
+    // The teacher becomes the owner on the course staff
     const query = `
-      INSERT INTO courses (title, description, course_code, teacher_id, max_students, start_date, end_date, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      RETURNING *
+      WITH course AS (
+        INSERT INTO courses (title, description, course_code, teacher_id, max_students, start_date, end_date, late_threshold_minutes, term_id, department_id, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 10), $9, $10, NOW(), NOW())
+        RETURNING *
+      ), owner AS (
+        INSERT INTO course_staff (course_id, user_id, role)
+        SELECT id, teacher_id, 'owner' FROM course
+      )
+      SELECT * FROM course
     `;
     
-    const values = [title, description, course_code, teacher_id, max_students, start_date, end_date];
+    const values = [title, description, course_code, teacher_id, max_students, start_date, end_date, late_threshold_minutes ?? null, term_id ?? null, department_id ?? null];
     const result = await db.query(query, values);
     return result.rows[0];
   }
 
   /**
-   * Find course by ID with teacher info
+   * Find course by ID with teacher, term and department info
    * @param {number} id - Course ID
    * @returns {Object|null} Course object or null if not found
    */
   static async findById(id) {
     const query = `
       SELECT c.*, u.name as teacher_name, u.email as teacher_email,
+             t.name as term_name, t.start_date as term_start_date, t.end_date as term_end_date,
+             d.name as department_name,
              COUNT(e.id) as enrolled_students
       FROM courses c
       LEFT JOIN users u ON c.teacher_id = u.id
+      LEFT JOIN academic_terms t ON c.term_id = t.id
+      LEFT JOIN departments d ON c.department_id = d.id
       LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
       WHERE c.id = $1
-      GROUP BY c.id, u.name, u.email
+      GROUP BY c.id, u.name, u.email, t.id, d.name
     `;
     const result = await db.query(query, [id]);
     return result.rows[0] || null;
   }
 
+  /**
+   * Get the department of a course
+   * @param {number} id - Course ID
+   * @returns {number|null} Department ID, or null if the course has none or doesn't exist
+   */
+  static async getDepartmentId(id) {
+    const result = await db.query('SELECT department_id FROM courses WHERE id = $1', [id]);
+    return result.rows[0] ? result.rows[0].department_id : null;
+  }
+
   /**
    * Find all courses with enrollment count
+   * @param {Object} filters - {termId, departmentId, archived}, each optional
    * @returns {Array} Array of course objects
    */
-  static async findAll() {
+  static async findAll(filters = {}) {
+    const values = [];
     const query = `
-      SELECT c.*, u.name as teacher_name, u.email as teacher_email,
+      SELECT c.*, u.name as teacher_name, u.email as teacher_email, t.name as term_name,
+             d.name as department_name,
              COUNT(e.id) as enrolled_students
       FROM courses c
       LEFT JOIN users u ON c.teacher_id = u.id
+      LEFT JOIN academic_terms t ON c.term_id = t.id
+      LEFT JOIN departments d ON c.department_id = d.id
       LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
-      WHERE c.is_active = true
-      GROUP BY c.id, u.name, u.email
+      WHERE c.is_active = true${courseFilterSql(filters, values)}
+      GROUP BY c.id, u.name, u.email, t.name, d.name
       ORDER BY c.created_at DESC
     `;
-    const result = await db.query(query);
+    const result = await db.query(query, values);
     return result.rows;
   }
 
   /**
-   * Find courses by teacher ID
+   * Find the courses a teacher is on the staff of, with their staff_role
    * @param {number} teacherId - Teacher ID
+   * @param {Object} filters - {termId, archived}, each optional
    * @returns {Array} Array of course objects
    */
-  static async findByTeacherId(teacherId) {
+  static async findByTeacherId(teacherId, filters = {}) {
+    const values = [teacherId];
     const query = `
-      SELECT c.*, COUNT(e.id) as enrolled_students
+      SELECT c.*, t.name as term_name, cs.role as staff_role, COUNT(e.id) as enrolled_students
       FROM courses c
+      JOIN course_staff cs ON cs.course_id = c.id AND cs.user_id = $1
+      LEFT JOIN academic_terms t ON c.term_id = t.id
       LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
-      WHERE c.teacher_id = $1 AND c.is_active = true
-      GROUP BY c.id
+      WHERE c.is_active = true${courseFilterSql(filters, values)}
+      GROUP BY c.id, t.name, cs.role
       ORDER BY c.created_at DESC
     `;
-    const result = await db.query(query, [teacherId]);
+    const result = await db.query(query, values);
     return result.rows;
   }
 
   /**
    * Find available courses for students (not enrolled)
+   * Includes the size of the waitlist, the student's place in it, a pending or
+   * denied enrollment request, the enrollment window and the student's standing
+   * on the prerequisites (courses with unmet ones are listed, not left out).
+   * Archived courses are left out.
    * @param {number} studentId - Student ID
+   * @param {Object} filters - {termId}, optional
    * @returns {Array} Array of available course objects
    */
-  static async findAvailableForStudent(studentId) {
+  static async findAvailableForStudent(studentId, { termId } = {}) {
+    const values = [studentId];
     const query = `
-      SELECT c.*, u.name as teacher_name, 
-             COUNT(e.id) as enrolled_students
+      SELECT c.*, u.name as teacher_name, t.name as term_name, 
+             COUNT(e.id) as enrolled_students,
+             (SELECT r.status FROM enrollments r
+              WHERE r.course_id = c.id AND r.student_id = $1 AND r.status IN ('pending', 'denied')
+             ) as request_status,
+             c.start_date - c.enrollment_opens_days_before as enrollment_opens_on,
+             c.start_date + c.enrollment_closes_days_after as enrollment_closes_on,
+             ${ENROLLMENT_WINDOW_SQL} as enrollment_window,
+             (SELECT COUNT(*) FROM course_waitlist w WHERE w.course_id = c.id) as waitlist_count,
+             (SELECT queue.queue_position FROM (
+                SELECT w.student_id, ROW_NUMBER() OVER (ORDER BY w.position, w.id) as queue_position
+                FROM course_waitlist w WHERE w.course_id = c.id
+              ) queue WHERE queue.student_id = $1) as waitlist_position
       FROM courses c
       LEFT JOIN users u ON c.teacher_id = u.id
+      LEFT JOIN academic_terms t ON c.term_id = t.id
       LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
       WHERE c.is_active = true 
       AND c.id NOT IN (
         SELECT course_id FROM enrollments 
         WHERE student_id = $1 AND status = 'active'
-      )
-      GROUP BY c.id, u.name
+      )${courseFilterSql({ termId, archived: false }, values)}
+      GROUP BY c.id, u.name, t.name
       ORDER BY c.created_at DESC
     `;
-    const result = await db.query(query, [studentId]);
-    return result.rows;
+    const result = await db.query(query, values);
+
+    const standing = await getPrerequisiteStanding(db, studentId, result.rows.map(course => course.id));
+    return result.rows.map((course) => {
+      const prerequisites = standing.filter(p => p.course_id === course.id);
+      return {
+        ...withoutEnrollmentKey(course),
+        prerequisites,
+        prerequisites_met: prerequisites.every(p => p.met)
+      };
+    });
   }
 
   /**
    * Enroll student in a course
+   * In courses that require approval this files a 'pending' request for the
+   * teacher instead; it doesn't take a seat until approved. Students who don't
+   * meet the prerequisites are turned away with the reason, and students the
+   * staff removed can only come back through readmitStudent.
    * @param {number} studentId - Student ID
    * @param {number} courseId - Course ID
-   * @returns {Object} Enrollment object
+   * @param {string} [enrollmentKey] - Key for courses that require one
+   * @returns {Object} Enrollment object (status 'active' or 'pending')
    */
-  static async enrollStudent(studentId, courseId) {
-    const client = await db.connect();
+  static async enrollStudent(studentId, courseId, enrollmentKey) {
+    const client = await db.getClient();
     
     try {
       await client.query('BEGIN');
       
-      // Check if already enrolled
+      // Check course capacity
+      const course = await lockCourseSeats(client, courseId);
+      if (!course) {
+        throw new Error('Course not found');
+      }
+
+      // Check if already enrolled, waiting for approval or removed by the staff
       const existingEnrollment = await client.query(
-        'SELECT id FROM enrollments WHERE student_id = $1 AND course_id = $2',
+        `SELECT status FROM enrollments
+         WHERE student_id = $1 AND course_id = $2 AND status IN ('active', 'pending', 'removed')`,
         [studentId, courseId]
       );
       
       if (existingEnrollment.rows.length > 0) {
-        throw new Error('Student already enrolled in this course');
-      }
-      
-      // Check course capacity
-      const courseCheck = await client.query(
-        `SELECT c.max_students, COUNT(e.id) as current_enrolled
-         FROM courses c
-         LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
-         WHERE c.id = $1
-         GROUP BY c.id, c.max_students`,
-        [courseId]
-      );
-      
-      if (courseCheck.rows.length === 0) {
-        throw new Error('Course not found');
+        const { status } = existingEnrollment.rows[0];
+        if (status === 'removed') {
+          throw new Error('Student was removed from this course');
+        }
+        throw new Error(status === 'pending'
+          ? 'Enrollment request already pending'
+          : 'Student already enrolled in this course');
       }
+
+      assertEnrollmentAllowed(course, enrollmentKey);
+      await assertPrerequisitesMet(client, studentId, courseId);
+
+      const requiresApproval = course.enrollment_policy === 'approval';
       
-      const { max_students, current_enrolled } = courseCheck.rows[0];
-      if (current_enrolled >= max_students) {
+      // Students on the waitlist get freed seats before anyone can take them here
+      if (!requiresApproval && course.enrolled >= course.max_students) {
         throw new Error('Course is full');
       }
       
-      // Create enrollment
+      // Create enrollment; a student who left the course earlier gets their old row back
       const enrollmentResult = await client.query(
-        `INSERT INTO enrollments (student_id, course_id, enrollment_date)
-         VALUES ($1, $2, NOW())
+        `INSERT INTO enrollments (student_id, course_id, status, enrollment_date)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (student_id, course_id)
+         DO UPDATE SET status = $3, enrollment_date = NOW(), updated_at = NOW(),
+                       ended_at = NULL, end_reason = NULL, ended_by = NULL
          RETURNING *`,
-        [studentId, courseId]
+        [studentId, courseId, requiresApproval ? 'pending' : 'active']
+      );
+
+      await client.query(
+        'DELETE FROM course_waitlist WHERE course_id = $1 AND student_id = $2',
+        [courseId, studentId]
       );
       
       // Get course and student info for notification
@@ -164,15 +453,21 @@ class Course {
       const { course_title, teacher_id, student_name, student_email } = notificationData.rows[0];
       
       // Create notification for teacher
-      await client.query(
+      const notificationResult = await client.query(
         `INSERT INTO notifications (user_id, type, title, message, data)
-         VALUES ($1, 'enrollment', $2, $3, $4)`,
-        [teacher_id, 'New Student Enrollment', 
-         `${student_name} has enrolled in your course: ${course_title}`,
-         JSON.stringify({ studentId, courseId, student_name, student_email })]
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        requiresApproval
+          ? [teacher_id, 'enrollment_request', 'New Enrollment Request',
+             `${student_name} asked to enroll in your course: ${course_title}`,
+             JSON.stringify({ studentId, courseId, student_name, student_email })]
+          : [teacher_id, 'enrollment', 'New Student Enrollment', 
+             `${student_name} has enrolled in your course: ${course_title}`,
+             JSON.stringify({ studentId, courseId, student_name, student_email })]
       );
       
       await client.query('COMMIT');
+      eventHub.publishNotification(notificationResult.rows[0]);
       return enrollmentResult.rows[0];
       
     } catch (error) {
@@ -183,6 +478,490 @@ class Course {
     }
   }
 
+  /**
+   * Get the pending enrollment requests of a course, oldest first
+   * @param {number} courseId - Course ID
+   * @returns {Array} Array of requests (student_id, name, email, requested_at)
+   */
+  static async getEnrollmentRequests(courseId) {
+    const query = `
+      SELECT e.student_id, u.name, u.email, e.enrollment_date as requested_at
+      FROM enrollments e
+      JOIN users u ON e.student_id = u.id
+      WHERE e.course_id = $1 AND e.status = 'pending'
+      ORDER BY e.enrollment_date
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Approve or deny a pending enrollment request
+   * The student is notified either way.
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @param {Object} review - {decision: 'approved'|'denied', reason, reviewedBy}
+   * @returns {Object|null} Updated enrollment object or null if no request is pending
+   * @throws {Error} 'Course is full' when approving without a free seat
+   */
+  static async reviewEnrollmentRequest(studentId, courseId, { decision, reason = null, reviewedBy }) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const course = await lockCourseSeats(client, courseId);
+      const pending = await client.query(
+        `SELECT id FROM enrollments WHERE student_id = $1 AND course_id = $2 AND status = 'pending'`,
+        [studentId, courseId]
+      );
+
+      if (!course || pending.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      let enrollmentResult;
+      let notification;
+      if (decision === 'approved') {
+        if (course.enrolled >= course.max_students) {
+          throw new Error('Course is full');
+        }
+
+        enrollmentResult = await client.query(
+          `UPDATE enrollments SET status = 'active', enrollment_date = NOW(), updated_at = NOW()
+           WHERE id = $1 RETURNING *`,
+          [pending.rows[0].id]
+        );
+        notification = await Notification.create({
+          user_id: studentId,
+          type: 'enrollment_approved',
+          title: 'Enrollment Approved',
+          message: `Your request to enroll in ${course.title} was approved`,
+          data: { courseId: course.id }
+        }, client);
+      } else {
+        enrollmentResult = await client.query(
+          `UPDATE enrollments
+           SET status = 'denied', ended_at = NOW(), end_reason = $2, ended_by = $3, updated_at = NOW()
+           WHERE id = $1 RETURNING *`,
+          [pending.rows[0].id, reason, reviewedBy]
+        );
+        notification = await Notification.create({
+          user_id: studentId,
+          type: 'enrollment_denied',
+          title: 'Enrollment Denied',
+          message: reason
+            ? `Your request to enroll in ${course.title} was denied: ${reason}`
+            : `Your request to enroll in ${course.title} was denied`,
+          data: { courseId: course.id }
+        }, client);
+      }
+
+      await client.query('COMMIT');
+      eventHub.publishNotification(notification);
+      return enrollmentResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * End a student's enrollment in a course
+   * The row is kept with its new status, and the freed seat goes to the first
+   * student on the waitlist. The teacher is notified when a student leaves,
+   * the student when they are removed.
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @param {Object} options - {status: 'dropped'|'withdrawn'|'removed', reason, endedBy}
+   * @returns {Object|null} Updated enrollment object or null if not enrolled
+   */
+  static async endEnrollment(studentId, courseId, { status, reason = null, endedBy = null }) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const course = await lockCourseSeats(client, courseId);
+      const enrollmentResult = await client.query(
+        `UPDATE enrollments
+         SET status = $3, ended_at = NOW(), end_reason = $4, ended_by = $5, updated_at = NOW()
+         WHERE student_id = $1 AND course_id = $2 AND status = 'active'
+         RETURNING *`,
+        [studentId, courseId, status, reason, endedBy]
+      );
+
+      if (!course || enrollmentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const studentResult = await client.query('SELECT name FROM users WHERE id = $1', [studentId]);
+      const studentName = studentResult.rows[0].name;
+      const notifications = [];
+
+      if (status === 'removed') {
+        notifications.push(await Notification.create({
+          user_id: studentId,
+          type: 'enrollment_removed',
+          title: 'Removed from Course',
+          message: reason
+            ? `You were removed from ${course.title}: ${reason}`
+            : `You were removed from ${course.title}`,
+          data: { courseId: course.id }
+        }, client));
+      } else {
+        notifications.push(await Notification.create({
+          user_id: course.teacher_id,
+          type: 'enrollment_ended',
+          title: status === 'withdrawn' ? 'Student Withdrew' : 'Student Dropped Course',
+          message: `${studentName} ${status === 'withdrawn' ? 'withdrew from' : 'dropped'} your course ${course.title}`,
+          data: { studentId, courseId: course.id, status, reason }
+        }, client));
+      }
+
+      notifications.push(...await promoteFromWaitlist(client, { ...course, enrolled: course.enrolled - 1 }));
+
+      await client.query('COMMIT');
+      notifications.forEach(eventHub.publishNotification);
+      return enrollmentResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Enroll a student the staff removed from a course again
+   * The staff are placing the student, so the enrollment policy, key, window
+   * and prerequisites don't apply; the student needs a free seat.
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @returns {Object|null} Updated enrollment object or null if the student wasn't removed
+   * @throws {Error} If the course is full
+   */
+  static async readmitStudent(studentId, courseId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const course = await lockCourseSeats(client, courseId);
+      if (!course) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (course.enrolled >= course.max_students) {
+        throw new Error('Course is full');
+      }
+
+      const enrollmentResult = await client.query(
+        `UPDATE enrollments
+         SET status = 'active', enrollment_date = NOW(), updated_at = NOW(),
+             ended_at = NULL, end_reason = NULL, ended_by = NULL
+         WHERE student_id = $1 AND course_id = $2 AND status = 'removed'
+         RETURNING *`,
+        [studentId, courseId]
+      );
+
+      if (enrollmentResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const notification = await Notification.create({
+        user_id: studentId,
+        type: 'enrollment_readmitted',
+        title: 'Readmitted to Course',
+        message: `You were enrolled in ${course.title} again`,
+        data: { courseId: course.id }
+      }, client);
+
+      await client.query('COMMIT');
+      eventHub.publishNotification(notification);
+      return enrollmentResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fill free seats of a course from its waitlist, e.g. after max_students was raised
+   * @param {number} courseId - Course ID
+   * @returns {number} Number of students promoted
+   */
+  static async fillFromWaitlist(courseId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const course = await lockCourseSeats(client, courseId);
+      const notifications = course ? await promoteFromWaitlist(client, course) : [];
+
+      await client.query('COMMIT');
+      notifications.forEach(eventHub.publishNotification);
+      return notifications.filter(notification => notification.type === 'waitlist_promoted').length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Put a student on the waitlist of a full course
+   * The enrollment window and key apply as for enrolling.
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @param {string} [enrollmentKey] - Key for courses that require one
+   * @returns {Object} Waitlist entry with its queue_position
+   */
+  static async joinWaitlist(studentId, courseId, enrollmentKey) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const course = await lockCourseSeats(client, courseId);
+      if (!course) {
+        throw new Error('Course not found');
+      }
+
+      const enrolled = await client.query(
+        `SELECT status FROM enrollments
+         WHERE student_id = $1 AND course_id = $2 AND status IN ('active', 'removed')`,
+        [studentId, courseId]
+      );
+      if (enrolled.rows.length > 0) {
+        throw new Error(enrolled.rows[0].status === 'removed'
+          ? 'Student was removed from this course'
+          : 'Student already enrolled in this course');
+      }
+
+      if (course.enrollment_policy === 'approval') {
+        throw new Error('Course requires approval, request enrollment instead');
+      }
+
+      assertEnrollmentAllowed(course, enrollmentKey);
+      await assertPrerequisitesMet(client, studentId, courseId);
+
+      if (course.enrolled < course.max_students) {
+        throw new Error('Course has open seats, enroll instead');
+      }
+
+      const entryResult = await client.query(
+        `INSERT INTO course_waitlist (course_id, student_id, position)
+         SELECT $1, $2, COALESCE(MAX(position), 0) + 1 FROM course_waitlist WHERE course_id = $1
+         ON CONFLICT (course_id, student_id) DO NOTHING
+         RETURNING *`,
+        [courseId, studentId]
+      );
+      if (entryResult.rows.length === 0) {
+        throw new Error('Student already on the waitlist');
+      }
+
+      const positionResult = await client.query(
+        'SELECT COUNT(*)::integer as queue_position FROM course_waitlist WHERE course_id = $1 AND (position, id) <= ($2, $3)',
+        [courseId, entryResult.rows[0].position, entryResult.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+      return { ...entryResult.rows[0], queue_position: positionResult.rows[0].queue_position };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a student off the waitlist of a course
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @returns {boolean} True if the student was waiting
+   */
+  static async leaveWaitlist(studentId, courseId) {
+    const result = await db.query(
+      'DELETE FROM course_waitlist WHERE course_id = $1 AND student_id = $2',
+      [courseId, studentId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get the waitlist of a course in queue order
+   * @param {number} courseId - Course ID
+   * @returns {Array} Array of entries (student_id, name, email, queue_position, created_at)
+   */
+  static async getWaitlist(courseId) {
+    const query = `
+      SELECT w.student_id, u.name, u.email, w.created_at,
+             ROW_NUMBER() OVER (ORDER BY w.position, w.id)::integer as queue_position
+      FROM course_waitlist w
+      JOIN users u ON w.student_id = u.id
+      WHERE w.course_id = $1
+      ORDER BY w.position, w.id
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Rearrange the waitlist of a course
+   * @param {number} courseId - Course ID
+   * @param {Array} studentIds - Every waitlisted student ID, first in line first
+   * @returns {boolean} False if studentIds doesn't match the current waitlist
+   */
+  static async reorderWaitlist(courseId, studentIds) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT student_id FROM course_waitlist WHERE course_id = $1 FOR UPDATE',
+        [courseId]
+      );
+      const currentIds = new Set(current.rows.map(row => row.student_id));
+      if (currentIds.size !== studentIds.length || new Set(studentIds).size !== studentIds.length ||
+          !studentIds.every(id => currentIds.has(id))) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `UPDATE course_waitlist w SET position = ordered.position
+         FROM UNNEST($2::integer[]) WITH ORDINALITY AS ordered(student_id, position)
+         WHERE w.course_id = $1 AND w.student_id = ordered.student_id`,
+        [courseId, studentIds]
+      );
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the prerequisites of a course
+   * @param {number} courseId - Course ID
+   * @returns {Array} {prerequisite_course_id, course_code, title, min_attendance_rate} per prerequisite
+   */
+  static async getPrerequisites(courseId) {
+    const query = `
+      SELECT p.prerequisite_course_id, c.course_code, c.title, p.min_attendance_rate
+      FROM course_prerequisites p
+      JOIN courses c ON c.id = p.prerequisite_course_id
+      WHERE p.course_id = $1
+      ORDER BY c.course_code
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Get the courses that can be chosen as prerequisites of a course
+   * @param {number} courseId - Course ID
+   * @returns {Array} {id, course_code, title, is_active} of every other course
+   */
+  static async findPrerequisiteCandidates(courseId) {
+    const query = `
+      SELECT id, course_code, title, is_active
+      FROM courses
+      WHERE id <> $1
+      ORDER BY course_code
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Replace the prerequisites of a course
+   * @param {number} courseId - Course ID
+   * @param {Array} prerequisites - {courseId, minAttendanceRate} per prerequisite;
+   *   minAttendanceRate is a percentage or null
+   * @returns {Array} The new prerequisites, as getPrerequisites
+   * @throws {Error} If a course doesn't exist or the prerequisites would form a cycle
+   */
+  static async setPrerequisites(courseId, prerequisites) {
+    const ids = prerequisites.map(p => p.courseId);
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      // Two courses made prerequisites of each other at the same time would slip past the cycle check
+      await client.query('LOCK TABLE course_prerequisites IN SHARE ROW EXCLUSIVE MODE');
+
+      const found = await client.query('SELECT id FROM courses WHERE id = ANY($1::integer[])', [ids]);
+      if (found.rows.length !== ids.length) {
+        throw new Error('Prerequisite course not found');
+      }
+
+      await client.query('DELETE FROM course_prerequisites WHERE course_id = $1', [courseId]);
+
+      // The course can't be among the prerequisites of its own prerequisites
+      const cycle = await client.query(
+        `WITH RECURSIVE required(id) AS (
+           SELECT UNNEST($1::integer[])
+           UNION
+           SELECT p.prerequisite_course_id FROM course_prerequisites p JOIN required r ON p.course_id = r.id
+         )
+         SELECT 1 FROM required WHERE id = $2`,
+        [ids, courseId]
+      );
+      if (cycle.rows.length > 0) {
+        throw new Error('Prerequisites would form a cycle');
+      }
+
+      await client.query(
+        `INSERT INTO course_prerequisites (course_id, prerequisite_course_id, min_attendance_rate)
+         SELECT $1, prerequisite_course_id, min_attendance_rate
+         FROM UNNEST($2::integer[], $3::integer[]) as p(prerequisite_course_id, min_attendance_rate)`,
+        [courseId, ids, prerequisites.map(p => p.minAttendanceRate)]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return Course.getPrerequisites(courseId);
+  }
+
+  /**
+   * Check whether a student is actively enrolled in a course
+   * @param {number} studentId - Student ID
+   * @param {number} courseId - Course ID
+   * @returns {boolean} True if enrolled
+   */
+  static async isStudentEnrolled(studentId, courseId) {
+    const query = `
+      SELECT 1 FROM enrollments
+      WHERE student_id = $1 AND course_id = $2 AND status = 'active'
+    `;
+    const result = await db.query(query, [studentId, courseId]);
+    return result.rows.length > 0;
+  }
+
   /**
    * Get enrolled students for a course
    * @param {number} courseId - Course ID
@@ -206,26 +985,151 @@ class Course {
   /**
    * Get courses a student is enrolled in
    * @param {number} studentId - Student ID
+   * @param {Object} filters - {termId, archived}, each optional
    * @returns {Array} Array of enrolled courses
    */
-  static async getStudentCourses(studentId) {
+  static async getStudentCourses(studentId, filters = {}) {
+    const values = [studentId];
     const query = `
-      SELECT c.*, u.name as teacher_name, e.enrollment_date,
+      SELECT c.*, u.name as teacher_name, t.name as term_name, e.enrollment_date,
              COUNT(s.id) as total_sessions,
              COUNT(a.id) as attended_sessions
       FROM enrollments e
       JOIN courses c ON e.course_id = c.id
       LEFT JOIN users u ON c.teacher_id = u.id
+      LEFT JOIN academic_terms t ON c.term_id = t.id
       LEFT JOIN sessions s ON s.course_id = c.id
       LEFT JOIN attendance a ON a.student_id = e.student_id AND a.course_id = c.id
-      WHERE e.student_id = $1 AND e.status = 'active'
-      GROUP BY c.id, u.name, e.enrollment_date
+      WHERE e.student_id = $1 AND e.status = 'active'${courseFilterSql(filters, values)}
+      GROUP BY c.id, u.name, t.name, e.enrollment_date
       ORDER BY e.enrollment_date DESC
     `;
-    const result = await db.query(query, [studentId]);
+    const result = await db.query(query, values);
+    return result.rows.map(withoutEnrollmentKey);
+  }
+
+  /**
+   * Find courses by their course codes
+   * @param {Array} codes - Course codes
+   * @returns {Array} {id, course_code, title, max_students, is_active, archived_at, enrolled} per found course
+   */
+  static async findByCodes(codes) {
+    const query = `
+      SELECT c.id, c.course_code, c.title, c.max_students, c.is_active, c.archived_at,
+             COUNT(e.student_id) FILTER (WHERE e.status = 'active')::integer as enrolled
+      FROM courses c
+      LEFT JOIN enrollments e ON e.course_id = c.id
+      WHERE c.course_code = ANY($1::text[])
+      GROUP BY c.id
+    `;
+    const result = await db.query(query, [codes]);
     return result.rows;
   }
 
+  /**
+   * Enroll newly imported students in a course
+   * Enrollment policy, key and window don't apply: an admin is placing the
+   * students. Capacity is re-checked under the course lock.
+   * @param {number} courseId - Course ID
+   * @param {Array} studentIds - Student IDs
+   * @param {Object} client - Database client inside a transaction
+   * @throws {Error} If the course doesn't exist or has too few free seats
+   */
+  static async addImportedStudents(courseId, studentIds, client) {
+    const course = await lockCourseSeats(client, courseId);
+    if (!course) {
+      throw new Error('Course not found');
+    }
+    if (course.enrolled + studentIds.length > course.max_students) {
+      throw new Error('Course is full');
+    }
+
+    await client.query(
+      `INSERT INTO enrollments (student_id, course_id, enrollment_date)
+       SELECT student_id, $1, NOW() FROM UNNEST($2::integer[]) as student_id`,
+      [courseId, studentIds]
+    );
+  }
+
+  /**
+   * Archive a course
+   * Pending enrollment requests are denied and the waitlist is cleared, with
+   * a notification to each student, before the course is frozen.
+   * @param {number} courseId - Course ID
+   * @param {number} archivedBy - User archiving the course
+   * @returns {Object|null} Archived course or null if not found or already archived
+   */
+  static async archive(courseId, archivedBy) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const courseResult = await client.query(
+        'SELECT id, title FROM courses WHERE id = $1 AND archived_at IS NULL FOR UPDATE',
+        [courseId]
+      );
+      if (courseResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const course = courseResult.rows[0];
+
+      const denied = await client.query(
+        `UPDATE enrollments
+         SET status = 'denied', ended_at = NOW(), end_reason = 'Course archived', ended_by = $2, updated_at = NOW()
+         WHERE course_id = $1 AND status = 'pending'
+         RETURNING student_id`,
+        [courseId, archivedBy]
+      );
+      const unlisted = await client.query(
+        'DELETE FROM course_waitlist WHERE course_id = $1 RETURNING student_id',
+        [courseId]
+      );
+
+      const notifications = [];
+      for (const { student_id } of [...denied.rows, ...unlisted.rows]) {
+        notifications.push(await Notification.create({
+          user_id: student_id,
+          type: 'course_archived',
+          title: 'Course Archived',
+          message: `${course.title} has been archived and no longer accepts students`,
+          data: { courseId: course.id }
+        }, client));
+      }
+
+      const archivedResult = await client.query(
+        `UPDATE courses SET archived_at = NOW(), archived_by = $2, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [courseId, archivedBy]
+      );
+
+      await client.query('COMMIT');
+      notifications.forEach(notification => eventHub.publishNotification(notification));
+      return archivedResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a course out of the archive
+   * @param {number} courseId - Course ID
+   * @returns {Object|null} Course or null if not found or not archived
+   */
+  static async unarchive(courseId) {
+    const query = `
+      UPDATE courses SET archived_at = NULL, archived_by = NULL, updated_at = NOW()
+      WHERE id = $1 AND archived_at IS NOT NULL
+      RETURNING *
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows[0] || null;
+  }
+
   /**
    * Update course
    * @param {number} id - Course ID
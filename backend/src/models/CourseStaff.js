@@ -0,0 +1,92 @@
+const db = require('../config/database');
+
+/**
+ * CourseStaff Model
+ * Handles the teachers of a course: its owner, co-teachers and teaching assistants
+ */
+class CourseStaff {
+  /**
+   * Find the staff of a course, owner first
+   * @param {number} courseId - Course ID
+   * @returns {Array} Staff members with their name and email
+   */
+  static async findByCourseId(courseId) {
+    const query = `
+      SELECT cs.course_id, cs.user_id, cs.role, cs.created_at,
+             u.name, u.email, a.name as added_by_name
+      FROM course_staff cs
+      JOIN users u ON cs.user_id = u.id
+      LEFT JOIN users a ON cs.added_by = a.id
+      WHERE cs.course_id = $1
+      ORDER BY CASE cs.role WHEN 'owner' THEN 0 WHEN 'co_teacher' THEN 1 ELSE 2 END, u.name
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Get the staff role of a user on a course
+   * @param {number} courseId - Course ID
+   * @param {number} userId - User ID
+   * @returns {string|null} 'owner', 'co_teacher', 'ta' or null if not on the staff
+   */
+  static async getRole(courseId, userId) {
+    const result = await db.query(
+      'SELECT role FROM course_staff WHERE course_id = $1 AND user_id = $2',
+      [courseId, userId]
+    );
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /**
+   * Add a co-teacher or teaching assistant to a course
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Teacher to add
+   * @param {string} role - 'co_teacher' or 'ta'
+   * @param {number} addedBy - User adding them
+   * @returns {Object} Created staff entry
+   */
+  static async add(courseId, userId, role, addedBy) {
+    const query = `
+      INSERT INTO course_staff (course_id, user_id, role, added_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await db.query(query, [courseId, userId, role, addedBy]);
+    return result.rows[0];
+  }
+
+  /**
+   * Change the role of a co-teacher or teaching assistant
+   * The owner's role can't be changed here.
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Staff member
+   * @param {string} role - 'co_teacher' or 'ta'
+   * @returns {Object|null} Updated staff entry or null if not found
+   */
+  static async updateRole(courseId, userId, role) {
+    const query = `
+      UPDATE course_staff SET role = $3
+      WHERE course_id = $1 AND user_id = $2 AND role <> 'owner'
+      RETURNING *
+    `;
+    const result = await db.query(query, [courseId, userId, role]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a co-teacher or teaching assistant from a course
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Staff member
+   * @returns {boolean} True if removed
+   */
+  static async remove(courseId, userId) {
+    const result = await db.query(
+      "DELETE FROM course_staff WHERE course_id = $1 AND user_id = $2 AND role <> 'owner'",
+      [courseId, userId]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = CourseStaff;
@@ -0,0 +1,74 @@
+const db = require('../config/database');
+
+/**
+ * Department Model
+ * Handles the departments courses and users belong to. Department admins
+ * manage the courses of their own department.
+ */
+class Department {
+  /**
+   * Create a department
+   * @param {string} name - Department name
+   * @returns {Object} Created department
+   */
+  static async create(name) {
+    const result = await db.query('INSERT INTO departments (name) VALUES ($1) RETURNING *', [name]);
+    return result.rows[0];
+  }
+
+  /**
+   * Find all departments by name
+   * @returns {Array} Departments with their course_count and user_count
+   */
+  static async findAll() {
+    const query = `
+      SELECT d.*,
+             (SELECT COUNT(*) FROM courses c WHERE c.department_id = d.id)::integer as course_count,
+             (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id)::integer as user_count
+      FROM departments d
+      ORDER BY d.name
+    `;
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find a department by ID
+   * @param {number} id - Department ID
+   * @returns {Object|null} Department or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM departments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rename a department
+   * @param {number} id - Department ID
+   * @param {string} name - New name
+   * @returns {Object|null} Updated department or null if not found
+   */
+  static async update(id, name) {
+    const result = await db.query(
+      'UPDATE departments SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id, name]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a department no course belongs to
+   * Its users are left without a department.
+   * @param {number} id - Department ID
+   * @returns {boolean} True if the department was deleted
+   */
+  static async delete(id) {
+    const result = await db.query(
+      'DELETE FROM departments WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM courses WHERE department_id = $1)',
+      [id]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Department;
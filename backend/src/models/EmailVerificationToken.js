@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Hash a verification token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * EmailVerificationToken Model
+ * Handles the single-use tokens that confirm a user owns their email address
+ */
+class EmailVerificationToken {
+  /**
+   * Issue a verification token for a user
+   * Earlier unused tokens of the user stop working.
+   * @param {number} userId - User ID
+   * @param {number} ttlHours - Hours until the token expires
+   * @returns {Object} {token, expires_at} - the raw token is only available here
+   */
+  static async create(userId, ttlHours) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(hours => $3))
+         RETURNING expires_at`,
+        [userId, hashToken(token), ttlHours]
+      );
+
+      await client.query('COMMIT');
+      return { token, expires_at: result.rows[0].expires_at };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count the verification tokens issued to a user recently
+   * @param {number} userId - User ID
+   * @param {number} minutes - Size of the window
+   * @returns {number} Number of tokens issued in the window
+   */
+  static async countRecent(userId, minutes) {
+    const query = `
+      SELECT COUNT(*)::integer as count
+      FROM email_verification_tokens
+      WHERE user_id = $1 AND created_at > NOW() - make_interval(mins => $2)
+    `;
+    const result = await db.query(query, [userId, minutes]);
+    return result.rows[0].count;
+  }
+
+  /**
+   * Use a verification token to mark its user's email as verified
+   * @param {string} token - Raw token
+   * @returns {Object|null} User object (id, email, email_verified_at, institution_id) or null if the token is unknown, used or expired
+   */
+  static async consume(token) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `UPDATE email_verification_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const userResult = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, email, email_verified_at, institution_id`,
+        [tokenResult.rows[0].user_id]
+      );
+
+      await client.query('COMMIT');
+      return userResult.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = EmailVerificationToken;
@@ -0,0 +1,99 @@
+const db = require('../config/database');
+
+/**
+ * GradeCategory Model
+ * Handles the weighted categories a course's grade is made of
+ */
+class GradeCategory {
+  /**
+   * Find the categories of a course in display order
+   * @param {number} courseId - Course ID
+   * @returns {Array} Categories with their item_count
+   */
+  static async findByCourseId(courseId) {
+    const query = `
+      SELECT gc.*, COUNT(gi.id)::integer as item_count
+      FROM grade_categories gc
+      LEFT JOIN grade_items gi ON gi.category_id = gc.id
+      WHERE gc.course_id = $1
+      GROUP BY gc.id
+      ORDER BY gc.position, gc.id
+    `;
+    const result = await db.query(query, [courseId]);
+    return result.rows;
+  }
+
+  /**
+   * Find a category by ID
+   * @param {number} id - Category ID
+   * @returns {Object|null} Category or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM grade_categories WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a category at the end of the course's categories
+   * @param {Object} categoryData - {course_id, name, weight, source}
+   * @returns {Object} Created category
+   * @throws {Error} Unique violation (23505) if the name, or the assignments or
+   *   attendance source, is already used in the course
+   */
+  static async create(categoryData) {
+    const { course_id, name, weight, source } = categoryData;
+    const query = `
+      INSERT INTO grade_categories (course_id, name, weight, source, position)
+      SELECT $1, $2, $3, $4, COALESCE(MAX(position) + 1, 0)
+      FROM grade_categories WHERE course_id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [course_id, name, weight, source]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update a category's name, weight or position (its source can't change)
+   * @param {number} id - Category ID
+   * @param {Object} updateData - Any of name, weight, position
+   * @returns {Object|null} Updated category or null if not found
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const field of ['name', 'weight', 'position']) {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = $${paramCount}`);
+        values.push(updateData[field]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      return GradeCategory.findById(id);
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE grade_categories SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a category with its items and their scores
+   * @param {number} id - Category ID
+   * @returns {boolean} True if the category was deleted
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM grade_categories WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = GradeCategory;
@@ -0,0 +1,123 @@
+const db = require('../config/database');
+
+/**
+ * GradeItem Model
+ * Handles graded work other than assignments (quizzes, exams...) and the
+ * scores students got on it
+ */
+class GradeItem {
+  /**
+   * Find an item by ID
+   * @param {number} id - Item ID
+   * @returns {Object|null} Item or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM grade_items WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an item
+   * @param {Object} itemData - {course_id, category_id, title, points, due_date, created_by}
+   * @returns {Object} Created item
+   */
+  static async create(itemData) {
+    const { course_id, category_id, title, points, due_date, created_by } = itemData;
+    const query = `
+      INSERT INTO grade_items (course_id, category_id, title, points, due_date, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [course_id, category_id, title, points, due_date, created_by]);
+    return result.rows[0];
+  }
+
+  /**
+   * Update an item
+   * @param {number} id - Item ID
+   * @param {Object} updateData - Any of category_id, title, points, due_date
+   * @returns {Object|null} Updated item or null if not found
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const field of ['category_id', 'title', 'points', 'due_date']) {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = $${paramCount}`);
+        values.push(updateData[field]);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) {
+      return GradeItem.findById(id);
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE grade_items SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete an item with its scores
+   * @param {number} id - Item ID
+   * @returns {boolean} True if the item was deleted
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM grade_items WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Enter students' scores for an item, all or none
+   * @param {number} itemId - Item ID
+   * @param {Array} scores - [{studentId, score}]; a null score clears the student's score
+   * @param {number} graderId - User entering the scores
+   * @returns {number} Number of scores entered or cleared
+   */
+  static async setScores(itemId, scores, graderId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const cleared = scores.filter(s => s.score === null).map(s => s.studentId);
+      const entered = scores.filter(s => s.score !== null);
+
+      if (cleared.length > 0) {
+        await client.query(
+          'DELETE FROM grade_scores WHERE item_id = $1 AND student_id = ANY($2::integer[])',
+          [itemId, cleared]
+        );
+      }
+
+      if (entered.length > 0) {
+        await client.query(
+          `INSERT INTO grade_scores (item_id, student_id, score, graded_by)
+           SELECT $1, student_id, score, $4
+           FROM UNNEST($2::integer[], $3::numeric[]) as s(student_id, score)
+           ON CONFLICT (item_id, student_id) DO UPDATE
+           SET score = EXCLUDED.score, graded_by = EXCLUDED.graded_by, updated_at = NOW()`,
+          [itemId, entered.map(s => s.studentId), entered.map(s => s.score), graderId]
+        );
+      }
+
+      await client.query('COMMIT');
+      return scores.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = GradeItem;
@@ -0,0 +1,144 @@
+const db = require('../config/database');
+
+/**
+ * Gradebook Model
+ * Reads everything a course's grades are computed from: its categories, the
+ * columns graded in them (grade items and assignments), and each student's
+ * scores and attendance. The grades themselves are computed in utils/gradebook.js.
+ */
+class Gradebook {
+  /**
+   * Get the IDs of a course's active students
+   * @param {number} courseId - Course ID
+   * @returns {Array<number>} Student IDs
+   */
+  static async getStudentIds(courseId) {
+    const result = await db.query(
+      "SELECT student_id FROM enrollments WHERE course_id = $1 AND status = 'active'",
+      [courseId]
+    );
+    return result.rows.map(row => row.student_id);
+  }
+
+  /**
+   * Load the gradebook of a course
+   * Assignments are columns of the course's assignments category, if it has one.
+   * @param {number} courseId - Course ID
+   * @param {number} [studentId] - Only load this student's row
+   * @returns {Object} {categories, columns, students}
+   *   columns: {key, id, type ('item'|'assignment'), category_id, title, points, due_date|due_at}
+   *   students: {student_id, name, email, scores: {columnKey: score}, submitted: [columnKey],
+   *     attendance: {attended, counted, rate}} by name
+   */
+  static async load(courseId, studentId = null) {
+    const categoriesResult = await db.query(
+      'SELECT * FROM grade_categories WHERE course_id = $1 ORDER BY position, id',
+      [courseId]
+    );
+    const categories = categoriesResult.rows.map(c => ({ ...c, weight: Number(c.weight) }));
+    const assignmentCategory = categories.find(c => c.source === 'assignments');
+
+    const itemsResult = await db.query(
+      'SELECT * FROM grade_items WHERE course_id = $1 ORDER BY due_date NULLS LAST, id',
+      [courseId]
+    );
+    const columns = itemsResult.rows.map(item => ({
+      key: `item-${item.id}`,
+      id: item.id,
+      type: 'item',
+      category_id: item.category_id,
+      title: item.title,
+      points: Number(item.points),
+      due_date: item.due_date
+    }));
+
+    if (assignmentCategory) {
+      const assignmentsResult = await db.query(
+        'SELECT id, title, points, due_at FROM assignments WHERE course_id = $1 ORDER BY due_at, id',
+        [courseId]
+      );
+      columns.push(...assignmentsResult.rows.map(assignment => ({
+        key: `assignment-${assignment.id}`,
+        id: assignment.id,
+        type: 'assignment',
+        category_id: assignmentCategory.id,
+        title: assignment.title,
+        points: assignment.points,
+        due_at: assignment.due_at
+      })));
+    }
+
+    const positions = new Map(categories.map((c, i) => [c.id, i]));
+    columns.sort((a, b) => positions.get(a.category_id) - positions.get(b.category_id));
+
+    // Attendance counts the sessions held since the student enrolled, as for
+    // prerequisites: excused absences are left out
+    const studentsResult = await db.query(
+      `SELECT u.id as student_id, u.name, u.email,
+              COALESCE(held.attended, 0)::integer as attended, COALESCE(held.counted, 0)::integer as counted
+       FROM enrollments e
+       JOIN users u ON u.id = e.student_id
+       CROSS JOIN LATERAL (
+         SELECT COUNT(*) FILTER (WHERE a.status IS DISTINCT FROM 'excused') as counted,
+                COUNT(*) FILTER (WHERE a.status IN ('present', 'late')) as attended
+         FROM sessions s
+         LEFT JOIN attendance a ON a.session_id = s.id AND a.student_id = u.id
+         WHERE s.course_id = e.course_id AND s.status <> 'cancelled'
+           AND s.date_time >= e.enrollment_date AND s.date_time <= NOW()
+       ) held
+       WHERE e.course_id = $1 AND e.status = 'active' AND ($2::integer IS NULL OR u.id = $2)
+       ORDER BY u.name, u.id`,
+      [courseId, studentId]
+    );
+
+    const scoresResult = await db.query(
+      `SELECT 'item-' || gi.id as key, gs.student_id, gs.score
+       FROM grade_scores gs JOIN grade_items gi ON gi.id = gs.item_id
+       WHERE gi.course_id = $1 AND ($2::integer IS NULL OR gs.student_id = $2)
+       UNION ALL
+       SELECT 'assignment-' || a.id, s.student_id, s.score
+       FROM assignment_submissions s JOIN assignments a ON a.id = s.assignment_id
+       WHERE a.course_id = $1 AND ($2::integer IS NULL OR s.student_id = $2)`,
+      [courseId, studentId]
+    );
+
+    const students = studentsResult.rows.map(({ attended, counted, ...student }) => ({
+      ...student,
+      scores: {},
+      submitted: [],
+      attendance: {
+        attended,
+        counted,
+        rate: counted > 0 ? Math.round((attended * 10000) / counted) / 100 : null
+      }
+    }));
+    const byId = new Map(students.map(s => [s.student_id, s]));
+
+    for (const row of scoresResult.rows) {
+      const student = byId.get(row.student_id);
+      if (!student) continue;
+      student.submitted.push(row.key);
+      if (row.score !== null) {
+        student.scores[row.key] = Number(row.score);
+      }
+    }
+
+    return { categories, columns, students };
+  }
+
+  /**
+   * Set the letter-grade scale of a course
+   * @param {number} courseId - Course ID
+   * @param {Array|null} scale - [{letter, min}], or null for the default scale
+   * @returns {boolean} True if the course exists
+   */
+  static async setScale(courseId, scale) {
+    const result = await db.query(
+      'UPDATE courses SET grade_scale = $1, updated_at = NOW() WHERE id = $2',
+      [scale === null ? null : JSON.stringify(scale), courseId]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Gradebook;
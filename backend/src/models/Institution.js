@@ -0,0 +1,126 @@
+const db = require('../config/database');
+const User = require('./User');
+const { DEFAULT_ROLES } = require('../utils/permissions');
+const { runForAllInstitutions } = require('../utils/institutionContext');
+
+// Institutions are looked up on every request, so they're cached briefly
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+/**
+ * Institution Model
+ * Handles the institutions (tenants) sharing the deployment. Their own rows
+ * aren't isolated; everything else is, by institution_id (see migration 024).
+ */
+class Institution {
+  /**
+   * Find an institution by slug
+   * @param {string} slug - Institution slug
+   * @returns {Object|null} Institution or null if not found
+   */
+  static async findBySlug(slug) {
+    const cached = cache.get(slug);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.institution;
+    }
+
+    const result = await db.query('SELECT * FROM institutions WHERE slug = $1', [slug]);
+    const institution = result.rows[0] || null;
+
+    // Unknown slugs aren't cached, so made-up subdomains can't fill the cache
+    if (institution) {
+      cache.set(slug, { institution, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+    return institution;
+  }
+
+  /**
+   * Find an institution by ID
+   * @param {number} id - Institution ID
+   * @returns {Object|null} Institution or null if not found
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM institutions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all institutions
+   * @returns {Array} Institutions with their user_count and course_count
+   */
+  static async findAll() {
+    const query = `
+      SELECT i.*,
+             (SELECT COUNT(*) FROM users u WHERE u.institution_id = i.id)::integer as user_count,
+             (SELECT COUNT(*) FROM courses c WHERE c.institution_id = i.id)::integer as course_count
+      FROM institutions i
+      ORDER BY i.id
+    `;
+    const result = await runForAllInstitutions(() => db.query(query));
+    return result.rows;
+  }
+
+  /**
+   * Create an institution with the default roles and its first admin
+   * @param {Object} institutionData - {name, slug, admin: {name, email, password}}; password is hashed
+   * @returns {Object} {institution, admin}
+   */
+  static async create({ name, slug, admin }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO institutions (name, slug) VALUES ($1, $2) RETURNING *',
+        [name, slug]
+      );
+      const institution = result.rows[0];
+
+      // Until the transaction ends, rows go into the new institution
+      await client.query("SELECT set_config('app.institution_id', $1, true)", [String(institution.id)]);
+
+      for (const [role, { description, permissions }] of Object.entries(DEFAULT_ROLES)) {
+        await client.query(
+          'INSERT INTO roles (name, description, is_system) VALUES ($1, $2, TRUE)',
+          [role, description]
+        );
+        for (const [permission, scope] of Object.entries(permissions)) {
+          await client.query(
+            'INSERT INTO role_permissions (role, permission, scope) VALUES ($1, $2, $3)',
+            [role, permission, scope]
+          );
+        }
+      }
+
+      const newAdmin = await User.create({ ...admin, role: 'admin', emailVerified: true }, client);
+      await client.query('COMMIT');
+
+      return { institution, admin: newAdmin };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rename an institution
+   * @param {number} id - Institution ID
+   * @param {string} name - New name
+   * @returns {Object|null} Updated institution or null if not found
+   */
+  static async update(id, name) {
+    const result = await db.query(
+      'UPDATE institutions SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id, name]
+    );
+    const institution = result.rows[0] || null;
+    if (institution) {
+      cache.delete(institution.slug);
+    }
+    return institution;
+  }
+}
+
+module.exports = Institution;
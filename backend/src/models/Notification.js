@@ -0,0 +1,29 @@
+const db = require('../config/database');
+
+/**
+ * Notification Model
+ * Handles all database operations related to notifications
+ */
+class Notification {
+  /**
+   * Create a notification
+   * Pass a transaction client to create it as part of a transaction; push it
+   * to the user (eventHub.publishNotification) only after the commit.
+   * @param {Object} notificationData - {user_id, type, title, message, data}
+   * @param {Object} client - Database client (defaults to the pool)
+   * @returns {Object} Created notification object
+   */
+  static async create(notificationData, client = db) {
+    const { user_id, type, title, message, data } = notificationData;
+
+    const query = `
+      INSERT INTO notifications (user_id, type, title, message, data)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await client.query(query, [user_id, type, title, message, JSON.stringify(data || {})]);
+    return result.rows[0];
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * PasswordResetToken Model
+ * Handles the single-use tokens of the forgot password flow
+ */
+class PasswordResetToken {
+  /**
+   * Issue a reset token for a user
+   * Earlier unused tokens of the user stop working.
+   * @param {number} userId - User ID
+   * @param {number} ttlMinutes - Minutes until the token expires
+   * @param {string} requestedIp - IP address the reset was requested from
+   * @returns {Object} {token, expires_at} - the raw token is only available here
+   */
+  static async create(userId, ttlMinutes, requestedIp = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+         RETURNING expires_at`,
+        [userId, hashToken(token), requestedIp, ttlMinutes]
+      );
+
+      await client.query('COMMIT');
+      return { token, expires_at: result.rows[0].expires_at };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Count the reset tokens issued to a user recently
+   * @param {number} userId - User ID
+   * @param {number} minutes - Size of the window
+   * @returns {number} Number of tokens issued in the window
+   */
+  static async countRecent(userId, minutes) {
+    const query = `
+      SELECT COUNT(*)::integer as count
+      FROM password_reset_tokens
+      WHERE user_id = $1 AND created_at > NOW() - make_interval(mins => $2)
+    `;
+    const result = await db.query(query, [userId, minutes]);
+    return result.rows[0].count;
+  }
+
+  /**
+   * Use a reset token to set a new password
+   * @param {string} token - Raw token
+   * @param {string} hashedPassword - New bcrypt password hash
+   * @returns {Object|null} User object (id, email, institution_id) or null if the token is unknown, used or expired
+   */
+  static async consume(token, hashedPassword) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const userResult = await client.query(
+        `UPDATE users SET password = $1, updated_at = NOW()
+         WHERE id = $2
+         RETURNING id, email, institution_id`,
+        [hashedPassword, tokenResult.rows[0].user_id]
+      );
+
+      await client.query('COMMIT');
+      return userResult.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = PasswordResetToken;
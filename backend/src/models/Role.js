@@ -0,0 +1,155 @@
+const db = require('../config/database');
+const { getInstitutionId } = require('../utils/institutionContext');
+
+// Grants are read on most authenticated requests, so they're cached briefly
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get the cache key of a role of the current institution
+ * @param {string} name - Role name
+ * @returns {string} Cache key
+ */
+const cacheKey = (name) => `${getInstitutionId()}:${name}`;
+
+/**
+ * Replace the permissions of a role
+ * @param {Object} client - Database client inside a transaction
+ * @param {string} name - Role name
+ * @param {Object} permissions - Scope by permission name
+ */
+const writeGrants = async (client, name, permissions) => {
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [name]);
+  for (const [permission, scope] of Object.entries(permissions)) {
+    await client.query(
+      'INSERT INTO role_permissions (role, permission, scope) VALUES ($1, $2, $3)',
+      [name, permission, scope]
+    );
+  }
+};
+
+/**
+ * Role Model
+ * Handles the role definitions users are given: which permissions each role
+ * grants and in which scope
+ */
+class Role {
+  /**
+   * Get the permissions a role grants
+   * @param {string} name - Role name
+   * @returns {Object} Scope by permission name; empty for an unknown role
+   */
+  static async getGrants(name) {
+    const cached = cache.get(cacheKey(name));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.grants;
+    }
+
+    const result = await db.query('SELECT permission, scope FROM role_permissions WHERE role = $1', [name]);
+    const grants = Object.fromEntries(result.rows.map(row => [row.permission, row.scope]));
+
+    cache.set(cacheKey(name), { grants, expiresAt: Date.now() + CACHE_TTL_MS });
+    return grants;
+  }
+
+  /**
+   * Find all roles, system roles first
+   * @returns {Array} Roles with their permissions (scope by name) and user_count
+   */
+  static async findAll() {
+    const query = `
+      SELECT r.*,
+             COALESCE((SELECT json_object_agg(rp.permission, rp.scope)
+                       FROM role_permissions rp WHERE rp.role = r.name), '{}') as permissions,
+             (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::integer as user_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name
+    `;
+    const result = await db.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Find a role by name
+   * @param {string} name - Role name
+   * @returns {Object|null} Role or null if not found
+   */
+  static async findByName(name) {
+    const result = await db.query('SELECT * FROM roles WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a role
+   * @param {Object} roleData - {name, description, permissions}
+   * @returns {Object} Created role
+   */
+  static async create({ name, description, permissions }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'INSERT INTO roles (name, description) VALUES ($1, $2) RETURNING *',
+        [name, description]
+      );
+      await writeGrants(client, name, permissions);
+      await client.query('COMMIT');
+
+      cache.delete(cacheKey(name));
+      return { ...result.rows[0], permissions };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update the description and permissions of a role
+   * @param {string} name - Role name
+   * @param {Object} roleData - {description, permissions}
+   * @returns {Object|null} Updated role or null if not found
+   */
+  static async update(name, { description, permissions }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'UPDATE roles SET description = $2, updated_at = NOW() WHERE name = $1 RETURNING *',
+        [name, description]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await writeGrants(client, name, permissions);
+      await client.query('COMMIT');
+
+      cache.delete(cacheKey(name));
+      return { ...result.rows[0], permissions };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a custom role no user has
+   * @param {string} name - Role name
+   * @returns {boolean} True if the role was deleted
+   */
+  static async delete(name) {
+    const result = await db.query(
+      'DELETE FROM roles WHERE name = $1 AND NOT is_system AND NOT EXISTS (SELECT 1 FROM users WHERE role = $1)',
+      [name]
+    );
+    cache.delete(cacheKey(name));
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Role;
@@ -1,4 +1,26 @@
 const db = require('../config/database');
+const AttendanceAudit = require('./AttendanceAudit');
+const { generateSecret, verifyCode } = require('../utils/attendanceCode');
+const { staffSessionsSql } = require('../utils/courseStaff');
+
+/**
+ * Build the term and department conditions of a session listing
+ * @param {Object} filters - {termId, departmentId} of the sessions' courses; a filter left undefined isn't applied
+ * @param {Array} values - Query values so far; the term and department IDs are appended
+ * @returns {string} Conditions on session alias s, each starting with AND
+ */
+const sessionFilterSql = ({ termId, departmentId } = {}, values) => {
+  let sql = '';
+  if (termId !== undefined) {
+    values.push(termId);
+    sql += ` AND s.course_id IN (SELECT id FROM courses WHERE term_id = $${values.length})`;
+  }
+  if (departmentId !== undefined) {
+    values.push(departmentId);
+    sql += ` AND s.course_id IN (SELECT id FROM courses WHERE department_id = $${values.length})`;
+  }
+  return sql;
+};
 
 /**
  * Session Model
@@ -11,15 +33,15 @@ class Session {
    * @returns {Object} Created session object
    */
   static async create(sessionData) {
-    const { title, description, date_time, meeting_link, recording_link, teacher_id, attendance_code, is_live } = sessionData;
+    const { title, description, date_time, meeting_link, recording_link, teacher_id, course_id, attendance_code, is_live } = sessionData;
     
     const query = `
-      INSERT INTO sessions (title, description, date_time, meeting_link, recording_link, teacher_id, attendance_code, is_live, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+      INSERT INTO sessions (title, description, date_time, meeting_link, recording_link, teacher_id, course_id, attendance_code, is_live, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
       RETURNING *
     `;
     
-    const values = [title, description, date_time, meeting_link, recording_link, teacher_id, attendance_code || null, is_live || false];
+    const values = [title, description, date_time, meeting_link, recording_link, teacher_id, course_id || null, attendance_code || null, is_live || false];
     const result = await db.query(query, values);
     return result.rows[0];
   }
@@ -42,49 +64,74 @@ class Session {
 
   /**
    * Find all sessions
+   * @param {Object} filters - {termId, departmentId}, each optional
    * @returns {Array} Array of session objects
    */
-  static async findAll() {
+  static async findAll(filters = {}) {
+    const values = [];
     const query = `
       SELECT s.*, u.name as teacher_name, u.email as teacher_email
       FROM sessions s
       LEFT JOIN users u ON s.teacher_id = u.id
+      WHERE TRUE${sessionFilterSql(filters, values)}
       ORDER BY s.date_time DESC
     `;
-    const result = await db.query(query);
+    const result = await db.query(query, values);
     return result.rows;
   }
 
   /**
-   * Find sessions by teacher ID
+   * Find the sessions a teacher runs or whose course they are on the staff of
    * @param {number} teacherId - Teacher ID
+   * @param {Object} filters - {termId}, optional
    * @returns {Array} Array of session objects
    */
-  static async findByTeacherId(teacherId) {
+  static async findByTeacherId(teacherId, { termId } = {}) {
+    const values = [teacherId];
     const query = `
       SELECT s.*, u.name as teacher_name, u.email as teacher_email
       FROM sessions s
       LEFT JOIN users u ON s.teacher_id = u.id
-      WHERE s.teacher_id = $1
+      WHERE ${staffSessionsSql('s', '$1')}${sessionFilterSql({ termId }, values)}
       ORDER BY s.date_time DESC
     `;
-    const result = await db.query(query, [teacherId]);
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Find sessions of the courses a student is actively enrolled in
+   * @param {number} studentId - Student ID
+   * @returns {Array} Array of session objects
+   */
+  static async findByEnrolledStudentId(studentId) {
+    const query = `
+      SELECT s.*, u.name as teacher_name, u.email as teacher_email, c.title as course_title
+      FROM sessions s
+      JOIN enrollments e ON e.course_id = s.course_id AND e.student_id = $1 AND e.status = 'active'
+      LEFT JOIN courses c ON s.course_id = c.id
+      LEFT JOIN users u ON s.teacher_id = u.id
+      ORDER BY s.date_time ASC
+    `;
+    const result = await db.query(query, [studentId]);
     return result.rows;
   }
 
   /**
    * Find upcoming sessions
+   * @param {Object} filters - {termId}, optional
    * @returns {Array} Array of upcoming session objects
    */
-  static async findUpcoming() {
+  static async findUpcoming({ termId } = {}) {
+    const values = [];
     const query = `
       SELECT s.*, u.name as teacher_name, u.email as teacher_email
       FROM sessions s
       LEFT JOIN users u ON s.teacher_id = u.id
-      WHERE s.date_time > NOW()
+      WHERE s.date_time > NOW()${sessionFilterSql({ termId }, values)}
       ORDER BY s.date_time ASC
     `;
-    const result = await db.query(query);
+    const result = await db.query(query, values);
     return result.rows;
   }
 
@@ -201,7 +248,7 @@ class Session {
 
   /**
    * Find sessions with attendance count
-   * @param {number} teacherId - Optional teacher ID filter
+   * @param {number} teacherId - Optional teacher ID filter (sessions they run or staff)
    * @returns {Array} Array of session objects with attendance count
    */
   static async findWithAttendanceCount(teacherId = null) {
@@ -218,7 +265,7 @@ class Session {
     
     const values = [];
     if (teacherId) {
-      query += ' WHERE s.teacher_id = $1';
+      query += ` WHERE ${staffSessionsSql('s', '$1')}`;
       values.push(teacherId);
     }
     
@@ -232,56 +279,134 @@ class Session {
   }
 
   /**
-   * Start live session with attendance code
+   * Start live session with a fresh attendance code secret
+   * Any previous secret of the session is replaced, so old codes stop working.
    * @param {number} id - Session ID
-   * @param {string} attendanceCode - Generated attendance code
+   * @param {number} periodSeconds - Attendance code rotation period in seconds
    * @returns {Object} Updated session object
    */
-  static async startLiveSession(id, attendanceCode) {
+  static async startLiveSession(id, periodSeconds) {
     const query = `
+      WITH attendance_key AS (
+        INSERT INTO session_attendance_keys (session_id, secret, period_seconds)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (session_id) DO UPDATE
+        SET secret = EXCLUDED.secret, period_seconds = EXCLUDED.period_seconds, created_at = NOW()
+      )
       UPDATE sessions 
-      SET attendance_code = $1, is_live = true, updated_at = NOW()
-      WHERE id = $2
+      SET attendance_code = NULL, is_live = true, session_ended_at = NULL, updated_at = NOW()
+      WHERE id = $1
       RETURNING *
     `;
-    const result = await db.query(query, [attendanceCode, id]);
+    const result = await db.query(query, [id, generateSecret(), periodSeconds]);
     return result.rows[0];
   }
 
   /**
    * End live session
+   * In one transaction: discards the attendance code secret and records every
+   * actively enrolled student of the session's course who didn't check in as absent.
    * @param {number} id - Session ID
-   * @returns {Object} Updated session object
+   * @param {number} endedBy - ID of the user ending the session, for the attendance audit log
+   * @returns {Object|null} {session, absentees} or null if the session doesn't exist or isn't live
+   */
+  static async endLiveSession(id, endedBy = null) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const sessionResult = await client.query(
+        `UPDATE sessions 
+         SET attendance_code = NULL, is_live = false, session_ended_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND is_live = true
+         RETURNING *`,
+        [id]
+      );
+      const session = sessionResult.rows[0];
+
+      if (!session) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query('DELETE FROM session_attendance_keys WHERE session_id = $1', [id]);
+
+      const absentResult = await client.query(
+        `INSERT INTO attendance (session_id, student_id, course_id, status, timestamp, created_at, updated_at)
+         SELECT $1, e.student_id, e.course_id, 'absent', NOW(), NOW(), NOW()
+         FROM enrollments e
+         WHERE e.course_id = $2 AND e.status = 'active'
+         ON CONFLICT (session_id, student_id) DO NOTHING
+         RETURNING *`,
+        [id, session.course_id]
+      );
+
+      await AttendanceAudit.record(
+        absentResult.rows.map(row => ({
+          attendance_id: row.id,
+          session_id: row.session_id,
+          student_id: row.student_id,
+          old_status: null,
+          new_status: row.status
+        })),
+        { changedBy: endedBy, source: 'auto_close', reason: 'No check-in before the session ended' },
+        client
+      );
+
+      await client.query('COMMIT');
+      return { session, absentees: absentResult.rows };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the attendance code secret of a live session
+   * @param {number} id - Session ID
+   * @returns {Object|null} {secret, period_seconds} or null if the session is not live
    */
-  static async endLiveSession(id) {
+  static async findAttendanceKey(id) {
     const query = `
-      UPDATE sessions 
-      SET attendance_code = NULL, is_live = false, session_ended_at = NOW(), updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
+      SELECT k.secret, k.period_seconds
+      FROM session_attendance_keys k
+      JOIN sessions s ON s.id = k.session_id
+      WHERE k.session_id = $1 AND s.is_live = true
     `;
     const result = await db.query(query, [id]);
-    return result.rows[0];
+    return result.rows[0] || null;
   }
 
   /**
-   * Find session by attendance code
+   * Find the live session whose current attendance code matches
    * @param {string} attendanceCode - Attendance code
    * @returns {Object|null} Session object or null if not found
    */
   static async findByAttendanceCode(attendanceCode) {
     const query = `
-      SELECT s.*, u.name as teacher_name, u.email as teacher_email
+      SELECT s.*, u.name as teacher_name, u.email as teacher_email,
+             k.secret as attendance_secret, k.period_seconds as attendance_period
       FROM sessions s
+      JOIN session_attendance_keys k ON k.session_id = s.id
       LEFT JOIN users u ON s.teacher_id = u.id
-      WHERE s.attendance_code = $1 AND s.is_live = true
+      WHERE s.is_live = true
     `;
-    const result = await db.query(query, [attendanceCode]);
-    return result.rows[0] || null;
+    const result = await db.query(query);
+
+    const match = result.rows.find(row =>
+      verifyCode(row.attendance_secret, row.attendance_period, attendanceCode) === 'valid'
+    );
+    if (!match) return null;
+
+    const { attendance_secret, attendance_period, ...session } = match;
+    return session;
   }
 
   /**
-   * Get live sessions for a teacher
+   * Get live sessions a teacher runs or whose course they are on the staff of
    * @param {number} teacherId - Teacher ID
    * @returns {Array} Array of live session objects
    */
@@ -290,7 +415,7 @@ class Session {
       SELECT s.*, u.name as teacher_name, u.email as teacher_email
       FROM sessions s
       LEFT JOIN users u ON s.teacher_id = u.id
-      WHERE s.teacher_id = $1 AND s.is_live = true
+      WHERE ${staffSessionsSql('s', '$1')} AND s.is_live = true
       ORDER BY s.date_time DESC
     `;
     const result = await db.query(query, [teacherId]);
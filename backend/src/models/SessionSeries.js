@@ -0,0 +1,352 @@
+const db = require('../config/database');
+const {
+  addDays,
+  buildRRule,
+  parseRRule,
+  expandOccurrences
+} = require('../utils/recurrence');
+
+/**
+ * SessionSeries Model
+ * Handles recurring session series, their generated sessions and
+ * per-occurrence exceptions (skipped, cancelled, moved)
+ */
+
+const SERIES_COLUMNS = `
+  ss.id, ss.title, ss.description, ss.meeting_link, ss.teacher_id, ss.course_id,
+  TO_CHAR(ss.start_date, 'YYYY-MM-DD') as start_date,
+  TO_CHAR(ss.start_time, 'HH24:MI') as start_time,
+  ss.timezone, ss.rrule, ss.created_at, ss.updated_at
+`;
+
+/**
+ * Expand a stored series row into occurrences
+ * @param {Object} series - Series row selected with SERIES_COLUMNS
+ * @returns {Array} Array of {occurrenceDate, dateTime}
+ */
+const expandSeries = (series) => expandOccurrences({
+  startDate: series.start_date,
+  startTime: series.start_time,
+  timeZone: series.timezone,
+  rrule: series.rrule
+});
+
+/**
+ * Insert the sessions of a series, honouring its exceptions
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {Object} series - Series row
+ * @param {Array} occurrences - Occurrences from expandSeries
+ * @param {Map} exceptionsByDate - occurrence_date -> exception type
+ * @returns {Array} Created session rows
+ */
+const insertOccurrences = async (client, series, occurrences, exceptionsByDate = new Map()) => {
+  const sessions = [];
+
+  for (const { occurrenceDate, dateTime } of occurrences) {
+    const exceptionType = exceptionsByDate.get(occurrenceDate);
+    // Skipped dates have no session; moved dates already have one
+    if (exceptionType === 'skipped' || exceptionType === 'moved') continue;
+
+    const result = await client.query(
+      `INSERT INTO sessions (title, description, date_time, meeting_link, teacher_id, course_id,
+                             series_id, occurrence_date, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+       RETURNING *`,
+      [series.title, series.description, dateTime, series.meeting_link, series.teacher_id,
+        series.course_id, series.id, occurrenceDate,
+        exceptionType === 'cancelled' ? 'cancelled' : 'scheduled']
+    );
+    sessions.push(result.rows[0]);
+  }
+
+  return sessions;
+};
+
+/**
+ * Record an exception for an occurrence, replacing any earlier one
+ * @param {Object} client - Database client
+ * @param {number} seriesId - Series ID
+ * @param {string} occurrenceDate - YYYY-MM-DD
+ * @param {string} type - skipped, cancelled or moved
+ * @param {number} userId - Acting user ID
+ * @param {string} reason - Optional reason
+ */
+const upsertException = async (client, seriesId, occurrenceDate, type, userId, reason = null) => {
+  await client.query(
+    `INSERT INTO session_series_exceptions (series_id, occurrence_date, type, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (series_id, occurrence_date)
+     DO UPDATE SET type = EXCLUDED.type, reason = EXCLUDED.reason,
+                   created_by = EXCLUDED.created_by, created_at = NOW()`,
+    [seriesId, occurrenceDate, type, reason, userId]
+  );
+};
+
+/**
+ * Run a callback inside a transaction
+ * @param {Function} callback - Receives a database client
+ * @returns {*} Callback result
+ */
+const withTransaction = async (callback) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+class SessionSeries {
+  /**
+   * Create a series and generate its sessions
+   * @param {Object} seriesData - {title, description, meeting_link, teacher_id, course_id,
+   *                              start_date, start_time, timezone, recurrence}
+   * @returns {Object} {series, sessions}
+   */
+  static async create(seriesData) {
+    const { title, description, meeting_link, teacher_id, course_id, start_date, start_time, timezone, recurrence } = seriesData;
+    const rrule = buildRRule(recurrence);
+
+    return withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO session_series AS ss (title, description, meeting_link, teacher_id, course_id,
+                                           start_date, start_time, timezone, rrule, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING ${SERIES_COLUMNS}`,
+        [title, description, meeting_link, teacher_id, course_id || null, start_date, start_time, timezone, rrule]
+      );
+      const series = insertResult.rows[0];
+      const sessions = await insertOccurrences(client, series, expandSeries(series));
+
+      return { series, sessions };
+    });
+  }
+
+  /**
+   * Find series by ID
+   * @param {number} id - Series ID
+   * @returns {Object|null} Series object or null if not found
+   */
+  static async findById(id) {
+    const query = `
+      SELECT ${SERIES_COLUMNS}, u.name as teacher_name
+      FROM session_series ss
+      LEFT JOIN users u ON ss.teacher_id = u.id
+      WHERE ss.id = $1
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the sessions generated for a series
+   * @param {number} seriesId - Series ID
+   * @returns {Array} Array of session objects with their exception type
+   */
+  static async findOccurrences(seriesId) {
+    const query = `
+      SELECT s.*, TO_CHAR(s.occurrence_date, 'YYYY-MM-DD') as occurrence_date,
+             sse.type as exception_type
+      FROM sessions s
+      LEFT JOIN session_series_exceptions sse
+        ON sse.series_id = s.series_id AND sse.occurrence_date = s.occurrence_date
+      WHERE s.series_id = $1
+      ORDER BY s.date_time ASC
+    `;
+    const result = await db.query(query, [seriesId]);
+    return result.rows;
+  }
+
+  /**
+   * Get the exceptions recorded for a series
+   * @param {number} seriesId - Series ID
+   * @returns {Array} Array of exception objects
+   */
+  static async findExceptions(seriesId) {
+    const query = `
+      SELECT id, series_id, TO_CHAR(occurrence_date, 'YYYY-MM-DD') as occurrence_date,
+             type, reason, created_by, created_at
+      FROM session_series_exceptions
+      WHERE series_id = $1
+      ORDER BY occurrence_date ASC
+    `;
+    const result = await db.query(query, [seriesId]);
+    return result.rows;
+  }
+
+  /**
+   * Find a single occurrence of a series
+   * @param {number} seriesId - Series ID
+   * @param {number} sessionId - Session ID
+   * @returns {Object|null} Session object or null if it isn't part of the series
+   */
+  static async findOccurrence(seriesId, sessionId) {
+    const query = `
+      SELECT s.*, TO_CHAR(s.occurrence_date, 'YYYY-MM-DD') as occurrence_date
+      FROM sessions s
+      WHERE s.series_id = $1 AND s.id = $2
+    `;
+    const result = await db.query(query, [seriesId, sessionId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Skip an occurrence: remove its session and remember the date
+   * @param {Object} occurrence - Occurrence from findOccurrence
+   * @param {number} userId - Acting user ID
+   * @param {string} reason - Optional reason
+   */
+  static async skipOccurrence(occurrence, userId, reason) {
+    return withTransaction(async (client) => {
+      await upsertException(client, occurrence.series_id, occurrence.occurrence_date, 'skipped', userId, reason);
+      await client.query('DELETE FROM sessions WHERE id = $1', [occurrence.id]);
+    });
+  }
+
+  /**
+   * Cancel an occurrence: keep its session but mark it cancelled
+   * @param {Object} occurrence - Occurrence from findOccurrence
+   * @param {number} userId - Acting user ID
+   * @param {string} reason - Optional reason
+   * @returns {Object} Updated session object
+   */
+  static async cancelOccurrence(occurrence, userId, reason) {
+    return withTransaction(async (client) => {
+      await upsertException(client, occurrence.series_id, occurrence.occurrence_date, 'cancelled', userId, reason);
+      const result = await client.query(
+        `UPDATE sessions SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [occurrence.id]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Update a single occurrence without touching the rest of the series
+   * @param {Object} occurrence - Occurrence from findOccurrence
+   * @param {Object} updateData - {title, description, meeting_link, date_time}
+   * @param {number} userId - Acting user ID
+   * @returns {Object} Updated session object
+   */
+  static async updateOccurrence(occurrence, updateData, userId) {
+    return withTransaction(async (client) => {
+      const fields = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        values.push(updateData[key]);
+        fields.push(`${key} = $${values.length}`);
+      });
+
+      if (updateData.date_time) {
+        await upsertException(client, occurrence.series_id, occurrence.occurrence_date, 'moved', userId);
+      }
+
+      values.push(occurrence.id);
+      const result = await client.query(
+        `UPDATE sessions SET ${fields.join(', ')}, updated_at = NOW()
+         WHERE id = $${values.length}
+         RETURNING *`,
+        values
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Change an occurrence and all following ones
+   * Ends the current series the day before the occurrence and continues it as
+   * a new series with the changes applied. Exceptions on or after the split
+   * date carry over to the new series.
+   * @param {Object} series - Series from findById
+   * @param {Object} occurrence - Occurrence from findOccurrence
+   * @param {Object} changes - {title, description, meeting_link, start_date, start_time, recurrence}
+   * @returns {Object} {series, sessions} for the new series
+   */
+  static async updateFollowing(series, occurrence, changes) {
+    const splitDate = occurrence.occurrence_date;
+    const oldRule = parseRRule(series.rrule);
+
+    // Keep a COUNT-limited series the same length by carrying over what's left
+    const remaining = expandSeries(series).filter(o => o.occurrenceDate >= splitDate).length;
+    const recurrence = changes.recurrence || {
+      weekdays: oldRule.weekdays,
+      interval: oldRule.interval,
+      until: oldRule.until,
+      count: oldRule.until ? null : remaining
+    };
+
+    return withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO session_series AS ss (title, description, meeting_link, teacher_id, course_id,
+                                           start_date, start_time, timezone, rrule, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING ${SERIES_COLUMNS}`,
+        [
+          changes.title || series.title,
+          changes.description || series.description,
+          changes.meeting_link || series.meeting_link,
+          series.teacher_id,
+          series.course_id,
+          changes.start_date || splitDate,
+          changes.start_time || series.start_time,
+          series.timezone,
+          buildRRule(recurrence)
+        ]
+      );
+      const newSeries = insertResult.rows[0];
+
+      // End the old series the day before the split
+      await client.query(
+        `UPDATE session_series SET rrule = $1, updated_at = NOW() WHERE id = $2`,
+        [buildRRule({ ...oldRule, until: addDays(splitDate, -1), count: null }), series.id]
+      );
+
+      const exceptionResult = await client.query(
+        `UPDATE session_series_exceptions SET series_id = $1
+         WHERE series_id = $2 AND occurrence_date >= $3
+         RETURNING TO_CHAR(occurrence_date, 'YYYY-MM-DD') as occurrence_date, type`,
+        [newSeries.id, series.id, splitDate]
+      );
+      const exceptionsByDate = new Map(exceptionResult.rows.map(e => [e.occurrence_date, e.type]));
+
+      // Individually moved sessions keep their time but pick up the new details
+      await client.query(
+        `UPDATE sessions
+         SET series_id = $1, title = $2, description = $3, meeting_link = $4, updated_at = NOW()
+         WHERE series_id = $5 AND occurrence_date >= $6
+           AND occurrence_date IN (
+             SELECT occurrence_date FROM session_series_exceptions
+             WHERE series_id = $1 AND type = 'moved'
+           )`,
+        [newSeries.id, newSeries.title, newSeries.description, newSeries.meeting_link, series.id, splitDate]
+      );
+
+      await client.query(
+        'DELETE FROM sessions WHERE series_id = $1 AND occurrence_date >= $2',
+        [series.id, splitDate]
+      );
+
+      // A split on the first occurrence leaves nothing behind in the old series
+      await client.query(
+        `DELETE FROM session_series
+         WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM sessions WHERE series_id = $1)`,
+        [series.id]
+      );
+
+      const sessions = await insertOccurrences(client, newSeries, expandSeries(newSeries), exceptionsByDate);
+      return { series: newSeries, sessions };
+    });
+  }
+}
+
+module.exports = SessionSeries;
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const AppSetting = require('./AppSetting');
+const totp = require('../utils/totp');
+
+// Setting key holding the roles that must use two-factor authentication
+const REQUIRED_ROLES_SETTING = 'two_factor_required_roles';
+
+/**
+ * Hash a recovery code for storage and lookup
+ * @param {string} code - Normalized recovery code
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Store a fresh set of recovery codes, dropping the previous ones
+ * @param {Object} client - Database client
+ * @param {number} userId - User ID
+ * @returns {Array} The raw codes - only available here
+ */
+const insertRecoveryCodes = async (client, userId) => {
+  const codes = totp.generateRecoveryCodes();
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(hashCode)]
+  );
+
+  return codes;
+};
+
+/**
+ * TwoFactor Model
+ * Handles TOTP two-factor authentication: secrets, recovery codes and the
+ * admin policy that makes it mandatory for some roles
+ */
+class TwoFactor {
+  /**
+   * Get the roles that must use two-factor authentication
+   * @returns {Array} Array of roles
+   */
+  static async getRequiredRoles() {
+    return AppSetting.get(REQUIRED_ROLES_SETTING, []);
+  }
+
+  /**
+   * Change the roles that must use two-factor authentication
+   * @param {Array} roles - Array of roles
+   * @param {number} userId - Admin making the change
+   * @returns {Array} Array of roles
+   */
+  static async setRequiredRoles(roles, userId) {
+    const setting = await AppSetting.set(REQUIRED_ROLES_SETTING, roles, userId);
+    return setting.value;
+  }
+
+  /**
+   * Check whether a user still has to set up two-factor authentication
+   * @param {Object} user - User row
+   * @returns {boolean} True if the policy requires it and it isn't enabled
+   */
+  static async isSetupRequired(user) {
+    if (user.two_factor_enabled_at) return false;
+    const roles = await TwoFactor.getRequiredRoles();
+    return roles.includes(user.role);
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret
+   * Only possible while two-factor authentication is off.
+   * @param {number} userId - User ID
+   * @returns {string|null} Base32 secret, or null if already enabled
+   */
+  static async startSetup(userId) {
+    const secret = totp.generateSecret();
+    const result = await db.query(
+      `UPDATE users SET two_factor_secret = $2, two_factor_last_step = NULL, updated_at = NOW()
+       WHERE id = $1 AND two_factor_enabled_at IS NULL
+       RETURNING id`,
+      [userId, totp.encryptSecret(secret)]
+    );
+    return result.rows.length > 0 ? secret : null;
+  }
+
+  /**
+   * Check a code from the user's authenticator app
+   * A code is accepted once; the matched step is recorded so it can't be replayed.
+   * @param {Object} user - User row
+   * @param {string} code - Submitted code
+   * @returns {boolean} True if the code is valid
+   */
+  static async verifyCode(user, code) {
+    if (!user.two_factor_secret) return false;
+
+    const lastStep = user.two_factor_last_step === null ? null : Number(user.two_factor_last_step);
+    const step = totp.verifyCode(totp.decryptSecret(user.two_factor_secret), code, lastStep);
+    if (step === null) return false;
+
+    // Guarded update, so two requests racing with the same code can't both pass
+    const result = await db.query(
+      `UPDATE users SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+       RETURNING id`,
+      [user.id, step]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Finish enrollment once the user proved their app works
+   * @param {number} userId - User ID
+   * @returns {Array|null} Recovery codes, or null if there was no pending setup
+   */
+  static async enable(userId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users SET two_factor_enabled_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND two_factor_secret IS NOT NULL AND two_factor_enabled_at IS NULL
+         RETURNING id`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const codes = await insertRecoveryCodes(client, userId);
+
+      await client.query('COMMIT');
+      return codes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {boolean} True if it was enabled or being set up
+   */
+  static async disable(userId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users
+         SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL, updated_at = NOW()
+         WHERE id = $1 AND two_factor_secret IS NOT NULL
+         RETURNING id`,
+        [userId]
+      );
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+      await client.query('COMMIT');
+      return result.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace the user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {Array} Recovery codes
+   */
+  static async regenerateRecoveryCodes(userId) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      const codes = await insertRecoveryCodes(client, userId);
+      await client.query('COMMIT');
+      return codes;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Use a recovery code in place of an authenticator code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code as typed by the user
+   * @returns {boolean} True if the code was valid and unused
+   */
+  static async consumeRecoveryCode(userId, code) {
+    const normalized = totp.normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const result = await db.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashCode(normalized)]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Count the recovery codes the user has left
+   * @param {number} userId - User ID
+   * @returns {number} Number of unused codes
+   */
+  static async countRecoveryCodes(userId) {
+    const result = await db.query(
+      'SELECT COUNT(*)::integer as count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+}
+
+module.exports = TwoFactor;
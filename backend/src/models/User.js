@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const Notification = require('./Notification');
 
 /**
  * User Model
@@ -8,22 +9,34 @@ class User {
   /**
    * Create a new user
    * @param {Object} userData - User data object
+   * @param {Object} client - Database client (defaults to the pool)
    * @returns {Object} Created user object
    */
-  static async create(userData) {
-    const { name, email, password, role } = userData;
+  static async create(userData, client = db) {
+    const { name, email, password, role, emailVerified = false, approvalStatus = 'approved' } = userData;
     
     const query = `
-      INSERT INTO users (name, email, password, role, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, NOW(), NOW())
-      RETURNING id, name, email, role, created_at
+      INSERT INTO users (name, email, password, role, email_verified_at, approval_status, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, CASE WHEN $5::boolean THEN NOW() END, $6, NOW(), NOW())
+      RETURNING id, name, email, role, email_verified_at, approval_status, created_at
     `;
     
-    const values = [name, email, password, role];
-    const result = await db.query(query, values);
+    const values = [name, email, password, role, emailVerified, approvalStatus];
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
+  /**
+   * Find which of the given email addresses already have an account
+   * @param {Array} emails - Lowercase email addresses
+   * @returns {Array} The addresses that are taken (lowercase)
+   */
+  static async findExistingEmails(emails) {
+    const query = 'SELECT LOWER(email) as email FROM users WHERE LOWER(email) = ANY($1::text[])';
+    const result = await db.query(query, [emails]);
+    return result.rows.map(row => row.email);
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -52,9 +65,11 @@ class User {
    */
   static async findAll() {
     const query = `
-      SELECT id, name, email, role, created_at, updated_at 
-      FROM users 
-      ORDER BY created_at DESC
+      SELECT u.id, u.name, u.email, u.role, u.email_verified_at, u.approval_status, u.two_factor_enabled_at,
+             u.department_id, d.name as department_name, u.created_at, u.updated_at
+      FROM users u
+      LEFT JOIN departments d ON u.department_id = d.id
+      ORDER BY u.created_at DESC
     `;
     const result = await db.query(query);
     return result.rows;
@@ -66,7 +81,7 @@ class User {
    * @returns {Array} Array of user objects
    */
   static async findByRole(role) {
-    const query = 'SELECT id, name, email, role, created_at FROM users WHERE role = $1 ORDER BY name ASC';
+    const query = 'SELECT id, name, email, role, email_verified_at, approval_status, two_factor_enabled_at, created_at FROM users WHERE role = $1 ORDER BY name ASC';
     const result = await db.query(query, [role]);
     return result.rows;
   }
@@ -96,13 +111,83 @@ class User {
       UPDATE users 
       SET ${fields.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING id, name, email, role, created_at, updated_at
+      RETURNING id, name, email, role, department_id, email_verified_at, approval_status, created_at, updated_at
     `;
 
     const result = await db.query(query, values);
     return result.rows[0];
   }
 
+  /**
+   * Find teacher applicants, oldest first
+   * @param {string} status - 'pending_approval' or 'rejected'
+   * @returns {Array} Array of user objects with the reviewer's name
+   */
+  static async findTeacherApplications(status = 'pending_approval') {
+    const query = `
+      SELECT
+        u.id, u.name, u.email, u.role, u.email_verified_at, u.approval_status,
+        u.approval_reason, u.approval_reviewed_at, u.created_at,
+        r.name as approval_reviewed_by_name
+      FROM users u
+      LEFT JOIN users r ON u.approval_reviewed_by = r.id
+      WHERE u.role = 'teacher' AND u.approval_status = $1
+      ORDER BY u.created_at ASC
+    `;
+    const result = await db.query(query, [status]);
+    return result.rows;
+  }
+
+  /**
+   * Approve or reject a teacher applicant and notify them
+   * Rejected applicants can still be approved later.
+   * @param {number} id - User ID
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {number} reviewerId - Admin user ID
+   * @param {string} reason - Reason given to the applicant
+   * @returns {Object|null} {user, notification} or null if the user isn't an unapproved teacher
+   */
+  static async reviewTeacherApplication(id, decision, reviewerId, reason = null) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE users
+         SET approval_status = $2, approval_reason = $3, approval_reviewed_by = $4,
+             approval_reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND role = 'teacher' AND approval_status IN ('pending_approval', 'rejected')
+         RETURNING id, name, email, role, approval_status, approval_reason, approval_reviewed_at`,
+        [id, decision, reason, reviewerId]
+      );
+      const user = result.rows[0];
+
+      if (!user) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const notification = await Notification.create({
+        user_id: user.id,
+        type: 'teacher_approval',
+        title: decision === 'approved' ? 'Teacher Account Approved' : 'Teacher Application Rejected',
+        message: decision === 'approved'
+          ? `Your teacher account has been approved${reason ? `: ${reason}` : ''}`
+          : `Your teacher application was rejected: ${reason}`,
+        data: { status: decision, reason }
+      }, client);
+
+      await client.query('COMMIT');
+      return { user, notification };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Delete user by ID
    * @param {number} id - User ID
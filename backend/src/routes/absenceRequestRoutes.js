@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const AbsenceRequestController = require('../controllers/absenceRequestController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+/**
+ * Absence Request Routes
+ * Handles justifications for missed sessions
+ */
+
+/**
+ * @route   POST /api/absence-requests
+ * @desc    Submit an absence justification with an optional document
+ * @access  Private (absence.request permission)
+ */
+router.post('/', authenticateToken, requirePermission('absence.request'), AbsenceRequestController.createRequest);
+
+/**
+ * @route   GET /api/absence-requests
+ * @desc    Get absence requests (own for students, the sessions in their course.view scope for staff)
+ * @access  Private (authenticated users)
+ */
+router.get('/', authenticateToken, AbsenceRequestController.getRequests);
+
+/**
+ * @route   GET /api/absence-requests/:id/document
+ * @desc    Download the document attached to an absence request
+ * @access  Private (request owner, session teacher, admin)
+ */
+router.get('/:id/document', authenticateToken, AbsenceRequestController.getDocument);
+
+/**
+ * @route   PUT /api/absence-requests/:id/review
+ * @desc    Approve or reject an absence request
+ * @access  Private (absence.review permission)
+ */
+router.put('/:id/review', authenticateToken, requirePermission('absence.review'), AbsenceRequestController.reviewRequest);
+
+module.exports = router;
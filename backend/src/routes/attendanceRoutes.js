@@ -3,8 +3,8 @@ const router = express.Router();
 
 const AttendanceController = require('../controllers/attendanceController');
 const { authenticateToken } = require('../middleware/auth');
-const { requireTeacherOrAdmin, requireAdmin } = require('../middleware/rbac');
-const { validateAttendanceStatus } = require('../middleware/validation');
+const { requirePermission, sessionResource, attendanceResource } = require('../middleware/rbac');
+const { validateAttendanceStatus, validateListFilters } = require('../middleware/validation');
 
 /**
  * Attendance Management Routes
@@ -13,45 +13,59 @@ const { validateAttendanceStatus } = require('../middleware/validation');
 
 /**
  * @route   POST /api/attendance/mark
- * @desc    Mark attendance for a session (teachers and admins only)
- * @access  Private (teachers and admins only)
+ * @desc    Mark attendance for a session
+ * @access  Private (attendance.mark permission)
  */
-router.post('/mark', authenticateToken, requireTeacherOrAdmin, AttendanceController.markAttendance);
+router.post('/mark', authenticateToken, requirePermission('attendance.mark', sessionResource('sessionId')), AttendanceController.markAttendance);
 
 /**
  * @route   GET /api/attendance/session/:sessionId
  * @desc    Get attendance for a specific session
- * @access  Private (teachers and admins only)
+ * @access  Private (course.view permission)
  */
-router.get('/session/:sessionId', authenticateToken, requireTeacherOrAdmin, AttendanceController.getSessionAttendance);
+router.get('/session/:sessionId', authenticateToken, requirePermission('course.view', sessionResource('sessionId')), AttendanceController.getSessionAttendance);
 
 /**
  * @route   GET /api/attendance/student/:studentId?
  * @desc    Get attendance history for a student
- * @access  Private (students can view their own, admins can view any)
+ * @access  Private (students can view their own, reports.view permission any)
  */
 router.get('/student/:studentId?', authenticateToken, AttendanceController.getStudentAttendance);
 
+/**
+ * @route   GET /api/attendance/student/:studentId/history
+ * @desc    Get the attendance change history of a student
+ * @access  Private (students can view their own, course.view permission changes in the courses in scope)
+ */
+router.get('/student/:studentId/history', authenticateToken, AttendanceController.getStudentAttendanceHistory);
+
 /**
  * @route   GET /api/attendance/stats
- * @desc    Get attendance statistics
- * @access  Private (admins only)
+ * @desc    Get attendance statistics (?excludeExcused=true to leave excused absences out of the rate, ?termId= for one term)
+ * @access  Private (reports.view permission)
  */
-router.get('/stats', authenticateToken, requireAdmin, AttendanceController.getAttendanceStats);
+router.get('/stats', authenticateToken, requirePermission('reports.view'), validateListFilters, AttendanceController.getAttendanceStats);
 
 /**
  * @route   GET /api/attendance/teacher/:teacherId?
- * @desc    Get attendance report for teacher's sessions
- * @access  Private (teachers can view their own, admins can view any)
+ * @desc    Get attendance report for teacher's sessions; a teacher ID needs reports.view (?excludeExcused=true to leave excused absences out of the rates, ?termId= for one term)
+ * @access  Private (course.view permission)
  */
-router.get('/teacher/:teacherId?', authenticateToken, requireTeacherOrAdmin, AttendanceController.getTeacherAttendanceReport);
+router.get('/teacher/:teacherId?', authenticateToken, requirePermission('course.view'), validateListFilters, AttendanceController.getTeacherAttendanceReport);
 
 /**
  * @route   PUT /api/attendance/:attendanceId/status
  * @desc    Update attendance status
- * @access  Private (teachers and admins only)
+ * @access  Private (attendance.mark permission)
+ */
+router.put('/:attendanceId/status', authenticateToken, requirePermission('attendance.mark', attendanceResource('attendanceId')), validateAttendanceStatus, AttendanceController.updateAttendanceStatus);
+
+/**
+ * @route   GET /api/attendance/:attendanceId/history
+ * @desc    Get the change history of an attendance record
+ * @access  Private (the student, course.view permission on the session)
  */
-router.put('/:attendanceId/status', authenticateToken, requireTeacherOrAdmin, validateAttendanceStatus, AttendanceController.updateAttendanceStatus);
+router.get('/:attendanceId/history', authenticateToken, AttendanceController.getAttendanceHistory);
 
 /**
  * @route   POST /api/attendance/checkin
@@ -60,6 +74,13 @@ router.put('/:attendanceId/status', authenticateToken, requireTeacherOrAdmin, va
  */
 router.post('/checkin', authenticateToken, AttendanceController.checkInWithCode);
 
+/**
+ * @route   POST /api/attendance/checkin/qr
+ * @desc    Check in for attendance with a signed QR code token
+ * @access  Private (students only)
+ */
+router.post('/checkin/qr', authenticateToken, AttendanceController.checkInWithQrToken);
+
 /**
  * @route   POST /api/attendance/verify-code
  * @desc    Verify attendance code
@@ -2,8 +2,40 @@ const express = require('express');
 const router = express.Router();
 
 const AuthController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { getRolePermissions } = require('../utils/permissions');
+const {
+  validateRegistration,
+  validateLogin,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateTwoFactorLogin
+} = require('../middleware/validation');
+
+// Limits reset emails and guessing of reset tokens
+const passwordResetLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset attempts, please try again in 15 minutes'
+});
+
+// Limits verification emails and guessing of verification tokens
+const emailVerificationLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many email verification attempts, please try again in 15 minutes'
+});
+
+// Limits guessing of two-factor codes during login
+const twoFactorLoginLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many two-factor attempts, please try again in 15 minutes'
+});
 
 /**
  * Authentication Routes
@@ -24,6 +56,76 @@ router.post('/register', validateRegistration, AuthController.register);
  */
 router.post('/login', validateLogin, AuthController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: exchange the login challenge and a two-factor code for tokens
+ * @access  Public (rate limited, requires a login challenge token)
+ */
+router.post('/login/2fa', twoFactorLoginLimiter, validateTwoFactorLogin, AuthController.verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires a refresh token)
+ */
+router.post('/refresh', AuthController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout: revoke the current login session (send the refresh token if the access token expired)
+ * @access  Public (requires a refresh token or access token)
+ */
+router.post('/logout', optionalAuth, AuthController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices
+ * @access  Private (requires authentication)
+ */
+router.post('/logout-all', authenticateToken, AuthController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the active login sessions of the current user
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's login sessions
+ * @access  Private (requires authentication)
+ */
+router.delete('/sessions/:sessionId', authenticateToken, AuthController.revokeSession);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public (rate limited)
+ */
+router.post('/forgot-password', passwordResetLimiter, validateEmailRequest, AuthController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public (rate limited)
+ */
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, AuthController.resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address with the token from the verification email
+ * @access  Public (rate limited)
+ */
+router.post('/verify-email', emailVerificationLimiter, validateVerifyEmail, AuthController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email
+ * @access  Public (rate limited)
+ */
+router.post('/resend-verification', emailVerificationLimiter, validateEmailRequest, AuthController.resendVerification);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -45,20 +147,69 @@ router.put('/profile', authenticateToken, AuthController.updateProfile);
  */
 router.put('/change-password', authenticateToken, AuthController.changePassword);
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the two-factor authentication status of the current user
+ * @access  Private (requires authentication)
+ */
+router.get('/2fa', authenticateToken, TwoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment: returns the secret and otpauth URL for the QR code
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/setup', authenticateToken, TwoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish two-factor enrollment with a code; returns the recovery codes
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, TwoFactorController.enable);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (password and code or recovery code)
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/disable', authenticateToken, TwoFactorController.disable);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (requires a code)
+ * @access  Private (requires authentication)
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, TwoFactorController.regenerateRecoveryCodes);
+
 /**
  * @route   GET /api/auth/verify
  * @desc    Verify JWT token validity
  * @access  Private (requires authentication)
  */
-router.get('/verify', authenticateToken, (req, res) => {
-  res.json({
-    message: 'Token is valid',
-    user: {
-      id: req.user.userId,
-      email: req.user.email,
-      role: req.user.role
-    }
-  });
+router.get('/verify', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      message: 'Token is valid',
+      user: {
+        id: req.user.userId,
+        email: req.user.email,
+        role: req.user.role,
+        department_id: req.user.departmentId,
+        institution_id: req.user.institutionId,
+        is_super_admin: req.user.isSuperAdmin,
+        permissions: await getRolePermissions(req.user.role),
+        approval_status: req.user.approvalStatus,
+        two_factor_setup_required: req.user.twoFactorSetupRequired
+      }
+    });
+  } catch (error) {
+    console.error('Verify token error:', error);
+    res.status(500).json({
+      error: 'Verification failed',
+      message: 'An error occurred while verifying the token'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
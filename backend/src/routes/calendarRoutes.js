@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+
+const CalendarController = require('../controllers/calendarController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Calendar Routes
+ * Handles iCalendar feed subscriptions
+ */
+
+/**
+ * @route   GET /api/calendar/token
+ * @desc    Get the current user's calendar feed status
+ * @access  Private (authenticated users)
+ */
+router.get('/token', authenticateToken, CalendarController.getFeedStatus);
+
+/**
+ * @route   POST /api/calendar/token
+ * @desc    Generate a new calendar feed URL (revokes the previous one)
+ * @access  Private (authenticated users)
+ */
+router.post('/token', authenticateToken, CalendarController.regenerateFeedToken);
+
+/**
+ * @route   DELETE /api/calendar/token
+ * @desc    Revoke the current user's calendar feed URL
+ * @access  Private (authenticated users)
+ */
+router.delete('/token', authenticateToken, CalendarController.revokeFeedToken);
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of the token owner's sessions
+ * @access  Public (protected by the feed token)
+ */
+router.get('/:token([a-f0-9]{64}).ics', CalendarController.getFeed);
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const CourseController = require('../controllers/courseController');
+const AssignmentController = require('../controllers/assignmentController');
+const GradebookController = require('../controllers/gradebookController');
 const { authenticateToken } = require('../middleware/auth');
-const { requireRole } = require('../middleware/rbac');
+const { requirePermission, courseResource } = require('../middleware/rbac');
+const { validateListFilters } = require('../middleware/validation');
 
 /**
  * Course Routes
@@ -14,15 +17,16 @@ const { requireRole } = require('../middleware/rbac');
 // @access  Teacher, Admin
 router.post('/', 
   authenticateToken, 
-  requireRole(['teacher', 'admin']), 
+  requirePermission('course.create'), 
   CourseController.createCourse
 );
 
 // @route   GET /api/courses
-// @desc    Get all courses (filtered by role)
+// @desc    Get all courses (filtered by role, ?termId=&archived=)
 // @access  Authenticated users
 router.get('/', 
   authenticateToken, 
+  validateListFilters,
   CourseController.getAllCourses
 );
 
@@ -31,25 +35,27 @@ router.get('/',
 // @access  Teacher
 router.get('/notifications', 
   authenticateToken, 
-  requireRole(['teacher']), 
+  requirePermission('course.view'), 
   CourseController.getTeacherNotifications
 );
 
 // @route   GET /api/courses/student/enrolled
-// @desc    Get student's enrolled courses
+// @desc    Get student's enrolled courses (?termId=&archived=)
 // @access  Student
 router.get('/student/enrolled', 
   authenticateToken, 
-  requireRole(['student']), 
+  requirePermission('course.enroll'), 
+  validateListFilters,
   CourseController.getStudentCourses
 );
 
 // @route   GET /api/courses/teacher/my-courses
-// @desc    Get teacher's courses
+// @desc    Get teacher's courses (?termId=&archived=)
 // @access  Teacher
 router.get('/teacher/my-courses', 
   authenticateToken, 
-  requireRole(['teacher']), 
+  requirePermission('course.view'), 
+  validateListFilters,
   CourseController.getTeacherCourses
 );
 
@@ -66,25 +72,345 @@ router.get('/:id',
 // @access  Teacher (own courses), Admin
 router.put('/:id', 
   authenticateToken, 
-  requireRole(['teacher', 'admin']), 
+  requirePermission('course.update'), 
   CourseController.updateCourse
 );
 
 // @route   POST /api/courses/:courseId/enroll
-// @desc    Enroll student in a course
+// @desc    Enroll student in a course, or request approval ({enrollmentKey} for key-protected courses)
 // @access  Student
 router.post('/:courseId/enroll', 
   authenticateToken, 
-  requireRole(['student']), 
+  requirePermission('course.enroll'), 
   CourseController.enrollInCourse
 );
 
+// @route   GET /api/courses/:courseId/enrollment-requests
+// @desc    Get pending enrollment requests of a course that requires approval
+// @access  Teacher (own courses), Admin
+router.get('/:courseId/enrollment-requests', 
+  authenticateToken, 
+  requirePermission('course.view'), 
+  CourseController.getEnrollmentRequests
+);
+
+// @route   PUT /api/courses/:courseId/enrollment-requests/:studentId
+// @desc    Approve or deny an enrollment request ({decision, reason})
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/enrollment-requests/:studentId', 
+  authenticateToken, 
+  requirePermission('enrollment.manage'), 
+  CourseController.reviewEnrollmentRequest
+);
+
+// @route   POST /api/courses/:courseId/drop
+// @desc    Drop a course before it starts ({reason} optional)
+// @access  Student
+router.post('/:courseId/drop', 
+  authenticateToken, 
+  requirePermission('course.enroll'), 
+  CourseController.dropCourse
+);
+
+// @route   POST /api/courses/:courseId/withdraw
+// @desc    Withdraw from a running course ({reason} optional)
+// @access  Student
+router.post('/:courseId/withdraw', 
+  authenticateToken, 
+  requirePermission('course.enroll'), 
+  CourseController.withdrawFromCourse
+);
+
+// @route   DELETE /api/courses/:courseId/students/:studentId
+// @desc    Remove a student from a course ({reason} required)
+// @access  Teacher (own courses), Admin
+router.delete('/:courseId/students/:studentId', 
+  authenticateToken, 
+  requirePermission('enrollment.manage'), 
+  CourseController.removeStudent
+);
+
+// @route   POST /api/courses/:courseId/students/:studentId/readmit
+// @desc    Enroll a removed student again
+// @access  Teacher (own courses), Admin
+router.post('/:courseId/students/:studentId/readmit', 
+  authenticateToken, 
+  requirePermission('enrollment.manage'), 
+  CourseController.readmitStudent
+);
+
+// @route   POST /api/courses/:courseId/waitlist
+// @desc    Join the waitlist of a full course
+// @access  Student
+router.post('/:courseId/waitlist', 
+  authenticateToken, 
+  requirePermission('course.enroll'), 
+  CourseController.joinWaitlist
+);
+
+// @route   DELETE /api/courses/:courseId/waitlist
+// @desc    Leave the waitlist of a course
+// @access  Student
+router.delete('/:courseId/waitlist', 
+  authenticateToken, 
+  requirePermission('course.enroll'), 
+  CourseController.leaveWaitlist
+);
+
+// @route   GET /api/courses/:courseId/waitlist
+// @desc    Get the waitlist of a course in queue order
+// @access  Teacher (own courses), Admin
+router.get('/:courseId/waitlist', 
+  authenticateToken, 
+  requirePermission('course.view'), 
+  CourseController.getCourseWaitlist
+);
+
+// @route   PUT /api/courses/:courseId/waitlist
+// @desc    Reorder the waitlist ({studentIds} first in line first)
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/waitlist', 
+  authenticateToken, 
+  requirePermission('enrollment.manage'), 
+  CourseController.reorderWaitlist
+);
+
+// @route   DELETE /api/courses/:courseId/waitlist/:studentId
+// @desc    Remove a student from the waitlist
+// @access  Teacher (own courses), Admin
+router.delete('/:courseId/waitlist/:studentId', 
+  authenticateToken, 
+  requirePermission('enrollment.manage'), 
+  CourseController.removeFromWaitlist
+);
+
+// @route   GET /api/courses/:courseId/prerequisites
+// @desc    Get the prerequisites of a course and the courses to choose them from
+// @access  Teacher (own courses), Admin
+router.get('/:courseId/prerequisites', 
+  authenticateToken, 
+  requirePermission('course.view'), 
+  CourseController.getCoursePrerequisites
+);
+
+// @route   PUT /api/courses/:courseId/prerequisites
+// @desc    Replace the prerequisites of a course ({prerequisites: [{courseId, minAttendanceRate}]})
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/prerequisites', 
+  authenticateToken, 
+  requirePermission('course.update'), 
+  CourseController.setCoursePrerequisites
+);
+
+// @route   GET /api/courses/:courseId/staff
+// @desc    Get the staff of a course (owner, co-teachers and TAs)
+// @access  Teacher (course staff), Admin
+router.get('/:courseId/staff', 
+  authenticateToken, 
+  requirePermission('course.view'), 
+  CourseController.getCourseStaff
+);
+
+// @route   POST /api/courses/:courseId/staff
+// @desc    Add a co-teacher or TA to a course by email ({email, role})
+// @access  Teacher (course owner), Admin
+router.post('/:courseId/staff', 
+  authenticateToken, 
+  requirePermission('course.staff'), 
+  CourseController.addCourseStaff
+);
+
+// @route   PUT /api/courses/:courseId/staff/:userId
+// @desc    Change the role of a co-teacher or TA ({role})
+// @access  Teacher (course owner), Admin
+router.put('/:courseId/staff/:userId', 
+  authenticateToken, 
+  requirePermission('course.staff'), 
+  CourseController.updateCourseStaff
+);
+
+// @route   DELETE /api/courses/:courseId/staff/:userId
+// @desc    Remove a co-teacher or TA from a course
+// @access  Teacher (course owner), Admin
+router.delete('/:courseId/staff/:userId', 
+  authenticateToken, 
+  requirePermission('course.staff'), 
+  CourseController.removeCourseStaff
+);
+
+// @route   GET /api/courses/:courseId/assignments
+// @desc    Get the assignments of a course (staff: submission counts, students: own status)
+// @access  Teacher (course staff), Student (enrolled), Admin
+router.get('/:courseId/assignments', 
+  authenticateToken, 
+  AssignmentController.getAssignments
+);
+
+// @route   POST /api/courses/:courseId/assignments
+// @desc    Create an assignment ({title, instructions, due_at, points, allow_late_submissions})
+// @access  Teacher (own courses), Admin
+router.post('/:courseId/assignments', 
+  authenticateToken, 
+  requirePermission('assignment.manage'), 
+  AssignmentController.createAssignment
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId
+// @desc    Get an assignment (students also get their submission)
+// @access  Teacher (course staff), Student (enrolled), Admin
+router.get('/:courseId/assignments/:assignmentId', 
+  authenticateToken, 
+  AssignmentController.getAssignment
+);
+
+// @route   PUT /api/courses/:courseId/assignments/:assignmentId
+// @desc    Update an assignment
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/assignments/:assignmentId', 
+  authenticateToken, 
+  requirePermission('assignment.manage'), 
+  AssignmentController.updateAssignment
+);
+
+// @route   DELETE /api/courses/:courseId/assignments/:assignmentId
+// @desc    Delete an assignment with its submissions
+// @access  Teacher (own courses), Admin
+router.delete('/:courseId/assignments/:assignmentId', 
+  authenticateToken, 
+  requirePermission('assignment.manage'), 
+  AssignmentController.deleteAssignment
+);
+
+// @route   POST /api/courses/:courseId/assignments/:assignmentId/submission
+// @desc    Hand in an assignment ({text, file: {name, type, data}}), replacing an ungraded submission
+// @access  Student (enrolled)
+router.post('/:courseId/assignments/:assignmentId/submission', 
+  authenticateToken, 
+  requirePermission('assignment.submit'), 
+  AssignmentController.submitAssignment
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId/submissions
+// @desc    Get the submissions for an assignment, with the students who haven't handed in
+// @access  Teacher (course staff), Admin
+router.get('/:courseId/assignments/:assignmentId/submissions', 
+  authenticateToken, 
+  requirePermission('assignment.grade'), 
+  AssignmentController.getSubmissions
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/file
+// @desc    Download the file of a submission
+// @access  Student (own submission), Teacher (course staff), Admin
+router.get('/:courseId/assignments/:assignmentId/submissions/:submissionId/file', 
+  authenticateToken, 
+  AssignmentController.getSubmissionFile
+);
+
+// @route   PUT /api/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/grade
+// @desc    Grade a submission ({score, feedback})
+// @access  Teacher (course staff), Admin
+router.put('/:courseId/assignments/:assignmentId/submissions/:submissionId/grade', 
+  authenticateToken, 
+  requirePermission('assignment.grade'), 
+  AssignmentController.gradeSubmission
+);
+
+// @route   GET /api/courses/:courseId/gradebook
+// @desc    Get the gradebook: categories, columns and every student's scores and grades
+// @access  Teacher (course staff), Admin
+router.get('/:courseId/gradebook', 
+  authenticateToken, 
+  requirePermission('course.view'), 
+  GradebookController.getGradebook
+);
+
+// @route   GET /api/courses/:courseId/gradebook/me
+// @desc    Get your own scores and grades in a course
+// @access  Student (enrolled)
+router.get('/:courseId/gradebook/me', 
+  authenticateToken, 
+  GradebookController.getMyGrades
+);
+
+// @route   POST /api/courses/:courseId/gradebook/categories
+// @desc    Create a grade category ({name, weight, source})
+// @access  Teacher (own courses), Admin
+router.post('/:courseId/gradebook/categories', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.createCategory
+);
+
+// @route   PUT /api/courses/:courseId/gradebook/categories/:categoryId
+// @desc    Update a grade category ({name, weight, position})
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/gradebook/categories/:categoryId', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.updateCategory
+);
+
+// @route   DELETE /api/courses/:courseId/gradebook/categories/:categoryId
+// @desc    Delete a grade category with its items and scores
+// @access  Teacher (own courses), Admin
+router.delete('/:courseId/gradebook/categories/:categoryId', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.deleteCategory
+);
+
+// @route   POST /api/courses/:courseId/gradebook/items
+// @desc    Create a grade item ({category_id, title, points, due_date})
+// @access  Teacher (own courses), Admin
+router.post('/:courseId/gradebook/items', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.createItem
+);
+
+// @route   PUT /api/courses/:courseId/gradebook/items/:itemId
+// @desc    Update a grade item
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/gradebook/items/:itemId', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.updateItem
+);
+
+// @route   DELETE /api/courses/:courseId/gradebook/items/:itemId
+// @desc    Delete a grade item with its scores
+// @access  Teacher (own courses), Admin
+router.delete('/:courseId/gradebook/items/:itemId', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.deleteItem
+);
+
+// @route   PUT /api/courses/:courseId/gradebook/items/:itemId/scores
+// @desc    Enter or clear scores for a grade item ({scores: [{studentId, score}]})
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/gradebook/items/:itemId/scores', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.setItemScores
+);
+
+// @route   PUT /api/courses/:courseId/gradebook/scale
+// @desc    Set the letter-grade scale ({scale: [{letter, min}]}, null for the default)
+// @access  Teacher (own courses), Admin
+router.put('/:courseId/gradebook/scale', 
+  authenticateToken, 
+  requirePermission('gradebook.manage'), 
+  GradebookController.setGradeScale
+);
+
 // @route   POST /api/courses/:courseId/sessions/:sessionId/attendance
 // @desc    Mark attendance for course session
 // @access  Teacher (own courses)
 router.post('/:courseId/sessions/:sessionId/attendance', 
   authenticateToken, 
-  requireRole(['teacher']), 
+  requirePermission('attendance.mark'), 
   CourseController.markAttendance
 );
 
@@ -93,7 +419,7 @@ router.post('/:courseId/sessions/:sessionId/attendance',
 // @access  Teacher (own courses), Admin
 router.get('/:courseId/attendance', 
   authenticateToken, 
-  requireRole(['teacher', 'admin']), 
+  requirePermission('course.view'), 
   CourseController.getCourseAttendance
 );
 
@@ -102,7 +428,7 @@ router.get('/:courseId/attendance',
 // @access  Teacher (own courses), Admin
 router.get('/:courseId/students', 
   authenticateToken, 
-  requireRole(['teacher', 'admin']), 
+  requirePermission('course.view'), 
   CourseController.getCourseStudents
 );
 
@@ -119,16 +445,34 @@ router.get('/:courseId/sessions',
 // @access  Teacher
 router.patch('/notifications/:notificationId/read', 
   authenticateToken, 
-  requireRole(['teacher']), 
+  requirePermission('course.view'), 
   CourseController.markNotificationAsRead
 );
 
+// @route   POST /api/courses/:id/archive
+// @desc    Archive a course whose term has ended
+// @access  Teacher (own courses), Admin
+router.post('/:id/archive', 
+  authenticateToken, 
+  requirePermission('course.archive'), 
+  CourseController.archiveCourse
+);
+
+// @route   POST /api/courses/:id/unarchive
+// @desc    Take a course out of the archive
+// @access  Admin, Department admin (own department)
+router.post('/:id/unarchive', 
+  authenticateToken, 
+  requirePermission('course.unarchive', courseResource('id')), 
+  CourseController.unarchiveCourse
+);
+
 // @route   DELETE /api/courses/:id
 // @desc    Delete course
-// @access  Admin
+// @access  Admin, Department admin (own department)
 router.delete('/:id', 
   authenticateToken, 
-  requireRole(['admin']), 
+  requirePermission('course.delete', courseResource('id')), 
   CourseController.deleteCourse
 );
 
@@ -137,7 +481,7 @@ router.delete('/:id',
 // @access  Teacher (own courses), Admin
 router.get('/:courseId/attendance-stats', 
   authenticateToken, 
-  requireRole(['teacher', 'admin']), 
+  requirePermission('course.view'), 
   CourseController.getCourseAttendanceStats
 );
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const DepartmentController = require('../controllers/departmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+/**
+ * Department Routes
+ * Handles the departments courses and users belong to
+ */
+
+/**
+ * @route   GET /api/departments
+ * @desc    Get all departments with their course and user counts
+ * @access  Private
+ */
+router.get('/', authenticateToken, DepartmentController.getDepartments);
+
+/**
+ * @route   POST /api/departments
+ * @desc    Create a department ({name})
+ * @access  Private (roles.manage permission)
+ */
+router.post('/', authenticateToken, requirePermission('roles.manage'), DepartmentController.createDepartment);
+
+/**
+ * @route   PUT /api/departments/:id
+ * @desc    Rename a department
+ * @access  Private (roles.manage permission)
+ */
+router.put('/:id', authenticateToken, requirePermission('roles.manage'), DepartmentController.updateDepartment);
+
+/**
+ * @route   DELETE /api/departments/:id
+ * @desc    Delete a department no course belongs to
+ * @access  Private (roles.manage permission)
+ */
+router.delete('/:id', authenticateToken, requirePermission('roles.manage'), DepartmentController.deleteDepartment);
+
+module.exports = router;
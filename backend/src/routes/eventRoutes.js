@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const EventController = require('../controllers/eventController');
+const { authenticateToken, tokenFromQuery } = require('../middleware/auth');
+
+/**
+ * Event Routes
+ * Real-time updates over Server-Sent Events
+ */
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream notifications, live session and check-in events
+ *          (?sessions=1,2 to follow sessions, ?access_token=JWT for EventSource clients)
+ * @access  Private (authenticated users)
+ */
+router.get('/', tokenFromQuery, authenticateToken, EventController.stream);
+
+module.exports = router;
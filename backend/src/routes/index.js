@@ -7,12 +7,24 @@ const userRoutes = require('./userRoutes');
 const sessionRoutes = require('./sessionRoutes');
 const attendanceRoutes = require('./attendanceRoutes');
 const courseRoutes = require('./courseRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const eventRoutes = require('./eventRoutes');
+const absenceRequestRoutes = require('./absenceRequestRoutes');
+const settingsRoutes = require('./settingsRoutes');
+const termRoutes = require('./termRoutes');
+const roleRoutes = require('./roleRoutes');
+const departmentRoutes = require('./departmentRoutes');
+const institutionRoutes = require('./institutionRoutes');
+const { resolveInstitution } = require('../middleware/institution');
 
 /**
  * Main API Routes
  * Centralizes all route definitions
  */
 
+// Every request runs on behalf of one institution
+router.use(resolveInstitution);
+
 // Authentication routes
 router.use('/auth', authRoutes);
 
@@ -25,9 +37,31 @@ router.use('/sessions', sessionRoutes);
 // Course management routes
 router.use('/courses', courseRoutes);
 
+// Academic term routes
+router.use('/terms', termRoutes);
+
+// Role and department routes
+router.use('/roles', roleRoutes);
+router.use('/departments', departmentRoutes);
+
+// Institution routes (super-admins)
+router.use('/institutions', institutionRoutes);
+
 // Attendance management routes
 router.use('/attendance', attendanceRoutes);
 
+// Absence justification routes
+router.use('/absence-requests', absenceRequestRoutes);
+
+// Calendar feed routes
+router.use('/calendar', calendarRoutes);
+
+// Institution-wide settings
+router.use('/settings', settingsRoutes);
+
+// Real-time event stream
+router.use('/events', eventRoutes);
+
 // API documentation endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -37,43 +71,149 @@ router.get('/', (req, res) => {
       auth: {
         'POST /auth/register': 'Register a new user',
         'POST /auth/login': 'Login user',
+        'POST /auth/login/2fa': 'Second login step with a two-factor or recovery code',
+        'POST /auth/refresh': 'Exchange a refresh token for new tokens',
+        'POST /auth/forgot-password': 'Email a password reset link',
+        'POST /auth/reset-password': 'Set a new password with a reset token',
+        'POST /auth/verify-email': 'Verify an email address',
+        'POST /auth/resend-verification': 'Send a new verification email',
+        'POST /auth/logout': 'Logout (revoke the current login session)',
+        'POST /auth/logout-all': 'Logout from all devices',
+        'GET /auth/sessions': 'List active login sessions',
+        'DELETE /auth/sessions/:sessionId': 'Revoke a login session',
+        'GET /auth/2fa': 'Get two-factor authentication status',
+        'POST /auth/2fa/setup': 'Start two-factor enrollment (QR code)',
+        'POST /auth/2fa/enable': 'Confirm enrollment with a code; returns recovery codes',
+        'POST /auth/2fa/disable': 'Turn two-factor authentication off',
+        'POST /auth/2fa/recovery-codes': 'Replace the recovery codes',
         'GET /auth/profile': 'Get current user profile',
         'GET /auth/verify': 'Verify token validity'
       },
       users: {
         'GET /users': 'Get all users (admin only)',
+        'POST /users/import': 'Import users from a CSV roster, or check it with dryRun (admin only)',
         'GET /users/stats': 'Get user statistics (admin only)',
+        'GET /users/teacher-applications': 'Get teacher applicants (admin only)',
+        'PUT /users/:id/approval': 'Approve or reject a teacher applicant (admin only)',
+        'DELETE /users/:id/two-factor': 'Reset a user\'s two-factor authentication (admin only)',
         'GET /users/:id': 'Get user by ID (admin only)',
         'PUT /users/:id': 'Update user (admin only)',
         'DELETE /users/:id': 'Delete user (admin only)'
       },
       sessions: {
-        'GET /sessions': 'Get sessions (role-based filtering)',
+        'GET /sessions': 'Get sessions (role-based filtering; ?termId=)',
         'POST /sessions': 'Create session (teacher/admin only)',
         'GET /sessions/:id': 'Get session by ID',
         'PUT /sessions/:id': 'Update session (teacher/admin only)',
         'DELETE /sessions/:id': 'Delete session (teacher/admin only)',
-        'POST /sessions/:id/join': 'Join session (student only)'
+        'POST /sessions/:id/join': 'Join session (student only)',
+        'POST /sessions/series': 'Create recurring session series (teacher/admin only)',
+        'GET /sessions/series/:seriesId': 'Get series with occurrences and exceptions (teacher/admin only)',
+        'PUT /sessions/series/:seriesId/occurrences/:sessionId': 'Update this or this and following occurrences (teacher/admin only)',
+        'POST /sessions/series/:seriesId/occurrences/:sessionId/skip': 'Skip an occurrence (teacher/admin only)',
+        'POST /sessions/series/:seriesId/occurrences/:sessionId/cancel': 'Cancel an occurrence (teacher/admin only)'
       },
       courses: {
-        'GET /courses': 'Get courses (available for students, own for teachers)',
+        'GET /courses': 'Get courses (available for students, own for teachers; ?termId=&archived=)',
         'POST /courses': 'Create course (teacher/admin only)',
         'GET /courses/:id': 'Get course with enrolled students',
         'PUT /courses/:id': 'Update course (teacher/admin only)',
-        'POST /courses/:courseId/enroll': 'Enroll in course (student only)',
-        'GET /courses/student/enrolled': 'Get student enrolled courses',
+        'POST /courses/:courseId/enroll': 'Enroll in course or request approval; {enrollmentKey} if required (student only)',
+        'GET /courses/:courseId/enrollment-requests': 'Get pending enrollment requests (teacher/admin only)',
+        'PUT /courses/:courseId/enrollment-requests/:studentId': 'Approve or deny an enrollment request (teacher/admin only)',
+        'POST /courses/:courseId/drop': 'Drop a course before it starts (student only)',
+        'POST /courses/:courseId/withdraw': 'Withdraw from a running course (student only)',
+        'DELETE /courses/:courseId/students/:studentId': 'Remove a student from a course (teacher/admin only)',
+        'POST /courses/:courseId/waitlist': 'Join the waitlist of a full course (student only)',
+        'DELETE /courses/:courseId/waitlist': 'Leave the waitlist (student only)',
+        'GET /courses/:courseId/waitlist': 'Get the course waitlist (teacher/admin only)',
+        'PUT /courses/:courseId/waitlist': 'Reorder the course waitlist (teacher/admin only)',
+        'DELETE /courses/:courseId/waitlist/:studentId': 'Remove a student from the waitlist (teacher/admin only)',
+        'GET /courses/:courseId/prerequisites': 'Get the prerequisites of a course (teacher/admin only)',
+        'PUT /courses/:courseId/prerequisites': 'Replace the prerequisites of a course (teacher/admin only)',
+        'GET /courses/:courseId/staff': 'Get the staff of a course (course staff/admin only)',
+        'POST /courses/:courseId/staff': 'Add a co-teacher or TA to a course (course owner/admin only)',
+        'PUT /courses/:courseId/staff/:userId': 'Change the role of a co-teacher or TA (course owner/admin only)',
+        'DELETE /courses/:courseId/staff/:userId': 'Remove a co-teacher or TA from a course (course owner/admin only)',
+        'GET /courses/:courseId/assignments': 'Get the assignments of a course (course staff/enrolled students)',
+        'POST /courses/:courseId/assignments': 'Create an assignment (teacher/admin only)',
+        'GET /courses/:courseId/assignments/:assignmentId': 'Get an assignment (course staff/enrolled students)',
+        'PUT /courses/:courseId/assignments/:assignmentId': 'Update an assignment (teacher/admin only)',
+        'DELETE /courses/:courseId/assignments/:assignmentId': 'Delete an assignment (teacher/admin only)',
+        'POST /courses/:courseId/assignments/:assignmentId/submission': 'Hand in an assignment (enrolled students only)',
+        'GET /courses/:courseId/assignments/:assignmentId/submissions': 'Get the submissions for an assignment (course staff/admin only)',
+        'GET /courses/:courseId/assignments/:assignmentId/submissions/:submissionId/file': 'Download the file of a submission',
+        'PUT /courses/:courseId/assignments/:assignmentId/submissions/:submissionId/grade': 'Grade a submission (course staff/admin only)',
+        'GET /courses/:courseId/gradebook': 'Get the gradebook of a course with computed grades (course staff/admin only)',
+        'GET /courses/:courseId/gradebook/me': 'Get your grades in a course (enrolled students only)',
+        'POST /courses/:courseId/gradebook/categories': 'Create a grade category (teacher/admin only)',
+        'PUT /courses/:courseId/gradebook/categories/:categoryId': 'Update a grade category (teacher/admin only)',
+        'DELETE /courses/:courseId/gradebook/categories/:categoryId': 'Delete a grade category (teacher/admin only)',
+        'POST /courses/:courseId/gradebook/items': 'Create a grade item (teacher/admin only)',
+        'PUT /courses/:courseId/gradebook/items/:itemId': 'Update a grade item (teacher/admin only)',
+        'DELETE /courses/:courseId/gradebook/items/:itemId': 'Delete a grade item (teacher/admin only)',
+        'PUT /courses/:courseId/gradebook/items/:itemId/scores': 'Enter scores for a grade item (teacher/admin only)',
+        'PUT /courses/:courseId/gradebook/scale': 'Set the letter-grade scale of a course (teacher/admin only)',
+        'POST /courses/:id/archive': 'Archive a course whose term has ended (teacher/admin only)',
+        'POST /courses/:id/unarchive': 'Take a course out of the archive (admin, department admin)',
+        'GET /courses/student/enrolled': 'Get student enrolled courses (?termId=&archived=)',
         'POST /courses/:courseId/sessions/:sessionId/attendance': 'Mark attendance (teacher only)',
         'GET /courses/:courseId/attendance': 'Get course attendance report (teacher/admin only)'
       },
+      terms: {
+        'GET /terms': 'Get academic terms',
+        'POST /terms': 'Create a term (admin only)',
+        'PUT /terms/:id': 'Update a term (admin only)',
+        'DELETE /terms/:id': 'Delete a term without courses (admin only)'
+      },
+      roles: {
+        'GET /roles': 'Get roles and the permissions they can grant (users.view permission)',
+        'POST /roles': 'Create a role (roles.manage permission)',
+        'PUT /roles/:name': 'Change the permissions of a role (roles.manage permission)',
+        'DELETE /roles/:name': 'Delete a custom role without users (roles.manage permission)'
+      },
+      departments: {
+        'GET /departments': 'Get departments',
+        'POST /departments': 'Create a department (roles.manage permission)',
+        'PUT /departments/:id': 'Rename a department (roles.manage permission)',
+        'DELETE /departments/:id': 'Delete a department without courses (roles.manage permission)'
+      },
+      institutions: {
+        'GET /institutions': 'Get institutions (super-admin only)',
+        'POST /institutions': 'Create an institution with its first admin (super-admin only)',
+        'PUT /institutions/:id': 'Rename an institution (super-admin only)'
+      },
       attendance: {
         'GET /attendance/session/:sessionId': 'Get session attendance (teacher/admin only)',
         'GET /attendance/student/:studentId?': 'Get student attendance',
-        'GET /attendance/stats': 'Get attendance statistics (admin only)',
-        'GET /attendance/teacher/:teacherId?': 'Get teacher attendance report',
-        'PUT /attendance/:attendanceId/status': 'Update attendance status (teacher/admin only)'
+        'GET /attendance/stats': 'Get attendance statistics (admin only; ?termId=)',
+        'GET /attendance/teacher/:teacherId?': 'Get teacher attendance report (?termId=)',
+        'PUT /attendance/:attendanceId/status': 'Update attendance status (teacher/admin only)',
+        'GET /attendance/:attendanceId/history': 'Get the change history of an attendance record',
+        'GET /attendance/student/:studentId/history': 'Get the attendance change history of a student'
+      },
+      absenceRequests: {
+        'POST /absence-requests': 'Submit an absence justification (student only)',
+        'GET /absence-requests': 'Get absence requests (?status=pending|approved|rejected)',
+        'GET /absence-requests/:id/document': 'Download the attached document',
+        'PUT /absence-requests/:id/review': 'Approve or reject an absence request (teacher/admin only)'
+      },
+      calendar: {
+        'GET /calendar/token': 'Get calendar feed status',
+        'POST /calendar/token': 'Generate calendar feed URL (revokes the previous one)',
+        'DELETE /calendar/token': 'Revoke calendar feed URL',
+        'GET /calendar/:token.ics': 'iCalendar feed of your sessions (token protected)'
+      },
+      settings: {
+        'GET /settings/security': 'Get security settings (admin only)',
+        'PUT /settings/security': 'Update the two-factor policy (admin only)'
+      },
+      events: {
+        'GET /events?sessions=1,2': 'Server-Sent Events stream of notifications, live sessions and check-ins'
       }
     },
     authentication: 'Include "Authorization: Bearer <token>" header for protected routes',
+    institution: 'Resolved from the subdomain, or the "X-Institution: <slug>" header; the default institution otherwise',
     roles: ['admin', 'teacher', 'student']
   });
 });
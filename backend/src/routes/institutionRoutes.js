@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+
+const InstitutionController = require('../controllers/institutionController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireSuperAdmin } = require('../middleware/rbac');
+
+/**
+ * Institution Routes
+ * Handles the institutions (tenants) sharing the deployment
+ */
+
+/**
+ * @route   GET /api/institutions
+ * @desc    Get all institutions with their user and course counts
+ * @access  Private (super-admin)
+ */
+router.get('/', authenticateToken, requireSuperAdmin, InstitutionController.getInstitutions);
+
+/**
+ * @route   POST /api/institutions
+ * @desc    Create an institution ({name, slug, admin: {name, email, password}}) with the default roles
+ * @access  Private (super-admin)
+ */
+router.post('/', authenticateToken, requireSuperAdmin, InstitutionController.createInstitution);
+
+/**
+ * @route   PUT /api/institutions/:id
+ * @desc    Rename an institution
+ * @access  Private (super-admin)
+ */
+router.put('/:id', authenticateToken, requireSuperAdmin, InstitutionController.updateInstitution);
+
+module.exports = router;
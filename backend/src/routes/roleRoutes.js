@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const RoleController = require('../controllers/roleController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+/**
+ * Role Routes
+ * Handles the roles users are given and the permissions each grants
+ */
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles with their permissions and user counts, and the permissions that can be granted
+ * @access  Private (users.view permission)
+ */
+router.get('/', authenticateToken, requirePermission('users.view'), RoleController.getRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a role ({name, description, permissions: {permission: scope}})
+ * @access  Private (roles.manage permission)
+ */
+router.post('/', authenticateToken, requirePermission('roles.manage'), RoleController.createRole);
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Replace the description and permissions of a role other than admin
+ * @access  Private (roles.manage permission)
+ */
+router.put('/:name', authenticateToken, requirePermission('roles.manage'), RoleController.updateRole);
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role no user has
+ * @access  Private (roles.manage permission)
+ */
+router.delete('/:name', authenticateToken, requirePermission('roles.manage'), RoleController.deleteRole);
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 
 const SessionController = require('../controllers/sessionController');
+const SessionSeriesController = require('../controllers/sessionSeriesController');
 const { authenticateToken } = require('../middleware/auth');
-const { requireTeacherOrAdmin, requireStudentOrAdmin } = require('../middleware/rbac');
-const { validateSessionCreation } = require('../middleware/validation');
+const { requirePermission } = require('../middleware/rbac');
+const { validateSessionCreation, validateSessionSeries, validateListFilters } = require('../middleware/validation');
 
 /**
  * Session Management Routes
@@ -13,17 +14,52 @@ const { validateSessionCreation } = require('../middleware/validation');
 
 /**
  * @route   GET /api/sessions
- * @desc    Get sessions (role-based filtering)
+ * @desc    Get sessions (role-based filtering, ?termId=)
  * @access  Private (authenticated users)
  */
-router.get('/', authenticateToken, SessionController.getAllSessions);
+router.get('/', authenticateToken, validateListFilters, SessionController.getAllSessions);
 
 /**
  * @route   POST /api/sessions
  * @desc    Create a new session
- * @access  Private (teachers and admins only)
+ * @access  Private (session.create permission)
  */
-router.post('/', authenticateToken, requireTeacherOrAdmin, validateSessionCreation, SessionController.createSession);
+router.post('/', authenticateToken, requirePermission('session.create'), validateSessionCreation, SessionController.createSession);
+
+/**
+ * @route   POST /api/sessions/series
+ * @desc    Create a recurring session series and its sessions
+ * @access  Private (session.create permission)
+ */
+router.post('/series', authenticateToken, requirePermission('session.create'), validateSessionCreation, validateSessionSeries, SessionSeriesController.createSeries);
+
+/**
+ * @route   GET /api/sessions/series/:seriesId
+ * @desc    Get a session series with its occurrences and exceptions
+ * @access  Private (course.view permission)
+ */
+router.get('/series/:seriesId', authenticateToken, requirePermission('course.view'), SessionSeriesController.getSeriesById);
+
+/**
+ * @route   PUT /api/sessions/series/:seriesId/occurrences/:sessionId
+ * @desc    Update one occurrence (scope "this") or it and all following ones (scope "following")
+ * @access  Private (session.update permission)
+ */
+router.put('/series/:seriesId/occurrences/:sessionId', authenticateToken, requirePermission('session.update'), SessionSeriesController.updateOccurrence);
+
+/**
+ * @route   POST /api/sessions/series/:seriesId/occurrences/:sessionId/skip
+ * @desc    Skip a single occurrence
+ * @access  Private (session.delete permission)
+ */
+router.post('/series/:seriesId/occurrences/:sessionId/skip', authenticateToken, requirePermission('session.delete'), SessionSeriesController.skipOccurrence);
+
+/**
+ * @route   POST /api/sessions/series/:seriesId/occurrences/:sessionId/cancel
+ * @desc    Cancel a single occurrence
+ * @access  Private (session.delete permission)
+ */
+router.post('/series/:seriesId/occurrences/:sessionId/cancel', authenticateToken, requirePermission('session.delete'), SessionSeriesController.cancelOccurrence);
 
 /**
  * @route   GET /api/sessions/:id
@@ -35,43 +71,50 @@ router.get('/:id', authenticateToken, SessionController.getSessionById);
 /**
  * @route   PUT /api/sessions/:id
  * @desc    Update session
- * @access  Private (teachers and admins only)
+ * @access  Private (session.update permission)
  */
-router.put('/:id', authenticateToken, requireTeacherOrAdmin, SessionController.updateSession);
+router.put('/:id', authenticateToken, requirePermission('session.update'), SessionController.updateSession);
 
 /**
  * @route   DELETE /api/sessions/:id
  * @desc    Delete session
- * @access  Private (teachers and admins only)
+ * @access  Private (session.delete permission)
  */
-router.delete('/:id', authenticateToken, requireTeacherOrAdmin, SessionController.deleteSession);
+router.delete('/:id', authenticateToken, requirePermission('session.delete'), SessionController.deleteSession);
 
 /**
  * @route   POST /api/sessions/:id/join
  * @desc    Join a session (students only)
- * @access  Private (students and admins only)
+ * @access  Private (session.join permission)
  */
-router.post('/:id/join', authenticateToken, requireStudentOrAdmin, SessionController.joinSession);
+router.post('/:id/join', authenticateToken, requirePermission('session.join'), SessionController.joinSession);
 
 /**
  * @route   POST /api/sessions/:id/start-live
- * @desc    Start live session with attendance code
- * @access  Private (teachers and admins only)
+ * @desc    Start live session with a rotating attendance code
+ * @access  Private (session.live permission)
+ */
+router.post('/:id/start-live', authenticateToken, requirePermission('session.live'), SessionController.startLiveSession);
+
+/**
+ * @route   GET /api/sessions/:id/attendance-code
+ * @desc    Get the current rotating attendance code of a live session
+ * @access  Private (session.live permission)
  */
-router.post('/:id/start-live', authenticateToken, requireTeacherOrAdmin, SessionController.startLiveSession);
+router.get('/:id/attendance-code', authenticateToken, requirePermission('session.live'), SessionController.getAttendanceCode);
 
 /**
  * @route   POST /api/sessions/:id/end-live
  * @desc    End live session
- * @access  Private (teachers and admins only)
+ * @access  Private (session.live permission)
  */
-router.post('/:id/end-live', authenticateToken, requireTeacherOrAdmin, SessionController.endLiveSession);
+router.post('/:id/end-live', authenticateToken, requirePermission('session.live'), SessionController.endLiveSession);
 
 /**
  * @route   GET /api/sessions/live
  * @desc    Get live sessions for teacher
- * @access  Private (teachers and admins only)
+ * @access  Private (session.live permission)
  */
-router.get('/live', authenticateToken, requireTeacherOrAdmin, SessionController.getLiveSessions);
+router.get('/live', authenticateToken, requirePermission('session.live'), SessionController.getLiveSessions);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+const SettingsController = require('../controllers/settingsController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+/**
+ * Settings Routes
+ * Handles instance-wide settings
+ */
+
+/**
+ * @route   GET /api/settings/security
+ * @desc    Get the security settings (two-factor policy)
+ * @access  Private (settings.manage permission)
+ */
+router.get('/security', authenticateToken, requirePermission('settings.manage'), SettingsController.getSecuritySettings);
+
+/**
+ * @route   PUT /api/settings/security
+ * @desc    Update the security settings ({twoFactorRequiredRoles: [] | ["admin"] | ["admin", "teacher"]})
+ * @access  Private (settings.manage permission)
+ */
+router.put('/security', authenticateToken, requirePermission('settings.manage'), SettingsController.updateSecuritySettings);
+
+module.exports = router;
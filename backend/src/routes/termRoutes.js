@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const TermController = require('../controllers/termController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+
+/**
+ * Term Routes
+ * Handles the academic terms courses, reports and dashboards are filtered by
+ */
+
+/**
+ * @route   GET /api/terms
+ * @desc    Get all terms with their course counts
+ * @access  Private
+ */
+router.get('/', authenticateToken, TermController.getTerms);
+
+/**
+ * @route   POST /api/terms
+ * @desc    Create a term ({name, start_date, end_date})
+ * @access  Private (terms.manage permission)
+ */
+router.post('/', authenticateToken, requirePermission('terms.manage'), TermController.createTerm);
+
+/**
+ * @route   PUT /api/terms/:id
+ * @desc    Update a term
+ * @access  Private (terms.manage permission)
+ */
+router.put('/:id', authenticateToken, requirePermission('terms.manage'), TermController.updateTerm);
+
+/**
+ * @route   DELETE /api/terms/:id
+ * @desc    Delete a term no course belongs to
+ * @access  Private (terms.manage permission)
+ */
+router.delete('/:id', authenticateToken, requirePermission('terms.manage'), TermController.deleteTerm);
+
+module.exports = router;
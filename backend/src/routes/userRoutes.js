@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 
 const UserController = require('../controllers/userController');
+const TwoFactorController = require('../controllers/twoFactorController');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin, requireTeacher } = require('../middleware/rbac');
+const { requirePermission } = require('../middleware/rbac');
 const { validateUserUpdate } = require('../middleware/validation');
 
 /**
@@ -14,50 +15,78 @@ const { validateUserUpdate } = require('../middleware/validation');
 /**
  * @route   GET /api/users/students
  * @desc    Get all students (for teachers)
- * @access  Private (teacher and admin)
+ * @access  Private (students.view permission)
  */
-router.get('/students', authenticateToken, requireTeacher, UserController.getStudents);
+router.get('/students', authenticateToken, requirePermission('students.view'), UserController.getStudents);
 
 /**
  * @route   POST /api/users
  * @desc    Create new user
- * @access  Private (admin only)
+ * @access  Private (users.create permission)
  */
-router.post('/', authenticateToken, requireAdmin, UserController.createUser);
+router.post('/', authenticateToken, requirePermission('users.create'), UserController.createUser);
+
+/**
+ * @route   POST /api/users/import
+ * @desc    Import users (and their course enrollments) from a CSV roster; dryRun only checks it
+ * @access  Private (users.create permission)
+ */
+router.post('/import', authenticateToken, requirePermission('users.create'), UserController.importUsers);
 
 /**
  * @route   GET /api/users
  * @desc    Get all users
- * @access  Private (admin only)
+ * @access  Private (users.view permission)
  */
-router.get('/', authenticateToken, requireAdmin, UserController.getAllUsers);
+router.get('/', authenticateToken, requirePermission('users.view'), UserController.getAllUsers);
 
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics
- * @access  Private (admin only)
+ * @access  Private (users.view permission)
+ */
+router.get('/stats', authenticateToken, requirePermission('users.view'), UserController.getUserStats);
+
+/**
+ * @route   GET /api/users/teacher-applications
+ * @desc    Get teacher applicants (?status=pending_approval|rejected, default pending_approval)
+ * @access  Private (users.view permission)
+ */
+router.get('/teacher-applications', authenticateToken, requirePermission('users.view'), UserController.getTeacherApplications);
+
+/**
+ * @route   PUT /api/users/:id/approval
+ * @desc    Approve or reject a teacher applicant (a reason is required to reject)
+ * @access  Private (users.update permission)
+ */
+router.put('/:id/approval', authenticateToken, requirePermission('users.update'), UserController.reviewTeacherApplication);
+
+/**
+ * @route   DELETE /api/users/:id/two-factor
+ * @desc    Reset a user's two-factor authentication (e.g. lost phone) and log them out
+ * @access  Private (users.update permission)
  */
-router.get('/stats', authenticateToken, requireAdmin, UserController.getUserStats);
+router.delete('/:id/two-factor', authenticateToken, requirePermission('users.update'), TwoFactorController.resetForUser);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Private (admin only)
+ * @access  Private (users.view permission)
  */
-router.get('/:id', authenticateToken, requireAdmin, UserController.getUserById);
+router.get('/:id', authenticateToken, requirePermission('users.view'), UserController.getUserById);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Private (admin only)
+ * @access  Private (users.update permission)
  */
-router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, UserController.updateUser);
+router.put('/:id', authenticateToken, requirePermission('users.update'), validateUserUpdate, UserController.updateUser);
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Private (admin only)
+ * @access  Private (users.delete permission)
  */
-router.delete('/:id', authenticateToken, requireAdmin, UserController.deleteUser);
+router.delete('/:id', authenticateToken, requirePermission('users.delete'), UserController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
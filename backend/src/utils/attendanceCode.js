@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+/**
+ * Attendance Code Utilities
+ * Time-based rotating attendance codes (TOTP style, RFC 6238) and signed
+ * QR check-in tokens, both derived from a per-session secret so they are
+ * only useful for a short time window
+ */
+
+const CODE_DIGITS = 6;
+const DEFAULT_PERIOD_SECONDS = parseInt(process.env.ATTENDANCE_CODE_PERIOD_SECONDS, 10) || 30;
+const GRACE_SECONDS = parseInt(process.env.ATTENDANCE_CODE_GRACE_SECONDS, 10) || 5;
+const MIN_PERIOD_SECONDS = 10;
+const MAX_PERIOD_SECONDS = 300;
+
+// Codes from this many steps back are reported as expired rather than invalid
+const EXPIRED_LOOKBACK_STEPS = 10;
+
+/**
+ * Generate a new random session secret
+ * @returns {string} Hex encoded secret
+ */
+const generateSecret = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Hex encoded session secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero padded numeric code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Get the time step of a moment
+ * @param {number} period - Rotation period in seconds
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+const stepAt = (period, time) => Math.floor(time / 1000 / period);
+
+/**
+ * Get the code that is valid right now
+ * @param {string} secret - Hex encoded session secret
+ * @param {number} period - Rotation period in seconds
+ * @param {number} time - Milliseconds since epoch (defaults to now)
+ * @returns {Object} {code, period, expiresAt}
+ */
+const getCurrentCode = (secret, period, time = Date.now()) => {
+  const step = stepAt(period, time);
+  return {
+    code: codeForStep(secret, step),
+    period,
+    expiresAt: new Date((step + 1) * period * 1000)
+  };
+};
+
+/**
+ * Compare two codes in constant time
+ * @param {string} a - First code
+ * @param {string} b - Second code
+ * @returns {boolean} True if equal
+ */
+const codesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Check a submitted code
+ * The current code is always accepted; the previous one is accepted for
+ * GRACE_SECONDS after rotation to absorb clock skew and typing time.
+ * @param {string} secret - Hex encoded session secret
+ * @param {number} period - Rotation period in seconds
+ * @param {string} code - Submitted code
+ * @param {number} time - Milliseconds since epoch (defaults to now)
+ * @returns {string} 'valid', 'expired' or 'invalid'
+ */
+const verifyCode = (secret, period, code, time = Date.now()) => {
+  const submitted = String(code || '').trim();
+  if (!/^\d+$/.test(submitted)) return 'invalid';
+
+  const step = stepAt(period, time);
+  if (codesMatch(codeForStep(secret, step), submitted)) return 'valid';
+
+  const secondsIntoStep = time / 1000 - step * period;
+  if (secondsIntoStep < GRACE_SECONDS && codesMatch(codeForStep(secret, step - 1), submitted)) {
+    return 'valid';
+  }
+
+  for (let back = 1; back <= EXPIRED_LOOKBACK_STEPS; back++) {
+    if (codesMatch(codeForStep(secret, step - back), submitted)) return 'expired';
+  }
+
+  return 'invalid';
+};
+
+/**
+ * Sign the check-in token payload of a session
+ * @param {string} secret - Hex encoded session secret
+ * @param {number|string} sessionId - Session ID
+ * @param {number} expiresAt - Expiry in seconds since epoch
+ * @returns {string} Base64url encoded signature
+ */
+const signCheckIn = (secret, sessionId, expiresAt) => crypto
+  .createHmac('sha256', Buffer.from(secret, 'hex'))
+  .update(`checkin:${sessionId}:${expiresAt}`)
+  .digest('base64url');
+
+/**
+ * Create a signed check-in token for QR codes
+ * It expires together with the current attendance code (plus the grace window).
+ * @param {string} secret - Hex encoded session secret
+ * @param {number} period - Rotation period in seconds
+ * @param {number|string} sessionId - Session ID
+ * @param {number} time - Milliseconds since epoch (defaults to now)
+ * @returns {Object} {token, expiresAt}
+ */
+const createCheckInToken = (secret, period, sessionId, time = Date.now()) => {
+  const expiresAt = (stepAt(period, time) + 1) * period + GRACE_SECONDS;
+  return {
+    token: `${expiresAt}.${signCheckIn(secret, sessionId, expiresAt)}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * Check a signed check-in token
+ * @param {string} secret - Hex encoded session secret
+ * @param {number|string} sessionId - Session ID
+ * @param {string} token - Token from the check-in URL
+ * @param {number} time - Milliseconds since epoch (defaults to now)
+ * @returns {string} 'valid', 'expired' or 'invalid'
+ */
+const verifyCheckInToken = (secret, sessionId, token, time = Date.now()) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  if (!match) return 'invalid';
+
+  const expiresAt = Number(match[1]);
+  if (!codesMatch(signCheckIn(secret, sessionId, expiresAt), match[2])) return 'invalid';
+
+  return time / 1000 < expiresAt ? 'valid' : 'expired';
+};
+
+module.exports = {
+  CODE_DIGITS,
+  DEFAULT_PERIOD_SECONDS,
+  GRACE_SECONDS,
+  MIN_PERIOD_SECONDS,
+  MAX_PERIOD_SECONDS,
+  generateSecret,
+  getCurrentCode,
+  verifyCode,
+  createCheckInToken,
+  verifyCheckInToken
+};
@@ -0,0 +1,31 @@
+/**
+ * Course Archive Utilities
+ * An archived course is frozen by database triggers (migrations 021, 025 and 026):
+ * any change to its sessions, enrollments, waitlist, attendance, assignments or
+ * grades fails with this message, whichever endpoint it comes from.
+ */
+
+const COURSE_ARCHIVED_MESSAGE = 'Course is archived';
+
+/**
+ * Check whether an error was raised for changing an archived course
+ * @param {Error} error - Caught error
+ * @returns {boolean} True if the change touched an archived course
+ */
+const isCourseArchivedError = (error) => Boolean(error) && error.message === COURSE_ARCHIVED_MESSAGE;
+
+/**
+ * Answer a request that would change an archived course
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendCourseArchived = (res) => res.status(409).json({
+  error: 'Course archived',
+  message: 'This course is archived. Its sessions, enrollments, attendance, assignments and grades can no longer be changed'
+});
+
+module.exports = {
+  COURSE_ARCHIVED_MESSAGE,
+  isCourseArchivedError,
+  sendCourseArchived
+};
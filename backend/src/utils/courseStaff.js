@@ -0,0 +1,60 @@
+/**
+ * Course Staff Permissions
+ * What each staff role may do on its course. This is what a permission
+ * granted in the 'own' scope allows on a course (see utils/permissions.js).
+ */
+
+const CourseStaff = require('../models/CourseStaff');
+
+const COURSE_STAFF_ROLES = ['owner', 'co_teacher', 'ta'];
+
+const COURSE_PERMISSIONS = [
+  'course.view', // course details, roster, waitlist, sessions and reports
+  'course.update', // settings and prerequisites
+  'course.archive',
+  'course.staff', // add and remove co-teachers and TAs
+  'enrollment.manage', // enrollment requests, waitlist, removing students
+  'session.create',
+  'session.update',
+  'session.delete',
+  'session.live', // start and end live sessions, show the attendance code
+  'attendance.mark',
+  'assignment.manage', // create, edit and delete assignments
+  'assignment.grade', // view and grade submissions
+  'gradebook.manage' // grade categories, items, scale and scores
+];
+
+const STAFF_ROLE_PERMISSIONS = {
+  owner: COURSE_PERMISSIONS,
+  co_teacher: COURSE_PERMISSIONS.filter(permission => permission !== 'course.staff'),
+  ta: ['course.view', 'session.live', 'attendance.mark', 'assignment.grade']
+};
+
+/**
+ * Check whether a user's staff role on a course grants a permission
+ * @param {number} courseId - Course ID
+ * @param {number} userId - User ID
+ * @param {string} permission - One of COURSE_PERMISSIONS
+ * @returns {Promise<boolean>} True if the user is on the staff with a role granting it
+ */
+const hasStaffPermission = async (courseId, userId, permission) => {
+  const role = await CourseStaff.getRole(courseId, userId);
+  return Boolean(role) && STAFF_ROLE_PERMISSIONS[role].includes(permission);
+};
+
+/**
+ * SQL condition matching the sessions a teacher runs or whose course they staff
+ * @param {string} alias - Alias of the sessions table
+ * @param {string} param - Placeholder of the teacher ID, e.g. '$1'
+ * @returns {string} SQL condition
+ */
+const staffSessionsSql = (alias, param) =>
+  `(${alias}.teacher_id = ${param} OR ${alias}.course_id IN (SELECT course_id FROM course_staff WHERE user_id = ${param}))`;
+
+module.exports = {
+  COURSE_STAFF_ROLES,
+  COURSE_PERMISSIONS,
+  STAFF_ROLE_PERMISSIONS,
+  hasStaffPermission,
+  staffSessionsSql
+};
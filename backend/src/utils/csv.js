@@ -0,0 +1,72 @@
+/**
+ * CSV Utilities
+ * Parses comma separated values as written by spreadsheet programs (RFC 4180):
+ * quoted fields may contain commas, line breaks and doubled quotes.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * A byte order mark is ignored and blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Object} {rows} - arrays of field strings with their 1-based line number
+ *   in `line` - or {error} when a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push(Object.assign(fields, { line: rowLine }));
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: `Unclosed quoted field starting on line ${rowLine}` };
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return { rows };
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,135 @@
+/**
+ * Email Templates
+ * Builds the {subject, text, html} of the emails the platform sends
+ */
+
+const APP_NAME = 'Online Teaching ERP';
+
+/**
+ * Build a link to a page of the frontend
+ * @param {string} path - Path including the query string
+ * @returns {string} Absolute URL
+ */
+const frontendLink = (path) => `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Password reset email
+ * @param {Object} data - {name, resetUrl, expiresInMinutes}
+ * @returns {Object} {subject, text, html}
+ */
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: `Reset your ${APP_NAME} password`,
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open this link to choose a new one:',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not ask for a password reset, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes and can only be used once.
+       If you did not ask for a password reset, you can ignore this email.</p>
+  `
+});
+
+/**
+ * Email address verification email
+ * @param {Object} data - {name, verifyUrl, expiresInHours}
+ * @returns {Object} {subject, text, html}
+ */
+const emailVerificationEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: `Verify your ${APP_NAME} email address`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `Welcome to ${APP_NAME}! Open this link to verify your email address and activate your account:`,
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours.`,
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Welcome to ${APP_NAME}! Verify your email address to activate your account.</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verify my email address</a></p>
+    <p>The link expires in ${expiresInHours} hours.
+       If you did not create an account, you can ignore this email.</p>
+  `
+});
+
+/**
+ * Teacher application decision email
+ * @param {Object} data - {name, approved, reason, loginUrl}
+ * @returns {Object} {subject, text, html}
+ */
+const teacherApplicationEmail = ({ name, approved, reason, loginUrl }) => ({
+  subject: approved
+    ? `Your ${APP_NAME} teacher account was approved`
+    : `Your ${APP_NAME} teacher application`,
+  text: [
+    `Hi ${name},`,
+    '',
+    approved
+      ? 'Your teacher account has been approved. You can now create courses and sessions.'
+      : 'Your application for a teacher account was not approved.',
+    ...(reason ? ['', `Reason: ${reason}`] : []),
+    '',
+    `Sign in: ${loginUrl}`
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${approved
+      ? 'Your teacher account has been approved. You can now create courses and sessions.'
+      : 'Your application for a teacher account was not approved.'}</p>
+    ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ''}
+    <p><a href="${escapeHtml(loginUrl)}">Sign in</a></p>
+  `
+});
+
+/**
+ * Invitation email for an account created by an admin without a password
+ * @param {Object} data - {name, setPasswordUrl, expiresInDays}
+ * @returns {Object} {subject, text, html}
+ */
+const accountInvitationEmail = ({ name, setPasswordUrl, expiresInDays }) => ({
+  subject: `You have been invited to ${APP_NAME}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `An account has been created for you on ${APP_NAME}. Open this link to choose your password:`,
+    setPasswordUrl,
+    '',
+    `The link expires in ${expiresInDays} days. After that, use "Forgot password" on the login page.`
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>An account has been created for you on ${APP_NAME}.</p>
+    <p><a href="${escapeHtml(setPasswordUrl)}">Choose your password</a></p>
+    <p>The link expires in ${expiresInDays} days.
+       After that, use "Forgot password" on the login page.</p>
+  `
+});
+
+module.exports = {
+  frontendLink,
+  passwordResetEmail,
+  accountInvitationEmail,
+  emailVerificationEmail,
+  teacherApplicationEmail
+};
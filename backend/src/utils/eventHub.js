@@ -0,0 +1,118 @@
+/**
+ * Event Hub
+ * Pushes real-time events to clients over Server-Sent Events.
+ * Every client is in a set of rooms; events are published to rooms:
+ * - user:{id}                  events for one user (e.g. notifications)
+ * - admins:{institutionId}     events every admin of an institution sees
+ * - session:{id}               live start/end of a session
+ * - session:{id}:attendance    check-ins of a session (teacher/admin only)
+ * - auth:{id}                  connections opened by one login session
+ */
+
+// Keeps proxies from closing idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const clients = new Set();
+let heartbeat = null;
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - JSON serializable payload
+ */
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    clients.forEach(client => client.res.write(': ping\n\n'));
+  }, HEARTBEAT_INTERVAL_MS);
+  // Don't keep the process alive just for heartbeats
+  heartbeat.unref();
+};
+
+const stopHeartbeat = () => {
+  if (clients.size > 0 || !heartbeat) return;
+  clearInterval(heartbeat);
+  heartbeat = null;
+};
+
+/**
+ * Open an event stream on a response and join rooms
+ * The client is removed again when the connection closes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array} rooms - Room names
+ */
+const subscribe = (req, res, rooms) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { res, rooms: new Set(rooms) };
+  clients.add(client);
+  startHeartbeat();
+
+  send(res, 'ready', { rooms });
+
+  req.on('close', () => {
+    clients.delete(client);
+    stopHeartbeat();
+  });
+};
+
+/**
+ * Publish an event to one or more rooms
+ * A client in several of the rooms receives the event once.
+ * @param {string|Array} rooms - Room name(s)
+ * @param {string} event - Event name
+ * @param {Object} data - JSON serializable payload
+ */
+const publish = (rooms, event, data) => {
+  const targets = Array.isArray(rooms) ? rooms : [rooms];
+  clients.forEach(client => {
+    if (targets.some(room => client.rooms.has(room))) {
+      send(client.res, event, data);
+    }
+  });
+};
+
+/**
+ * Close the streams of every client in one or more rooms
+ * Used when logins are revoked, so their open streams stop receiving events.
+ * @param {string|Array} rooms - Room name(s)
+ */
+const disconnect = (rooms) => {
+  const targets = Array.isArray(rooms) ? rooms : [rooms];
+  clients.forEach(client => {
+    if (targets.some(room => client.rooms.has(room))) {
+      clients.delete(client);
+      client.res.end();
+    }
+  });
+  stopHeartbeat();
+};
+
+/**
+ * Push a newly created notification to its user
+ * @param {Object} notification - Notification row
+ */
+const publishNotification = (notification) => {
+  publish(`user:${notification.user_id}`, 'notification', notification);
+};
+
+module.exports = {
+  subscribe,
+  publish,
+  disconnect,
+  publishNotification
+};
@@ -0,0 +1,59 @@
+/**
+ * File Upload Utilities
+ * Files are sent inside JSON bodies as {name, type, data} with base64 data,
+ * e.g. from FileReader.readAsDataURL, and stored in BYTEA columns.
+ */
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+/**
+ * Decode an optional uploaded file
+ * @param {Object} upload - {name, type, data} with base64 encoded data
+ * @param {Object} options - {label, allowedTypes, typeNames}; label names the
+ *   file in messages, typeNames the allowed types (e.g. 'PDF or PNG')
+ * @returns {Object} {file} ({name, type, data (Buffer)} or null) on success or {error} with a message
+ */
+const decodeUpload = (upload, { label, allowedTypes, typeNames }) => {
+  if (!upload) return { file: null };
+
+  const { name, type, data } = upload;
+  if (!name || !type || !data) {
+    return { error: `${label} must include a name, type and data` };
+  }
+  if (!allowedTypes.includes(type)) {
+    return { error: `${label} must be a ${typeNames} file` };
+  }
+
+  // Accept data URLs as produced by FileReader.readAsDataURL
+  const buffer = Buffer.from(String(data).replace(/^data:[^;]+;base64,/, ''), 'base64');
+  if (buffer.length === 0) {
+    return { error: `${label} is empty` };
+  }
+  if (buffer.length > MAX_FILE_SIZE) {
+    return { error: `${label} must be smaller than ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB` };
+  }
+
+  return { file: { name: String(name).slice(0, 255), type, data: buffer } };
+};
+
+/**
+ * Send a stored file as a download
+ * res.attachment adds a UTF-8 filename* next to an ASCII fallback, so names
+ * outside Latin-1 (CJK, emoji...) still make a valid header.
+ * @param {Object} res - Express response object
+ * @param {Object} file - {name, type, data (Buffer)}
+ */
+const sendFile = (res, { name, type, data }) => {
+  res.attachment(name.replace(/[\u0000-\u001F\u007F]/g, ''));
+  res.set({
+    'Content-Type': type,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(data);
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  decodeUpload,
+  sendFile
+};
@@ -0,0 +1,181 @@
+/**
+ * Gradebook Utilities
+ * Computes students' grades from a course's weighted grade categories.
+ *
+ * A category's percentage is the points earned over the points possible of
+ * its columns (its own items or the course's assignments), or the attendance
+ * rate for an attendance category. The course percentage is the weighted
+ * average of the categories that have something to grade; weights don't need
+ * to add up to 100.
+ *
+ * - The running grade counts what has been graded so far, plus assignments
+ *   that are past due and weren't handed in (as 0).
+ * - The final grade counts every column, with anything not graded as 0.
+ */
+
+const CATEGORY_SOURCES = ['items', 'assignments', 'attendance'];
+
+const MAX_SCALE_STEPS = 20;
+
+const DEFAULT_GRADE_SCALE = [
+  { letter: 'A', min: 93 },
+  { letter: 'A-', min: 90 },
+  { letter: 'B+', min: 87 },
+  { letter: 'B', min: 83 },
+  { letter: 'B-', min: 80 },
+  { letter: 'C+', min: 77 },
+  { letter: 'C', min: 73 },
+  { letter: 'C-', min: 70 },
+  { letter: 'D+', min: 67 },
+  { letter: 'D', min: 63 },
+  { letter: 'D-', min: 60 },
+  { letter: 'F', min: 0 }
+];
+
+/**
+ * Round a percentage to two decimals
+ * @param {number|null} value - Percentage
+ * @returns {number|null} Rounded percentage
+ */
+const roundPercent = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Check a letter-grade scale and sort it from the highest minimum down
+ * @param {Array} scale - [{letter, min}] with min the lowest percentage for the letter
+ * @returns {Object} {scale} sorted, or {error} with a message
+ */
+const normalizeGradeScale = (scale) => {
+  if (!Array.isArray(scale) || scale.length === 0 || scale.length > MAX_SCALE_STEPS) {
+    return { error: `A grade scale needs between 1 and ${MAX_SCALE_STEPS} letters` };
+  }
+
+  const steps = [];
+  for (const step of scale) {
+    const letter = typeof step?.letter === 'string' ? step.letter.trim() : '';
+    const min = Number(step?.min);
+    if (!letter || letter.length > 5) {
+      return { error: 'Each letter must be 1 to 5 characters' };
+    }
+    if (step.min === null || step.min === '' || !Number.isFinite(min) || min < 0 || min > 100) {
+      return { error: `The minimum for ${letter} must be a percentage between 0 and 100` };
+    }
+    steps.push({ letter, min });
+  }
+
+  if (new Set(steps.map(s => s.letter)).size !== steps.length) {
+    return { error: 'Each letter can appear only once' };
+  }
+  if (new Set(steps.map(s => s.min)).size !== steps.length) {
+    return { error: 'Each letter needs a different minimum' };
+  }
+  if (!steps.some(s => s.min === 0)) {
+    return { error: 'The lowest letter must start at 0%' };
+  }
+
+  return { scale: steps.sort((a, b) => b.min - a.min) };
+};
+
+/**
+ * Get the letter of a percentage
+ * @param {number|null} percent - Percentage
+ * @param {Array} scale - Scale sorted from the highest minimum down
+ * @returns {string|null} Letter, or null without a percentage
+ */
+const getLetterGrade = (percent, scale) => {
+  if (percent === null) return null;
+  const step = scale.find(s => percent >= s.min);
+  return step ? step.letter : null;
+};
+
+/**
+ * Weighted average of category percentages
+ * @param {Array} parts - [{weight, percent}]; parts without a percentage are left out
+ * @returns {number|null} Percentage, or null if no part has one
+ */
+const weightedAverage = (parts) => {
+  const counted = parts.filter(p => p.percent !== null);
+  const totalWeight = counted.reduce((sum, p) => sum + p.weight, 0);
+  if (totalWeight === 0) return null;
+  return counted.reduce((sum, p) => sum + p.weight * p.percent, 0) / totalWeight;
+};
+
+/**
+ * Compute a student's grades
+ * @param {Object} student - {scores: {columnKey: score}, submitted: [columnKey],
+ *   attendance: {attended, counted}}
+ * @param {Array} categories - Categories with their weight and source
+ * @param {Array} columns - Gradebook columns {key, category_id, type, points, due_at}
+ * @param {Date} now - Current time, to tell which assignments are past due
+ * @returns {Object} {categories: {categoryId: {running, final}}, running_percent,
+ *   final_percent} with percentages rounded to two decimals (null when nothing is graded)
+ */
+const computeStudentGrades = (student, categories, columns, now) => {
+  const submitted = new Set(student.submitted);
+  const categoryGrades = {};
+
+  for (const category of categories) {
+    let running = null;
+    let final = null;
+
+    if (category.source === 'attendance') {
+      const { attended, counted } = student.attendance;
+      running = final = counted > 0 ? (attended * 100) / counted : null;
+    } else {
+      let earned = 0;
+      let possibleSoFar = 0;
+      let possible = 0;
+
+      for (const column of columns.filter(c => c.category_id === category.id)) {
+        const score = student.scores[column.key];
+        possible += column.points;
+        if (score !== undefined && score !== null) {
+          earned += score;
+          possibleSoFar += column.points;
+        } else if (column.type === 'assignment' && !submitted.has(column.key) && new Date(column.due_at) < now) {
+          possibleSoFar += column.points;
+        }
+      }
+
+      running = possibleSoFar > 0 ? (earned * 100) / possibleSoFar : null;
+      final = possible > 0 ? (earned * 100) / possible : null;
+    }
+
+    categoryGrades[category.id] = { running: roundPercent(running), final: roundPercent(final) };
+  }
+
+  const parts = (key) => categories.map(category => ({
+    weight: Number(category.weight),
+    percent: categoryGrades[category.id][key]
+  }));
+
+  return {
+    categories: categoryGrades,
+    running_percent: roundPercent(weightedAverage(parts('running'))),
+    final_percent: roundPercent(weightedAverage(parts('final')))
+  };
+};
+
+/**
+ * Add the computed grades and letters to every student of a gradebook
+ * @param {Object} gradebook - {categories, columns, students} as loaded by Gradebook.load
+ * @param {Array} scale - Scale sorted from the highest minimum down
+ * @param {Date} now - Current time
+ * @returns {Array} Students with their grades, running_letter and final_letter
+ */
+const computeGradebook = ({ categories, columns, students }, scale, now = new Date()) => students.map(student => {
+  const grades = computeStudentGrades(student, categories, columns, now);
+  return {
+    ...student,
+    ...grades,
+    running_letter: getLetterGrade(grades.running_percent, scale),
+    final_letter: getLetterGrade(grades.final_percent, scale)
+  };
+});
+
+module.exports = {
+  CATEGORY_SOURCES,
+  DEFAULT_GRADE_SCALE,
+  normalizeGradeScale,
+  getLetterGrade,
+  computeGradebook
+};
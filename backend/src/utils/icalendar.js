@@ -0,0 +1,124 @@
+/**
+ * iCalendar Utilities
+ * Serializes sessions as an RFC 5545 VCALENDAR for calendar subscriptions
+ */
+
+// Sessions have no end time, so events get a fixed length
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+const PRODUCT_ID = '-//Online Teaching ERP//Sessions//EN';
+const UID_DOMAIN = 'online-teaching-erp';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20261018T143000Z
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT for a session
+ * @param {Object} session - Session row
+ * @returns {Array} Content lines
+ */
+const buildEvent = (session) => {
+  const start = new Date(session.date_time);
+  const end = new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+  const isCancelled = session.status === 'cancelled';
+
+  const descriptionParts = [session.description];
+  if (session.course_title) descriptionParts.push(`Course: ${session.course_title}`);
+  if (session.teacher_name) descriptionParts.push(`Teacher: ${session.teacher_name}`);
+  if (session.meeting_link) descriptionParts.push(`Join: ${session.meeting_link}`);
+  if (isCancelled) descriptionParts.unshift('This session has been cancelled.');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(session.updated_at || session.created_at || new Date())}`,
+    `LAST-MODIFIED:${formatDateTime(session.updated_at || session.created_at || new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(isCancelled ? `Cancelled: ${session.title}` : session.title)}`,
+    `DESCRIPTION:${escapeText(descriptionParts.join('\n\n'))}`,
+    `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (session.meeting_link) {
+    lines.push(`LOCATION:${escapeText(session.meeting_link)}`);
+    // URI values aren't escaped; a line break would start a new property
+    lines.push(`URL:${session.meeting_link.replace(/[\r\n]/g, '')}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document from sessions
+ * @param {string} calendarName - Display name of the calendar
+ * @param {Array} sessions - Session rows
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (calendarName, sessions) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    // Ask subscribing clients to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...sessions.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,77 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Institution Context
+ * Every request runs on behalf of one institution (tenant). The database
+ * layer hands the current institution to PostgreSQL with each query, and
+ * row-level security policies hide and refuse the rows of every other
+ * institution (see migration 024).
+ */
+
+// The institution existing data was moved into, used when no other is asked for
+const DEFAULT_INSTITUTION_ID = 1;
+
+// Lowercase, used as a subdomain
+const INSTITUTION_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,48}[a-z0-9]$/;
+
+// Subdomains of the deployment itself rather than of an institution
+const RESERVED_SLUGS = ['www', 'api', 'app', 'admin', 'mail'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback, and everything it awaits, on behalf of an institution
+ * @param {number} institutionId - Institution ID
+ * @param {Function} callback - Callback
+ * @returns {*} Callback result
+ */
+const runWithInstitution = (institutionId, callback) =>
+  storage.run({ institutionId, allInstitutions: false }, callback);
+
+/**
+ * Run a callback with access to the rows of every institution
+ * For migrations, the super-admin's institution list and lookups by
+ * unguessable token, never for ordinary requests. Rows can't be inserted
+ * in this mode unless their institution_id is given.
+ * @param {Function} callback - Callback
+ * @returns {*} Callback result
+ */
+const runForAllInstitutions = (callback) =>
+  storage.run({ institutionId: null, allInstitutions: true }, callback);
+
+/**
+ * Switch the current request to another institution, e.g. to the one named
+ * by the access token once it has been verified
+ * @param {number} institutionId - Institution ID
+ */
+const setInstitution = (institutionId) => {
+  const context = storage.getStore();
+  if (!context) {
+    throw new Error('No institution context; wrap the call in runWithInstitution');
+  }
+  context.institutionId = institutionId;
+  context.allInstitutions = false;
+};
+
+/**
+ * Get the current institution context
+ * @returns {Object|null} {institutionId, allInstitutions} or null outside of any
+ */
+const getInstitutionContext = () => storage.getStore() || null;
+
+/**
+ * Get the current institution ID
+ * @returns {number|null} Institution ID or null if none
+ */
+const getInstitutionId = () => storage.getStore()?.institutionId ?? null;
+
+module.exports = {
+  DEFAULT_INSTITUTION_ID,
+  INSTITUTION_SLUG_PATTERN,
+  RESERVED_SLUGS,
+  runWithInstitution,
+  runForAllInstitutions,
+  setInstitution,
+  getInstitutionContext,
+  getInstitutionId
+};
@@ -0,0 +1,109 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Mailer
+ * Sends email through a pluggable transport. A transport is any object with
+ * `send(message)` returning a promise; MAIL_TRANSPORT picks a built-in one:
+ * - console   logs messages (default, for local development)
+ * - file      writes each message as JSON to MAIL_FILE_DIR
+ * - smtp      delivers through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ */
+
+const DEFAULT_FROM = 'Online Teaching ERP <no-reply@localhost>';
+
+/**
+ * Transport that prints messages to the console
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+/**
+ * Transport that writes messages to a directory, one JSON file each
+ * @param {string} directory - Output directory
+ * @returns {Object} Transport
+ */
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+/**
+ * Transport that delivers through an SMTP server
+ * @param {Object} options - {host, port, secure, user, pass}
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * Build the transport configured by the environment
+ * @returns {Object} Transport
+ */
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail'));
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+/**
+ * Replace the transport, e.g. with another provider's adapter
+ * @param {Object} customTransport - Object with send(message)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - {to, subject, text, html}
+ * @returns {Promise} Resolves when the transport accepted the message
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport
+};
@@ -0,0 +1,264 @@
+/**
+ * Permission Registry
+ * Every action the API guards is a named permission. A role grants a set of
+ * them (stored in role_permissions), each in one scope:
+ * - all: everywhere
+ * - department: on the courses, and their sessions, of the user's department
+ * - own: on what the user owns; for a course, what their course staff role
+ *   allows (see utils/courseStaff.js)
+ * Permissions that don't concern a course can only be granted everywhere.
+ * Admins always have every permission everywhere.
+ */
+
+const Role = require('../models/Role');
+const Course = require('../models/Course');
+const { hasStaffPermission } = require('./courseStaff');
+
+const ALL_SCOPES = ['all', 'department', 'own'];
+
+// Lowercase, starts with a letter, fits roles.name
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,19}$/;
+
+const PERMISSIONS = {
+  'users.view': { description: 'List user accounts and their statistics', scopes: ['all'] },
+  'users.create': { description: 'Create and import user accounts', scopes: ['all'] },
+  'users.update': { description: 'Edit accounts, review teacher applications and reset two-factor authentication', scopes: ['all'] },
+  'users.delete': { description: 'Delete user accounts', scopes: ['all'] },
+  'students.view': { description: 'List students, e.g. to take attendance', scopes: ['all'] },
+  'roles.manage': { description: 'Edit roles and departments', scopes: ['all'] },
+  'settings.manage': { description: 'Change the security settings', scopes: ['all'] },
+  'terms.manage': { description: 'Manage academic terms', scopes: ['all'] },
+  'reports.view': { description: 'Institution-wide attendance statistics and any teacher\'s or student\'s report', scopes: ['all'] },
+  'course.create': { description: 'Create courses', scopes: ['all'] },
+  'course.view': { description: 'View courses with their roster, waitlist, sessions and attendance', scopes: ALL_SCOPES },
+  'course.update': { description: 'Change course settings, term and prerequisites', scopes: ALL_SCOPES },
+  'course.archive': { description: 'Archive courses whose term has ended', scopes: ALL_SCOPES },
+  'course.unarchive': { description: 'Take courses out of the archive', scopes: ['all', 'department'] },
+  'course.delete': { description: 'Delete courses without enrollments', scopes: ['all', 'department'] },
+  'course.staff': { description: 'Add and remove co-teachers and teaching assistants', scopes: ALL_SCOPES },
+  'course.enroll': { description: 'Enroll in courses, join waitlists, drop and withdraw', scopes: ['all'] },
+  'enrollment.manage': { description: 'Review enrollment requests, manage waitlists and remove students', scopes: ALL_SCOPES },
+  'session.create': { description: 'Schedule sessions', scopes: ALL_SCOPES },
+  'session.update': { description: 'Edit sessions and recurring series', scopes: ALL_SCOPES },
+  'session.delete': { description: 'Delete, skip and cancel sessions', scopes: ALL_SCOPES },
+  'session.live': { description: 'Start and end live sessions and show their attendance code', scopes: ALL_SCOPES },
+  'session.join': { description: 'Join sessions and check in to them', scopes: ['all'] },
+  'attendance.mark': { description: 'Take attendance and correct attendance records', scopes: ALL_SCOPES },
+  'absence.request': { description: 'Submit absence requests', scopes: ['all'] },
+  'absence.review': { description: 'Review absence requests', scopes: ALL_SCOPES },
+  'assignment.manage': { description: 'Create, edit and delete assignments', scopes: ALL_SCOPES },
+  'assignment.grade': { description: 'View and grade assignment submissions', scopes: ALL_SCOPES },
+  'assignment.submit': { description: 'Hand in assignments', scopes: ['all'] },
+  'gradebook.manage': { description: 'Set up grade categories, items and scales, and enter scores', scopes: ALL_SCOPES }
+};
+
+// The roles every new institution starts with; admins edit them afterwards
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to everything',
+    permissions: {}
+  },
+  teacher: {
+    description: 'Teaches the courses they are on the staff of',
+    permissions: {
+      'students.view': 'all',
+      'course.create': 'all',
+      'course.view': 'own',
+      'course.update': 'own',
+      'course.archive': 'own',
+      'course.staff': 'own',
+      'enrollment.manage': 'own',
+      'session.create': 'own',
+      'session.update': 'own',
+      'session.delete': 'own',
+      'session.live': 'own',
+      'attendance.mark': 'own',
+      'absence.review': 'own',
+      'assignment.manage': 'own',
+      'assignment.grade': 'own',
+      'gradebook.manage': 'own'
+    }
+  },
+  student: {
+    description: 'Enrolls in courses and attends their sessions',
+    permissions: {
+      'course.enroll': 'all',
+      'session.join': 'all',
+      'absence.request': 'all',
+      'assignment.submit': 'all'
+    }
+  },
+  department_admin: {
+    description: 'Manages the courses of their own department',
+    permissions: {
+      'students.view': 'all',
+      'course.view': 'department',
+      'course.update': 'department',
+      'course.archive': 'department',
+      'course.unarchive': 'department',
+      'course.delete': 'department',
+      'course.staff': 'department',
+      'enrollment.manage': 'department',
+      'session.create': 'department',
+      'session.update': 'department',
+      'session.delete': 'department',
+      'session.live': 'department',
+      'attendance.mark': 'department',
+      'absence.review': 'department',
+      'assignment.manage': 'department',
+      'assignment.grade': 'department',
+      'gradebook.manage': 'department'
+    }
+  },
+  auditor: {
+    description: 'Read-only access to users, courses and reports',
+    permissions: {
+      'users.view': 'all',
+      'students.view': 'all',
+      'course.view': 'all',
+      'reports.view': 'all'
+    }
+  }
+};
+
+/**
+ * Check whether a permission exists and can be granted in a scope
+ * @param {string} permission - Permission name
+ * @param {string} scope - 'all', 'department' or 'own'
+ * @returns {boolean} True if the grant is valid
+ */
+const isValidGrant = (permission, scope) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission) && PERMISSIONS[permission].scopes.includes(scope);
+
+/**
+ * Get the permissions a role grants
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} Scope by permission name
+ */
+const getRolePermissions = async (role) => {
+  if (role === 'admin') {
+    return Object.fromEntries(Object.keys(PERMISSIONS).map(permission => [permission, 'all']));
+  }
+  return Role.getGrants(role);
+};
+
+/**
+ * Get the scope in which a user holds a permission
+ * Accounts awaiting approval or rejected, and users who still have to set up
+ * two-factor authentication, hold none, so the routes checking permissions
+ * inline are restricted like requirePermission's.
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @returns {Promise<string|null>} 'all', 'department', 'own' or null if not granted
+ */
+const getPermissionScope = async (user, permission) => {
+  if (user.approvalStatus && user.approvalStatus !== 'approved') return null;
+  if (user.twoFactorSetupRequired) return null;
+
+  const grants = await getRolePermissions(user.role);
+  return grants[permission] || null;
+};
+
+/**
+ * Check whether a user may grant a set of permissions
+ * Admins grant anything. Anyone else only grants what they hold themselves,
+ * in at least as wide a scope, so managing users and roles never hands out
+ * more than the manager already has.
+ * @param {Object} user - req.user
+ * @param {Object} grants - Scope by permission name
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canGrant = async (user, grants) => {
+  if (user.role === 'admin') return true;
+
+  const own = await getRolePermissions(user.role);
+  return Object.entries(grants).every(([permission, scope]) => (
+    own[permission] && ALL_SCOPES.indexOf(own[permission]) <= ALL_SCOPES.indexOf(scope)
+  ));
+};
+
+/**
+ * Check whether a user may give a role to an account, or manage an account
+ * that has it: only admins give the admin role, anyone else needs to be
+ * able to grant every permission of the role
+ * @param {Object} user - req.user
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canAssignRole = async (user, role) => {
+  if (user.role === 'admin') return true;
+  if (role === 'admin') return false;
+  return canGrant(user, await getRolePermissions(role));
+};
+
+/**
+ * Check whether a resource lies in a permission's scope for a user
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {string} scope - Scope the user holds the permission in
+ * @param {Object} resource - {courseId, departmentId, ownerId}; departmentId is
+ *   looked up from the course when left undefined
+ * @returns {Promise<boolean>} True if in scope
+ */
+const isInScope = async (user, permission, scope, resource) => {
+  if (scope === 'all') return true;
+
+  if (scope === 'department') {
+    if (!user.departmentId) return false;
+    const departmentId = resource.departmentId !== undefined
+      ? resource.departmentId
+      : resource.courseId && await Course.getDepartmentId(resource.courseId);
+    return departmentId === user.departmentId;
+  }
+
+  if (resource.courseId) return hasStaffPermission(resource.courseId, user.userId, permission);
+  return resource.ownerId !== undefined && resource.ownerId === user.userId;
+};
+
+/**
+ * Check whether a user may do something on a resource
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {Object} resource - {courseId, departmentId, ownerId}
+ * @returns {Promise<boolean>} True if allowed
+ */
+const can = async (user, permission, resource) => {
+  const scope = await getPermissionScope(user, permission);
+  return Boolean(scope) && isInScope(user, permission, scope, resource);
+};
+
+/**
+ * Check whether a user may do something on a course
+ * @param {Object} user - req.user
+ * @param {number} courseId - Course ID
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} True if allowed
+ */
+const hasCoursePermission = (user, courseId, permission) => can(user, permission, { courseId });
+
+/**
+ * Check whether a user may do something on a session
+ * Sessions of a course follow the course; a session without a course
+ * belongs to its teacher alone.
+ * @param {Object} user - req.user
+ * @param {Object} session - Session object with teacher_id and course_id
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} True if allowed
+ */
+const hasSessionPermission = (user, session, permission) =>
+  can(user, permission, { courseId: session.course_id, ownerId: session.teacher_id });
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  ROLE_NAME_PATTERN,
+  isValidGrant,
+  getRolePermissions,
+  getPermissionScope,
+  canGrant,
+  canAssignRole,
+  isInScope,
+  can,
+  hasCoursePermission,
+  hasSessionPermission
+};
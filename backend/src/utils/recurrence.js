@@ -0,0 +1,281 @@
+/**
+ * Recurrence Utilities
+ * Builds, parses and expands the RRULE subset used by session series:
+ * FREQ=WEEKLY with INTERVAL, BYDAY and either UNTIL (a local date) or COUNT.
+ * Occurrences are generated in local wall-clock time for the series'
+ * IANA timezone so a 10:00 class stays at 10:00 across DST changes.
+ */
+
+// RRULE weekday codes in ISO order (Monday first, matching WKST=MO)
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Hard cap on generated occurrences so a typo can't create thousands of sessions
+const MAX_OCCURRENCES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_TIME_PATTERN = /^(\d{2}):(\d{2})(?::\d{2})?$/;
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone - Timezone name (e.g. Europe/London)
+ * @returns {boolean} True if timezone is supported
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Convert a YYYY-MM-DD string to a day number (days since epoch)
+ * @param {string} localDate - Date string
+ * @returns {number|null} Day number or null if invalid
+ */
+const toDayNumber = (localDate) => {
+  const match = LOCAL_DATE_PATTERN.exec(localDate || '');
+  if (!match) return null;
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  const ms = Date.UTC(year, month - 1, day);
+  const check = new Date(ms);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return ms / DAY_MS;
+};
+
+/**
+ * Convert a day number back to YYYY-MM-DD
+ * @param {number} dayNumber - Days since epoch
+ * @returns {string} Date string
+ */
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Add days to a YYYY-MM-DD string
+ * @param {string} localDate - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date string
+ */
+const addDays = (localDate, days) => fromDayNumber(toDayNumber(localDate) + days);
+
+/**
+ * Get the RRULE weekday code for a YYYY-MM-DD string
+ * @param {string} localDate - Date string
+ * @returns {string} Weekday code (MO..SU)
+ */
+const weekdayOf = (localDate) => {
+  // Day 0 (1970-01-01) was a Thursday
+  return WEEKDAYS[(toDayNumber(localDate) + 3) % 7];
+};
+
+/**
+ * Split a local date-time string (YYYY-MM-DDTHH:mm) into date and time
+ * @param {string} localDateTime - Local date-time as sent by datetime-local inputs
+ * @returns {Object|null} {date, time} or null if invalid
+ */
+const splitLocalDateTime = (localDateTime) => {
+  if (typeof localDateTime !== 'string') return null;
+  const [date, time] = localDateTime.split('T');
+  if (toDayNumber(date) === null || !time) return null;
+
+  const timeMatch = LOCAL_TIME_PATTERN.exec(time);
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) return null;
+
+  return { date, time: `${timeMatch[1]}:${timeMatch[2]}` };
+};
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (local - UTC)
+ */
+const getTimeZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(({ type, value }) => { values[type] = Number(value); });
+
+  const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a local wall-clock time in a timezone to an absolute Date
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {string} localTime - HH:mm
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Absolute instant
+ */
+const zonedTimeToDate = (localDate, localTime, timeZone) => {
+  const [hours, minutes] = localTime.split(':').map(Number);
+  const wallClock = toDayNumber(localDate) * DAY_MS + (hours * 60 + minutes) * 60 * 1000;
+
+  // Two passes settle the offset when the first guess lands across a DST change
+  const firstOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const secondOffset = getTimeZoneOffset(new Date(wallClock - firstOffset), timeZone);
+  return new Date(wallClock - secondOffset);
+};
+
+/**
+ * Build an RRULE string from a recurrence object
+ * @param {Object} recurrence - {weekdays, interval, until, count}
+ * @returns {string} RRULE string, e.g. FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;UNTIL=20261218
+ */
+const buildRRule = ({ weekdays, interval = 1, until, count }) => {
+  const byDay = WEEKDAYS.filter(day => weekdays.includes(day));
+  const parts = ['FREQ=WEEKLY', `INTERVAL=${interval}`, `BYDAY=${byDay.join(',')}`];
+
+  if (until) {
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  } else if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Parse an RRULE string produced by buildRRule
+ * @param {string} rrule - RRULE string
+ * @returns {Object} {weekdays, interval, until, count}
+ */
+const parseRRule = (rrule) => {
+  const fields = {};
+  rrule.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    fields[key] = value;
+  });
+
+  if (fields.FREQ !== 'WEEKLY') {
+    throw new Error(`Unsupported recurrence frequency: ${fields.FREQ}`);
+  }
+
+  const until = fields.UNTIL
+    ? `${fields.UNTIL.slice(0, 4)}-${fields.UNTIL.slice(4, 6)}-${fields.UNTIL.slice(6, 8)}`
+    : null;
+
+  return {
+    weekdays: fields.BYDAY ? fields.BYDAY.split(',') : [],
+    interval: fields.INTERVAL ? parseInt(fields.INTERVAL, 10) : 1,
+    until,
+    count: fields.COUNT ? parseInt(fields.COUNT, 10) : null
+  };
+};
+
+/**
+ * Validate a recurrence object from a request body
+ * @param {Object} recurrence - {weekdays, interval, until, count}
+ * @param {string} startDate - Local start date (YYYY-MM-DD)
+ * @returns {Array} Array of error messages
+ */
+const validateRecurrence = (recurrence, startDate) => {
+  const errors = [];
+
+  if (!recurrence || typeof recurrence !== 'object') {
+    return ['Recurrence is required'];
+  }
+
+  const { weekdays, interval = 1, until, count } = recurrence;
+
+  if (!Array.isArray(weekdays) || weekdays.length === 0) {
+    errors.push('Select at least one weekday');
+  } else if (!weekdays.every(day => WEEKDAYS.includes(day))) {
+    errors.push(`Weekdays must be any of: ${WEEKDAYS.join(', ')}`);
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+    errors.push('Interval must be a whole number of weeks between 1 and 4');
+  }
+
+  if (until && count) {
+    errors.push('Provide either an end date or a number of occurrences, not both');
+  } else if (!until && !count) {
+    errors.push('Provide an end date or a number of occurrences');
+  } else if (until) {
+    if (toDayNumber(until) === null) {
+      errors.push('End date must be a valid date (YYYY-MM-DD)');
+    } else if (startDate && toDayNumber(until) < toDayNumber(startDate)) {
+      errors.push('End date must be on or after the first session');
+    }
+  } else if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+    errors.push(`Number of occurrences must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Expand a weekly recurrence into its occurrences
+ * Occurrences before the start date are never produced; the start date itself
+ * is only an occurrence when its weekday is in BYDAY.
+ * @param {Object} options - {startDate, startTime, timeZone, rrule}
+ * @returns {Array} Array of {occurrenceDate, dateTime}
+ */
+const expandOccurrences = ({ startDate, startTime, timeZone, rrule }) => {
+  const { weekdays, interval, until, count } = parseRRule(rrule);
+  const startDay = toDayNumber(startDate);
+  const untilDay = until ? toDayNumber(until) : null;
+  const weekdayOffsets = WEEKDAYS
+    .map((day, index) => (weekdays.includes(day) ? index : null))
+    .filter(index => index !== null);
+
+  if (weekdayOffsets.length === 0) {
+    return [];
+  }
+
+  // Monday of the week containing the start date
+  const firstWeekStart = startDay - ((startDay + 3) % 7);
+  const occurrences = [];
+
+  for (let week = 0; ; week++) {
+    const weekStart = firstWeekStart + week * 7 * interval;
+
+    for (const offset of weekdayOffsets) {
+      const day = weekStart + offset;
+      if (day < startDay) continue;
+      if (untilDay !== null && day > untilDay) return occurrences;
+
+      const occurrenceDate = fromDayNumber(day);
+      occurrences.push({
+        occurrenceDate,
+        dateTime: zonedTimeToDate(occurrenceDate, startTime, timeZone)
+      });
+
+      if (count && occurrences.length >= count) return occurrences;
+      if (occurrences.length > MAX_OCCURRENCES) {
+        throw new Error(`A series cannot have more than ${MAX_OCCURRENCES} sessions`);
+      }
+    }
+  }
+};
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  isValidTimeZone,
+  toDayNumber,
+  addDays,
+  weekdayOf,
+  splitLocalDateTime,
+  zonedTimeToDate,
+  buildRRule,
+  parseRRule,
+  validateRecurrence,
+  expandOccurrences
+};
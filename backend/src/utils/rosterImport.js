@@ -0,0 +1,99 @@
+const { parseCsv } = require('./csv');
+const { isValidEmail, validatePassword } = require('../middleware/validation');
+
+/**
+ * Roster Import Utilities
+ * Reads the CSV file of a bulk user import. Columns (header row required,
+ * any order, case-insensitive):
+ *   name, email         required
+ *   role                student (default) or teacher
+ *   password            optional; without one the user is invited by email
+ *   course_codes        optional; course codes separated by ';' (students only)
+ */
+
+// Upper bound for the rows of one import
+const MAX_ROSTER_ROWS = 2000;
+
+const ROSTER_ROLES = ['student', 'teacher'];
+
+// Accepted header spellings per column
+const COLUMN_ALIASES = {
+  name: ['name', 'full_name', 'full name'],
+  email: ['email', 'e-mail', 'email address'],
+  role: ['role'],
+  password: ['password'],
+  courseCodes: ['course_codes', 'course codes', 'courses']
+};
+
+/**
+ * Parse and check the rows of a roster CSV
+ * Only checks each row on its own (and duplicate emails within the file);
+ * existing accounts and courses are checked against the database later.
+ * @param {string} text - CSV text
+ * @returns {Object} {rows} with {row, name, email, role, password, courseCodes, errors}
+ *   per data row, or {error} if the file can't be read as a roster
+ */
+const parseRoster = (text) => {
+  const { rows, error } = parseCsv(text);
+  if (error) return { error };
+  if (rows.length < 2) return { error: 'The file needs a header row and at least one user' };
+  if (rows.length - 1 > MAX_ROSTER_ROWS) {
+    return { error: `A file can contain at most ${MAX_ROSTER_ROWS} users; split it into several imports` };
+  }
+
+  const header = rows[0].map(column => column.trim().toLowerCase());
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const index = header.findIndex(column => aliases.includes(column));
+    if (index !== -1) columns[key] = index;
+  });
+
+  if (columns.name === undefined || columns.email === undefined) {
+    return { error: 'The header row must contain the columns name and email' };
+  }
+
+  const value = (fields, key) => (columns[key] === undefined ? '' : (fields[columns[key]] || '').trim());
+  const seenEmails = new Map();
+
+  const roster = rows.slice(1).map((fields) => {
+    const errors = [];
+    const name = value(fields, 'name');
+    const email = value(fields, 'email').toLowerCase();
+    const role = value(fields, 'role').toLowerCase() || 'student';
+    const password = value(fields, 'password');
+    const courseCodes = [...new Set(value(fields, 'courseCodes').split(';').map(code => code.trim()).filter(Boolean))];
+
+    if (name.length < 2 || name.length > 100) {
+      errors.push('Name must be between 2 and 100 characters');
+    }
+
+    if (!isValidEmail(email)) {
+      errors.push('Email address is not valid');
+    } else if (seenEmails.has(email)) {
+      errors.push(`Email address is already used on line ${seenEmails.get(email)}`);
+    } else {
+      seenEmails.set(email, fields.line);
+    }
+
+    if (!ROSTER_ROLES.includes(role)) {
+      errors.push(`Role must be one of: ${ROSTER_ROLES.join(', ')}`);
+    }
+
+    if (password) {
+      errors.push(...validatePassword(password).errors);
+    }
+
+    if (courseCodes.length > 0 && role !== 'student') {
+      errors.push('Only students can be enrolled in courses');
+    }
+
+    return { row: fields.line, name, email, role, password, courseCodes, errors };
+  });
+
+  return { rows: roster };
+};
+
+module.exports = {
+  MAX_ROSTER_ROWS,
+  parseRoster
+};
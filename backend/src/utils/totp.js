@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Utilities
+ * Authenticator app codes for two-factor authentication (RFC 6238: SHA-1,
+ * 6 digits, 30 second steps), encryption of the shared secrets at rest and
+ * recovery code generation
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CODE_DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const ISSUER = 'Online Teaching ERP';
+
+// Steps before and after the current one that are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), as authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} value - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (value) => {
+  const clean = String(value).toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero padded numeric code
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Get the time step of a moment
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+const stepAt = (time) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Check a code from an authenticator app
+ * Each step can be used once: pass the last accepted step so a code that
+ * was already used (e.g. seen over someone's shoulder) is rejected.
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Submitted code
+ * @param {number|null} lastUsedStep - Step of the last accepted code
+ * @param {number} time - Milliseconds since epoch (defaults to now)
+ * @returns {number|null} The matching step, or null if the code is invalid or reused
+ */
+const verifyCode = (secret, code, lastUsedStep = null, time = Date.now()) => {
+  const submitted = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(submitted)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} Provisioning URI
+ */
+const provisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Derive the key that encrypts secrets at rest
+ * Falls back to JWT_SECRET, so set TWO_FACTOR_ENCRYPTION_KEY before rotating it.
+ * @returns {Buffer} 256-bit key
+ */
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 encoded secret
+ * @returns {string} iv.tag.ciphertext, base64url encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} payload - Output of encryptSecret
+ * @returns {string} Base32 encoded secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate single-use recovery codes, e.g. 3f9a-21c0
+ * @param {number} count - Number of codes
+ * @returns {Array} Array of codes
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code with a single dash
+ */
+const normalizeRecoveryCode = (code) => {
+  const hex = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return hex.length === 8 ? `${hex.slice(0, 4)}-${hex.slice(4)}` : '';
+};
+
+module.exports = {
+  CODE_DIGITS,
+  PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -1,10 +1,12 @@
 import React, { useEffect } from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 
 // Import pages
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import AdminDashboard from './pages/AdminDashboard';
 import TeacherDashboard from './pages/TeacherDashboard';
 import StudentDashboard from './pages/StudentDashboard';
@@ -18,6 +20,7 @@ import SessionJoin from './components/SessionJoin';
 
 // Import Redux actions
 import { checkAuth } from './store/slices/authSlice';
+import { getDashboardRoute } from './utils/permissions';
 
 /**
  * Main Application Component
@@ -26,6 +29,7 @@ import { checkAuth } from './store/slices/authSlice';
 function App() {
   const dispatch = useDispatch();
   const { user, isLoading, isAuthenticated } = useSelector((state) => state.auth);
+  const location = useLocation();
 
   useEffect(() => {
     // Check if user is already authenticated on app load
@@ -45,7 +49,8 @@ function App() {
           path="/login"
           element={
             isAuthenticated ? (
-              <Navigate to={getDashboardRoute(user?.role)} replace />
+              // Back to the page that sent the user here, with its query string, or to their dashboard
+              <Navigate to={location.state?.from || getDashboardRoute(user?.role)} replace />
             ) : (
               <LoginPage />
             )
@@ -61,6 +66,8 @@ function App() {
             )
           }
         />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
 
         {/* Session Join Route (Protected but accessible to all authenticated users) */}
         <Route
@@ -76,7 +83,7 @@ function App() {
         <Route
           path="/profile"
           element={
-            <ProtectedRoute allowedRoles={['admin', 'teacher', 'student']}>
+            <ProtectedRoute allowRestricted>
               <ProfilePage />
             </ProtectedRoute>
           }
@@ -84,7 +91,7 @@ function App() {
         <Route
           path="/settings"
           element={
-            <ProtectedRoute allowedRoles={['admin', 'teacher', 'student']}>
+            <ProtectedRoute allowRestricted>
               <SettingsPage />
             </ProtectedRoute>
           }
@@ -94,7 +101,7 @@ function App() {
         <Route
           path="/admin/*"
           element={
-            <ProtectedRoute allowedRoles={['admin']}>
+            <ProtectedRoute dashboard="/admin">
               <AdminDashboard />
             </ProtectedRoute>
           }
@@ -102,7 +109,7 @@ function App() {
         <Route
           path="/teacher/*"
           element={
-            <ProtectedRoute allowedRoles={['teacher']}>
+            <ProtectedRoute dashboard="/teacher">
               <TeacherDashboard />
             </ProtectedRoute>
           }
@@ -110,7 +117,7 @@ function App() {
         <Route
           path="/student/*"
           element={
-            <ProtectedRoute allowedRoles={['student']}>
+            <ProtectedRoute dashboard="/student">
               <StudentDashboard />
             </ProtectedRoute>
           }
@@ -152,22 +159,4 @@ function App() {
   );
 }
 
-/**
- * Get dashboard route based on user role
- * @param {string} role - User role
- * @returns {string} Dashboard route
- */
-const getDashboardRoute = (role) => {
-  switch (role) {
-    case 'admin':
-      return '/admin';
-    case 'teacher':
-      return '/teacher';
-    case 'student':
-      return '/student';
-    default:
-      return '/login';
-  }
-};
-
 export default App;
\ No newline at end of file
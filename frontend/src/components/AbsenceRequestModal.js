@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert } from 'react-bootstrap';
+import absenceRequestService from '../services/absenceRequestService';
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_DOCUMENT_TYPES = 'application/pdf,image/jpeg,image/png,image/webp';
+
+/**
+ * Absence Request Modal Component
+ * Lets a student justify a missed session with a reason and an optional document
+ */
+const AbsenceRequestModal = ({ attendance, onHide, onSubmitted }) => {
+  const [reason, setReason] = useState('');
+  const [file, setFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setReason('');
+    setFile(null);
+    setError('');
+  }, [attendance]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    if (selected && selected.size > MAX_DOCUMENT_SIZE) {
+      setError('The document must be smaller than 5 MB');
+      e.target.value = '';
+      setFile(null);
+      return;
+    }
+    setError('');
+    setFile(selected);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await absenceRequestService.createRequest(attendance.session_id, reason, file);
+      onSubmitted();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit your request. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={!!attendance} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Justify Absence</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {attendance && (
+            <p className="text-muted">
+              {attendance.session_title} &middot; {new Date(attendance.session_date_time).toLocaleString()}
+            </p>
+          )}
+          <Form.Group className="mb-3">
+            <Form.Label>Reason</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={4}
+              maxLength={2000}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Explain why you missed this session"
+              required
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Supporting document (optional)</Form.Label>
+            <Form.Control type="file" accept={ACCEPTED_DOCUMENT_TYPES} onChange={handleFileChange} />
+            <Form.Text className="text-muted">
+              PDF or image, up to 5 MB (e.g. a medical certificate)
+            </Form.Text>
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={submitting || !reason.trim()}>
+            {submitting ? 'Submitting...' : 'Submit Request'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default AbsenceRequestModal;
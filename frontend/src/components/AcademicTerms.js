@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Modal, Form, Alert, Spinner
+} from 'react-bootstrap';
+import termService from '../services/termService';
+
+const EMPTY_TERM = { name: '', start_date: '', end_date: '' };
+
+/**
+ * Academic Terms Component
+ * Lets admins manage the terms courses are grouped into. A term can only be
+ * deleted while no course belongs to it.
+ */
+const AcademicTerms = () => {
+  const [terms, setTerms] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [alert, setAlert] = useState(null);
+
+  // Modal and form states
+  const [showModal, setShowModal] = useState(false);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_TERM);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchTerms = async () => {
+    try {
+      const response = await termService.getTerms();
+      setTerms(response.data.terms || []);
+    } catch (err) {
+      setAlert({ variant: 'danger', message: 'Failed to load terms' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTerms();
+  }, []);
+
+  const handleShowModal = (term = null) => {
+    setEditingTerm(term);
+    setFormData(term
+      ? { name: term.name, start_date: term.start_date.slice(0, 10), end_date: term.end_date.slice(0, 10) }
+      : EMPTY_TERM);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.end_date < formData.start_date) {
+      setFormError('End date must be on or after the start date');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      if (editingTerm) {
+        await termService.updateTerm(editingTerm.id, formData);
+      } else {
+        await termService.createTerm(formData);
+      }
+      setShowModal(false);
+      setAlert({ variant: 'success', message: `Term ${editingTerm ? 'updated' : 'created'} successfully` });
+      fetchTerms();
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to save the term');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (term) => {
+    if (!window.confirm(`Delete the term "${term.name}"?`)) return;
+
+    try {
+      await termService.deleteTerm(term.id);
+      setAlert({ variant: 'success', message: 'Term deleted successfully' });
+      fetchTerms();
+    } catch (err) {
+      setAlert({ variant: 'danger', message: err.response?.data?.message || 'Failed to delete the term' });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Container className="text-center mt-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading terms...</p>
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      {alert && (
+        <Alert variant={alert.variant} dismissible onClose={() => setAlert(null)}>
+          {alert.message}
+        </Alert>
+      )}
+
+      {/* Page Header */}
+      <Row className="mb-4">
+        <Col>
+          <h2>Academic Terms</h2>
+          <p className="text-muted">
+            Group courses by term. Courses, reports and dashboards can be filtered by term, and
+            courses are archived once their term has ended.
+          </p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="primary" onClick={() => handleShowModal()}>
+            <i className="bi bi-plus-circle me-2"></i>
+            Add Term
+          </Button>
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Body>
+          {terms.length === 0 ? (
+            <div className="text-center text-muted py-4">
+              <i className="bi bi-calendar-range" style={{ fontSize: '3rem' }}></i>
+              <p className="mt-2 mb-0">No terms yet</p>
+            </div>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Start</th>
+                  <th>End</th>
+                  <th>Courses</th>
+                  <th>Archived</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {terms.map(term => (
+                  <tr key={term.id}>
+                    <td><strong>{term.name}</strong></td>
+                    <td>{new Date(term.start_date).toLocaleDateString()}</td>
+                    <td>{new Date(term.end_date).toLocaleDateString()}</td>
+                    <td>{term.course_count}</td>
+                    <td>{term.archived_count}</td>
+                    <td className="text-end">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-2"
+                        title="Edit term"
+                        onClick={() => handleShowModal(term)}
+                      >
+                        <i className="bi bi-pencil"></i>
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        title={term.course_count > 0 ? 'Terms with courses cannot be deleted' : 'Delete term'}
+                        disabled={term.course_count > 0}
+                        onClick={() => handleDelete(term)}
+                      >
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={showModal} onHide={() => setShowModal(false)}>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingTerm ? 'Edit Term' : 'Add Term'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g. Fall 2026"
+                minLength={2}
+                maxLength={100}
+                required
+              />
+            </Form.Group>
+            <Row>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label>Start date</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={formData.start_date}
+                    onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group className="mb-3">
+                  <Form.Label>End date</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={formData.end_date}
+                    onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Term'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default AcademicTerms;
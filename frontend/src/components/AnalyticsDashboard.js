@@ -8,6 +8,9 @@ import { useDispatch, useSelector } from 'react-redux';
 import { fetchSessions } from '../store/slices/sessionsSlice';
 import { fetchUsers } from '../store/slices/usersSlice';
 import { fetchAttendanceStats } from '../store/slices/attendanceSlice';
+import realtimeService from '../services/realtimeService';
+import { invalidateCache } from '../services/api';
+import TermSelect from './TermSelect';
 
 /**
  * Analytics Dashboard Component for Admin Dashboard
@@ -24,6 +27,7 @@ const AnalyticsDashboard = () => {
     startDate: '',
     endDate: ''
   });
+  const [termId, setTermId] = useState('');
   
   // View states
   const [selectedMetric, setSelectedMetric] = useState('overview');
@@ -36,25 +40,44 @@ const AnalyticsDashboard = () => {
   const [lastUpdated, setLastUpdated] = useState(new Date());
 
   useEffect(() => {
-    dispatch(fetchSessions());
     dispatch(fetchUsers());
-    dispatch(fetchAttendanceStats());
-    setLastUpdated(new Date());
   }, [dispatch]);
 
-  // Auto-refresh effect
+  // Sessions and attendance follow the selected term
+  useEffect(() => {
+    dispatch(fetchSessions({ termId }));
+    dispatch(fetchAttendanceStats({ termId }));
+    setLastUpdated(new Date());
+  }, [dispatch, termId]);
+
+  // Auto-refresh effect: reload when check-ins or live sessions are pushed
   useEffect(() => {
-    let interval;
-    if (autoRefresh) {
-      interval = setInterval(() => {
-        dispatch(fetchSessions());
-        dispatch(fetchUsers());
-        dispatch(fetchAttendanceStats());
+    if (!autoRefresh) return undefined;
+
+    let timeout = null;
+    // Bursts of check-ins at the start of a session cause a single reload
+    const scheduleRefresh = () => {
+      if (timeout) return;
+      timeout = setTimeout(() => {
+        timeout = null;
+        invalidateCache('/sessions');
+        invalidateCache('/attendance');
+        dispatch(fetchSessions({ termId }));
+        dispatch(fetchAttendanceStats({ termId }));
         setLastUpdated(new Date());
-      }, 30000); // Refresh every 30 seconds
-    }
-    return () => clearInterval(interval);
-  }, [autoRefresh, dispatch]);
+      }, 5000);
+    };
+
+    const unsubscribe = realtimeService.subscribe({
+      'attendance.checkin': scheduleRefresh,
+      'session.live': scheduleRefresh
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timeout);
+    };
+  }, [autoRefresh, dispatch, termId]);
 
   const isLoading = sessionsLoading || usersLoading || attendanceLoading;
 
@@ -238,9 +261,9 @@ const AnalyticsDashboard = () => {
 
   // Refresh data manually
   const handleRefresh = () => {
-    dispatch(fetchSessions());
+    dispatch(fetchSessions({ termId }));
     dispatch(fetchUsers());
-    dispatch(fetchAttendanceStats());
+    dispatch(fetchAttendanceStats({ termId }));
     setLastUpdated(new Date());
   };
 
@@ -305,11 +328,17 @@ const AnalyticsDashboard = () => {
         </Col>
       </Row>
 
-      {/* Date Range Filter */}
+      {/* Term and Date Range Filter */}
       <Card className="mb-4">
         <Card.Body>
           <Row>
-            <Col md={4}>
+            <Col md={3}>
+              <Form.Group>
+                <Form.Label>Term</Form.Label>
+                <TermSelect value={termId} onChange={setTermId} />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
               <Form.Group>
                 <Form.Label>Start Date</Form.Label>
                 <Form.Control
@@ -319,7 +348,7 @@ const AnalyticsDashboard = () => {
                 />
               </Form.Group>
             </Col>
-            <Col md={4}>
+            <Col md={3}>
               <Form.Group>
                 <Form.Label>End Date</Form.Label>
                 <Form.Control
@@ -329,10 +358,13 @@ const AnalyticsDashboard = () => {
                 />
               </Form.Group>
             </Col>
-            <Col md={4} className="d-flex align-items-end">
+            <Col md={3} className="d-flex align-items-end">
               <Button 
                 variant="outline-secondary" 
-                onClick={() => setDateRange({ startDate: '', endDate: '' })}
+                onClick={() => {
+                  setDateRange({ startDate: '', endDate: '' });
+                  setTermId('');
+                }}
               >
                 Clear Filters
               </Button>
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Table, Badge } from 'react-bootstrap';
+
+export const AUDIT_SOURCE_LABELS = {
+  join: 'Joined session',
+  code_check_in: 'Code check-in',
+  qr_check_in: 'QR check-in',
+  manual: 'Manual mark',
+  bulk: 'Bulk mark',
+  auto_close: 'Session ended',
+  absence_request: 'Absence request'
+};
+
+const STATUS_VARIANTS = {
+  present: 'success',
+  late: 'warning',
+  absent: 'danger',
+  excused: 'info'
+};
+
+const StatusBadge = ({ status }) => (
+  status
+    ? <Badge bg={STATUS_VARIANTS[status] || 'secondary'} className="text-capitalize">{status}</Badge>
+    : <Badge bg="light" text="dark">none</Badge>
+);
+
+/**
+ * Attendance History Table Component
+ * Lists attendance audit entries: who changed which status, when, how and why
+ */
+const AttendanceHistoryTable = ({ history, showStudent = false }) => {
+  if (history.length === 0) {
+    return <p className="text-muted text-center py-3 mb-0">No changes recorded</p>;
+  }
+
+  return (
+    <Table responsive hover size="sm" className="mb-0">
+      <thead>
+        <tr>
+          <th>Changed At</th>
+          <th>Session</th>
+          {showStudent && <th>Student</th>}
+          <th>Change</th>
+          <th>Source</th>
+          <th>Changed By</th>
+          <th>Reason</th>
+        </tr>
+      </thead>
+      <tbody>
+        {history.map((entry) => (
+          <tr key={entry.id}>
+            <td className="text-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+            <td>
+              {entry.session_title}
+              <br />
+              <small className="text-muted">{new Date(entry.session_date_time).toLocaleDateString()}</small>
+            </td>
+            {showStudent && <td>{entry.student_name}</td>}
+            <td className="text-nowrap">
+              <StatusBadge status={entry.old_status} />
+              <i className="bi bi-arrow-right mx-1"></i>
+              <StatusBadge status={entry.new_status} />
+            </td>
+            <td>{AUDIT_SOURCE_LABELS[entry.source] || entry.source}</td>
+            <td>
+              {entry.changed_by_name || <span className="text-muted">System</span>}
+              {entry.changed_by_role && (
+                <small className="text-muted text-capitalize"> ({entry.changed_by_role})</small>
+              )}
+            </td>
+            <td>{entry.reason || <span className="text-muted">-</span>}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+};
+
+export default AttendanceHistoryTable;
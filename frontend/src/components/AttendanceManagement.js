@@ -3,7 +3,10 @@ import { Container, Row, Col, Card, Table, Button, Badge, Modal, Form, Alert } f
 import { useParams } from 'react-router-dom';
 import sessionService from '../services/sessionService';
 import attendanceService from '../services/attendanceService';
+import absenceRequestService from '../services/absenceRequestService';
+import { invalidateCache } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
+import { saveBlob } from '../utils/files';
 
 /**
  * Attendance Management Component
@@ -18,9 +21,14 @@ const AttendanceManagement = () => {
   const [showMarkModal, setShowMarkModal] = useState(false);
   const [students, setStudents] = useState([]);
   const [alert, setAlert] = useState({ show: false, message: '', variant: '' });
+  const [absenceRequests, setAbsenceRequests] = useState([]);
+  const [reviewing, setReviewing] = useState(null);
+  const [reviewNote, setReviewNote] = useState('');
+  const [isReviewing, setIsReviewing] = useState(false);
 
   useEffect(() => {
     fetchSessions();
+    fetchAbsenceRequests();
     if (sessionId) {
       fetchSessionAttendance(sessionId);
     }
@@ -57,6 +65,63 @@ const AttendanceManagement = () => {
     }
   };
 
+  const fetchAbsenceRequests = async () => {
+    try {
+      const response = await absenceRequestService.getRequests('pending');
+      setAbsenceRequests(response.data.requests || []);
+    } catch (error) {
+      console.error('Error fetching absence requests:', error);
+    }
+  };
+
+  const openReview = (request, decision) => {
+    setReviewing({ request, decision });
+    setReviewNote('');
+  };
+
+  const submitReview = async () => {
+    const { request, decision } = reviewing;
+
+    try {
+      setIsReviewing(true);
+      await absenceRequestService.reviewRequest(request.id, decision, reviewNote);
+      setAlert({
+        show: true,
+        message: `Absence request ${decision}`,
+        variant: 'success'
+      });
+      setReviewing(null);
+      fetchAbsenceRequests();
+      if (selectedSession?.id === request.session_id) {
+        invalidateCache('/attendance');
+        fetchSessionAttendance(request.session_id);
+      }
+    } catch (error) {
+      console.error('Error reviewing absence request:', error);
+      setAlert({
+        show: true,
+        message: error.response?.data?.message || 'Failed to review absence request',
+        variant: 'danger'
+      });
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
+  const downloadDocument = async (request) => {
+    try {
+      const response = await absenceRequestService.getDocument(request.id);
+      saveBlob(response.data, request.document_name || `absence-request-${request.id}`);
+    } catch (error) {
+      console.error('Error downloading document:', error);
+      setAlert({
+        show: true,
+        message: 'Failed to download document',
+        variant: 'danger'
+      });
+    }
+  };
+
   const handleSessionSelect = (session) => {
     setSelectedSession(session);
     fetchSessionAttendance(session.id);
@@ -85,7 +150,8 @@ const AttendanceManagement = () => {
     const variants = {
       present: 'success',
       absent: 'danger',
-      late: 'warning'
+      late: 'warning',
+      excused: 'info'
     };
     return <Badge bg={variants[status] || 'secondary'}>{status}</Badge>;
   };
@@ -124,6 +190,85 @@ const AttendanceManagement = () => {
             </Alert>
           )}
 
+          {/* Pending Absence Requests */}
+          {absenceRequests.length > 0 && (
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">
+                  Absence Requests <Badge bg="secondary">{absenceRequests.length}</Badge>
+                </h5>
+              </Card.Header>
+              <Card.Body>
+                <div className="table-responsive">
+                  <Table hover className="mb-0">
+                    <thead>
+                      <tr>
+                        <th>Student</th>
+                        <th>Session</th>
+                        <th>Reason</th>
+                        <th>Submitted</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {absenceRequests.map((request) => (
+                        <tr key={request.id}>
+                          <td>
+                            <strong>{request.student_name}</strong>
+                            <br />
+                            <small className="text-muted">{request.student_email}</small>
+                          </td>
+                          <td>
+                            {request.session_title}
+                            <br />
+                            <small className="text-muted">{formatDateTime(request.session_date_time)}</small>
+                          </td>
+                          <td style={{ whiteSpace: 'pre-wrap' }}>
+                            {request.reason}
+                            {request.has_document && (
+                              <div>
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="p-0"
+                                  onClick={() => downloadDocument(request)}
+                                >
+                                  <i className="bi bi-paperclip me-1"></i>
+                                  {request.document_name || 'Document'}
+                                </Button>
+                              </div>
+                            )}
+                          </td>
+                          <td>{formatDateTime(request.created_at)}</td>
+                          <td>
+                            <div className="d-flex gap-1">
+                              <Button
+                                variant="outline-success"
+                                size="sm"
+                                onClick={() => openReview(request, 'approved')}
+                                title="Approve"
+                              >
+                                <i className="bi bi-check"></i>
+                              </Button>
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => openReview(request, 'rejected')}
+                                title="Reject"
+                              >
+                                <i className="bi bi-x"></i>
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              </Card.Body>
+            </Card>
+          )}
+
           <Row>
             {/* Session Selection */}
             <Col md={4}>
@@ -237,7 +382,7 @@ const AttendanceManagement = () => {
                         <Card.Body>
                           <h6>Attendance Summary</h6>
                           <Row>
-                            <Col sm={3}>
+                            <Col>
                               <div className="text-center">
                                 <h4 className="text-success mb-0">
                                   {attendance.filter(r => r.status === 'present').length}
@@ -245,7 +390,7 @@ const AttendanceManagement = () => {
                                 <small className="text-muted">Present</small>
                               </div>
                             </Col>
-                            <Col sm={3}>
+                            <Col>
                               <div className="text-center">
                                 <h4 className="text-warning mb-0">
                                   {attendance.filter(r => r.status === 'late').length}
@@ -253,7 +398,7 @@ const AttendanceManagement = () => {
                                 <small className="text-muted">Late</small>
                               </div>
                             </Col>
-                            <Col sm={3}>
+                            <Col>
                               <div className="text-center">
                                 <h4 className="text-danger mb-0">
                                   {attendance.filter(r => r.status === 'absent').length}
@@ -261,7 +406,15 @@ const AttendanceManagement = () => {
                                 <small className="text-muted">Absent</small>
                               </div>
                             </Col>
-                            <Col sm={3}>
+                            <Col>
+                              <div className="text-center">
+                                <h4 className="text-info mb-0">
+                                  {attendance.filter(r => r.status === 'excused').length}
+                                </h4>
+                                <small className="text-muted">Excused</small>
+                              </div>
+                            </Col>
+                            <Col>
                               <div className="text-center">
                                 <h4 className="text-primary mb-0">
                                   {attendance.length}
@@ -288,6 +441,43 @@ const AttendanceManagement = () => {
           </Row>
         </Col>
       </Row>
+
+      <Modal show={!!reviewing} onHide={() => setReviewing(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {reviewing?.decision === 'approved' ? 'Approve' : 'Reject'} Absence Request
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {reviewing && (
+            <p>
+              <strong>{reviewing.request.student_name}</strong> &middot; {reviewing.request.session_title}
+            </p>
+          )}
+          <Form.Group>
+            <Form.Label>Note for the student (optional)</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={1000}
+              value={reviewNote}
+              onChange={(e) => setReviewNote(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReviewing(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant={reviewing?.decision === 'approved' ? 'success' : 'danger'}
+            onClick={submitReview}
+            disabled={isReviewing}
+          >
+            {isReviewing ? 'Saving...' : reviewing?.decision === 'approved' ? 'Approve' : 'Reject'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
@@ -8,6 +8,8 @@ import { useDispatch, useSelector } from 'react-redux';
 import { fetchSessions } from '../store/slices/sessionsSlice';
 import { fetchUsers } from '../store/slices/usersSlice';
 import { fetchAttendanceStats } from '../store/slices/attendanceSlice';
+import attendanceService from '../services/attendanceService';
+import AttendanceHistoryTable from './AttendanceHistoryTable';
 
 /**
  * Attendance Reports Component for Admin Dashboard
@@ -29,7 +31,7 @@ const AttendanceReports = () => {
   });
   
   // View states
-  const [reportType, setReportType] = useState('overview'); // 'overview', 'session', 'student', 'teacher'
+  const [reportType, setReportType] = useState('overview'); // 'overview', 'session', 'student', 'teacher', 'history'
   const [showExportModal, setShowExportModal] = useState(false);
   const [exportFormat, setExportFormat] = useState('csv');
   
@@ -42,12 +44,56 @@ const AttendanceReports = () => {
   const [alertMessage, setAlertMessage] = useState('');
   const [alertType, setAlertType] = useState('success');
 
+  // Audit history
+  const [studentHistory, setStudentHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [recordHistory, setRecordHistory] = useState(null);
+
   useEffect(() => {
     dispatch(fetchSessions());
     dispatch(fetchUsers());
     dispatch(fetchAttendanceStats());
   }, [dispatch]);
 
+  useEffect(() => {
+    if (reportType !== 'history' || selectedStudent === 'all') {
+      setStudentHistory([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setHistoryLoading(true);
+    attendanceService.getStudentAttendanceHistory(selectedStudent)
+      .then((response) => {
+        if (!cancelled) setStudentHistory(response.data.history || []);
+      })
+      .catch((err) => {
+        console.error('Error fetching attendance history:', err);
+        if (!cancelled) setStudentHistory([]);
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reportType, selectedStudent]);
+
+  const showRecordHistory = async (record) => {
+    setRecordHistory({ record, history: null });
+    try {
+      const response = await attendanceService.getAttendanceHistory(record.id);
+      setRecordHistory({ record, history: response.data.history || [] });
+    } catch (err) {
+      console.error('Error fetching attendance history:', err);
+      setRecordHistory(null);
+      setAlertMessage('Failed to load the history of this record');
+      setAlertType('danger');
+      setShowAlert(true);
+    }
+  };
+
   // Get filtered data
   const teachers = users.filter(user => user.role === 'teacher' || user.role === 'admin');
   const students = users.filter(user => user.role === 'student');
@@ -183,6 +229,9 @@ const AttendanceReports = () => {
           };
         });
         break;
+      case 'history':
+        data = studentHistory;
+        break;
       default:
         data = processAttendanceData().map(record => {
           const session = sessions.find(s => s.id === record.session_id);
@@ -209,6 +258,7 @@ const AttendanceReports = () => {
     (reportType === 'session' ? reportStats.sessions.length : 
      reportType === 'student' ? reportStats.students.length :
      reportType === 'teacher' ? teachers.length :
+     reportType === 'history' ? studentHistory.length :
      processAttendanceData().length) / recordsPerPage
   );
 
@@ -216,7 +266,8 @@ const AttendanceReports = () => {
   const handleExport = () => {
     const data = reportType === 'session' ? reportStats.sessions :
                   reportType === 'student' ? reportStats.students :
-                  reportType === 'teacher' ? teachers : processAttendanceData();
+                  reportType === 'teacher' ? teachers :
+                  reportType === 'history' ? studentHistory : processAttendanceData();
     
     if (exportFormat === 'csv') {
       exportToCSV(data);
@@ -365,6 +416,7 @@ const AttendanceReports = () => {
                   <option value="session">By Session</option>
                   <option value="student">By Student</option>
                   <option value="teacher">By Teacher</option>
+                  <option value="history">Change History</option>
                 </Form.Select>
               </Form.Group>
             </Col>
@@ -389,7 +441,10 @@ const AttendanceReports = () => {
                 <Form.Label>Student</Form.Label>
                 <Form.Select
                   value={selectedStudent}
-                  onChange={(e) => setSelectedStudent(e.target.value)}
+                  onChange={(e) => {
+                    setSelectedStudent(e.target.value);
+                    setCurrentPage(1);
+                  }}
                 >
                   <option value="all">All Students</option>
                   {students.map(student => (
@@ -449,146 +504,172 @@ const AttendanceReports = () => {
             </Alert>
           )}
 
-          <Table responsive hover>
-            <thead>
-              <tr>
-                {reportType === 'overview' && (
-                  <>
-                    <th>Session</th>
-                    <th>Student</th>
-                    <th>Teacher</th>
-                    <th>Date</th>
-                    <th>Status</th>
-                    <th>Marked At</th>
-                  </>
-                )}
-                {reportType === 'session' && (
-                  <>
-                    <th>Session Title</th>
-                    <th>Date</th>
-                    <th>Teacher</th>
-                    <th>Total Students</th>
-                    <th>Present</th>
-                    <th>Absent</th>
-                    <th>Attendance Rate</th>
-                  </>
-                )}
-                {reportType === 'student' && (
-                  <>
-                    <th>Student Name</th>
-                    <th>Email</th>
-                    <th>Total Sessions</th>
-                    <th>Attended</th>
-                    <th>Missed</th>
-                    <th>Attendance Rate</th>
-                    <th>Status</th>
-                  </>
-                )}
-                {reportType === 'teacher' && (
-                  <>
-                    <th>Teacher Name</th>
-                    <th>Email</th>
-                    <th>Total Sessions</th>
-                    <th>Total Attendance</th>
-                    <th>Present</th>
-                    <th>Absent</th>
-                    <th>Avg. Attendance Rate</th>
-                  </>
-                )}
-              </tr>
-            </thead>
-            <tbody>
-              {currentData.length > 0 ? (
-                currentData.map((record, index) => (
-                  <tr key={record.id || index}>
-                    {reportType === 'overview' && (
-                      <>
-                        <td>{record.sessionTitle}</td>
-                        <td>{record.studentName}</td>
-                        <td>{record.teacherName}</td>
-                        <td>{new Date(record.sessionDate).toLocaleDateString()}</td>
-                        <td>
-                          <Badge bg={record.status === 'present' ? 'success' : 'danger'}>
-                            {record.status === 'present' ? 'Present' : 'Absent'}
-                          </Badge>
-                        </td>
-                        <td>{new Date(record.timestamp).toLocaleString()}</td>
-                      </>
-                    )}
-                    {reportType === 'session' && (
-                      <>
-                        <td><strong>{record.title}</strong></td>
-                        <td>{new Date(record.date_time).toLocaleDateString()}</td>
-                        <td>{teachers.find(t => t.id === record.teacher_id)?.name}</td>
-                        <td>{record.totalAttendees}</td>
-                        <td><span className="text-success">{record.presentCount}</span></td>
-                        <td><span className="text-danger">{record.absentCount}</span></td>
-                        <td>
-                          <ProgressBar 
-                            now={record.attendanceRate} 
-                            label={`${record.attendanceRate.toFixed(1)}%`}
-                            variant={record.attendanceRate >= 80 ? 'success' : 
-                                    record.attendanceRate >= 60 ? 'warning' : 'danger'}
-                          />
-                        </td>
-                      </>
-                    )}
-                    {reportType === 'student' && (
-                      <>
-                        <td><strong>{record.name}</strong></td>
-                        <td>{record.email}</td>
-                        <td>{record.totalSessions}</td>
-                        <td><span className="text-success">{record.attendedSessions}</span></td>
-                        <td><span className="text-danger">{record.missedSessions}</span></td>
-                        <td>
-                          <ProgressBar 
-                            now={record.attendanceRate} 
-                            label={`${record.attendanceRate.toFixed(1)}%`}
-                            variant={record.attendanceRate >= 80 ? 'success' : 
-                                    record.attendanceRate >= 60 ? 'warning' : 'danger'}
-                          />
-                        </td>
-                        <td>
-                          <Badge bg={record.attendanceRate >= 80 ? 'success' : 
-                                     record.attendanceRate >= 60 ? 'warning' : 'danger'}>
-                            {record.attendanceRate >= 80 ? 'Excellent' : 
-                             record.attendanceRate >= 60 ? 'Good' : 'Needs Improvement'}
-                          </Badge>
-                        </td>
-                      </>
-                    )}
-                    {reportType === 'teacher' && (
-                      <>
-                        <td><strong>{record.name}</strong></td>
-                        <td>{record.email}</td>
-                        <td>{record.totalSessions}</td>
-                        <td>{record.totalAttendance}</td>
-                        <td><span className="text-success">{record.presentCount}</span></td>
-                        <td><span className="text-danger">{record.absentCount}</span></td>
-                        <td>
-                          <ProgressBar 
-                            now={record.attendanceRate} 
-                            label={`${record.attendanceRate.toFixed(1)}%`}
-                            variant={record.attendanceRate >= 80 ? 'success' : 
-                                    record.attendanceRate >= 60 ? 'warning' : 'danger'}
-                          />
-                        </td>
-                      </>
-                    )}
-                  </tr>
-                ))
-              ) : (
+          {reportType === 'history' ? (
+            selectedStudent === 'all' ? (
+              <div className="text-center text-muted py-4">
+                <i className="bi bi-clock-history fs-1"></i>
+                <p className="mt-2">Select a student to see every change to their attendance</p>
+              </div>
+            ) : historyLoading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" size="sm" />
+              </div>
+            ) : (
+              <AttendanceHistoryTable history={currentData} />
+            )
+          ) : (
+            <Table responsive hover>
+              <thead>
                 <tr>
-                  <td colSpan={reportType === 'overview' ? 6 : 7} className="text-center py-4">
-                    <div className="text-muted">
-                      <i className="bi bi-clipboard-data fs-1"></i>
-                      <p className="mt-2">No attendance data found</p>
-                    </div>
-                  </td>
+                  {reportType === 'overview' && (
+                    <>
+                      <th>Session</th>
+                      <th>Student</th>
+                      <th>Teacher</th>
+                      <th>Date</th>
+                      <th>Status</th>
+                      <th>Marked At</th>
+                      <th></th>
+                    </>
+                  )}
+                  {reportType === 'session' && (
+                    <>
+                      <th>Session Title</th>
+                      <th>Date</th>
+                      <th>Teacher</th>
+                      <th>Total Students</th>
+                      <th>Present</th>
+                      <th>Absent</th>
+                      <th>Attendance Rate</th>
+                    </>
+                  )}
+                  {reportType === 'student' && (
+                    <>
+                      <th>Student Name</th>
+                      <th>Email</th>
+                      <th>Total Sessions</th>
+                      <th>Attended</th>
+                      <th>Missed</th>
+                      <th>Attendance Rate</th>
+                      <th>Status</th>
+                    </>
+                  )}
+                  {reportType === 'teacher' && (
+                    <>
+                      <th>Teacher Name</th>
+                      <th>Email</th>
+                      <th>Total Sessions</th>
+                      <th>Total Attendance</th>
+                      <th>Present</th>
+                      <th>Absent</th>
+                      <th>Avg. Attendance Rate</th>
+                    </>
+                  )}
                 </tr>
-              )}
-            </tbody>
-          </Table>
+              </thead>
+              <tbody>
+                {currentData.length > 0 ? (
+                  currentData.map((record, index) => (
+                    <tr key={record.id || index}>
+                      {reportType === 'overview' && (
+                        <>
+                          <td>{record.sessionTitle}</td>
+                          <td>{record.studentName}</td>
+                          <td>{record.teacherName}</td>
+                          <td>{new Date(record.sessionDate).toLocaleDateString()}</td>
+                          <td>
+                            <Badge bg={record.status === 'present' ? 'success' : 'danger'}>
+                              {record.status === 'present' ? 'Present' : 'Absent'}
+                            </Badge>
+                          </td>
+                          <td>{new Date(record.timestamp).toLocaleString()}</td>
+                          <td>
+                            <Button
+                              variant="outline-secondary"
+                              size="sm"
+                              onClick={() => showRecordHistory(record)}
+                              title="Change history"
+                            >
+                              <i className="bi bi-clock-history"></i>
+                            </Button>
+                          </td>
+                        </>
+                      )}
+                      {reportType === 'session' && (
+                        <>
+                          <td><strong>{record.title}</strong></td>
+                          <td>{new Date(record.date_time).toLocaleDateString()}</td>
+                          <td>{teachers.find(t => t.id === record.teacher_id)?.name}</td>
+                          <td>{record.totalAttendees}</td>
+                          <td><span className="text-success">{record.presentCount}</span></td>
+                          <td><span className="text-danger">{record.absentCount}</span></td>
+                          <td>
+                            <ProgressBar 
+                              now={record.attendanceRate} 
+                              label={`${record.attendanceRate.toFixed(1)}%`}
+                              variant={record.attendanceRate >= 80 ? 'success' : 
+                                      record.attendanceRate >= 60 ? 'warning' : 'danger'}
+                            />
+                          </td>
+                        </>
+                      )}
+                      {reportType === 'student' && (
+                        <>
+                          <td><strong>{record.name}</strong></td>
+                          <td>{record.email}</td>
+                          <td>{record.totalSessions}</td>
+                          <td><span className="text-success">{record.attendedSessions}</span></td>
+                          <td><span className="text-danger">{record.missedSessions}</span></td>
+                          <td>
+                            <ProgressBar 
+                              now={record.attendanceRate} 
+                              label={`${record.attendanceRate.toFixed(1)}%`}
+                              variant={record.attendanceRate >= 80 ? 'success' : 
+                                      record.attendanceRate >= 60 ? 'warning' : 'danger'}
+                            />
+                          </td>
+                          <td>
+                            <Badge bg={record.attendanceRate >= 80 ? 'success' : 
+                                       record.attendanceRate >= 60 ? 'warning' : 'danger'}>
+                              {record.attendanceRate >= 80 ? 'Excellent' : 
+                               record.attendanceRate >= 60 ? 'Good' : 'Needs Improvement'}
+                            </Badge>
+                          </td>
+                        </>
+                      )}
+                      {reportType === 'teacher' && (
+                        <>
+                          <td><strong>{record.name}</strong></td>
+                          <td>{record.email}</td>
+                          <td>{record.totalSessions}</td>
+                          <td>{record.totalAttendance}</td>
+                          <td><span className="text-success">{record.presentCount}</span></td>
+                          <td><span className="text-danger">{record.absentCount}</span></td>
+                          <td>
+                            <ProgressBar 
+                              now={record.attendanceRate} 
+                              label={`${record.attendanceRate.toFixed(1)}%`}
+                              variant={record.attendanceRate >= 80 ? 'success' : 
+                                      record.attendanceRate >= 60 ? 'warning' : 'danger'}
+                            />
+                          </td>
+                        </>
+                      )}
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan={7} className="text-center py-4">
+                      <div className="text-muted">
+                        <i className="bi bi-clipboard-data fs-1"></i>
+                        <p className="mt-2">No attendance data found</p>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </Table>
+          )}
 
           {/* Pagination */}
           {totalPages > 1 && (
@@ -617,6 +698,29 @@ const AttendanceReports = () => {
         </Card.Body>
       </Card>
 
+      {/* Record History Modal */}
+      <Modal show={!!recordHistory} onHide={() => setRecordHistory(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Attendance History</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {recordHistory && (
+            <>
+              <p className="text-muted">
+                {recordHistory.record.studentName} &middot; {recordHistory.record.sessionTitle}
+              </p>
+              {recordHistory.history ? (
+                <AttendanceHistoryTable history={recordHistory.history} />
+              ) : (
+                <div className="text-center py-3">
+                  <Spinner animation="border" size="sm" />
+                </div>
+              )}
+            </>
+          )}
+        </Modal.Body>
+      </Modal>
+
       {/* Export Modal */}
       <Modal show={showExportModal} onHide={() => setShowExportModal(false)}>
         <Modal.Header closeButton>
@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Alert, Badge, Modal, Row, Col } from 'react-bootstrap';
+import assignmentService from '../services/assignmentService';
+import { saveBlob } from '../utils/files';
+
+const EMPTY_ASSIGNMENT = {
+  title: '',
+  instructions: '',
+  due_at: '',
+  points: 100,
+  allow_late_submissions: true
+};
+
+/**
+ * Format a date for a datetime-local input
+ * @param {string} value - ISO date
+ * @returns {string} yyyy-MM-ddTHH:mm in local time
+ */
+const toDateTimeInput = (value) => {
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+/**
+ * Course Assignments Component
+ * Lets course staff set assignments, see who handed in (and who was late) and
+ * grade the submissions with feedback. Teaching assistants can grade but not
+ * change the assignments.
+ */
+const CourseAssignments = ({ courseId, canManage, isArchived }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [error, setError] = useState('');
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingAssignment, setEditingAssignment] = useState(null);
+  const [form, setForm] = useState(EMPTY_ASSIGNMENT);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const [reviewAssignment, setReviewAssignment] = useState(null);
+  const [submissions, setSubmissions] = useState([]);
+  const [grades, setGrades] = useState({});
+  const [gradeError, setGradeError] = useState('');
+
+  const fetchAssignments = async () => {
+    try {
+      const response = await assignmentService.getAssignments(courseId);
+      setAssignments(response.data.assignments || []);
+      setError('');
+    } catch (err) {
+      setError('Failed to load the assignments');
+    }
+  };
+
+  useEffect(() => {
+    setReviewAssignment(null);
+    fetchAssignments();
+  }, [courseId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleShowModal = (assignment = null) => {
+    setEditingAssignment(assignment);
+    setForm(assignment ? {
+      title: assignment.title,
+      instructions: assignment.instructions || '',
+      due_at: toDateTimeInput(assignment.due_at),
+      points: assignment.points,
+      allow_late_submissions: assignment.allow_late_submissions
+    } : EMPTY_ASSIGNMENT);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const assignmentData = {
+      ...form,
+      due_at: new Date(form.due_at).toISOString(),
+      points: parseInt(form.points, 10)
+    };
+
+    try {
+      setSaving(true);
+      setFormError('');
+      if (editingAssignment) {
+        await assignmentService.updateAssignment(courseId, editingAssignment.id, assignmentData);
+      } else {
+        await assignmentService.createAssignment(courseId, assignmentData);
+      }
+      setShowModal(false);
+      fetchAssignments();
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to save the assignment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (assignment) => {
+    if (!window.confirm(`Delete ${assignment.title} and everything students handed in for it?`)) return;
+
+    try {
+      setError('');
+      await assignmentService.deleteAssignment(courseId, assignment.id);
+      setAssignments(assignments.filter(a => a.id !== assignment.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the assignment');
+    }
+  };
+
+  const handleReview = async (assignment) => {
+    try {
+      setError('');
+      const response = await assignmentService.getSubmissions(courseId, assignment.id);
+      const rows = response.data.submissions || [];
+      setSubmissions(rows);
+      setGrades(Object.fromEntries(rows.filter(s => s.id).map(s => [s.id, {
+        score: s.score ?? '',
+        feedback: s.feedback || ''
+      }])));
+      setGradeError('');
+      setReviewAssignment(assignment);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the submissions');
+    }
+  };
+
+  const handleGradeChange = (submissionId, field, value) => {
+    setGrades({ ...grades, [submissionId]: { ...grades[submissionId], [field]: value } });
+  };
+
+  const handleGrade = async (submission) => {
+    const { score, feedback } = grades[submission.id];
+
+    try {
+      setSaving(true);
+      setGradeError('');
+      const response = await assignmentService.gradeSubmission(
+        courseId, reviewAssignment.id, submission.id, Number(score), feedback
+      );
+      const graded = response.data.submission;
+      setSubmissions(submissions.map(s => (s.id === graded.id ? graded : s)));
+      fetchAssignments();
+    } catch (err) {
+      setGradeError(err.response?.data?.message || 'Failed to grade the submission');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (submission) => {
+    try {
+      const response = await assignmentService.getSubmissionFile(courseId, reviewAssignment.id, submission.id);
+      saveBlob(response.data, submission.file_name);
+    } catch (err) {
+      setGradeError('Failed to download the file');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-journal-text me-2"></i>
+          Assignments
+        </h5>
+        {canManage && !isArchived && (
+          <Button variant="primary" size="sm" onClick={() => handleShowModal()}>
+            <i className="bi bi-plus-circle me-1"></i>
+            New Assignment
+          </Button>
+        )}
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+        {assignments.length > 0 ? (
+          <Table responsive>
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Due</th>
+                <th>Points</th>
+                <th>Handed In</th>
+                <th>Graded</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {assignments.map(assignment => (
+                <tr key={assignment.id}>
+                  <td className="align-middle">
+                    <strong>{assignment.title}</strong>
+                    {!assignment.allow_late_submissions && (
+                      <Badge bg="secondary" className="ms-2">No late submissions</Badge>
+                    )}
+                  </td>
+                  <td className="align-middle">
+                    {new Date(assignment.due_at).toLocaleString()}
+                    {new Date(assignment.due_at) < new Date() && (
+                      <Badge bg="light" text="dark" className="ms-2">Past due</Badge>
+                    )}
+                  </td>
+                  <td className="align-middle">{assignment.points}</td>
+                  <td className="align-middle">
+                    {assignment.submission_count}
+                    {assignment.late_count > 0 && (
+                      <Badge bg="warning" text="dark" className="ms-2">{assignment.late_count} late</Badge>
+                    )}
+                  </td>
+                  <td className="align-middle">{assignment.graded_count} / {assignment.submission_count}</td>
+                  <td className="text-end text-nowrap">
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      className="me-1"
+                      onClick={() => handleReview(assignment)}
+                    >
+                      Submissions
+                    </Button>
+                    {canManage && !isArchived && (
+                      <>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-1"
+                          title="Edit assignment"
+                          onClick={() => handleShowModal(assignment)}
+                        >
+                          <i className="bi bi-pencil"></i>
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          title="Delete assignment"
+                          onClick={() => handleDelete(assignment)}
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        ) : (
+          <p className="text-muted mb-0">No assignments yet.</p>
+        )}
+      </Card.Body>
+
+      {/* Create / Edit Assignment Modal */}
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingAssignment ? 'Edit Assignment' : 'New Assignment'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>Title</Form.Label>
+              <Form.Control
+                type="text"
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                maxLength={255}
+                required
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Instructions</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={6}
+                value={form.instructions}
+                onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+                maxLength={10000}
+              />
+            </Form.Group>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Due</Form.Label>
+                  <Form.Control
+                    type="datetime-local"
+                    value={form.due_at}
+                    onChange={(e) => setForm({ ...form, due_at: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Points</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min={1}
+                    max={1000}
+                    value={form.points}
+                    onChange={(e) => setForm({ ...form, points: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Check
+              type="switch"
+              id="allow-late-submissions"
+              label="Accept late submissions (they are flagged as late)"
+              checked={form.allow_late_submissions}
+              onChange={(e) => setForm({ ...form, allow_late_submissions: e.target.checked })}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Assignment'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Submissions Modal */}
+      <Modal show={!!reviewAssignment} onHide={() => setReviewAssignment(null)} size="xl">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {reviewAssignment?.title}
+            <small className="text-muted ms-2">out of {reviewAssignment?.points} points</small>
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {gradeError && <Alert variant="danger" dismissible onClose={() => setGradeError('')}>{gradeError}</Alert>}
+          <Table responsive size="sm">
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Handed In</th>
+                <th style={{ width: '35%' }}>Submission</th>
+                <th style={{ width: '110px' }}>Score</th>
+                <th>Feedback</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {submissions.map(submission => (
+                <tr key={submission.student_id}>
+                  <td>
+                    <strong>{submission.student_name}</strong>
+                    <br />
+                    <small className="text-muted">{submission.student_email}</small>
+                  </td>
+                  {submission.id ? (
+                    <>
+                      <td>
+                        {new Date(submission.submitted_at).toLocaleString()}
+                        {submission.is_late && <Badge bg="warning" text="dark" className="ms-2">Late</Badge>}
+                      </td>
+                      <td>
+                        {submission.text_response && (
+                          <div className="small mb-1" style={{ whiteSpace: 'pre-wrap', maxHeight: '150px', overflowY: 'auto' }}>
+                            {submission.text_response}
+                          </div>
+                        )}
+                        {submission.has_file && (
+                          <Button variant="link" size="sm" className="p-0" onClick={() => handleDownload(submission)}>
+                            <i className="bi bi-paperclip me-1"></i>
+                            {submission.file_name}
+                          </Button>
+                        )}
+                      </td>
+                      <td>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min={0}
+                          max={reviewAssignment?.points}
+                          step="0.01"
+                          value={grades[submission.id]?.score ?? ''}
+                          onChange={(e) => handleGradeChange(submission.id, 'score', e.target.value)}
+                          disabled={isArchived}
+                        />
+                      </td>
+                      <td>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          size="sm"
+                          maxLength={5000}
+                          value={grades[submission.id]?.feedback ?? ''}
+                          onChange={(e) => handleGradeChange(submission.id, 'feedback', e.target.value)}
+                          disabled={isArchived}
+                        />
+                      </td>
+                      <td className="text-end">
+                        {!isArchived && (
+                          <Button
+                            variant={submission.graded_at ? 'outline-success' : 'success'}
+                            size="sm"
+                            onClick={() => handleGrade(submission)}
+                            disabled={saving || grades[submission.id]?.score === ''}
+                          >
+                            {submission.graded_at ? 'Regrade' : 'Grade'}
+                          </Button>
+                        )}
+                      </td>
+                    </>
+                  ) : (
+                    <td colSpan={5} className="text-muted">Not handed in</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Modal.Body>
+      </Modal>
+    </Card>
+  );
+};
+
+export default CourseAssignments;
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form } from 'react-bootstrap';
 import { useSelector } from 'react-redux';
 import courseService from '../services/courseService';
+import realtimeService from '../services/realtimeService';
+import TermSelect from './TermSelect';
 
 /**
  * Course Enrollment Component
@@ -16,19 +18,41 @@ const CourseEnrollment = () => {
   const [success, setSuccess] = useState('');
   const [showEnrollModal, setShowEnrollModal] = useState(false);
   const [selectedCourse, setSelectedCourse] = useState(null);
+  const [enrollMode, setEnrollMode] = useState('enroll');
+  const [enrollmentKey, setEnrollmentKey] = useState('');
+  const [waitlistCourseId, setWaitlistCourseId] = useState(null);
+  const [leaveCourse, setLeaveCourse] = useState(null);
+  const [leaveReason, setLeaveReason] = useState('');
+  const [leaving, setLeaving] = useState(false);
+  const [termFilter, setTermFilter] = useState('');
 
   const { user } = useSelector(state => state.auth);
 
   useEffect(() => {
     fetchCourses();
-  }, []);
+  }, [termFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    return realtimeService.subscribe({
+      notification: (notification) => {
+        if (['waitlist_promoted', 'enrollment_approved', 'enrollment_readmitted'].includes(notification.type)) {
+          setSuccess(notification.message);
+          fetchCourses();
+        } else if (['enrollment_removed', 'enrollment_denied'].includes(notification.type)) {
+          setError(notification.message);
+          fetchCourses();
+        }
+      }
+    });
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchCourses = async () => {
     try {
       setLoading(true);
+      const filters = termFilter ? { termId: termFilter } : {};
       const [availableResponse, enrolledResponse] = await Promise.all([
-        courseService.getAllCourses(),
-        courseService.getStudentCourses()
+        courseService.getAllCourses(filters),
+        courseService.getStudentCourses(filters)
       ]);
       
       setAvailableCourses(availableResponse.courses || []);
@@ -42,8 +66,10 @@ const CourseEnrollment = () => {
     }
   };
 
-  const handleEnrollClick = (course) => {
+  const handleEnrollClick = (course, mode = 'enroll') => {
     setSelectedCourse(course);
+    setEnrollMode(mode);
+    setEnrollmentKey('');
     setShowEnrollModal(true);
   };
 
@@ -52,9 +78,17 @@ const CourseEnrollment = () => {
 
     try {
       setEnrolling(true);
-      await courseService.enrollInCourse(selectedCourse.id);
-      
-      setSuccess(`Successfully enrolled in ${selectedCourse.title}!`);
+
+      if (enrollMode === 'waitlist') {
+        const response = await courseService.joinWaitlist(selectedCourse.id, enrollmentKey);
+        setSuccess(`${selectedCourse.title}: ${response.message}`);
+      } else {
+        const response = await courseService.enrollInCourse(selectedCourse.id, enrollmentKey || undefined);
+        setSuccess(response.enrollment?.status === 'pending'
+          ? `Enrollment request for ${selectedCourse.title} sent. You'll be notified when the teacher reviews it.`
+          : `Successfully enrolled in ${selectedCourse.title}!`);
+      }
+
       setShowEnrollModal(false);
       setSelectedCourse(null);
       
@@ -72,6 +106,154 @@ const CourseEnrollment = () => {
     }
   };
 
+  const handleJoinWaitlist = async (course) => {
+    // Key-protected courses ask for the key before queueing too
+    if (course.enrollment_policy === 'key') {
+      handleEnrollClick(course, 'waitlist');
+      return;
+    }
+
+    try {
+      setWaitlistCourseId(course.id);
+      const response = await courseService.joinWaitlist(course.id);
+      setSuccess(`${course.title}: ${response.message}`);
+      await fetchCourses();
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+      setError(err.response?.data?.message || 'Failed to join the waitlist. Please try again.');
+    } finally {
+      setWaitlistCourseId(null);
+    }
+  };
+
+  const handleLeaveWaitlist = async (course) => {
+    try {
+      setWaitlistCourseId(course.id);
+      await courseService.leaveWaitlist(course.id);
+      setSuccess(`You left the waitlist of ${course.title}`);
+      await fetchCourses();
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error leaving waitlist:', err);
+      setError(err.response?.data?.message || 'Failed to leave the waitlist. Please try again.');
+    } finally {
+      setWaitlistCourseId(null);
+    }
+  };
+
+  const handleLeaveClick = (course) => {
+    setLeaveCourse(course);
+    setLeaveReason('');
+  };
+
+  // Students drop a course before it starts and withdraw from it afterwards
+  const isWithdrawal = (course) => getCourseStatus(course.start_date, course.end_date).status !== 'upcoming';
+
+  const handleLeaveConfirm = async () => {
+    if (!leaveCourse) return;
+
+    try {
+      setLeaving(true);
+      if (isWithdrawal(leaveCourse)) {
+        await courseService.withdrawFromCourse(leaveCourse.id, leaveReason);
+        setSuccess(`You withdrew from ${leaveCourse.title}`);
+      } else {
+        await courseService.dropCourse(leaveCourse.id, leaveReason);
+        setSuccess(`You dropped ${leaveCourse.title}`);
+      }
+      setLeaveCourse(null);
+      await fetchCourses();
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error leaving course:', err);
+      setError(err.response?.data?.message || 'Failed to leave the course. Please try again.');
+    } finally {
+      setLeaving(false);
+    }
+  };
+
+  const renderEnrollAction = (course, courseStatus, spotsLeft) => {
+    if (course.waitlist_position) {
+      return (
+        <>
+          <div className="text-center mb-2">
+            <Badge bg="warning" text="dark">
+              <i className="bi bi-hourglass-split me-1"></i>
+              #{course.waitlist_position} on waitlist
+            </Badge>
+          </div>
+          <Button
+            variant="outline-secondary"
+            onClick={() => handleLeaveWaitlist(course)}
+            disabled={waitlistCourseId === course.id}
+          >
+            <i className="bi bi-x-lg me-1"></i>
+            Leave Waitlist
+          </Button>
+        </>
+      );
+    }
+
+    if (course.request_status === 'pending') {
+      return (
+        <Button variant="outline-secondary" disabled>
+          <i className="bi bi-hourglass-split me-1"></i>
+          Request Pending
+        </Button>
+      );
+    }
+
+    if (!course.prerequisites_met) {
+      return (
+        <Button variant="secondary" disabled>
+          <i className="bi bi-lock me-1"></i>
+          Prerequisites Not Met
+        </Button>
+      );
+    }
+
+    if (course.enrollment_window !== 'open' || courseStatus.status === 'completed') {
+      return (
+        <Button variant="secondary" disabled>
+          <i className="bi bi-lock me-1"></i>
+          {course.enrollment_window === 'not_open_yet'
+            ? `Opens ${new Date(course.enrollment_opens_on).toLocaleDateString()}`
+            : 'Enrollment Closed'}
+        </Button>
+      );
+    }
+
+    if (course.enrollment_policy === 'approval') {
+      return (
+        <Button variant="primary" onClick={() => handleEnrollClick(course)}>
+          <i className="bi bi-send me-1"></i>
+          Request Enrollment
+        </Button>
+      );
+    }
+
+    if (spotsLeft > 0) {
+      return (
+        <Button variant="primary" onClick={() => handleEnrollClick(course)}>
+          <i className="bi bi-plus-lg me-1"></i>
+          Enroll Now
+        </Button>
+      );
+    }
+
+    return (
+      <Button
+        variant="outline-primary"
+        onClick={() => handleJoinWaitlist(course)}
+        disabled={waitlistCourseId === course.id}
+      >
+        <i className="bi bi-hourglass me-1"></i>
+        Join Waitlist
+      </Button>
+    );
+  };
+
   const getCourseStatus = (startDate, endDate) => {
     const now = new Date();
     const start = new Date(startDate);
@@ -106,6 +288,9 @@ const CourseEnrollment = () => {
           <h2><i className="bi bi-book me-2"></i>Course Enrollment</h2>
           <p className="text-muted mb-0">Browse and enroll in available courses</p>
         </div>
+        <div style={{ minWidth: '200px' }}>
+          <TermSelect value={termFilter} onChange={setTermFilter} aria-label="Filter courses by term" />
+        </div>
       </div>
 
       {error && (
@@ -140,7 +325,7 @@ const CourseEnrollment = () => {
                     <Card.Header className="bg-success text-white">
                       <div className="d-flex justify-content-between align-items-center">
                         <h6 className="mb-0">{course.course_code}</h6>
-                        <Badge bg="light" text="dark">Enrolled</Badge>
+                        <Badge bg="light" text="dark">{course.archived_at ? 'Archived' : 'Enrolled'}</Badge>
                       </div>
                     </Card.Header>
                     <Card.Body>
@@ -153,6 +338,15 @@ const CourseEnrollment = () => {
                           Instructor: {course.teacher_name}
                         </small>
                       </div>
+
+                      {course.term_name && (
+                        <div className="mb-2">
+                          <small className="text-muted">
+                            <i className="bi bi-calendar-range me-1"></i>
+                            Term: {course.term_name}
+                          </small>
+                        </div>
+                      )}
                       
                       <div className="mb-2">
                         <small className="text-muted">
@@ -168,9 +362,21 @@ const CourseEnrollment = () => {
                         </small>
                       </div>
                       
-                      <Badge bg={courseStatus.color}>
-                        {courseStatus.text}
-                      </Badge>
+                      <div className="d-flex justify-content-between align-items-center">
+                        <Badge bg={courseStatus.color}>
+                          {courseStatus.text}
+                        </Badge>
+                        {courseStatus.status !== 'completed' && !course.archived_at && (
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => handleLeaveClick(course)}
+                          >
+                            <i className="bi bi-box-arrow-right me-1"></i>
+                            {courseStatus.status === 'upcoming' ? 'Drop' : 'Withdraw'}
+                          </Button>
+                        )}
+                      </div>
                     </Card.Body>
                   </Card>
                 </Col>
@@ -219,6 +425,7 @@ const CourseEnrollment = () => {
                         <small className="text-muted">
                           <i className="bi bi-calendar-range me-1"></i>
                           Duration: {new Date(course.start_date).toLocaleDateString()} - {new Date(course.end_date).toLocaleDateString()}
+                          {course.term_name && ` (${course.term_name})`}
                         </small>
                       </div>
                       
@@ -228,6 +435,57 @@ const CourseEnrollment = () => {
                           Enrollment: {course.enrolled_students}/{course.max_students} students
                         </small>
                       </div>
+
+                      {course.enrollment_policy !== 'open' && (
+                        <div className="mb-2">
+                          <small className="text-muted">
+                            <i className={`bi ${course.enrollment_policy === 'key' ? 'bi-key' : 'bi-person-check'} me-1`}></i>
+                            {course.enrollment_policy === 'key' ? 'Enrollment key required' : 'Teacher approval required'}
+                          </small>
+                        </div>
+                      )}
+
+                      {course.enrollment_closes_on && course.enrollment_window === 'open' && (
+                        <div className="mb-2">
+                          <small className="text-muted">
+                            <i className="bi bi-calendar-x me-1"></i>
+                            Enrollment closes {new Date(course.enrollment_closes_on).toLocaleDateString()}
+                          </small>
+                        </div>
+                      )}
+
+                      {course.prerequisites?.length > 0 && (
+                        <div className="mb-2">
+                          <small className="text-muted d-block">
+                            <i className="bi bi-diagram-3 me-1"></i>
+                            Prerequisites:
+                          </small>
+                          {course.prerequisites.map(prerequisite => (
+                            <small
+                              key={prerequisite.prerequisite_course_id}
+                              className={`d-block ms-3 ${prerequisite.met ? 'text-success' : 'text-danger'}`}
+                            >
+                              <i className={`bi ${prerequisite.met ? 'bi-check-circle' : 'bi-x-circle'} me-1`}></i>
+                              {prerequisite.course_code}
+                              {prerequisite.min_attendance_rate !== null && ` (${prerequisite.min_attendance_rate}% attendance)`}
+                              {!prerequisite.met && (!prerequisite.enrolled
+                                ? ' - not enrolled'
+                                : prerequisite.attendance_rate === null
+                                  ? ' - no sessions held yet'
+                                  : ` - your attendance is ${prerequisite.attendance_rate}%`)}
+                            </small>
+                          ))}
+                        </div>
+                      )}
+
+                      {course.request_status === 'denied' && (
+                        <div className="mb-2">
+                          <small className="text-danger">
+                            <i className="bi bi-x-octagon me-1"></i>
+                            Your last enrollment request was denied
+                          </small>
+                        </div>
+                      )}
                       
                       {spotsLeft > 0 ? (
                         <div className="mb-2">
@@ -241,19 +499,13 @@ const CourseEnrollment = () => {
                           <small className="text-danger">
                             <i className="bi bi-x-circle me-1"></i>
                             Course is full
+                            {course.waitlist_count > 0 && ` (${course.waitlist_count} on waitlist)`}
                           </small>
                         </div>
                       )}
                       
                       <div className="d-grid">
-                        <Button
-                          variant="primary"
-                          onClick={() => handleEnrollClick(course)}
-                          disabled={spotsLeft === 0 || courseStatus.status === 'completed'}
-                        >
-                          <i className="bi bi-plus-lg me-1"></i>
-                          {spotsLeft === 0 ? 'Course Full' : 'Enroll Now'}
-                        </Button>
+                        {renderEnrollAction(course, courseStatus, spotsLeft)}
                       </div>
                     </Card.Body>
                   </Card>
@@ -279,7 +531,11 @@ const CourseEnrollment = () => {
       {/* Enrollment Confirmation Modal */}
       <Modal show={showEnrollModal} onHide={() => setShowEnrollModal(false)}>
         <Modal.Header closeButton>
-          <Modal.Title>Confirm Enrollment</Modal.Title>
+          <Modal.Title>
+            {enrollMode === 'waitlist'
+              ? 'Join Waitlist'
+              : selectedCourse?.enrollment_policy === 'approval' ? 'Request Enrollment' : 'Confirm Enrollment'}
+          </Modal.Title>
         </Modal.Header>
         <Modal.Body>
           {selectedCourse && (
@@ -300,9 +556,26 @@ const CourseEnrollment = () => {
                 <strong>Max Students:</strong> {selectedCourse.max_students}
               </div>
               
+              {selectedCourse.enrollment_policy === 'key' && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Enrollment key</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={enrollmentKey}
+                    onChange={(e) => setEnrollmentKey(e.target.value)}
+                    placeholder="Ask your instructor for the key"
+                    autoComplete="off"
+                  />
+                </Form.Group>
+              )}
+              
               <Alert variant="info">
                 <i className="bi bi-info-circle me-2"></i>
-                Are you sure you want to enroll in this course? Your instructor will be notified of your enrollment.
+                {enrollMode === 'waitlist'
+                  ? "The course is full. You'll be enrolled automatically when a seat frees up."
+                  : selectedCourse.enrollment_policy === 'approval'
+                    ? 'Your instructor reviews enrollment requests for this course. You will be notified of the decision.'
+                    : 'Are you sure you want to enroll in this course? Your instructor will be notified of your enrollment.'}
               </Alert>
             </div>
           )}
@@ -314,7 +587,7 @@ const CourseEnrollment = () => {
           <Button 
             variant="primary" 
             onClick={handleEnrollConfirm}
-            disabled={enrolling}
+            disabled={enrolling || (selectedCourse?.enrollment_policy === 'key' && !enrollmentKey.trim())}
           >
             {enrolling ? (
               <>
@@ -324,12 +597,58 @@ const CourseEnrollment = () => {
             ) : (
               <>
                 <i className="bi bi-check me-1"></i>
-                Confirm Enrollment
+                {enrollMode === 'waitlist'
+                  ? 'Join Waitlist'
+                  : selectedCourse?.enrollment_policy === 'approval' ? 'Send Request' : 'Confirm Enrollment'}
               </>
             )}
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Drop/Withdraw Confirmation Modal */}
+      <Modal show={!!leaveCourse} onHide={() => setLeaveCourse(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>{leaveCourse && isWithdrawal(leaveCourse) ? 'Withdraw from Course' : 'Drop Course'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {leaveCourse && (
+            <>
+              <p>
+                Are you sure you want to {isWithdrawal(leaveCourse) ? 'withdraw from' : 'drop'}{' '}
+                <strong>{leaveCourse.title}</strong>? Your seat goes to the next student on the
+                waitlist, so you may not get it back.
+              </p>
+              {isWithdrawal(leaveCourse) && (
+                <Alert variant="warning" className="small">
+                  The course has already started. Your attendance so far stays on record and the
+                  course shows as withdrawn.
+                </Alert>
+              )}
+              <Form.Group>
+                <Form.Label>Reason (optional)</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  maxLength={500}
+                  value={leaveReason}
+                  onChange={(e) => setLeaveReason(e.target.value)}
+                />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setLeaveCourse(null)}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleLeaveConfirm} disabled={leaving}>
+            {leaving
+              ? 'Saving...'
+              : leaveCourse && isWithdrawal(leaveCourse) ? 'Withdraw' : 'Drop Course'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
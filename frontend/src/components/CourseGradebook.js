@@ -0,0 +1,730 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Alert, Badge, Modal, Row, Col } from 'react-bootstrap';
+import gradebookService from '../services/gradebookService';
+import { saveBlob, toCsv } from '../utils/files';
+
+const SOURCE_LABELS = {
+  items: 'Graded items',
+  assignments: 'Assignments',
+  attendance: 'Attendance rate'
+};
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Assignments', weight: 40, source: 'assignments' },
+  { name: 'Quizzes', weight: 20, source: 'items' },
+  { name: 'Exams', weight: 30, source: 'items' },
+  { name: 'Attendance', weight: 10, source: 'attendance' }
+];
+
+const EMPTY_CATEGORY = { name: '', weight: '', source: 'items' };
+const EMPTY_ITEM = { category_id: '', title: '', points: 100, due_date: '' };
+
+/**
+ * Format a percentage for display
+ * @param {number|null} percent - Percentage
+ * @returns {string} e.g. 87.5%, or a dash without a percentage
+ */
+const formatPercent = (percent) => (percent === null || percent === undefined ? '—' : `${percent}%`);
+
+/**
+ * Course Gradebook Component
+ * Spreadsheet of a course's students against its graded columns (grade items
+ * and assignments), with each category's percentage and the running and final
+ * grades. Staff who manage the gradebook set up the weighted categories, the
+ * items and the letter-grade scale, and type scores straight into the grid.
+ */
+const CourseGradebook = ({ courseId, courseCode, isArchived }) => {
+  const [gradebook, setGradebook] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Unsaved score edits: {itemId: {studentId: value}}
+  const [edits, setEdits] = useState({});
+
+  const [categoryForm, setCategoryForm] = useState(EMPTY_CATEGORY);
+  const [showItemModal, setShowItemModal] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [itemForm, setItemForm] = useState(EMPTY_ITEM);
+  const [showScaleModal, setShowScaleModal] = useState(false);
+  const [scaleForm, setScaleForm] = useState([]);
+  const [modalError, setModalError] = useState('');
+
+  const fetchGradebook = async () => {
+    try {
+      const response = await gradebookService.getGradebook(courseId);
+      setGradebook(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the gradebook');
+    }
+  };
+
+  useEffect(() => {
+    setGradebook(null);
+    setEdits({});
+    fetchGradebook();
+  }, [courseId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const showError = (err, fallback) => {
+    const data = err.response?.data;
+    setError(data?.details ? `${data.message}: ${data.details.join('. ')}` : data?.message || fallback);
+  };
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      await gradebookService.createCategory(courseId, { ...categoryForm, weight: Number(categoryForm.weight) });
+      setCategoryForm(EMPTY_CATEGORY);
+      fetchGradebook();
+    } catch (err) {
+      showError(err, 'Failed to add the category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUseDefaultCategories = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      for (const category of DEFAULT_CATEGORIES) {
+        await gradebookService.createCategory(courseId, category);
+      }
+    } catch (err) {
+      showError(err, 'Failed to add the categories');
+    } finally {
+      setSaving(false);
+      fetchGradebook();
+    }
+  };
+
+  const handleWeightChange = async (category, weight) => {
+    if (Number(weight) === category.weight) return;
+
+    try {
+      setError('');
+      await gradebookService.updateCategory(courseId, category.id, { weight: Number(weight) });
+      fetchGradebook();
+    } catch (err) {
+      showError(err, 'Failed to change the weight');
+      fetchGradebook();
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    const message = category.source === 'items'
+      ? `Delete the ${category.name} category with its items and their scores?`
+      : `Delete the ${category.name} category? It will no longer count towards the grade.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      setError('');
+      await gradebookService.deleteCategory(courseId, category.id);
+      fetchGradebook();
+    } catch (err) {
+      showError(err, 'Failed to delete the category');
+    }
+  };
+
+  const handleShowItemModal = (item = null) => {
+    const itemCategories = gradebook.categories.filter(c => c.source === 'items');
+    setEditingItem(item);
+    setItemForm(item ? {
+      category_id: item.category_id,
+      title: item.title,
+      points: item.points,
+      due_date: item.due_date ? item.due_date.slice(0, 10) : ''
+    } : { ...EMPTY_ITEM, category_id: itemCategories[0]?.id || '' });
+    setModalError('');
+    setShowItemModal(true);
+  };
+
+  const handleSaveItem = async (e) => {
+    e.preventDefault();
+
+    const itemData = {
+      ...itemForm,
+      category_id: Number(itemForm.category_id),
+      points: Number(itemForm.points),
+      due_date: itemForm.due_date || null
+    };
+
+    try {
+      setSaving(true);
+      setModalError('');
+      if (editingItem) {
+        await gradebookService.updateItem(courseId, editingItem.id, itemData);
+      } else {
+        await gradebookService.createItem(courseId, itemData);
+      }
+      setShowItemModal(false);
+      fetchGradebook();
+    } catch (err) {
+      setModalError(err.response?.data?.message || 'Failed to save the item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteItem = async () => {
+    if (!window.confirm(`Delete ${editingItem.title} and its scores?`)) return;
+
+    try {
+      setSaving(true);
+      setModalError('');
+      await gradebookService.deleteItem(courseId, editingItem.id);
+      const { [editingItem.id]: discarded, ...remainingEdits } = edits;
+      setEdits(remainingEdits);
+      setShowItemModal(false);
+      fetchGradebook();
+    } catch (err) {
+      setModalError(err.response?.data?.message || 'Failed to delete the item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleScoreChange = (column, student, value) => {
+    setEdits({
+      ...edits,
+      [column.id]: { ...edits[column.id], [student.student_id]: value }
+    });
+  };
+
+  const getCellValue = (column, student) => {
+    const edited = edits[column.id]?.[student.student_id];
+    if (edited !== undefined) return edited;
+    return student.scores[column.key] ?? '';
+  };
+
+  const editCount = Object.values(edits).reduce((sum, byStudent) => sum + Object.keys(byStudent).length, 0);
+
+  const handleSaveScores = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      for (const [itemId, byStudent] of Object.entries(edits)) {
+        const scores = Object.entries(byStudent).map(([studentId, value]) => ({
+          studentId: Number(studentId),
+          score: value === '' ? null : Number(value)
+        }));
+        await gradebookService.setItemScores(courseId, itemId, scores);
+        setEdits(current => {
+          const { [itemId]: saved, ...remaining } = current;
+          return remaining;
+        });
+      }
+      setSuccess('Scores saved');
+      fetchGradebook();
+    } catch (err) {
+      showError(err, 'Failed to save the scores');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleShowScaleModal = () => {
+    setScaleForm(gradebook.scale.map(step => ({ ...step })));
+    setModalError('');
+    setShowScaleModal(true);
+  };
+
+  const handleScaleChange = (index, field, value) => {
+    setScaleForm(scaleForm.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  };
+
+  const handleSaveScale = async (scale) => {
+    try {
+      setSaving(true);
+      setModalError('');
+      await gradebookService.setGradeScale(
+        courseId,
+        scale && scale.map(step => ({ letter: step.letter, min: Number(step.min) }))
+      );
+      setShowScaleModal(false);
+      fetchGradebook();
+    } catch (err) {
+      setModalError(err.response?.data?.message || 'Failed to save the grade scale');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = () => {
+    const { categories, columns, students } = gradebook;
+    const rows = [
+      [
+        'Student', 'Email',
+        ...columns.map(c => `${c.title} (${c.points})`),
+        ...categories.map(c => `${c.name} %`),
+        'Running %', 'Running Grade', 'Final %', 'Final Grade'
+      ],
+      ...students.map(student => [
+        student.name,
+        student.email,
+        ...columns.map(c => student.scores[c.key]),
+        ...categories.map(c => student.categories[c.id].running),
+        student.running_percent,
+        student.running_letter,
+        student.final_percent,
+        student.final_letter
+      ])
+    ];
+
+    const blob = new Blob([toCsv(rows)], { type: 'text/csv' });
+    saveBlob(blob, `gradebook-${courseCode || courseId}-${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  if (!gradebook) {
+    return (
+      <Card>
+        <Card.Body>
+          {error ? <Alert variant="danger">{error}</Alert> : <p className="text-muted mb-0">Loading gradebook...</p>}
+        </Card.Body>
+      </Card>
+    );
+  }
+
+  const { categories, columns, students } = gradebook;
+  const canEdit = gradebook.can_manage && !isArchived;
+  const totalWeight = categories.reduce((sum, c) => sum + c.weight, 0);
+  const usedSources = new Set(categories.map(c => c.source));
+  const gradedCategories = categories.filter(c => c.source !== 'attendance');
+
+  return (
+    <>
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      {/* Categories */}
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">
+            <i className="bi bi-pie-chart me-2"></i>
+            Grade Categories
+          </h5>
+          {gradebook.can_manage && (
+            <Button variant="outline-secondary" size="sm" onClick={handleShowScaleModal}>
+              <i className="bi bi-sort-alpha-down me-1"></i>
+              Grade Scale{gradebook.is_default_scale ? ' (default)' : ''}
+            </Button>
+          )}
+        </Card.Header>
+        <Card.Body>
+          {categories.length > 0 ? (
+            <Table responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>Graded From</th>
+                  <th style={{ width: '140px' }}>Weight</th>
+                  <th>Share of Grade</th>
+                  {canEdit && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {categories.map(category => (
+                  <tr key={category.id}>
+                    <td className="align-middle"><strong>{category.name}</strong></td>
+                    <td className="align-middle">{SOURCE_LABELS[category.source]}</td>
+                    <td className="align-middle">
+                      {canEdit ? (
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min={0.01}
+                          max={100}
+                          step="0.01"
+                          defaultValue={category.weight}
+                          key={`${category.id}-${category.weight}`}
+                          onBlur={(e) => handleWeightChange(category, e.target.value)}
+                        />
+                      ) : category.weight}
+                    </td>
+                    <td className="align-middle">
+                      {totalWeight > 0 ? `${Math.round((category.weight * 1000) / totalWeight) / 10}%` : '—'}
+                    </td>
+                    {canEdit && (
+                      <td className="text-end">
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          title="Delete category"
+                          onClick={() => handleDeleteCategory(category)}
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <p className="text-muted">
+              No grade categories yet. Grades are the weighted average of the categories, which are
+              graded from items you score here, from the course's assignments or from attendance.
+            </p>
+          )}
+
+          {canEdit && (
+            <Form onSubmit={handleAddCategory}>
+              <Row className="g-2 align-items-center">
+                <Col md={4}>
+                  <Form.Control
+                    type="text"
+                    size="sm"
+                    placeholder="Category name, e.g. Quizzes"
+                    value={categoryForm.name}
+                    onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+                    maxLength={100}
+                    required
+                  />
+                </Col>
+                <Col md={3}>
+                  <Form.Select
+                    size="sm"
+                    value={categoryForm.source}
+                    onChange={(e) => setCategoryForm({ ...categoryForm, source: e.target.value })}
+                  >
+                    {Object.entries(SOURCE_LABELS).map(([source, label]) => (
+                      <option key={source} value={source} disabled={source !== 'items' && usedSources.has(source)}>
+                        {label}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col md={2}>
+                  <Form.Control
+                    type="number"
+                    size="sm"
+                    min={0.01}
+                    max={100}
+                    step="0.01"
+                    placeholder="Weight"
+                    value={categoryForm.weight}
+                    onChange={(e) => setCategoryForm({ ...categoryForm, weight: e.target.value })}
+                    required
+                  />
+                </Col>
+                <Col md="auto">
+                  <Button type="submit" variant="outline-primary" size="sm" disabled={saving}>
+                    <i className="bi bi-plus-lg me-1"></i>
+                    Add Category
+                  </Button>
+                </Col>
+                {categories.length === 0 && (
+                  <Col md="auto">
+                    <Button variant="link" size="sm" onClick={handleUseDefaultCategories} disabled={saving}>
+                      Use assignments 40, quizzes 20, exams 30, attendance 10
+                    </Button>
+                  </Col>
+                )}
+              </Row>
+            </Form>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Grid */}
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">
+            <i className="bi bi-table me-2"></i>
+            Gradebook
+          </h5>
+          <div>
+            {canEdit && categories.some(c => c.source === 'items') && (
+              <Button variant="outline-primary" size="sm" className="me-2" onClick={() => handleShowItemModal()}>
+                <i className="bi bi-plus-circle me-1"></i>
+                Add Item
+              </Button>
+            )}
+            {canEdit && (
+              <Button
+                variant="primary"
+                size="sm"
+                className="me-2"
+                onClick={handleSaveScores}
+                disabled={saving || editCount === 0}
+              >
+                {saving ? 'Saving...' : `Save Scores${editCount > 0 ? ` (${editCount})` : ''}`}
+              </Button>
+            )}
+            <Button variant="outline-success" size="sm" onClick={handleExport} disabled={students.length === 0}>
+              <i className="bi bi-download me-1"></i>
+              Export CSV
+            </Button>
+          </div>
+        </Card.Header>
+        <Card.Body>
+          {students.length === 0 ? (
+            <p className="text-muted mb-0">No students are enrolled in this course.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <Table bordered size="sm" className="mb-0 text-nowrap">
+                <thead>
+                  <tr>
+                    <th rowSpan={2} className="align-middle">Student</th>
+                    {gradedCategories.map(category => {
+                      const count = columns.filter(c => c.category_id === category.id).length;
+                      return count > 0 && (
+                        <th key={category.id} colSpan={count} className="text-center">{category.name}</th>
+                      );
+                    })}
+                    {categories.map(category => (
+                      <th key={category.id} rowSpan={2} className="align-middle text-center table-light">
+                        {category.name} %
+                      </th>
+                    ))}
+                    <th rowSpan={2} className="align-middle text-center table-light">Running</th>
+                    <th rowSpan={2} className="align-middle text-center table-light">Final</th>
+                  </tr>
+                  <tr>
+                    {columns.map(column => (
+                      <th key={column.key} className="text-center small">
+                        {column.type === 'item' && canEdit ? (
+                          <Button variant="link" size="sm" className="p-0" onClick={() => handleShowItemModal(column)}>
+                            {column.title}
+                          </Button>
+                        ) : column.title}
+                        <div className="text-muted fw-normal">/ {column.points}</div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {students.map(student => (
+                    <tr key={student.student_id}>
+                      <td>
+                        <strong>{student.name}</strong>
+                        <div className="small text-muted">{student.email}</div>
+                      </td>
+                      {columns.map(column => {
+                        if (column.type === 'item' && canEdit) {
+                          const edited = edits[column.id]?.[student.student_id] !== undefined;
+                          return (
+                            <td key={column.key} className={edited ? 'table-warning' : ''} style={{ minWidth: '80px' }}>
+                              <Form.Control
+                                type="number"
+                                size="sm"
+                                min={0}
+                                max={column.points}
+                                step="0.01"
+                                value={getCellValue(column, student)}
+                                onChange={(e) => handleScoreChange(column, student, e.target.value)}
+                              />
+                            </td>
+                          );
+                        }
+
+                        const score = student.scores[column.key];
+                        const missing = column.type === 'assignment' && score === undefined &&
+                          !student.submitted.includes(column.key) && new Date(column.due_at) < new Date();
+                        return (
+                          <td key={column.key} className="text-center align-middle">
+                            {score !== undefined ? score : missing ? (
+                              <Badge bg="danger">Missing</Badge>
+                            ) : student.submitted.includes(column.key) ? (
+                              <Badge bg="info">To grade</Badge>
+                            ) : '—'}
+                          </td>
+                        );
+                      })}
+                      {categories.map(category => (
+                        <td key={category.id} className="text-center align-middle table-light">
+                          {formatPercent(student.categories[category.id].running)}
+                        </td>
+                      ))}
+                      <td className="text-center align-middle table-light">
+                        <strong>{formatPercent(student.running_percent)}</strong>
+                        {student.running_letter && <Badge bg="primary" className="ms-1">{student.running_letter}</Badge>}
+                      </td>
+                      <td className="text-center align-middle table-light">
+                        {formatPercent(student.final_percent)}
+                        {student.final_letter && <Badge bg="secondary" className="ms-1">{student.final_letter}</Badge>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+          <p className="text-muted small mt-3 mb-0">
+            The running grade counts what has been graded so far, plus assignments past due that weren't
+            handed in. The final grade counts everything, with what isn't graded yet as 0.
+            Assignments are graded on the Assignments tab.
+          </p>
+        </Card.Body>
+      </Card>
+
+      {/* Grade Item Modal */}
+      <Modal show={showItemModal} onHide={() => setShowItemModal(false)}>
+        <Form onSubmit={handleSaveItem}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingItem ? 'Edit Grade Item' : 'Add Grade Item'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {modalError && <Alert variant="danger">{modalError}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>Category</Form.Label>
+              <Form.Select
+                value={itemForm.category_id}
+                onChange={(e) => setItemForm({ ...itemForm, category_id: e.target.value })}
+                required
+              >
+                {categories.filter(c => c.source === 'items').map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Title</Form.Label>
+              <Form.Control
+                type="text"
+                value={itemForm.title}
+                onChange={(e) => setItemForm({ ...itemForm, title: e.target.value })}
+                placeholder="e.g. Midterm exam"
+                maxLength={255}
+                required
+              />
+            </Form.Group>
+            <Row>
+              <Col>
+                <Form.Group>
+                  <Form.Label>Points</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min={0.01}
+                    max={1000}
+                    step="0.01"
+                    value={itemForm.points}
+                    onChange={(e) => setItemForm({ ...itemForm, points: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+              </Col>
+              <Col>
+                <Form.Group>
+                  <Form.Label>Date (optional)</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={itemForm.due_date}
+                    onChange={(e) => setItemForm({ ...itemForm, due_date: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+            </Row>
+          </Modal.Body>
+          <Modal.Footer>
+            {editingItem && (
+              <Button variant="outline-danger" className="me-auto" onClick={handleDeleteItem} disabled={saving}>
+                Delete
+              </Button>
+            )}
+            <Button variant="secondary" onClick={() => setShowItemModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Item'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Grade Scale Modal */}
+      <Modal show={showScaleModal} onHide={() => setShowScaleModal(false)}>
+        <Form onSubmit={(e) => { e.preventDefault(); handleSaveScale(scaleForm); }}>
+          <Modal.Header closeButton>
+            <Modal.Title>Grade Scale</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {modalError && <Alert variant="danger">{modalError}</Alert>}
+            <p className="text-muted small">
+              A grade gets the first letter whose minimum it reaches. The lowest letter starts at 0%.
+            </p>
+            <fieldset disabled={isArchived}>
+              <Table size="sm">
+                <thead>
+                  <tr>
+                    <th>Letter</th>
+                    <th>From (%)</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scaleForm.map((step, index) => (
+                    <tr key={index}>
+                      <td>
+                        <Form.Control
+                          size="sm"
+                          value={step.letter}
+                          onChange={(e) => handleScaleChange(index, 'letter', e.target.value)}
+                          maxLength={5}
+                          required
+                        />
+                      </td>
+                      <td>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min={0}
+                          max={100}
+                          step="0.01"
+                          value={step.min}
+                          onChange={(e) => handleScaleChange(index, 'min', e.target.value)}
+                          required
+                        />
+                      </td>
+                      <td className="text-end">
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          title="Remove letter"
+                          onClick={() => setScaleForm(scaleForm.filter((s, i) => i !== index))}
+                          disabled={scaleForm.length === 1}
+                        >
+                          <i className="bi bi-x-lg"></i>
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                onClick={() => setScaleForm([...scaleForm, { letter: '', min: '' }])}
+                disabled={scaleForm.length >= 20}
+              >
+                <i className="bi bi-plus-lg me-1"></i>
+                Add Letter
+              </Button>
+            </fieldset>
+          </Modal.Body>
+          <Modal.Footer>
+            {!isArchived && !gradebook.is_default_scale && (
+              <Button variant="outline-secondary" className="me-auto" onClick={() => handleSaveScale(null)} disabled={saving}>
+                Reset to Default
+              </Button>
+            )}
+            <Button variant="secondary" onClick={() => setShowScaleModal(false)}>
+              Cancel
+            </Button>
+            {!isArchived && (
+              <Button variant="primary" type="submit" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Scale'}
+              </Button>
+            )}
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </>
+  );
+};
+
+export default CourseGradebook;
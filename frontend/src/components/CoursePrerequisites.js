@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Alert } from 'react-bootstrap';
+import courseService from '../services/courseService';
+
+/**
+ * Course Prerequisites Component
+ * Lets the teacher of a course (or an admin) choose the courses students must
+ * be enrolled in first, each with an optional minimum attendance rate
+ */
+const CoursePrerequisites = ({ courseId }) => {
+  const [prerequisites, setPrerequisites] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [newCourseId, setNewCourseId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const fetchPrerequisites = async () => {
+      try {
+        const response = await courseService.getCoursePrerequisites(courseId);
+        setPrerequisites((response.prerequisites || []).map(p => ({
+          courseId: p.prerequisite_course_id,
+          courseCode: p.course_code,
+          title: p.title,
+          minAttendanceRate: p.min_attendance_rate ?? ''
+        })));
+        setCandidates(response.candidates || []);
+        setError('');
+      } catch (err) {
+        setError('Failed to load prerequisites');
+      }
+    };
+
+    setNewCourseId('');
+    setSuccess('');
+    fetchPrerequisites();
+  }, [courseId]);
+
+  const available = candidates.filter(course => !prerequisites.some(p => p.courseId === course.id));
+
+  const handleAdd = () => {
+    const course = candidates.find(candidate => candidate.id === Number(newCourseId));
+    if (!course) return;
+
+    setPrerequisites([
+      ...prerequisites,
+      { courseId: course.id, courseCode: course.course_code, title: course.title, minAttendanceRate: '' }
+    ]);
+    setNewCourseId('');
+  };
+
+  const handleRateChange = (index, value) => {
+    setPrerequisites(prerequisites.map((p, i) => (i === index ? { ...p, minAttendanceRate: value } : p)));
+  };
+
+  const handleRemove = (index) => {
+    setPrerequisites(prerequisites.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await courseService.setCoursePrerequisites(courseId, prerequisites.map(p => ({
+        courseId: p.courseId,
+        minAttendanceRate: p.minAttendanceRate === '' ? null : Number(p.minAttendanceRate)
+      })));
+      setSuccess('Prerequisites saved');
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save prerequisites');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mt-4">
+      <Card.Header>
+        <h5 className="mb-0">
+          <i className="bi bi-diagram-3 me-2"></i>
+          Prerequisites
+        </h5>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+        {success && <Alert variant="success">{success}</Alert>}
+
+        <p className="text-muted">
+          Students must be enrolled in these courses before they can enroll here or join the waitlist.
+          The attendance rate counts the sessions held so far; students already enrolled are not affected.
+        </p>
+
+        {prerequisites.length > 0 ? (
+          <Table size="sm" style={{ maxWidth: '640px' }}>
+            <thead>
+              <tr>
+                <th>Course</th>
+                <th style={{ width: '200px' }}>Minimum attendance (%)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {prerequisites.map((p, index) => (
+                <tr key={p.courseId}>
+                  <td className="align-middle">
+                    <strong>{p.courseCode}</strong> - {p.title}
+                  </td>
+                  <td>
+                    <Form.Control
+                      type="number"
+                      size="sm"
+                      min={0}
+                      max={100}
+                      value={p.minAttendanceRate}
+                      onChange={(e) => handleRateChange(index, e.target.value)}
+                      placeholder="No minimum"
+                    />
+                  </td>
+                  <td className="text-end">
+                    <Button variant="outline-danger" size="sm" title="Remove prerequisite" onClick={() => handleRemove(index)}>
+                      <i className="bi bi-x-lg"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        ) : (
+          <p className="text-muted fst-italic">No prerequisites. Any student can enroll.</p>
+        )}
+
+        <div className="d-flex mb-3" style={{ maxWidth: '640px' }}>
+          <Form.Select value={newCourseId} onChange={(e) => setNewCourseId(e.target.value)} className="me-2">
+            <option value="">Choose a course...</option>
+            {available.map(course => (
+              <option key={course.id} value={course.id}>
+                {course.course_code} - {course.title}{course.is_active ? '' : ' (inactive)'}
+              </option>
+            ))}
+          </Form.Select>
+          <Button variant="outline-primary" onClick={handleAdd} disabled={!newCourseId}>
+            <i className="bi bi-plus-lg"></i>
+          </Button>
+        </div>
+
+        <Button variant="primary" onClick={handleSave} disabled={saving}>
+          <i className="bi bi-check-lg me-1"></i>
+          {saving ? 'Saving...' : 'Save Prerequisites'}
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CoursePrerequisites;
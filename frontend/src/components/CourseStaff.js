@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Alert, Badge } from 'react-bootstrap';
+import courseService from '../services/courseService';
+
+const STAFF_ROLE_LABELS = {
+  owner: 'Owner',
+  co_teacher: 'Co-teacher',
+  ta: 'Teaching assistant'
+};
+
+/**
+ * Course Staff Component
+ * Lists the teachers of a course. The owner can add co-teachers and teaching
+ * assistants by email, change their role or remove them.
+ */
+const CourseStaff = ({ courseId, canManage }) => {
+  const [staff, setStaff] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('ta');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStaff = async () => {
+    try {
+      const response = await courseService.getCourseStaff(courseId);
+      setStaff(response.staff || []);
+      setError('');
+    } catch (err) {
+      setError('Failed to load the course staff');
+    }
+  };
+
+  useEffect(() => {
+    setEmail('');
+    fetchStaff();
+  }, [courseId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      await courseService.addCourseStaff(courseId, email.trim(), role);
+      setEmail('');
+      fetchStaff();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to add the staff member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, newRole) => {
+    try {
+      setSaving(true);
+      setError('');
+      await courseService.updateCourseStaff(courseId, member.user_id, newRole);
+      setStaff(staff.map(m => (m.user_id === member.user_id ? { ...m, role: newRole } : m)));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change the role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from the staff of this course?`)) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      await courseService.removeCourseStaff(courseId, member.user_id);
+      setStaff(staff.filter(m => m.user_id !== member.user_id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove the staff member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h5 className="mb-0">
+          <i className="bi bi-person-badge me-2"></i>
+          Course Staff
+        </h5>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+
+        <p className="text-muted">
+          Co-teachers can do everything the owner can except change the staff. Teaching assistants
+          can take attendance and run live sessions, but can't change the course or its sessions.
+        </p>
+
+        <Table responsive size="sm">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th style={{ width: '200px' }}>Role</th>
+              {canManage && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {staff.map(member => (
+              <tr key={member.user_id}>
+                <td className="align-middle"><strong>{member.name}</strong></td>
+                <td className="align-middle">{member.email}</td>
+                <td className="align-middle">
+                  {canManage && member.role !== 'owner' ? (
+                    <Form.Select
+                      size="sm"
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      disabled={saving}
+                    >
+                      <option value="co_teacher">{STAFF_ROLE_LABELS.co_teacher}</option>
+                      <option value="ta">{STAFF_ROLE_LABELS.ta}</option>
+                    </Form.Select>
+                  ) : (
+                    <Badge bg={member.role === 'owner' ? 'primary' : 'secondary'}>
+                      {STAFF_ROLE_LABELS[member.role]}
+                    </Badge>
+                  )}
+                </td>
+                {canManage && (
+                  <td className="text-end">
+                    {member.role !== 'owner' && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        title="Remove from staff"
+                        onClick={() => handleRemove(member)}
+                        disabled={saving}
+                      >
+                        <i className="bi bi-x-lg"></i>
+                      </Button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        {canManage && (
+          <Form onSubmit={handleAdd} className="d-flex" style={{ maxWidth: '640px' }}>
+            <Form.Control
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Teacher's email address"
+              className="me-2"
+              required
+            />
+            <Form.Select value={role} onChange={(e) => setRole(e.target.value)} className="me-2" style={{ maxWidth: '200px' }}>
+              <option value="co_teacher">{STAFF_ROLE_LABELS.co_teacher}</option>
+              <option value="ta">{STAFF_ROLE_LABELS.ta}</option>
+            </Form.Select>
+            <Button type="submit" variant="outline-primary" disabled={saving}>
+              <i className="bi bi-plus-lg me-1"></i>
+              Add
+            </Button>
+          </Form>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default CourseStaff;
@@ -1,8 +1,14 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch } from 'react-redux';
 import sessionService from '../services/sessionService';
+import courseService from '../services/courseService';
+import RecurrenceEditor, {
+  defaultRecurrence,
+  validateRecurrence,
+  toRecurrencePayload
+} from './RecurrenceEditor';
 
 /**
  * Create Session Component
@@ -17,9 +23,13 @@ const CreateSession = () => {
     description: '',
     date_time: '',
     meeting_link: '',
-    recording_link: ''
+    recording_link: '',
+    course_id: ''
   });
   
+  const [courses, setCourses] = useState([]);
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [recurrence, setRecurrence] = useState(defaultRecurrence(''));
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [showAlert, setShowAlert] = useState({ show: false, message: '', variant: '' });
@@ -29,6 +39,36 @@ const CreateSession = () => {
   tomorrow.setDate(tomorrow.getDate() + 1);
   const minDate = tomorrow.toISOString().slice(0, 16);
 
+  useEffect(() => {
+    const fetchCourses = async () => {
+      try {
+        const data = await courseService.getTeacherCourses();
+        setCourses(data.courses || []);
+      } catch (error) {
+        console.error('Error fetching courses:', error);
+      }
+    };
+
+    fetchCourses();
+  }, []);
+
+  const handleRecurringToggle = (e) => {
+    const { checked } = e.target;
+    setIsRecurring(checked);
+    if (checked) {
+      // Start from the weekday of the chosen date
+      setRecurrence(defaultRecurrence(formData.date_time));
+    }
+    setErrors(prev => ({ ...prev, recurrence: '' }));
+  };
+
+  const handleRecurrenceChange = (newRecurrence) => {
+    setRecurrence(newRecurrence);
+    if (errors.recurrence) {
+      setErrors(prev => ({ ...prev, recurrence: '' }));
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -97,6 +137,14 @@ const CreateSession = () => {
       }
     }
 
+    // Recurrence validation
+    if (isRecurring) {
+      const recurrenceError = validateRecurrence(recurrence, formData.date_time);
+      if (recurrenceError) {
+        newErrors.recurrence = recurrenceError;
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -118,14 +166,26 @@ const CreateSession = () => {
         description: formData.description.trim(),
         date_time: formData.date_time,
         meeting_link: formData.meeting_link.trim(),
-        recording_link: formData.recording_link.trim() || null
+        recording_link: formData.recording_link.trim() || null,
+        course_id: formData.course_id ? Number(formData.course_id) : null
       };
 
-      const response = await sessionService.createSession(sessionData);
+      let successMessage = 'Session created successfully!';
+      if (isRecurring) {
+        // date_time stays local wall-clock time; the server expands it in this timezone
+        const response = await sessionService.createSessionSeries({
+          ...sessionData,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          recurrence: toRecurrencePayload(recurrence)
+        });
+        successMessage = `Session series created with ${response.data.sessions.length} sessions!`;
+      } else {
+        await sessionService.createSession(sessionData);
+      }
       
       setShowAlert({
         show: true,
-        message: 'Session created successfully!',
+        message: successMessage,
         variant: 'success'
       });
 
@@ -135,8 +195,10 @@ const CreateSession = () => {
         description: '',
         date_time: '',
         meeting_link: '',
-        recording_link: ''
+        recording_link: '',
+        course_id: ''
       });
+      setIsRecurring(false);
 
       // Redirect to sessions list after a short delay
       setTimeout(() => {
@@ -252,7 +314,49 @@ const CreateSession = () => {
                     {errors.date_time}
                   </Form.Control.Feedback>
                   <Form.Text className="text-muted">
-                    Select when the session will take place
+                    {isRecurring
+                      ? 'Date and time of the first session in the series'
+                      : 'Select when the session will take place'}
+                  </Form.Text>
+                </Form.Group>
+
+                {/* Recurrence */}
+                <Form.Group className="mb-3">
+                  <Form.Check
+                    type="switch"
+                    id="is-recurring"
+                    label="Repeat weekly"
+                    checked={isRecurring}
+                    onChange={handleRecurringToggle}
+                  />
+                </Form.Group>
+                {isRecurring && (
+                  <RecurrenceEditor
+                    recurrence={recurrence}
+                    onChange={handleRecurrenceChange}
+                    error={errors.recurrence}
+                  />
+                )}
+
+                {/* Course (Optional) */}
+                <Form.Group className="mb-3">
+                  <Form.Label>
+                    Course <span className="text-muted">(Optional)</span>
+                  </Form.Label>
+                  <Form.Select
+                    name="course_id"
+                    value={formData.course_id}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">No course</option>
+                    {courses.map(course => (
+                      <option key={course.id} value={course.id}>
+                        {course.course_code} - {course.title}
+                      </option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Enrolled students of the course will see the session
                   </Form.Text>
                 </Form.Group>
 
@@ -321,7 +425,7 @@ const CreateSession = () => {
                     ) : (
                       <>
                         <i className="bi bi-check-circle me-1"></i>
-                        Create Session
+                        {isRecurring ? 'Create Series' : 'Create Session'}
                       </>
                     )}
                   </Button>
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert } from 'react-bootstrap';
+import authService from '../services/authService';
+
+/**
+ * Forgot Password Modal Component
+ * Requests a password reset link for an email address
+ */
+const ForgotPasswordModal = ({ show, onHide }) => {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (show) {
+      setEmail('');
+      setSent(false);
+      setError('');
+    }
+  }, [show]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to request a password reset. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Reset Password</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {sent ? (
+            <Alert variant="success" className="mb-0">
+              <i className="bi bi-envelope-check me-2"></i>
+              If an account exists for <strong>{email}</strong>, we sent it a link to reset the password.
+              The link expires soon and can only be used once.
+            </Alert>
+          ) : (
+            <Form.Group>
+              <Form.Label>Email Address</Form.Label>
+              <Form.Control
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter the email of your account"
+                required
+                autoFocus
+              />
+              <Form.Text className="text-muted">
+                We'll email you a link to choose a new password.
+              </Form.Text>
+            </Form.Group>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            {sent ? 'Close' : 'Cancel'}
+          </Button>
+          {!sent && (
+            <Button variant="primary" type="submit" disabled={submitting || !email}>
+              {submitting ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          )}
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ForgotPasswordModal;
@@ -2,7 +2,8 @@ import React from 'react';
 import { Navbar, Nav, Container, Dropdown } from 'react-bootstrap';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { logout } from '../store/slices/authSlice';
+import { logoutUser } from '../store/slices/authSlice';
+import { formatRoleName } from '../utils/permissions';
 
 /**
  * Navigation Header Component
@@ -13,8 +14,8 @@ const Header = ({ title = 'Online Teaching ERP' }) => {
   const navigate = useNavigate();
   const { user } = useSelector((state) => state.auth);
 
-  const handleLogout = () => {
-    dispatch(logout());
+  const handleLogout = async () => {
+    await dispatch(logoutUser());
     navigate('/login');
   };
 
@@ -50,7 +51,7 @@ const Header = ({ title = 'Online Teaching ERP' }) => {
                   <div className="d-flex flex-column align-items-start">
                     <span className="fw-semibold">{user.name}</span>
                     <span className={`badge bg-${getRoleBadgeColor(user.role)} text-uppercase small`}>
-                      {user.role}
+                      {formatRoleName(user.role)}
                     </span>
                   </div>
                 </Dropdown.Toggle>
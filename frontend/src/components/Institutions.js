@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Modal, Form, Alert, Spinner, Badge
+} from 'react-bootstrap';
+import institutionService from '../services/institutionService';
+
+const EMPTY_INSTITUTION = {
+  name: '',
+  slug: '',
+  admin: { name: '', email: '', password: '' }
+};
+
+/**
+ * Institutions Component
+ * Lets super-admins add institutions, each with its own users, courses,
+ * roles and settings, and rename them.
+ */
+const Institutions = () => {
+  const [institutions, setInstitutions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [alert, setAlert] = useState(null);
+
+  const [showModal, setShowModal] = useState(false);
+  const [editingInstitution, setEditingInstitution] = useState(null);
+  const [form, setForm] = useState(EMPTY_INSTITUTION);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchInstitutions = async () => {
+    try {
+      const response = await institutionService.getInstitutions();
+      setInstitutions(response.data.institutions || []);
+    } catch (err) {
+      setAlert({ variant: 'danger', message: 'Failed to load institutions' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInstitutions();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleShowModal = (institution = null) => {
+    setEditingInstitution(institution);
+    setForm(institution ? { ...EMPTY_INSTITUTION, name: institution.name } : EMPTY_INSTITUTION);
+    setFormError('');
+    setShowModal(true);
+  };
+
+  const handleAdminChange = (field, value) => {
+    setForm({ ...form, admin: { ...form.admin, [field]: value } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      if (editingInstitution) {
+        await institutionService.updateInstitution(editingInstitution.id, form.name);
+      } else {
+        await institutionService.createInstitution({
+          name: form.name,
+          slug: form.slug.trim().toLowerCase(),
+          admin: form.admin
+        });
+      }
+      setShowModal(false);
+      setAlert({
+        variant: 'success',
+        message: editingInstitution
+          ? 'Institution renamed successfully'
+          : `Institution created. ${form.admin.email} can now log in as its admin`
+      });
+      fetchInstitutions();
+    } catch (err) {
+      const data = err.response?.data;
+      setFormError(data?.details ? data.details.join('. ') : data?.message || 'Failed to save the institution');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Container className="text-center mt-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading institutions...</p>
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      {alert && (
+        <Alert variant={alert.variant} dismissible onClose={() => setAlert(null)}>
+          {alert.message}
+        </Alert>
+      )}
+
+      {/* Page Header */}
+      <Row className="mb-4">
+        <Col>
+          <h2>Institutions</h2>
+          <p className="text-muted">
+            Each institution has its own users, courses, roles and settings, and is reached on its own
+            address (subdomain). Its admins manage everything inside it.
+          </p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="primary" onClick={() => handleShowModal()}>
+            <i className="bi bi-plus-circle me-2"></i>
+            Add Institution
+          </Button>
+        </Col>
+      </Row>
+
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">
+            <i className="bi bi-buildings me-2"></i>
+            Institutions
+          </h5>
+        </Card.Header>
+        <Card.Body>
+          <Table responsive hover className="mb-0">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Address</th>
+                <th>Users</th>
+                <th>Courses</th>
+                <th>Created</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {institutions.map(institution => (
+                <tr key={institution.id}>
+                  <td>
+                    <strong>{institution.name}</strong>
+                    {institution.id === 1 && <Badge bg="secondary" className="ms-2">Default</Badge>}
+                  </td>
+                  <td><code>{institution.slug}</code></td>
+                  <td>{institution.user_count}</td>
+                  <td>{institution.course_count}</td>
+                  <td>{new Date(institution.created_at).toLocaleDateString()}</td>
+                  <td className="text-end">
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      title="Rename institution"
+                      onClick={() => handleShowModal(institution)}
+                    >
+                      <i className="bi bi-pencil"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Modal show={showModal} onHide={() => setShowModal(false)}>
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingInstitution ? 'Rename Institution' : 'Add Institution'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. Acme University"
+                minLength={2}
+                maxLength={100}
+                required
+              />
+            </Form.Group>
+            {!editingInstitution && (
+              <>
+                <Form.Group className="mb-4">
+                  <Form.Label>Address</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={form.slug}
+                    onChange={(e) => setForm({ ...form, slug: e.target.value })}
+                    placeholder="e.g. acme"
+                    pattern="[a-z0-9][a-z0-9\-]{0,48}[a-z0-9]"
+                    required
+                  />
+                  <Form.Text className="text-muted">
+                    Lowercase letters, digits and hyphens; used as the subdomain. It can't be changed later.
+                  </Form.Text>
+                </Form.Group>
+
+                <h6>First admin</h6>
+                <Form.Group className="mb-3">
+                  <Form.Label>Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={form.admin.name}
+                    onChange={(e) => handleAdminChange('name', e.target.value)}
+                    minLength={2}
+                    maxLength={100}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Email</Form.Label>
+                  <Form.Control
+                    type="email"
+                    value={form.admin.email}
+                    onChange={(e) => handleAdminChange('email', e.target.value)}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group>
+                  <Form.Label>Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={form.admin.password}
+                    onChange={(e) => handleAdminChange('password', e.target.value)}
+                    minLength={6}
+                    required
+                  />
+                </Form.Group>
+              </>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Institution'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default Institutions;
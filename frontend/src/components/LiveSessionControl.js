@@ -1,22 +1,72 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Alert, Badge, Modal } from 'react-bootstrap';
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Card, Button, Alert, Badge, Modal, ProgressBar } from 'react-bootstrap';
+import { QRCodeSVG } from 'qrcode.react';
 import sessionService from '../services/sessionService';
 import attendanceService from '../services/attendanceService';
+import realtimeService from '../services/realtimeService';
+import { invalidateCache } from '../services/api';
 
 /**
  * Live Session Control for Teachers
- * Generate attendance codes and monitor real-time attendance
+ * Show the rotating attendance code and monitor real-time attendance
  */
 const LiveSessionControl = () => {
   const [sessions, setSessions] = useState([]);
   const [activeSession, setActiveSession] = useState(null);
   const [attendanceCode, setAttendanceCode] = useState('');
+  const [checkInToken, setCheckInToken] = useState('');
+  const [codePeriod, setCodePeriod] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(0);
   const [showCodeModal, setShowCodeModal] = useState(false);
   const [liveAttendance, setLiveAttendance] = useState([]);
+  const [error, setError] = useState('');
+  // Local time at which the current code expires
+  const codeExpiresAt = useRef(0);
+  const refreshingCode = useRef(false);
 
   useEffect(() => {
     fetchTodaySessions();
-  }, []);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Follow check-ins of the active session as they happen
+  useEffect(() => {
+    if (!activeSession?.id) return undefined;
+
+    fetchAttendance(activeSession.id);
+
+    return realtimeService.subscribe({
+      'attendance.checkin': ({ sessionId, attendance }) => {
+        if (sessionId !== activeSession.id) return;
+        setLiveAttendance(prev => [
+          attendance,
+          ...prev.filter(record => record.student_id !== attendance.student_id)
+        ]);
+      },
+      'session.live': ({ sessionId, is_live }) => {
+        // Ended from another tab or by an admin
+        if (sessionId === activeSession.id && !is_live) {
+          resetLiveState();
+        }
+      }
+    }, [activeSession.id]);
+  }, [activeSession?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Count down to the next code and fetch it when the current one expires
+  useEffect(() => {
+    if (!activeSession?.id) return undefined;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((codeExpiresAt.current - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        refreshAttendanceCode(activeSession.id);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [activeSession?.id]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchTodaySessions = async () => {
     try {
@@ -26,105 +76,90 @@ const LiveSessionControl = () => {
         new Date(session.date_time).toDateString() === today
       );
       setSessions(todaySessions);
+
+      // Resume a session that is still live, e.g. after a page reload
+      const liveSession = todaySessions.find(session => session.is_live);
+      if (liveSession) {
+        await refreshAttendanceCode(liveSession.id);
+        setActiveSession(liveSession);
+      }
     } catch (error) {
       console.error('Error fetching sessions:', error);
     }
   };
 
-  const generateAttendanceCode = () => {
-    const code = Math.random().toString(36).substr(2, 6).toUpperCase();
-    setAttendanceCode(code);
-    return code;
+  /**
+   * Store a code returned by the API
+   * The expiry is shifted by the server/client clock difference so the
+   * countdown matches the server's rotation.
+   * @param {Object} data - {attendanceCode, checkInToken, codePeriod, expiresAt, serverTime}
+   */
+  const applyAttendanceCode = (data) => {
+    const clockOffset = Date.now() - new Date(data.serverTime).getTime();
+    codeExpiresAt.current = new Date(data.expiresAt).getTime() + clockOffset;
+    setAttendanceCode(data.attendanceCode);
+    setCheckInToken(data.checkInToken);
+    setCodePeriod(data.codePeriod);
+    setSecondsLeft(Math.max(0, Math.ceil((codeExpiresAt.current - Date.now()) / 1000)));
+  };
+
+  const refreshAttendanceCode = async (sessionId) => {
+    if (refreshingCode.current) return;
+    refreshingCode.current = true;
+
+    try {
+      const response = await sessionService.getAttendanceCode(sessionId);
+      applyAttendanceCode(response.data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching attendance code:', error);
+      setError(error.response?.data?.message || 'Failed to fetch the attendance code');
+      // Retry in a few seconds instead of on every tick
+      codeExpiresAt.current = Date.now() + 5000;
+    } finally {
+      refreshingCode.current = false;
+    }
   };
 
   const startLiveSession = async (session) => {
     try {
-      const code = generateAttendanceCode();
-      
-      // Update session with attendance code
-      await sessionService.updateSession(session.id, {
-        ...session,
-        attendance_code: code,
-        is_live: true
-      });
+      setError('');
+      const response = await sessionService.startLiveSession(session.id);
+      applyAttendanceCode(response.data);
 
       setActiveSession(session);
       setShowCodeModal(true);
-      
-      // Start monitoring attendance
-      monitorAttendance(session.id);
-      
     } catch (error) {
       console.error('Error starting live session:', error);
+      setError(error.response?.data?.message || 'Failed to start the live session');
     }
   };
 
-  const monitorAttendance = async (sessionId) => {
-    // Cache for attendance data
-    let attendanceCache = {
-      data: [],
-      timestamp: 0
-    };
-    
-    const fetchAttendance = async () => {
-      // Skip if page is not visible
-      if (document.visibilityState !== 'visible') return;
-      
-      try {
-        // Check cache validity (45 seconds)
-        const cacheAge = Date.now() - attendanceCache.timestamp;
-        if (cacheAge < 45000 && attendanceCache.data.length > 0) {
-          return; // Use cached data
-        }
-        
-        const response = await attendanceService.getSessionAttendance(sessionId);
-        const newAttendance = response.data.attendance || [];
-        
-        // Update cache
-        attendanceCache = {
-          data: newAttendance,
-          timestamp: Date.now()
-        };
-        
-        setLiveAttendance(newAttendance);
-        
-        // Log only significant changes
-        if (newAttendance.length !== attendanceCache.data.length) {
-          console.log(`Attendance update: ${newAttendance.length} students present`);
-        }
-      } catch (error) {
-        console.error('Error monitoring attendance:', error);
-      }
-    };
-
-    // Initial fetch
-    fetchAttendance();
-    
-    // Reduced polling frequency and smart caching
-    const interval = setInterval(fetchAttendance, 60000); // 1 minute interval
+  const fetchAttendance = async (sessionId) => {
+    try {
+      invalidateCache(`/attendance/session/${sessionId}`);
+      const response = await attendanceService.getSessionAttendance(sessionId);
+      setLiveAttendance(response.data.attendance || []);
+    } catch (error) {
+      console.error('Error fetching attendance:', error);
+    }
+  };
 
-    // Store interval ID to clear later
-    setActiveSession(prev => ({ ...prev, monitorInterval: interval }));
+  const resetLiveState = () => {
+    setActiveSession(null);
+    setAttendanceCode('');
+    setCheckInToken('');
+    setLiveAttendance([]);
+    codeExpiresAt.current = 0;
   };
 
   const endLiveSession = async () => {
     try {
-      if (activeSession?.monitorInterval) {
-        clearInterval(activeSession.monitorInterval);
-      }
-
-      await sessionService.updateSession(activeSession.id, {
-        ...activeSession,
-        attendance_code: null,
-        is_live: false
-      });
-
-      setActiveSession(null);
-      setAttendanceCode('');
-      setLiveAttendance([]);
-      
+      await sessionService.endLiveSession(activeSession.id);
+      resetLiveState();
     } catch (error) {
       console.error('Error ending live session:', error);
+      setError(error.response?.data?.message || 'Failed to end the live session');
     }
   };
 
@@ -133,10 +168,32 @@ const LiveSessionControl = () => {
     alert('Attendance code copied to clipboard!');
   };
 
+  // Students scanning the QR code land on the join page, which checks them in
+  const checkInUrl = activeSession && checkInToken
+    ? `${window.location.origin}/session/${activeSession.id}/join?token=${encodeURIComponent(checkInToken)}`
+    : '';
+
+  const codeCountdown = (
+    <div className="mb-3">
+      <ProgressBar
+        now={codePeriod ? (secondsLeft / codePeriod) * 100 : 0}
+        variant={secondsLeft <= 5 ? 'warning' : 'success'}
+        style={{ height: '6px' }}
+      />
+      <small className="text-muted">New code in {secondsLeft}s</small>
+    </div>
+  );
+
   return (
     <Container fluid className="p-4">
       <h2 className="mb-4">🔴 Live Session Control</h2>
 
+      {error && (
+        <Alert variant="danger" onClose={() => setError('')} dismissible>
+          {error}
+        </Alert>
+      )}
+
       {/* Today's Sessions */}
       <Row className="mb-4">
         <Col>
@@ -191,8 +248,14 @@ const LiveSessionControl = () => {
               </Card.Header>
               <Card.Body>
                 <div className="text-center mb-3">
+                  {checkInUrl && (
+                    <div className="mb-2">
+                      <QRCodeSVG value={checkInUrl} size={160} includeMargin />
+                    </div>
+                  )}
                   <h3 className="text-success">{attendanceCode}</h3>
-                  <p className="text-muted">Attendance Code</p>
+                  <p className="text-muted mb-2">Attendance Code</p>
+                  {codeCountdown}
                   <Button variant="outline-secondary" size="sm" onClick={copyAttendanceCode}>
                     📋 Copy Code
                   </Button>
@@ -200,8 +263,8 @@ const LiveSessionControl = () => {
                 
                 <Alert variant="info">
                   <strong>Instructions for Students:</strong><br/>
-                  1. Go to session join page<br/>
-                  2. Enter attendance code: <strong>{attendanceCode}</strong><br/>
+                  1. Scan the QR code, or go to the session join page<br/>
+                  2. Enter the code shown above if not scanning (it changes every {codePeriod} seconds)<br/>
                   3. Check in to mark attendance<br/>
                   4. Then join the Google Meet
                 </Alert>
@@ -230,7 +293,7 @@ const LiveSessionControl = () => {
                   liveAttendance.map((attendance, index) => (
                     <div key={index} className="d-flex justify-content-between align-items-center mb-2 p-2 border rounded">
                       <span>{attendance.student_name || `Student ${attendance.student_id}`}</span>
-                      <Badge bg={attendance.status === 'present' ? 'success' : 'secondary'}>
+                      <Badge bg={attendance.status === 'present' ? 'success' : attendance.status === 'late' ? 'warning' : 'secondary'}>
                         {attendance.status}
                       </Badge>
                     </div>
@@ -245,11 +308,17 @@ const LiveSessionControl = () => {
       {/* Attendance Code Modal */}
       <Modal show={showCodeModal} onHide={() => setShowCodeModal(false)} centered>
         <Modal.Header closeButton>
-          <Modal.Title>📝 Attendance Code Generated</Modal.Title>
+          <Modal.Title>📝 Attendance Code</Modal.Title>
         </Modal.Header>
         <Modal.Body className="text-center">
-          <h1 className="text-success mb-3">{attendanceCode}</h1>
-          <p>Share this code with your students so they can check in and mark their attendance.</p>
+          {checkInUrl && (
+            <div className="mb-3">
+              <QRCodeSVG value={checkInUrl} size={280} includeMargin />
+            </div>
+          )}
+          <h1 className="text-success mb-2">{attendanceCode}</h1>
+          {codeCountdown}
+          <p>Project the QR code or show this code to your students so they can check in. Both change every {codePeriod} seconds.</p>
           <Button variant="outline-secondary" onClick={copyAttendanceCode}>
             📋 Copy to Clipboard
           </Button>
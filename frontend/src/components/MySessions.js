@@ -4,6 +4,22 @@ import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import sessionService from '../services/sessionService';
 import LoadingSpinner from './LoadingSpinner';
+import RecurrenceEditor, {
+  defaultRecurrence,
+  validateRecurrence,
+  toRecurrencePayload
+} from './RecurrenceEditor';
+
+/**
+ * Format a date as a datetime-local value in the browser's timezone
+ * @param {string} dateTime - ISO date string
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+const toLocalInputValue = (dateTime) => {
+  const date = new Date(dateTime);
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
 
 /**
  * My Sessions Component
@@ -17,6 +33,11 @@ const MySessions = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [occurrenceAction, setOccurrenceAction] = useState(null); // 'skip' | 'cancel'
+  const [occurrenceReason, setOccurrenceReason] = useState('');
+  const [editScope, setEditScope] = useState('this');
+  const [changeRecurrence, setChangeRecurrence] = useState(false);
+  const [recurrence, setRecurrence] = useState(defaultRecurrence(''));
   const [selectedSession, setSelectedSession] = useState(null);
   const [formData, setFormData] = useState({});
   const [errors, setErrors] = useState({});
@@ -44,18 +65,58 @@ const MySessions = () => {
   };
 
   const handleEdit = (session) => {
-    setSelectedSession(session);
+    // Series occurrences are edited in local wall-clock time of the series
+    const dateTime = session.series_id
+      ? toLocalInputValue(session.date_time)
+      : new Date(session.date_time).toISOString().slice(0, 16);
+
+    setSelectedSession({ ...session, initialDateTime: dateTime });
     setFormData({
       title: session.title,
       description: session.description,
-      date_time: new Date(session.date_time).toISOString().slice(0, 16),
+      date_time: dateTime,
       meeting_link: session.meeting_link,
       recording_link: session.recording_link || ''
     });
+    setEditScope('this');
+    setChangeRecurrence(false);
+    setRecurrence(defaultRecurrence(dateTime));
     setErrors({});
     setShowEditModal(true);
   };
 
+  const handleOccurrenceAction = (session, action) => {
+    setSelectedSession(session);
+    setOccurrenceReason('');
+    setOccurrenceAction(action);
+  };
+
+  const handleConfirmOccurrenceAction = async () => {
+    try {
+      if (occurrenceAction === 'skip') {
+        await sessionService.skipSeriesOccurrence(selectedSession.series_id, selectedSession.id, occurrenceReason);
+      } else {
+        await sessionService.cancelSeriesOccurrence(selectedSession.series_id, selectedSession.id, occurrenceReason);
+      }
+
+      setAlert({
+        show: true,
+        message: occurrenceAction === 'skip' ? 'Occurrence skipped successfully!' : 'Occurrence cancelled successfully!',
+        variant: 'success'
+      });
+
+      setOccurrenceAction(null);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error updating occurrence:', error);
+      setAlert({
+        show: true,
+        message: error.response?.data?.message || 'Failed to update occurrence',
+        variant: 'danger'
+      });
+    }
+  };
+
   const handleDelete = (session) => {
     setSelectedSession(session);
     setShowDeleteModal(true);
@@ -109,26 +170,64 @@ const MySessions = () => {
       }
     }
 
+    if (selectedSession?.series_id && editScope === 'following' && changeRecurrence) {
+      const recurrenceError = validateRecurrence(recurrence, formData.date_time);
+      if (recurrenceError) {
+        newErrors.recurrence = recurrenceError;
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const saveSeriesOccurrence = async () => {
+    const updateData = {
+      scope: editScope,
+      title: formData.title,
+      description: formData.description,
+      meeting_link: formData.meeting_link
+    };
+
+    // Only send the time when it changed, otherwise the occurrence is recorded as moved
+    if (formData.date_time !== selectedSession.initialDateTime) {
+      updateData.date_time = formData.date_time;
+    }
+
+    if (editScope === 'following' && changeRecurrence) {
+      updateData.recurrence = toRecurrencePayload(recurrence);
+    }
+
+    const response = await sessionService.updateSeriesOccurrence(
+      selectedSession.series_id,
+      selectedSession.id,
+      updateData
+    );
+    return response.data.message;
+  };
+
   const handleSaveEdit = async () => {
     if (!validateForm()) {
       return;
     }
 
     try {
-      const updateData = {
-        ...formData,
-        recording_link: formData.recording_link || null
-      };
+      let message = 'Session updated successfully!';
+
+      if (selectedSession.series_id) {
+        message = await saveSeriesOccurrence();
+      } else {
+        const updateData = {
+          ...formData,
+          recording_link: formData.recording_link || null
+        };
 
-      await sessionService.updateSession(selectedSession.id, updateData);
+        await sessionService.updateSession(selectedSession.id, updateData);
+      }
       
       setAlert({
         show: true,
-        message: 'Session updated successfully!',
+        message,
         variant: 'success'
       });
       
@@ -167,6 +266,10 @@ const MySessions = () => {
   };
 
   const getSessionStatus = (session) => {
+    if (session.status === 'cancelled') {
+      return <Badge bg="danger">Cancelled</Badge>;
+    }
+
     const now = new Date();
     const sessionDate = new Date(session.date_time);
     
@@ -255,6 +358,11 @@ const MySessions = () => {
                           <td>
                             <div>
                               <strong>{session.title}</strong>
+                              {session.series_id && (
+                                <Badge bg="info" className="ms-2" title="Part of a recurring series">
+                                  <i className="bi bi-arrow-repeat"></i> Series
+                                </Badge>
+                              )}
                               <br />
                               <small className="text-muted">
                                 {session.description.length > 100 
@@ -295,6 +403,26 @@ const MySessions = () => {
                               >
                                 <i className="bi bi-trash"></i>
                               </Button>
+                              {session.series_id && session.status !== 'cancelled' && new Date(session.date_time) > new Date() && (
+                                <>
+                                  <Button
+                                    variant="outline-warning"
+                                    size="sm"
+                                    onClick={() => handleOccurrenceAction(session, 'skip')}
+                                    title="Skip this occurrence"
+                                  >
+                                    <i className="bi bi-skip-forward"></i>
+                                  </Button>
+                                  <Button
+                                    variant="outline-danger"
+                                    size="sm"
+                                    onClick={() => handleOccurrenceAction(session, 'cancel')}
+                                    title="Cancel this occurrence"
+                                  >
+                                    <i className="bi bi-x-circle"></i>
+                                  </Button>
+                                </>
+                              )}
                               <Button
                                 variant="outline-info"
                                 size="sm"
@@ -323,6 +451,30 @@ const MySessions = () => {
         </Modal.Header>
         <Modal.Body>
           <Form>
+            {selectedSession?.series_id && (
+              <Form.Group className="mb-3">
+                <Form.Label>Apply changes to</Form.Label>
+                <div>
+                  <Form.Check
+                    inline
+                    type="radio"
+                    id="edit-scope-this"
+                    label="This occurrence only"
+                    checked={editScope === 'this'}
+                    onChange={() => setEditScope('this')}
+                  />
+                  <Form.Check
+                    inline
+                    type="radio"
+                    id="edit-scope-following"
+                    label="This and following occurrences"
+                    checked={editScope === 'following'}
+                    onChange={() => setEditScope('following')}
+                  />
+                </div>
+              </Form.Group>
+            )}
+
             <Form.Group className="mb-3">
               <Form.Label>Title</Form.Label>
               <Form.Control
@@ -366,6 +518,27 @@ const MySessions = () => {
               </Form.Control.Feedback>
             </Form.Group>
 
+            {selectedSession?.series_id && editScope === 'following' && (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Check
+                    type="switch"
+                    id="change-recurrence"
+                    label="Change the recurrence from here on"
+                    checked={changeRecurrence}
+                    onChange={(e) => setChangeRecurrence(e.target.checked)}
+                  />
+                </Form.Group>
+                {changeRecurrence && (
+                  <RecurrenceEditor
+                    recurrence={recurrence}
+                    onChange={setRecurrence}
+                    error={errors.recurrence}
+                  />
+                )}
+              </>
+            )}
+
             <Form.Group className="mb-3">
               <Form.Label>Meeting Link</Form.Label>
               <Form.Control
@@ -380,19 +553,21 @@ const MySessions = () => {
               </Form.Control.Feedback>
             </Form.Group>
 
-            <Form.Group className="mb-3">
-              <Form.Label>Recording Link (Optional)</Form.Label>
-              <Form.Control
-                type="url"
-                name="recording_link"
-                value={formData.recording_link || ''}
-                onChange={handleInputChange}
-                isInvalid={!!errors.recording_link}
-              />
-              <Form.Control.Feedback type="invalid">
-                {errors.recording_link}
-              </Form.Control.Feedback>
-            </Form.Group>
+            {!selectedSession?.series_id && (
+              <Form.Group className="mb-3">
+                <Form.Label>Recording Link (Optional)</Form.Label>
+                <Form.Control
+                  type="url"
+                  name="recording_link"
+                  value={formData.recording_link || ''}
+                  onChange={handleInputChange}
+                  isInvalid={!!errors.recording_link}
+                />
+                <Form.Control.Feedback type="invalid">
+                  {errors.recording_link}
+                </Form.Control.Feedback>
+              </Form.Group>
+            )}
           </Form>
         </Modal.Body>
         <Modal.Footer>
@@ -405,6 +580,46 @@ const MySessions = () => {
         </Modal.Footer>
       </Modal>
 
+      {/* Skip / Cancel Occurrence Modal */}
+      <Modal show={!!occurrenceAction} onHide={() => setOccurrenceAction(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {occurrenceAction === 'skip' ? 'Skip Occurrence' : 'Cancel Occurrence'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            <strong>"{selectedSession?.title}"</strong> on{' '}
+            {selectedSession && formatDateTime(selectedSession.date_time)}
+          </p>
+          <p className="text-muted">
+            {occurrenceAction === 'skip'
+              ? 'The session is removed from the schedule. Other occurrences are not affected.'
+              : 'The session stays on the schedule marked as cancelled. Other occurrences are not affected.'}
+          </p>
+          <Form.Group>
+            <Form.Label>Reason (Optional)</Form.Label>
+            <Form.Control
+              type="text"
+              value={occurrenceReason}
+              onChange={(e) => setOccurrenceReason(e.target.value)}
+              placeholder="e.g. Public holiday"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setOccurrenceAction(null)}>
+            Close
+          </Button>
+          <Button
+            variant={occurrenceAction === 'skip' ? 'warning' : 'danger'}
+            onClick={handleConfirmOccurrenceAction}
+          >
+            {occurrenceAction === 'skip' ? 'Skip Occurrence' : 'Cancel Occurrence'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal show={showDeleteModal} onHide={() => setShowDeleteModal(false)}>
         <Modal.Header closeButton>
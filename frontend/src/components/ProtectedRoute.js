@@ -1,34 +1,39 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useSelector } from 'react-redux';
+import PendingApprovalPage from '../pages/PendingApprovalPage';
+import { getDashboardRoute } from '../utils/permissions';
 
 /**
  * Protected Route Component
- * Handles role-based access control for routes
+ * Handles role-based access control for routes; a dashboard route is only
+ * open to the roles it is the dashboard of
  */
-const ProtectedRoute = ({ children, allowedRoles }) => {
+const ProtectedRoute = ({ children, allowedRoles, dashboard, allowRestricted = false }) => {
   const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const location = useLocation();
 
-  // If not authenticated, redirect to login
+  // If not authenticated, redirect to login and come back here afterwards (e.g. a scanned check-in link)
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
   // If user role is not allowed, redirect to appropriate dashboard or login
-  if (allowedRoles && user && !allowedRoles.includes(user.role)) {
+  if (user && ((allowedRoles && !allowedRoles.includes(user.role)) ||
+               (dashboard && getDashboardRoute(user.role) !== dashboard))) {
     // Redirect to their appropriate dashboard
-    const dashboardRoutes = {
-      admin: '/admin',
-      teacher: '/teacher',
-      student: '/student',
-    };
-    
-    const userDashboard = dashboardRoutes[user.role];
-    if (userDashboard) {
-      return <Navigate to={userDashboard} replace />;
-    } else {
-      return <Navigate to="/login" replace />;
-    }
+    return <Navigate to={getDashboardRoute(user.role)} replace />;
+  }
+
+  // Restricted accounts only get the pages marked allowRestricted:
+  // teachers awaiting approval...
+  if (!allowRestricted && user?.approval_status && user.approval_status !== 'approved') {
+    return <PendingApprovalPage />;
+  }
+
+  // ...and users who must set up two-factor authentication first
+  if (!allowRestricted && user?.two_factor_setup_required) {
+    return <Navigate to="/settings" replace />;
   }
 
   return children;
@@ -0,0 +1,191 @@
+import React from 'react';
+import { Form, Row, Col, ToggleButtonGroup, ToggleButton } from 'react-bootstrap';
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+export const MAX_OCCURRENCES = 200;
+
+/**
+ * Get the weekday code (MO..SU) of a datetime-local value
+ * @param {string} localDateTime - Value of a datetime-local input
+ * @returns {string|null} Weekday code
+ */
+export const weekdayOf = (localDateTime) => {
+  if (!localDateTime) return null;
+  const day = new Date(localDateTime).getDay();
+  return Number.isNaN(day) ? null : WEEKDAYS[(day + 6) % 7].code;
+};
+
+/**
+ * Default recurrence state for the editor
+ * @param {string} localDateTime - First session date-time, used to preselect its weekday
+ * @returns {Object} Recurrence state
+ */
+export const defaultRecurrence = (localDateTime) => {
+  const weekday = weekdayOf(localDateTime);
+  return {
+    weekdays: weekday ? [weekday] : [],
+    interval: 1,
+    endType: 'until',
+    until: '',
+    count: 10
+  };
+};
+
+/**
+ * Validate recurrence state
+ * @param {Object} recurrence - Recurrence state
+ * @param {string} localDateTime - First session date-time
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateRecurrence = (recurrence, localDateTime) => {
+  if (recurrence.weekdays.length === 0) {
+    return 'Select at least one weekday';
+  }
+  if (recurrence.endType === 'until') {
+    if (!recurrence.until) {
+      return 'Choose the date the series ends';
+    }
+    if (localDateTime && recurrence.until < localDateTime.slice(0, 10)) {
+      return 'The end date must be on or after the first session';
+    }
+  } else {
+    const count = Number(recurrence.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return `Number of sessions must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Convert recurrence state to the API payload
+ * @param {Object} recurrence - Recurrence state
+ * @returns {Object} {weekdays, interval, until} or {weekdays, interval, count}
+ */
+export const toRecurrencePayload = (recurrence) => ({
+  weekdays: recurrence.weekdays,
+  interval: Number(recurrence.interval),
+  ...(recurrence.endType === 'until'
+    ? { until: recurrence.until }
+    : { count: Number(recurrence.count) })
+});
+
+/**
+ * Human readable summary of a recurrence
+ * @param {Object} recurrence - Recurrence state
+ * @returns {string} Summary, e.g. "Every 2 weeks on Mon, Wed until 2026-12-18"
+ */
+export const describeRecurrence = (recurrence) => {
+  const days = WEEKDAYS
+    .filter(day => recurrence.weekdays.includes(day.code))
+    .map(day => day.label)
+    .join(', ');
+  const interval = Number(recurrence.interval);
+  const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+  const end = recurrence.endType === 'until'
+    ? (recurrence.until ? ` until ${new Date(`${recurrence.until}T00:00`).toLocaleDateString()}` : '')
+    : ` for ${recurrence.count} sessions`;
+  return days ? `${every} on ${days}${end}` : '';
+};
+
+/**
+ * Recurrence Editor Component
+ * Weekly recurrence picker (weekdays, interval, end date or number of sessions)
+ */
+const RecurrenceEditor = ({ recurrence, onChange, error }) => {
+  const update = (changes) => onChange({ ...recurrence, ...changes });
+
+  return (
+    <div className="border rounded p-3 mb-3 bg-light">
+      <Form.Group className="mb-3">
+        <Form.Label>Repeat on</Form.Label>
+        <div>
+          <ToggleButtonGroup
+            type="checkbox"
+            value={recurrence.weekdays}
+            onChange={(weekdays) => update({ weekdays })}
+          >
+            {WEEKDAYS.map(day => (
+              <ToggleButton
+                key={day.code}
+                id={`recurrence-${day.code}`}
+                value={day.code}
+                variant="outline-primary"
+                size="sm"
+              >
+                {day.label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </div>
+      </Form.Group>
+
+      <Row>
+        <Col md={4}>
+          <Form.Group className="mb-3">
+            <Form.Label>Every</Form.Label>
+            <Form.Select
+              value={recurrence.interval}
+              onChange={(e) => update({ interval: Number(e.target.value) })}
+            >
+              <option value={1}>1 week</option>
+              <option value={2}>2 weeks</option>
+              <option value={3}>3 weeks</option>
+              <option value={4}>4 weeks</option>
+            </Form.Select>
+          </Form.Group>
+        </Col>
+        <Col md={8}>
+          <Form.Group className="mb-3">
+            <Form.Label>Ends</Form.Label>
+            <div className="d-flex gap-2 align-items-center">
+              <Form.Select
+                style={{ maxWidth: '140px' }}
+                value={recurrence.endType}
+                onChange={(e) => update({ endType: e.target.value })}
+              >
+                <option value="until">On date</option>
+                <option value="count">After</option>
+              </Form.Select>
+              {recurrence.endType === 'until' ? (
+                <Form.Control
+                  type="date"
+                  value={recurrence.until}
+                  onChange={(e) => update({ until: e.target.value })}
+                />
+              ) : (
+                <>
+                  <Form.Control
+                    type="number"
+                    min={1}
+                    max={MAX_OCCURRENCES}
+                    value={recurrence.count}
+                    onChange={(e) => update({ count: e.target.value })}
+                  />
+                  <span className="text-nowrap">sessions</span>
+                </>
+              )}
+            </div>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      {error ? (
+        <div className="text-danger small">{error}</div>
+      ) : (
+        <Form.Text className="text-muted">{describeRecurrence(recurrence)}</Form.Text>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
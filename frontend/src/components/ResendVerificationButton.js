@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { Button } from 'react-bootstrap';
+import authService from '../services/authService';
+
+/**
+ * Resend Verification Button Component
+ * Sends a new email verification link to an address
+ */
+const ResendVerificationButton = ({ email, variant = 'outline-primary', size = 'sm' }) => {
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await authService.resendVerification(email);
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to send the verification email. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div>
+      <Button variant={variant} size={size} onClick={handleResend} disabled={sending || !email} type="button">
+        <i className="bi bi-envelope me-2"></i>
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </Button>
+      {message && <div className="small text-muted mt-2">{message}</div>}
+    </div>
+  );
+};
+
+export default ResendVerificationButton;
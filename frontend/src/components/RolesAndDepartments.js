@@ -0,0 +1,420 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Modal, Form, Alert, Spinner, Badge
+} from 'react-bootstrap';
+import roleService from '../services/roleService';
+import { formatRoleName } from '../utils/permissions';
+
+const SCOPE_LABELS = {
+  all: 'Everywhere',
+  department: 'Own department',
+  own: 'Own courses'
+};
+
+const EMPTY_ROLE = { name: '', description: '', permissions: {} };
+
+/**
+ * Roles and Departments Component
+ * Lets admins choose which permissions each role grants, and in which scope,
+ * and manage the departments department admins are limited to.
+ */
+const RolesAndDepartments = () => {
+  const [roles, setRoles] = useState([]);
+  const [registry, setRegistry] = useState({});
+  const [departments, setDepartments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [alert, setAlert] = useState(null);
+
+  // Role modal
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [roleForm, setRoleForm] = useState(EMPTY_ROLE);
+
+  // Department modal
+  const [showDepartmentModal, setShowDepartmentModal] = useState(false);
+  const [editingDepartment, setEditingDepartment] = useState(null);
+  const [departmentName, setDepartmentName] = useState('');
+
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchData = async () => {
+    try {
+      const [rolesResponse, departmentsResponse] = await Promise.all([
+        roleService.getRoles(),
+        roleService.getDepartments()
+      ]);
+      setRoles(rolesResponse.data.roles || []);
+      setRegistry(rolesResponse.data.permissions || {});
+      setDepartments(departmentsResponse.data.departments || []);
+    } catch (err) {
+      setAlert({ variant: 'danger', message: 'Failed to load roles and departments' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const handleShowRoleModal = (role = null) => {
+    setEditingRole(role);
+    setRoleForm(role
+      ? { name: role.name, description: role.description || '', permissions: { ...role.permissions } }
+      : EMPTY_ROLE);
+    setFormError('');
+    setShowRoleModal(true);
+  };
+
+  const handleScopeChange = (permission, scope) => {
+    const permissions = { ...roleForm.permissions };
+    if (scope) {
+      permissions[permission] = scope;
+    } else {
+      delete permissions[permission];
+    }
+    setRoleForm({ ...roleForm, permissions });
+  };
+
+  const handleRoleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      const roleData = { description: roleForm.description, permissions: roleForm.permissions };
+      if (editingRole) {
+        await roleService.updateRole(editingRole.name, roleData);
+      } else {
+        await roleService.createRole({ name: roleForm.name.trim(), ...roleData });
+      }
+      setShowRoleModal(false);
+      setAlert({ variant: 'success', message: `Role ${editingRole ? 'updated' : 'created'} successfully` });
+      fetchData();
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to save the role');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the role "${formatRoleName(role.name)}"?`)) return;
+
+    try {
+      await roleService.deleteRole(role.name);
+      setAlert({ variant: 'success', message: 'Role deleted successfully' });
+      fetchData();
+    } catch (err) {
+      setAlert({ variant: 'danger', message: err.response?.data?.message || 'Failed to delete the role' });
+    }
+  };
+
+  const handleShowDepartmentModal = (department = null) => {
+    setEditingDepartment(department);
+    setDepartmentName(department ? department.name : '');
+    setFormError('');
+    setShowDepartmentModal(true);
+  };
+
+  const handleDepartmentSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      if (editingDepartment) {
+        await roleService.updateDepartment(editingDepartment.id, departmentName);
+      } else {
+        await roleService.createDepartment(departmentName);
+      }
+      setShowDepartmentModal(false);
+      setAlert({ variant: 'success', message: `Department ${editingDepartment ? 'renamed' : 'created'} successfully` });
+      fetchData();
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to save the department');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteDepartment = async (department) => {
+    if (!window.confirm(`Delete the department "${department.name}"?`)) return;
+
+    try {
+      await roleService.deleteDepartment(department.id);
+      setAlert({ variant: 'success', message: 'Department deleted successfully' });
+      fetchData();
+    } catch (err) {
+      setAlert({ variant: 'danger', message: err.response?.data?.message || 'Failed to delete the department' });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Container className="text-center mt-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading roles...</p>
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      {alert && (
+        <Alert variant={alert.variant} dismissible onClose={() => setAlert(null)}>
+          {alert.message}
+        </Alert>
+      )}
+
+      {/* Page Header */}
+      <Row className="mb-4">
+        <Col>
+          <h2>Roles &amp; Departments</h2>
+          <p className="text-muted">
+            Choose what each role may do, and where: everywhere, in the user's own department or on
+            their own courses. Changes apply to every user with the role within a minute.
+          </p>
+        </Col>
+        <Col xs="auto">
+          <Button variant="primary" onClick={() => handleShowRoleModal()}>
+            <i className="bi bi-plus-circle me-2"></i>
+            Add Role
+          </Button>
+        </Col>
+      </Row>
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">
+            <i className="bi bi-shield-lock me-2"></i>
+            Roles
+          </h5>
+        </Card.Header>
+        <Card.Body>
+          <Table responsive hover className="mb-0">
+            <thead>
+              <tr>
+                <th>Role</th>
+                <th>Description</th>
+                <th>Permissions</th>
+                <th>Users</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {roles.map(role => (
+                <tr key={role.name}>
+                  <td>
+                    <strong>{formatRoleName(role.name)}</strong>
+                    {role.is_system && <Badge bg="secondary" className="ms-2">Built-in</Badge>}
+                  </td>
+                  <td>{role.description}</td>
+                  <td>{role.name === 'admin' ? 'All' : Object.keys(role.permissions).length}</td>
+                  <td>{role.user_count}</td>
+                  <td className="text-end">
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      className="me-2"
+                      title={role.name === 'admin' ? 'Admins always have every permission' : 'Edit role'}
+                      disabled={role.name === 'admin'}
+                      onClick={() => handleShowRoleModal(role)}
+                    >
+                      <i className="bi bi-pencil"></i>
+                    </Button>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      title={role.is_system || role.user_count > 0
+                        ? 'Only custom roles without users can be deleted'
+                        : 'Delete role'}
+                      disabled={role.is_system || role.user_count > 0}
+                      onClick={() => handleDeleteRole(role)}
+                    >
+                      <i className="bi bi-trash"></i>
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">
+            <i className="bi bi-building me-2"></i>
+            Departments
+          </h5>
+          <Button variant="outline-primary" size="sm" onClick={() => handleShowDepartmentModal()}>
+            <i className="bi bi-plus-lg me-1"></i>
+            Add Department
+          </Button>
+        </Card.Header>
+        <Card.Body>
+          {departments.length === 0 ? (
+            <div className="text-center text-muted py-4">
+              <i className="bi bi-building" style={{ fontSize: '3rem' }}></i>
+              <p className="mt-2 mb-0">No departments yet</p>
+            </div>
+          ) : (
+            <Table responsive hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Courses</th>
+                  <th>Users</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {departments.map(department => (
+                  <tr key={department.id}>
+                    <td><strong>{department.name}</strong></td>
+                    <td>{department.course_count}</td>
+                    <td>{department.user_count}</td>
+                    <td className="text-end">
+                      <Button
+                        variant="outline-primary"
+                        size="sm"
+                        className="me-2"
+                        title="Rename department"
+                        onClick={() => handleShowDepartmentModal(department)}
+                      >
+                        <i className="bi bi-pencil"></i>
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        title={department.course_count > 0
+                          ? 'Departments with courses cannot be deleted'
+                          : 'Delete department'}
+                        disabled={department.course_count > 0}
+                        onClick={() => handleDeleteDepartment(department)}
+                      >
+                        <i className="bi bi-trash"></i>
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={showRoleModal} onHide={() => setShowRoleModal(false)} size="lg">
+        <Form onSubmit={handleRoleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingRole ? `Edit ${formatRoleName(editingRole.name)}` : 'Add Role'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            {!editingRole && (
+              <Form.Group className="mb-3">
+                <Form.Label>Name</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  placeholder="e.g. registrar"
+                  pattern="[a-z][a-z0-9_]{1,19}"
+                  required
+                />
+                <Form.Text className="text-muted">
+                  Lowercase letters, digits and underscores
+                </Form.Text>
+              </Form.Group>
+            )}
+            <Form.Group className="mb-3">
+              <Form.Label>Description</Form.Label>
+              <Form.Control
+                type="text"
+                value={roleForm.description}
+                onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                maxLength={255}
+              />
+            </Form.Group>
+
+            <Table size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  <th style={{ width: '200px' }}>Granted</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(registry).map(([permission, { description, scopes }]) => (
+                  <tr key={permission}>
+                    <td className="align-middle">
+                      <code>{permission}</code>
+                      <div className="small text-muted">{description}</div>
+                    </td>
+                    <td className="align-middle">
+                      <Form.Select
+                        size="sm"
+                        value={roleForm.permissions[permission] || ''}
+                        onChange={(e) => handleScopeChange(permission, e.target.value)}
+                      >
+                        <option value="">Not granted</option>
+                        {scopes.map(scope => (
+                          <option key={scope} value={scope}>{SCOPE_LABELS[scope]}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowRoleModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Role'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      <Modal show={showDepartmentModal} onHide={() => setShowDepartmentModal(false)}>
+        <Form onSubmit={handleDepartmentSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editingDepartment ? 'Rename Department' : 'Add Department'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Group>
+              <Form.Label>Name</Form.Label>
+              <Form.Control
+                type="text"
+                value={departmentName}
+                onChange={(e) => setDepartmentName(e.target.value)}
+                placeholder="e.g. Mathematics"
+                minLength={2}
+                maxLength={100}
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowDepartmentModal(false)}>
+              Cancel
+            </Button>
+            <Button variant="primary" type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Department'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+};
+
+export default RolesAndDepartments;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Alert } from 'react-bootstrap';
+import settingsService from '../services/settingsService';
+
+// Two-factor policies, keyed by the roles they apply to
+const TWO_FACTOR_POLICIES = [
+  { value: '', roles: [], label: 'Optional for everyone' },
+  { value: 'admin', roles: ['admin'], label: 'Required for admins' },
+  { value: 'admin,teacher', roles: ['admin', 'teacher'], label: 'Required for admins and teachers' },
+];
+
+/**
+ * Security Policy Settings Component
+ * Lets admins make two-factor authentication mandatory for privileged roles
+ */
+const SecurityPolicySettings = () => {
+  const [policy, setPolicy] = useState(null);
+  const [savedPolicy, setSavedPolicy] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [alert, setAlert] = useState(null);
+
+  useEffect(() => {
+    settingsService.getSecuritySettings()
+      .then((response) => {
+        const value = response.data.twoFactorRequiredRoles.join(',');
+        setPolicy(value);
+        setSavedPolicy(value);
+      })
+      .catch((err) => console.error('Error fetching security settings:', err));
+  }, []);
+
+  const save = async () => {
+    const selected = TWO_FACTOR_POLICIES.find((option) => option.value === policy);
+
+    try {
+      setIsSaving(true);
+      setAlert(null);
+      await settingsService.updateSecuritySettings(selected.roles);
+      setSavedPolicy(policy);
+      setAlert({ variant: 'success', message: 'Security policy saved' });
+    } catch (err) {
+      setAlert({ variant: 'danger', message: err.response?.data?.message || 'Failed to save the security policy' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (policy === null) {
+    return null;
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h5 className="mb-0">
+          <i className="bi bi-shield-shaded me-2"></i>
+          Security Policy
+        </h5>
+      </Card.Header>
+      <Card.Body>
+        {alert && (
+          <Alert variant={alert.variant} dismissible onClose={() => setAlert(null)}>
+            {alert.message}
+          </Alert>
+        )}
+
+        <Form.Label>Two-factor authentication</Form.Label>
+        {TWO_FACTOR_POLICIES.map((option) => (
+          <Form.Check
+            key={option.value || 'none'}
+            type="radio"
+            id={`two-factor-policy-${option.value || 'none'}`}
+            name="twoFactorPolicy"
+            label={option.label}
+            checked={policy === option.value}
+            onChange={() => setPolicy(option.value)}
+          />
+        ))}
+        <Form.Text className="text-muted d-block mb-3">
+          Users of a required role who haven't set it up are sent to their settings page after logging in.
+        </Form.Text>
+
+        <Button variant="primary" size="sm" onClick={save} disabled={isSaving || policy === savedPolicy}>
+          {isSaving ? 'Saving...' : 'Save Policy'}
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SecurityPolicySettings;
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Alert, Badge, Form } from 'react-bootstrap';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import sessionService from '../services/sessionService';
 import attendanceService from '../services/attendanceService';
+import realtimeService from '../services/realtimeService';
 
 /**
  * Session Join Component with Attendance Check-in
@@ -10,10 +11,13 @@ import attendanceService from '../services/attendanceService';
  */
 const SessionJoin = () => {
   const { sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const qrToken = searchParams.get('token');
   const navigate = useNavigate();
   const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
   const [checkedIn, setCheckedIn] = useState(false);
+  const [checkInStatus, setCheckInStatus] = useState('present');
   const [attendanceCode, setAttendanceCode] = useState('');
   const [error, setError] = useState('');
   const [timeRemaining, setTimeRemaining] = useState(null);
@@ -24,6 +28,15 @@ const SessionJoin = () => {
     return () => clearInterval(interval);
   }, [sessionId]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Open check-in as soon as the teacher starts the session
+  useEffect(() => {
+    return realtimeService.subscribe({
+      'session.live': ({ is_live, session_ended_at }) => {
+        setSession(prev => prev && { ...prev, is_live, session_ended_at });
+      }
+    }, [sessionId]);
+  }, [sessionId]);
+
   const fetchSession = async () => {
     try {
       const response = await sessionService.getSessionById(sessionId);
@@ -44,12 +57,37 @@ const SessionJoin = () => {
       const sessionAttendance = response.data.attendance.find(
         att => att.session_id === parseInt(sessionId)
       );
-      if (sessionAttendance?.status === 'present') {
+      if (['present', 'late'].includes(sessionAttendance?.status)) {
+        setCheckInStatus(sessionAttendance.status);
         setCheckedIn(true);
+        return;
       }
     } catch (error) {
       console.log('No existing attendance found');
     }
+
+    // Arrived by scanning the teacher's QR code
+    if (qrToken) {
+      await handleQrCheckIn();
+    }
+  };
+
+  const handleQrCheckIn = async () => {
+    try {
+      setError('');
+      const response = await attendanceService.checkInWithQrToken(sessionId, qrToken);
+      setCheckInStatus(response.data.attendance.status);
+      setCheckedIn(true);
+    } catch (error) {
+      if (error.response?.status === 400) {
+        setError(`${error.response.data.message || 'Invalid QR code'}. You can still check in with the attendance code.`);
+      } else {
+        setError('Failed to check in with the QR code. Please use the attendance code.');
+      }
+    } finally {
+      // Drop the token so a reload doesn't retry an expired one
+      navigate(`/session/${sessionId}/join`, { replace: true });
+    }
   };
 
   const updateTimeRemaining = () => {
@@ -73,7 +111,8 @@ const SessionJoin = () => {
       setError('');
       
       // Use the new check-in API
-      await attendanceService.checkInWithCode(sessionId, attendanceCode);
+      const response = await attendanceService.checkInWithCode(sessionId, attendanceCode);
+      setCheckInStatus(response.data.attendance.status);
       setCheckedIn(true);
       
     } catch (error) {
@@ -138,25 +177,29 @@ const SessionJoin = () => {
                     <h6 className="text-warning">📝 Attendance Check-in Required</h6>
                     <p>You must check in to mark your attendance before joining the meeting.</p>
                     
-                    {session.attendance_code && (
+                    {session.is_live ? (
                       <Form.Group className="mb-3">
                         <Form.Label>Attendance Code</Form.Label>
                         <Form.Control
                           type="text"
-                          placeholder="Enter the code provided by your teacher"
+                          inputMode="numeric"
+                          maxLength={6}
+                          placeholder="Enter the code shown by your teacher"
                           value={attendanceCode}
-                          onChange={(e) => setAttendanceCode(e.target.value.toUpperCase())}
+                          onChange={(e) => setAttendanceCode(e.target.value.replace(/\D/g, ''))}
                         />
                         <Form.Text className="text-muted">
-                          Ask your teacher for the attendance code
+                          The code changes every few seconds, so enter the one currently shown
                         </Form.Text>
                       </Form.Group>
+                    ) : (
+                      <p className="text-muted small">Check-in opens when your teacher starts the live session.</p>
                     )}
                     
                     <Button 
                       variant="warning" 
                       onClick={handleCheckIn}
-                      disabled={session.attendance_code && !attendanceCode}
+                      disabled={!session.is_live || !attendanceCode}
                     >
                       ✅ Check In & Mark Attendance
                     </Button>
@@ -164,7 +207,7 @@ const SessionJoin = () => {
                 </Card>
               ) : (
                 <Alert variant="success">
-                  ✅ <strong>Checked In!</strong> Your attendance has been marked as present.
+                  ✅ <strong>Checked In!</strong> Your attendance has been marked as {checkInStatus}.
                 </Alert>
               )}
 
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Button, Form, Alert, Badge, Modal, Spinner } from 'react-bootstrap';
+import courseService from '../services/courseService';
+import assignmentService from '../services/assignmentService';
+import gradebookService from '../services/gradebookService';
+import { saveBlob } from '../utils/files';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_FILE_TYPES = '.pdf,.doc,.docx,.txt,.zip,.jpg,.jpeg,.png';
+
+/**
+ * Get the status badge of an assignment for the student
+ * @param {Object} assignment - Assignment with the student's submission fields
+ * @returns {Object} {bg, text, label}
+ */
+const getAssignmentStatus = (assignment) => {
+  if (assignment.graded_at) {
+    return { bg: 'success', label: `Graded: ${Number(assignment.score)}/${assignment.points}` };
+  }
+  if (assignment.submission_id) {
+    return assignment.is_late
+      ? { bg: 'warning', text: 'dark', label: 'Handed in late' }
+      : { bg: 'info', label: 'Handed in' };
+  }
+  if (new Date(assignment.due_at) < new Date()) {
+    return { bg: 'danger', label: 'Missing' };
+  }
+  return { bg: 'secondary', label: 'To do' };
+};
+
+/**
+ * Student Assignments Component
+ * Lists the assignments of the student's courses with the current grade in
+ * each. Students read the instructions, hand in text and/or a file (again,
+ * until it is graded) and see their score and feedback.
+ */
+const StudentAssignments = () => {
+  const [courses, setCourses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [selected, setSelected] = useState(null);
+  const [text, setText] = useState('');
+  const [file, setFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+
+  const fetchAssignments = async () => {
+    try {
+      const enrolled = await courseService.getStudentCourses();
+      const responses = await Promise.all(
+        (enrolled.courses || []).map(course => Promise.all([
+          assignmentService.getAssignments(course.id),
+          gradebookService.getMyGrades(course.id)
+        ]))
+      );
+      setCourses((enrolled.courses || []).map((course, i) => ({
+        ...course,
+        assignments: responses[i][0].data.assignments || [],
+        grades: responses[i][1].data.grades
+      })));
+      setError('');
+    } catch (err) {
+      setError('Failed to load your assignments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAssignments();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleOpen = async (course, assignment) => {
+    try {
+      setError('');
+      const response = await assignmentService.getAssignment(course.id, assignment.id);
+      const { submission } = response.data;
+      setSelected({ course, assignment: response.data.assignment, submission });
+      setText(submission?.text_response || '');
+      setFile(null);
+      setSubmitError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the assignment');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0] || null;
+    if (chosen && chosen.size > MAX_FILE_SIZE) {
+      setSubmitError('The file must be smaller than 5 MB');
+      e.target.value = '';
+      setFile(null);
+      return;
+    }
+    setSubmitError('');
+    setFile(chosen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setSubmitError('');
+      const response = await assignmentService.submitAssignment(
+        selected.course.id, selected.assignment.id, text, file
+      );
+      setSuccess(response.data.message);
+      setSelected(null);
+      fetchAssignments();
+    } catch (err) {
+      setSubmitError(err.response?.data?.message || 'Failed to hand in the assignment. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    const { course, assignment, submission } = selected;
+    try {
+      const response = await assignmentService.getSubmissionFile(course.id, assignment.id, submission.id);
+      saveBlob(response.data, submission.file_name);
+    } catch (err) {
+      setSubmitError('Failed to download the file');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="text-center mt-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading assignments...</p>
+      </div>
+    );
+  }
+
+  const submission = selected?.submission;
+  const isPastDue = selected && new Date(selected.assignment.due_at) < new Date();
+  const isClosed = selected && (
+    Boolean(submission?.graded_at) ||
+    Boolean(selected.course.archived_at) ||
+    (isPastDue && !selected.assignment.allow_late_submissions)
+  );
+
+  return (
+    <div>
+      <h2 className="mb-4">My Assignments &amp; Grades</h2>
+
+      {error && <Alert variant="danger" dismissible onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert variant="success" dismissible onClose={() => setSuccess('')}>{success}</Alert>}
+
+      {courses.length === 0 && (
+        <p className="text-muted">You are not enrolled in any course yet.</p>
+      )}
+
+      {courses.map(course => (
+        <Card key={course.id} className="mb-4">
+          <Card.Header className="d-flex justify-content-between align-items-center">
+            <h5 className="mb-0">
+              <i className="bi bi-journal-text me-2"></i>
+              {course.title}
+              <small className="text-muted ms-2">{course.course_code}</small>
+            </h5>
+            {course.grades?.running_percent !== null && course.grades?.running_percent !== undefined && (
+              <span title="Your grade so far, from what has been graded">
+                Current grade: <strong>{course.grades.running_percent}%</strong>
+                {course.grades.running_letter && (
+                  <Badge bg="primary" className="ms-2">{course.grades.running_letter}</Badge>
+                )}
+              </span>
+            )}
+          </Card.Header>
+          <Card.Body>
+            {course.assignments.length > 0 ? (
+              <Table responsive hover className="mb-0">
+                <thead>
+                  <tr>
+                    <th>Title</th>
+                    <th>Due</th>
+                    <th>Points</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {course.assignments.map(assignment => {
+                    const status = getAssignmentStatus(assignment);
+                    return (
+                      <tr key={assignment.id}>
+                        <td className="align-middle"><strong>{assignment.title}</strong></td>
+                        <td className="align-middle">{new Date(assignment.due_at).toLocaleString()}</td>
+                        <td className="align-middle">{assignment.points}</td>
+                        <td className="align-middle">
+                          <Badge bg={status.bg} text={status.text}>{status.label}</Badge>
+                        </td>
+                        <td className="text-end">
+                          <Button variant="outline-primary" size="sm" onClick={() => handleOpen(course, assignment)}>
+                            Open
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="text-muted mb-0">No assignments in this course yet.</p>
+            )}
+          </Card.Body>
+        </Card>
+      ))}
+
+      <Modal show={!!selected} onHide={() => setSelected(null)} size="lg">
+        {selected && (
+          <Form onSubmit={handleSubmit}>
+            <Modal.Header closeButton>
+              <Modal.Title>{selected.assignment.title}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {submitError && <Alert variant="danger">{submitError}</Alert>}
+              <p className="text-muted">
+                Due {new Date(selected.assignment.due_at).toLocaleString()} &middot; {selected.assignment.points} points
+                {!selected.assignment.allow_late_submissions && ' · Late submissions are not accepted'}
+              </p>
+              {selected.assignment.instructions && (
+                <p style={{ whiteSpace: 'pre-wrap' }}>{selected.assignment.instructions}</p>
+              )}
+
+              {submission && (
+                <Alert variant={submission.graded_at ? 'success' : 'info'}>
+                  Handed in {new Date(submission.submitted_at).toLocaleString()}
+                  {submission.is_late && <Badge bg="warning" text="dark" className="ms-2">Late</Badge>}
+                  {submission.has_file && (
+                    <div>
+                      <Button variant="link" size="sm" className="p-0" onClick={handleDownload}>
+                        <i className="bi bi-paperclip me-1"></i>
+                        {submission.file_name}
+                      </Button>
+                    </div>
+                  )}
+                  {submission.graded_at && (
+                    <div className="mt-2">
+                      <strong>Score: {Number(submission.score)}/{selected.assignment.points}</strong>
+                      {submission.feedback && (
+                        <p className="mb-0 mt-1" style={{ whiteSpace: 'pre-wrap' }}>{submission.feedback}</p>
+                      )}
+                    </div>
+                  )}
+                </Alert>
+              )}
+
+              {!isClosed && (
+                <>
+                  {isPastDue && (
+                    <Alert variant="warning">This assignment is past due; your submission will be marked as late.</Alert>
+                  )}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Your answer</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={6}
+                      maxLength={50000}
+                      value={text}
+                      onChange={(e) => setText(e.target.value)}
+                    />
+                  </Form.Group>
+                  <Form.Group>
+                    <Form.Label>File (optional)</Form.Label>
+                    <Form.Control type="file" accept={ACCEPTED_FILE_TYPES} onChange={handleFileChange} />
+                    <Form.Text className="text-muted">
+                      PDF, Word, text, ZIP or image, up to 5 MB.
+                      {submission && ' Handing in again replaces your previous submission.'}
+                    </Form.Text>
+                  </Form.Group>
+                </>
+              )}
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setSelected(null)}>
+                Close
+              </Button>
+              {!isClosed && (
+                <Button variant="primary" type="submit" disabled={submitting || (!text.trim() && !file)}>
+                  {submitting ? 'Handing in...' : 'Hand In'}
+                </Button>
+              )}
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default StudentAssignments;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Button, Badge, Modal, Form, Alert, ButtonGroup } from 'react-bootstrap';
+import userService from '../services/userService';
+import realtimeService from '../services/realtimeService';
+
+/**
+ * Teacher Applications Component
+ * Approval queue for self-registered teachers (admin only)
+ */
+const TeacherApplications = ({ onReviewed }) => {
+  const [status, setStatus] = useState('pending_approval');
+  const [applications, setApplications] = useState([]);
+  const [reviewing, setReviewing] = useState(null);
+  const [reason, setReason] = useState('');
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchApplications = useCallback(async () => {
+    try {
+      const response = await userService.getTeacherApplications(status);
+      setApplications(response.data.applications || []);
+    } catch (err) {
+      console.error('Error fetching teacher applications:', err);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  // New applicants show up without reloading the page
+  useEffect(() => {
+    return realtimeService.subscribe({
+      'teacher.application': () => {
+        if (status === 'pending_approval') {
+          fetchApplications();
+        }
+      },
+    });
+  }, [status, fetchApplications]);
+
+  const openReview = (application, decision) => {
+    setReviewing({ application, decision });
+    setReason('');
+    setError('');
+  };
+
+  const submitReview = async () => {
+    const { application, decision } = reviewing;
+
+    try {
+      setIsReviewing(true);
+      setError('');
+      await userService.reviewTeacherApplication(application.id, decision, reason);
+      setReviewing(null);
+      fetchApplications();
+      if (onReviewed) {
+        onReviewed(application, decision);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to review the application');
+    } finally {
+      setIsReviewing(false);
+    }
+  };
+
+  // Keep the card out of the way when there is nothing to review
+  if (status === 'pending_approval' && applications.length === 0) {
+    return (
+      <div className="text-end mb-3">
+        <Button variant="link" size="sm" onClick={() => setStatus('rejected')}>
+          Show rejected teacher applications
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-person-badge me-2"></i>
+          Teacher Applications <Badge bg="secondary">{applications.length}</Badge>
+        </h5>
+        <ButtonGroup size="sm">
+          <Button
+            variant={status === 'pending_approval' ? 'primary' : 'outline-primary'}
+            onClick={() => setStatus('pending_approval')}
+          >
+            Pending
+          </Button>
+          <Button
+            variant={status === 'rejected' ? 'primary' : 'outline-primary'}
+            onClick={() => setStatus('rejected')}
+          >
+            Rejected
+          </Button>
+        </ButtonGroup>
+      </Card.Header>
+      <Card.Body>
+        {applications.length === 0 ? (
+          <p className="text-muted text-center mb-0">No rejected applications</p>
+        ) : (
+          <div className="table-responsive">
+            <Table hover className="mb-0">
+              <thead>
+                <tr>
+                  <th>Applicant</th>
+                  <th>Applied</th>
+                  {status === 'rejected' && <th>Reason</th>}
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {applications.map((application) => (
+                  <tr key={application.id}>
+                    <td>
+                      <strong>{application.name}</strong>
+                      <br />
+                      <small className="text-muted">{application.email}</small>
+                      {!application.email_verified_at && (
+                        <Badge bg="warning" text="dark" className="ms-2">Unverified</Badge>
+                      )}
+                    </td>
+                    <td>{new Date(application.created_at).toLocaleDateString()}</td>
+                    {status === 'rejected' && (
+                      <td style={{ whiteSpace: 'pre-wrap' }}>
+                        {application.approval_reason}
+                        {application.approval_reviewed_by_name && (
+                          <div>
+                            <small className="text-muted">by {application.approval_reviewed_by_name}</small>
+                          </div>
+                        )}
+                      </td>
+                    )}
+                    <td>
+                      <div className="d-flex gap-1">
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          onClick={() => openReview(application, 'approved')}
+                          title="Approve"
+                        >
+                          <i className="bi bi-check"></i>
+                        </Button>
+                        {status === 'pending_approval' && (
+                          <Button
+                            variant="outline-danger"
+                            size="sm"
+                            onClick={() => openReview(application, 'rejected')}
+                            title="Reject"
+                          >
+                            <i className="bi bi-x"></i>
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Card.Body>
+
+      <Modal show={!!reviewing} onHide={() => setReviewing(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {reviewing?.decision === 'approved' ? 'Approve' : 'Reject'} Teacher Application
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+          {reviewing && (
+            <p>
+              <strong>{reviewing.application.name}</strong> &middot; {reviewing.application.email}
+            </p>
+          )}
+          <Form.Group>
+            <Form.Label>
+              Reason for the applicant {reviewing?.decision === 'approved' ? '(optional)' : '*'}
+            </Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              maxLength={1000}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReviewing(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant={reviewing?.decision === 'approved' ? 'success' : 'danger'}
+            onClick={submitReview}
+            disabled={isReviewing || (reviewing?.decision === 'rejected' && !reason.trim())}
+          >
+            {isReviewing ? 'Saving...' : reviewing?.decision === 'approved' ? 'Approve' : 'Reject'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+};
+
+export default TeacherApplications;
@@ -2,6 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Button, Badge, Alert, Modal, Form, Table, Tabs, Tab } from 'react-bootstrap';
 import { useSelector } from 'react-redux';
 import courseService from '../services/courseService';
+import realtimeService from '../services/realtimeService';
+import CoursePrerequisites from './CoursePrerequisites';
+import CourseAssignments from './CourseAssignments';
+import CourseGradebook from './CourseGradebook';
+import CourseStaff from './CourseStaff';
+import TermSelect from './TermSelect';
 
 /**
  * Teacher Course Management Component
@@ -11,7 +17,18 @@ const TeacherCourseManagement = () => {
   const [courses, setCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [students, setStudents] = useState([]);
+  const [formerStudents, setFormerStudents] = useState([]);
+  const [removeTarget, setRemoveTarget] = useState(null);
+  const [removeReason, setRemoveReason] = useState('');
+  const [removingStudent, setRemovingStudent] = useState(false);
+  const [readmittingStudentId, setReadmittingStudentId] = useState(null);
   const [sessions, setSessions] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [enrollmentRequests, setEnrollmentRequests] = useState([]);
+  const [reviewingRequestId, setReviewingRequestId] = useState(null);
+  const [denyTarget, setDenyTarget] = useState(null);
+  const [denyReason, setDenyReason] = useState('');
+  const [updatingWaitlist, setUpdatingWaitlist] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -20,16 +37,45 @@ const TeacherCourseManagement = () => {
   const [attendanceData, setAttendanceData] = useState({});
   const [markingAttendance, setMarkingAttendance] = useState(false);
   const [notifications, setNotifications] = useState([]);
+  const [lateThreshold, setLateThreshold] = useState('');
+  const [maxStudents, setMaxStudents] = useState('');
+  const [enrollmentSettings, setEnrollmentSettings] = useState({
+    policy: 'open', key: '', opensDaysBefore: '', closesDaysAfter: ''
+  });
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [termId, setTermId] = useState('');
+  const [termFilter, setTermFilter] = useState('');
+  const [archiving, setArchiving] = useState(false);
 
   const { user } = useSelector(state => state.auth);
 
   useEffect(() => {
-    fetchCourses();
     fetchNotifications();
   }, []);
 
+  useEffect(() => {
+    fetchCourses();
+  }, [termFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    return realtimeService.subscribe({
+      notification: (notification) => {
+        setNotifications(prev => [notification, ...prev]);
+      }
+    });
+  }, []);
+
   useEffect(() => {
     if (selectedCourse) {
+      setLateThreshold(selectedCourse.late_threshold_minutes ?? '');
+      setMaxStudents(selectedCourse.max_students ?? '');
+      setTermId(selectedCourse.term_id ?? '');
+      setEnrollmentSettings({
+        policy: selectedCourse.enrollment_policy || 'open',
+        key: selectedCourse.enrollment_key || '',
+        opensDaysBefore: selectedCourse.enrollment_opens_days_before ?? '',
+        closesDaysAfter: selectedCourse.enrollment_closes_days_after ?? ''
+      });
       fetchCourseDetails(selectedCourse.id);
     }
   }, [selectedCourse]);
@@ -37,12 +83,13 @@ const TeacherCourseManagement = () => {
   const fetchCourses = async () => {
     try {
       setLoading(true);
-      const response = await courseService.getTeacherCourses();
-      setCourses(response.courses || []);
+      const response = await courseService.getTeacherCourses(termFilter ? { termId: termFilter } : {});
+      const list = response.courses || [];
+      setCourses(list);
       
-      // Auto-select first course if available
-      if (response.courses && response.courses.length > 0 && !selectedCourse) {
-        setSelectedCourse(response.courses[0]);
+      // Auto-select first course if none is selected or the term filter hid it
+      if (!selectedCourse || !list.some(course => course.id === selectedCourse.id)) {
+        setSelectedCourse(list[0] || null);
       }
       
       setError('');
@@ -56,13 +103,19 @@ const TeacherCourseManagement = () => {
 
   const fetchCourseDetails = async (courseId) => {
     try {
-      const [studentsResponse, sessionsResponse] = await Promise.all([
+      const [studentsResponse, sessionsResponse, waitlistResponse, requestsResponse] = await Promise.all([
         courseService.getCourseStudents(courseId),
-        courseService.getCourseSessions(courseId)
+        courseService.getCourseSessions(courseId),
+        courseService.getCourseWaitlist(courseId),
+        courseService.getEnrollmentRequests(courseId)
       ]);
       
-      setStudents(studentsResponse.students || []);
+      const courseStudents = studentsResponse.students || [];
+      setStudents(courseStudents.filter(student => student.enrollment_status === 'active'));
+      setFormerStudents(courseStudents.filter(student => student.enrollment_status !== 'active'));
       setSessions(sessionsResponse.sessions || []);
+      setWaitlist(waitlistResponse.waitlist || []);
+      setEnrollmentRequests(requestsResponse.requests || []);
     } catch (err) {
       console.error('Error fetching course details:', err);
       setError('Failed to load course details. Please try again.');
@@ -127,6 +180,156 @@ const TeacherCourseManagement = () => {
     }
   };
 
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    if (!selectedCourse) return;
+
+    try {
+      setSavingSettings(true);
+      const response = await courseService.updateCourse(selectedCourse.id, {
+        late_threshold_minutes: Number(lateThreshold),
+        max_students: Number(maxStudents),
+        term_id: termId === '' ? null : Number(termId),
+        enrollment_policy: enrollmentSettings.policy,
+        enrollment_key: enrollmentSettings.key.trim() || null,
+        enrollment_opens_days_before: enrollmentSettings.opensDaysBefore === '' ? null : Number(enrollmentSettings.opensDaysBefore),
+        enrollment_closes_days_after: enrollmentSettings.closesDaysAfter === '' ? null : Number(enrollmentSettings.closesDaysAfter)
+      });
+
+      setCourses(prev => prev.map(course =>
+        course.id === selectedCourse.id ? { ...course, ...response.course } : course
+      ));
+
+      if (response.promotedFromWaitlist > 0) {
+        setSuccess(`Course settings saved. ${response.promotedFromWaitlist} student(s) enrolled from the waitlist`);
+        await fetchCourseDetails(selectedCourse.id);
+      } else {
+        setSuccess('Course settings saved');
+      }
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error saving course settings:', err);
+      setError(err.response?.data?.message || 'Failed to save course settings. Please try again.');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleArchiveCourse = async () => {
+    if (!selectedCourse) return;
+    if (!window.confirm(
+      `Archive ${selectedCourse.course_code}? Pending enrollment requests are denied, the waitlist is cleared ` +
+      'and sessions, enrollments and attendance can no longer be changed.'
+    )) return;
+
+    try {
+      setArchiving(true);
+      const response = await courseService.archiveCourse(selectedCourse.id);
+      const updated = { ...selectedCourse, ...response.course };
+      setCourses(prev => prev.map(course => (course.id === updated.id ? { ...course, ...response.course } : course)));
+      setSelectedCourse(updated);
+      setSuccess(`${selectedCourse.course_code} was archived`);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error archiving course:', err);
+      setError(err.response?.data?.message || 'Failed to archive the course. Please try again.');
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  const handleReviewRequest = async (request, decision, reason) => {
+    try {
+      setReviewingRequestId(request.student_id);
+      await courseService.reviewEnrollmentRequest(selectedCourse.id, request.student_id, decision, reason);
+      setSuccess(`${request.name}'s enrollment request was ${decision}`);
+      setDenyTarget(null);
+      await fetchCourseDetails(selectedCourse.id);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error reviewing enrollment request:', err);
+      setError(err.response?.data?.message || 'Failed to review the enrollment request. Please try again.');
+    } finally {
+      setReviewingRequestId(null);
+    }
+  };
+
+  const handleRemoveClick = (student) => {
+    setRemoveTarget(student);
+    setRemoveReason('');
+  };
+
+  const handleRemoveStudent = async () => {
+    if (!removeTarget || !selectedCourse) return;
+
+    try {
+      setRemovingStudent(true);
+      await courseService.removeStudent(selectedCourse.id, removeTarget.user_id, removeReason);
+      setSuccess(`${removeTarget.full_name} was removed from the course`);
+      setRemoveTarget(null);
+      await fetchCourseDetails(selectedCourse.id);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error removing student:', err);
+      setError(err.response?.data?.message || 'Failed to remove the student. Please try again.');
+    } finally {
+      setRemovingStudent(false);
+    }
+  };
+
+  const handleReadmitStudent = async (student) => {
+    try {
+      setReadmittingStudentId(student.user_id);
+      await courseService.readmitStudent(selectedCourse.id, student.user_id);
+      setSuccess(`${student.full_name} was readmitted to the course`);
+      await fetchCourseDetails(selectedCourse.id);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error readmitting student:', err);
+      setError(err.response?.data?.message || 'Failed to readmit the student. Please try again.');
+    } finally {
+      setReadmittingStudentId(null);
+    }
+  };
+
+  const handleMoveWaitlistEntry = async (index, offset) => {
+    const reordered = [...waitlist];
+    const [entry] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, entry);
+
+    try {
+      setUpdatingWaitlist(true);
+      const response = await courseService.reorderWaitlist(
+        selectedCourse.id,
+        reordered.map(item => item.student_id)
+      );
+      setWaitlist(response.waitlist || []);
+    } catch (err) {
+      console.error('Error reordering waitlist:', err);
+      setError(err.response?.data?.message || 'Failed to reorder the waitlist. Please try again.');
+      await fetchCourseDetails(selectedCourse.id);
+    } finally {
+      setUpdatingWaitlist(false);
+    }
+  };
+
+  const handleRemoveFromWaitlist = async (entry) => {
+    if (!window.confirm(`Remove ${entry.name} from the waitlist?`)) return;
+
+    try {
+      setUpdatingWaitlist(true);
+      await courseService.removeFromWaitlist(selectedCourse.id, entry.student_id);
+      setWaitlist(prev => prev
+        .filter(item => item.student_id !== entry.student_id)
+        .map((item, index) => ({ ...item, queue_position: index + 1 })));
+    } catch (err) {
+      console.error('Error removing student from waitlist:', err);
+      setError(err.response?.data?.message || 'Failed to remove the student from the waitlist.');
+    } finally {
+      setUpdatingWaitlist(false);
+    }
+  };
+
   const markNotificationAsRead = async (notificationId) => {
     try {
       await courseService.markNotificationAsRead(notificationId);
@@ -146,6 +349,9 @@ const TeacherCourseManagement = () => {
     return Math.round((attendedSessions / sessions.length) * 100);
   };
 
+  // Teaching assistants take attendance but don't manage enrollments or settings
+  const canManageCourse = selectedCourse?.staff_role !== 'ta';
+
   if (loading) {
     return (
       <Container className="py-4">
@@ -166,6 +372,9 @@ const TeacherCourseManagement = () => {
           <h2><i className="bi bi-mortarboard me-2"></i>Course Management</h2>
           <p className="text-muted mb-0">Manage your courses, students, and attendance</p>
         </div>
+        <div style={{ minWidth: '200px' }}>
+          <TermSelect value={termFilter} onChange={setTermFilter} aria-label="Filter courses by term" />
+        </div>
       </div>
 
       {error && (
@@ -222,10 +431,24 @@ const TeacherCourseManagement = () => {
                       {course.title}
                     </small>
                     <div className="mt-1">
+                      {course.staff_role !== 'owner' && (
+                        <Badge bg="warning" text="dark" className="me-1">
+                          {course.staff_role === 'ta' ? 'TA' : 'Co-teacher'}
+                        </Badge>
+                      )}
                       <Badge bg={selectedCourse?.id === course.id ? 'light' : 'primary'} 
                              text={selectedCourse?.id === course.id ? 'dark' : 'white'}>
                         {course.enrolled_students} students
                       </Badge>
+                      {course.term_name && (
+                        <Badge bg="info" className="ms-1">{course.term_name}</Badge>
+                      )}
+                      {course.archived_at && (
+                        <Badge bg="secondary" className="ms-1">
+                          <i className="bi bi-archive me-1"></i>
+                          Archived
+                        </Badge>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -235,6 +458,13 @@ const TeacherCourseManagement = () => {
 
           {/* Main Content */}
           <Col md={8} lg={9}>
+            {selectedCourse?.archived_at && (
+              <Alert variant="secondary">
+                <i className="bi bi-archive me-2"></i>
+                This course was archived on {new Date(selectedCourse.archived_at).toLocaleDateString()}.
+                Its sessions, enrollments and attendance are kept for reports but can no longer be changed.
+              </Alert>
+            )}
             {selectedCourse ? (
               <Tabs defaultActiveKey="students" className="mb-4">
                 {/* Students Tab */}
@@ -256,6 +486,7 @@ const TeacherCourseManagement = () => {
                               <th>Enrollment Date</th>
                               <th>Attendance Rate</th>
                               <th>Status</th>
+                              <th>Actions</th>
                             </tr>
                           </thead>
                           <tbody>
@@ -280,6 +511,17 @@ const TeacherCourseManagement = () => {
                                       {student.enrollment_status}
                                     </Badge>
                                   </td>
+                                  <td>
+                                    <Button
+                                      size="sm"
+                                      variant="outline-danger"
+                                      onClick={() => handleRemoveClick(student)}
+                                      disabled={!canManageCourse}
+                                    >
+                                      <i className="bi bi-person-dash me-1"></i>
+                                      Remove
+                                    </Button>
+                                  </td>
                                 </tr>
                               );
                             })}
@@ -292,6 +534,209 @@ const TeacherCourseManagement = () => {
                           <p className="text-muted">Students will appear here once they enroll in your course.</p>
                         </div>
                       )}
+
+                      {formerStudents.length > 0 && (
+                        <>
+                          <h6 className="mt-4 text-muted">
+                            <i className="bi bi-clock-history me-2"></i>
+                            Former Students ({formerStudents.length})
+                          </h6>
+                          <Table responsive size="sm" className="text-muted">
+                            <thead>
+                              <tr>
+                                <th>Student</th>
+                                <th>Status</th>
+                                <th>Left</th>
+                                <th>Reason</th>
+                                <th></th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {formerStudents.map(student => (
+                                <tr key={student.user_id}>
+                                  <td>
+                                    <div>{student.full_name}</div>
+                                    <small>{student.email}</small>
+                                  </td>
+                                  <td>
+                                    <Badge bg={student.enrollment_status === 'removed' ? 'danger' : 'secondary'}>
+                                      {student.enrollment_status}
+                                    </Badge>
+                                  </td>
+                                  <td>
+                                    {student.ended_at && new Date(student.ended_at).toLocaleDateString()}
+                                    {student.enrollment_status === 'removed' && student.ended_by_name && (
+                                      <div><small>by {student.ended_by_name}</small></div>
+                                    )}
+                                  </td>
+                                  <td>{student.end_reason || '-'}</td>
+                                  <td>
+                                    {student.enrollment_status === 'removed' && (
+                                      <Button
+                                        size="sm"
+                                        variant="outline-success"
+                                        onClick={() => handleReadmitStudent(student)}
+                                        disabled={!canManageCourse || Boolean(selectedCourse.archived_at) || readmittingStudentId === student.user_id}
+                                      >
+                                        <i className="bi bi-person-check me-1"></i>
+                                        {readmittingStudentId === student.user_id ? 'Readmitting...' : 'Readmit'}
+                                      </Button>
+                                    )}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </Table>
+                        </>
+                      )}
+                    </Card.Body>
+                  </Card>
+                </Tab>
+
+                {/* Enrollment Requests Tab */}
+                <Tab eventKey="requests" title={`Requests (${enrollmentRequests.length})`} disabled={!canManageCourse}>
+                  <Card>
+                    <Card.Header>
+                      <h5 className="mb-0">
+                        <i className="bi bi-person-plus me-2"></i>
+                        Enrollment Requests - {selectedCourse.title}
+                      </h5>
+                    </Card.Header>
+                    <Card.Body>
+                      {enrollmentRequests.length > 0 ? (
+                        <Table responsive>
+                          <thead>
+                            <tr>
+                              <th>Student</th>
+                              <th>Email</th>
+                              <th>Requested</th>
+                              <th>Actions</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {enrollmentRequests.map(request => (
+                              <tr key={request.student_id}>
+                                <td><strong>{request.name}</strong></td>
+                                <td>{request.email}</td>
+                                <td>{new Date(request.requested_at).toLocaleDateString()}</td>
+                                <td>
+                                  <Button
+                                    size="sm"
+                                    variant="success"
+                                    className="me-1"
+                                    onClick={() => handleReviewRequest(request, 'approved')}
+                                    disabled={reviewingRequestId === request.student_id}
+                                  >
+                                    <i className="bi bi-check-lg me-1"></i>
+                                    Approve
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-danger"
+                                    onClick={() => {
+                                      setDenyTarget(request);
+                                      setDenyReason('');
+                                    }}
+                                    disabled={reviewingRequestId === request.student_id}
+                                  >
+                                    <i className="bi bi-x-lg me-1"></i>
+                                    Deny
+                                  </Button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      ) : (
+                        <div className="text-center py-4">
+                          <i className="bi bi-inbox text-muted" style={{ fontSize: '3rem' }}></i>
+                          <h5 className="mt-3 text-muted">No Pending Requests</h5>
+                          <p className="text-muted">
+                            {selectedCourse.enrollment_policy === 'approval'
+                              ? 'Requests from students appear here for you to approve or deny.'
+                              : 'Set the enrollment policy to "Approval required" in Settings to review enrollments.'}
+                          </p>
+                        </div>
+                      )}
+                    </Card.Body>
+                  </Card>
+                </Tab>
+
+                {/* Waitlist Tab */}
+                <Tab eventKey="waitlist" title={`Waitlist (${waitlist.length})`} disabled={!canManageCourse}>
+                  <Card>
+                    <Card.Header>
+                      <h5 className="mb-0">
+                        <i className="bi bi-hourglass-split me-2"></i>
+                        Waitlist - {selectedCourse.title}
+                      </h5>
+                    </Card.Header>
+                    <Card.Body>
+                      {waitlist.length > 0 ? (
+                        <>
+                          <p className="text-muted small">
+                            When a seat frees up, the first student in line is enrolled automatically and notified.
+                          </p>
+                          <Table responsive>
+                            <thead>
+                              <tr>
+                                <th>#</th>
+                                <th>Student</th>
+                                <th>Email</th>
+                                <th>Joined</th>
+                                <th>Actions</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {waitlist.map((entry, index) => (
+                                <tr key={entry.student_id}>
+                                  <td>{entry.queue_position}</td>
+                                  <td><strong>{entry.name}</strong></td>
+                                  <td>{entry.email}</td>
+                                  <td>{new Date(entry.created_at).toLocaleDateString()}</td>
+                                  <td>
+                                    <Button
+                                      size="sm"
+                                      variant="outline-secondary"
+                                      className="me-1"
+                                      title="Move up"
+                                      onClick={() => handleMoveWaitlistEntry(index, -1)}
+                                      disabled={updatingWaitlist || index === 0}
+                                    >
+                                      <i className="bi bi-arrow-up"></i>
+                                    </Button>
+                                    <Button
+                                      size="sm"
+                                      variant="outline-secondary"
+                                      className="me-1"
+                                      title="Move down"
+                                      onClick={() => handleMoveWaitlistEntry(index, 1)}
+                                      disabled={updatingWaitlist || index === waitlist.length - 1}
+                                    >
+                                      <i className="bi bi-arrow-down"></i>
+                                    </Button>
+                                    <Button
+                                      size="sm"
+                                      variant="outline-danger"
+                                      title="Remove from waitlist"
+                                      onClick={() => handleRemoveFromWaitlist(entry)}
+                                      disabled={updatingWaitlist}
+                                    >
+                                      <i className="bi bi-x-lg"></i>
+                                    </Button>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </Table>
+                        </>
+                      ) : (
+                        <div className="text-center py-4">
+                          <i className="bi bi-hourglass text-muted" style={{ fontSize: '3rem' }}></i>
+                          <h5 className="mt-3 text-muted">Waitlist is Empty</h5>
+                          <p className="text-muted">Students can join the waitlist once the course is full.</p>
+                        </div>
+                      )}
                     </Card.Body>
                   </Card>
                 </Tab>
@@ -361,7 +806,7 @@ const TeacherCourseManagement = () => {
                                       size="sm"
                                       variant="outline-primary"
                                       onClick={() => handleAttendanceClick(session)}
-                                      disabled={students.length === 0}
+                                      disabled={students.length === 0 || Boolean(selectedCourse.archived_at)}
                                     >
                                       <i className="bi bi-check-square me-1"></i>
                                       Mark Attendance
@@ -382,6 +827,159 @@ const TeacherCourseManagement = () => {
                     </Card.Body>
                   </Card>
                 </Tab>
+
+                {/* Assignments Tab */}
+                <Tab eventKey="assignments" title="Assignments">
+                  <CourseAssignments
+                    courseId={selectedCourse.id}
+                    canManage={canManageCourse}
+                    isArchived={Boolean(selectedCourse.archived_at)}
+                  />
+                </Tab>
+
+                {/* Gradebook Tab */}
+                <Tab eventKey="gradebook" title="Gradebook">
+                  <CourseGradebook
+                    courseId={selectedCourse.id}
+                    courseCode={selectedCourse.course_code}
+                    isArchived={Boolean(selectedCourse.archived_at)}
+                  />
+                </Tab>
+
+                {/* Settings Tab */}
+                <Tab eventKey="settings" title="Settings" disabled={!canManageCourse}>
+                  <Card>
+                    <Card.Header>
+                      <h5 className="mb-0">
+                        <i className="bi bi-gear me-2"></i>
+                        Course Settings
+                      </h5>
+                    </Card.Header>
+                    <Card.Body>
+                      <Form onSubmit={handleSaveSettings}>
+                        <fieldset disabled={Boolean(selectedCourse.archived_at)}>
+                          <Form.Group className="mb-3" style={{ maxWidth: '320px' }}>
+                            <Form.Label>Term</Form.Label>
+                            <TermSelect value={termId} onChange={setTermId} emptyLabel="No term" />
+                          </Form.Group>
+                          <Form.Group className="mb-3" style={{ maxWidth: '320px' }}>
+                            <Form.Label>Maximum students</Form.Label>
+                            <Form.Control
+                              type="number"
+                              min={1}
+                              value={maxStudents}
+                              onChange={(e) => setMaxStudents(e.target.value)}
+                              required
+                            />
+                            <Form.Text className="text-muted">
+                              Raising the limit enrolls students from the waitlist right away.
+                            </Form.Text>
+                          </Form.Group>
+                          <Form.Group className="mb-3" style={{ maxWidth: '320px' }}>
+                            <Form.Label>Late after (minutes)</Form.Label>
+                            <Form.Control
+                              type="number"
+                              min={0}
+                              max={240}
+                              value={lateThreshold}
+                              onChange={(e) => setLateThreshold(e.target.value)}
+                              required
+                            />
+                            <Form.Text className="text-muted">
+                              Students checking in later than this after a session starts are marked late.
+                              Enrolled students who don't check in are marked absent when the live session ends.
+                            </Form.Text>
+                          </Form.Group>
+
+                          <h6 className="mt-4">Enrollment</h6>
+                          <Form.Group className="mb-3" style={{ maxWidth: '320px' }}>
+                            <Form.Label>Who can enroll</Form.Label>
+                            <Form.Select
+                              value={enrollmentSettings.policy}
+                              onChange={(e) => setEnrollmentSettings({ ...enrollmentSettings, policy: e.target.value })}
+                            >
+                              <option value="open">Any student</option>
+                              <option value="approval">Students I approve</option>
+                              <option value="key">Students with the enrollment key</option>
+                            </Form.Select>
+                          </Form.Group>
+                          {enrollmentSettings.policy === 'key' && (
+                            <Form.Group className="mb-3" style={{ maxWidth: '320px' }}>
+                              <Form.Label>Enrollment key</Form.Label>
+                              <Form.Control
+                                type="text"
+                                maxLength={100}
+                                value={enrollmentSettings.key}
+                                onChange={(e) => setEnrollmentSettings({ ...enrollmentSettings, key: e.target.value })}
+                                autoComplete="off"
+                                required
+                              />
+                              <Form.Text className="text-muted">
+                                Share it with your students. Changing it doesn't affect students already enrolled.
+                              </Form.Text>
+                            </Form.Group>
+                          )}
+                          <Row style={{ maxWidth: '480px' }}>
+                            <Col>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Opens (days before start)</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={0}
+                                  max={365}
+                                  value={enrollmentSettings.opensDaysBefore}
+                                  onChange={(e) => setEnrollmentSettings({ ...enrollmentSettings, opensDaysBefore: e.target.value })}
+                                  placeholder="Any time"
+                                />
+                              </Form.Group>
+                            </Col>
+                            <Col>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Closes (days after start)</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  min={0}
+                                  max={365}
+                                  value={enrollmentSettings.closesDaysAfter}
+                                  onChange={(e) => setEnrollmentSettings({ ...enrollmentSettings, closesDaysAfter: e.target.value })}
+                                  placeholder="Never"
+                                />
+                              </Form.Group>
+                            </Col>
+                          </Row>
+                          <Form.Text className="text-muted d-block mb-3">
+                            Leave empty for no limit. The window is counted from the course start date.
+                          </Form.Text>
+
+                          <Button type="submit" variant="primary" disabled={savingSettings}>
+                            <i className="bi bi-check-lg me-1"></i>
+                            {savingSettings ? 'Saving...' : 'Save Settings'}
+                          </Button>
+                        </fieldset>
+                      </Form>
+
+                      {!selectedCourse.archived_at && (
+                        <>
+                          <h6 className="mt-4">Archive</h6>
+                          <p className="text-muted">
+                            Once its term has ended, archive the course to freeze it: no new sessions, enrollments
+                            or attendance changes. It stays available for viewing and reports.
+                          </p>
+                          <Button variant="outline-secondary" onClick={handleArchiveCourse} disabled={archiving}>
+                            <i className="bi bi-archive me-1"></i>
+                            {archiving ? 'Archiving...' : 'Archive Course'}
+                          </Button>
+                        </>
+                      )}
+                    </Card.Body>
+                  </Card>
+                  <CoursePrerequisites courseId={selectedCourse.id} />
+                </Tab>
+
+                {/* Staff Tab */}
+                <Tab eventKey="staff" title="Staff">
+                  <CourseStaff courseId={selectedCourse.id} canManage={selectedCourse.staff_role === 'owner'} />
+                </Tab>
               </Tabs>
             ) : (
               <Card>
@@ -492,6 +1090,85 @@ const TeacherCourseManagement = () => {
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Deny Enrollment Request Modal */}
+      <Modal show={!!denyTarget} onHide={() => setDenyTarget(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Deny Enrollment Request</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {denyTarget && (
+            <>
+              <p>
+                Deny <strong>{denyTarget.name}</strong>'s request to enroll in {selectedCourse?.title}?
+              </p>
+              <Form.Group>
+                <Form.Label>Reason (optional)</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  maxLength={500}
+                  value={denyReason}
+                  onChange={(e) => setDenyReason(e.target.value)}
+                  placeholder="Shown to the student"
+                />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setDenyTarget(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={() => handleReviewRequest(denyTarget, 'denied', denyReason)}
+            disabled={reviewingRequestId !== null}
+          >
+            {reviewingRequestId !== null ? 'Saving...' : 'Deny Request'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Remove Student Modal */}
+      <Modal show={!!removeTarget} onHide={() => setRemoveTarget(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Remove Student</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {removeTarget && (
+            <>
+              <p>
+                Remove <strong>{removeTarget.full_name}</strong> from {selectedCourse?.title}? Their
+                attendance stays on record and the seat goes to the next student on the waitlist.
+              </p>
+              <Form.Group>
+                <Form.Label>Reason</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  maxLength={500}
+                  value={removeReason}
+                  onChange={(e) => setRemoveReason(e.target.value)}
+                  placeholder="Shown to the student"
+                />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setRemoveTarget(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={handleRemoveStudent}
+            disabled={removingStudent || !removeReason.trim()}
+          >
+            {removingStudent ? 'Removing...' : 'Remove Student'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { Form } from 'react-bootstrap';
+import termService from '../services/termService';
+
+/**
+ * Term Select Component
+ * Dropdown of the academic terms, used to filter courses, reports and
+ * dashboards by term or to assign a course to one
+ */
+const TermSelect = ({ value, onChange, emptyLabel = 'All terms', ...props }) => {
+  const [terms, setTerms] = useState([]);
+
+  useEffect(() => {
+    termService.getTerms()
+      .then(response => setTerms(response.data.terms || []))
+      .catch((err) => console.error('Error fetching terms:', err));
+  }, []);
+
+  return (
+    <Form.Select value={value} onChange={(e) => onChange(e.target.value)} {...props}>
+      <option value="">{emptyLabel}</option>
+      {terms.map(term => (
+        <option key={term.id} value={term.id}>{term.name}</option>
+      ))}
+    </Form.Select>
+  );
+};
+
+export default TermSelect;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Form, Button } from 'react-bootstrap';
+import { useDispatch, useSelector } from 'react-redux';
+import { verifyTwoFactorLogin, cancelTwoFactorLogin } from '../store/slices/authSlice';
+
+/**
+ * Two-Factor Login Form Component
+ * Second login step: asks for the authenticator code or a recovery code
+ */
+const TwoFactorLoginForm = () => {
+  const dispatch = useDispatch();
+  const { twoFactorChallenge } = useSelector((state) => state.auth);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsVerifying(true);
+    const result = await dispatch(verifyTwoFactorLogin(useRecoveryCode ? { recoveryCode: code } : { code }));
+    // On success the login page is replaced by the dashboard
+    if (verifyTwoFactorLogin.rejected.match(result)) {
+      setIsVerifying(false);
+      setCode('');
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <p className="text-muted small">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication. Each code works once.'
+          : <>Open your authenticator app and enter the code for <strong>{twoFactorChallenge?.email}</strong>.</>}
+      </p>
+
+      <Form.Group className="mb-3">
+        <Form.Label>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</Form.Label>
+        <Form.Control
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          maxLength={useRecoveryCode ? 9 : 6}
+          className="text-center fs-4"
+          autoFocus
+        />
+      </Form.Group>
+
+      <div className="d-grid mb-3">
+        <Button variant="primary" type="submit" size="lg" disabled={isVerifying || !code.trim()}>
+          <i className="bi bi-shield-check me-2"></i>
+          {isVerifying ? 'Verifying...' : 'Verify'}
+        </Button>
+      </div>
+
+      <div className="d-flex justify-content-between">
+        <Button variant="link" size="sm" className="p-0 text-decoration-none" onClick={toggleRecoveryCode}>
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </Button>
+        <Button
+          variant="link"
+          size="sm"
+          className="p-0 text-decoration-none text-muted"
+          onClick={() => dispatch(cancelTwoFactorLogin())}
+        >
+          Back to sign in
+        </Button>
+      </div>
+    </Form>
+  );
+};
+
+export default TwoFactorLoginForm;
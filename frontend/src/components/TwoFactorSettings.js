@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Form, Button, Alert, Badge, Modal, Row, Col } from 'react-bootstrap';
+import { useDispatch } from 'react-redux';
+import { QRCodeSVG } from 'qrcode.react';
+import authService from '../services/authService';
+import { updateCurrentUser } from '../store/slices/authSlice';
+
+/**
+ * Two-Factor Settings Component
+ * Enrollment in authenticator app (TOTP) two-factor authentication and recovery codes
+ */
+const TwoFactorSettings = () => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisableModal, setShowDisableModal] = useState(false);
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const startSetup = async () => {
+    try {
+      setIsSaving(true);
+      setError('');
+      const response = await authService.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const enable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const response = await authService.enableTwoFactor(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      dispatch(updateCurrentUser({ two_factor_setup_required: false }));
+      loadStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const regenerateRecoveryCodes = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const response = await authService.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      loadStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const disable = async () => {
+    // Accept either an authenticator code or a recovery code in the same field
+    const isAppCode = /^\d{6}$/.test(disableForm.code.replace(/\s/g, ''));
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await authService.disableTwoFactor({
+        password: disableForm.password,
+        ...(isAppCode ? { code: disableForm.code } : { recoveryCode: disableForm.code }),
+      });
+      setShowDisableModal(false);
+      setDisableForm({ password: '', code: '' });
+      setRecoveryCodes(null);
+      loadStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    } catch (err) {
+      setError('Could not copy the codes, please copy them manually');
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">
+          <i className="bi bi-shield-lock me-2"></i>
+          Two-Factor Authentication
+        </h5>
+        {status.enabled ? (
+          <Badge bg="success">Enabled</Badge>
+        ) : (
+          <Badge bg={status.required ? 'danger' : 'secondary'}>
+            {status.required ? 'Required' : 'Off'}
+          </Badge>
+        )}
+      </Card.Header>
+      <Card.Body>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {recoveryCodes && (
+          <Alert variant="warning">
+            <Alert.Heading as="h6">Save your recovery codes</Alert.Heading>
+            <p className="small">
+              Each code signs you in once if you lose access to your authenticator app.
+              They won't be shown again.
+            </p>
+            <Row className="font-monospace mb-2">
+              {recoveryCodes.map((recoveryCode) => (
+                <Col xs={6} key={recoveryCode}>{recoveryCode}</Col>
+              ))}
+            </Row>
+            <Button variant="outline-dark" size="sm" className="me-2" onClick={copyRecoveryCodes}>
+              <i className="bi bi-clipboard me-1"></i>
+              Copy
+            </Button>
+            <Button variant="dark" size="sm" onClick={() => setRecoveryCodes(null)}>
+              I saved them
+            </Button>
+          </Alert>
+        )}
+
+        {!status.enabled && !setup && (
+          <>
+            <p className="text-muted">
+              Protect your account with a code from an authenticator app (Google Authenticator,
+              Microsoft Authenticator, 1Password, ...) in addition to your password.
+            </p>
+            {status.required && (
+              <Alert variant="danger">
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                Two-factor authentication is required for your role. Set it up to continue using the platform.
+              </Alert>
+            )}
+            <Button variant="primary" size="sm" onClick={startSetup} disabled={isSaving}>
+              <i className="bi bi-qr-code me-1"></i>
+              Set Up Two-Factor Authentication
+            </Button>
+          </>
+        )}
+
+        {setup && (
+          <Form onSubmit={enable}>
+            <Row className="align-items-center">
+              <Col md="auto" className="text-center mb-3">
+                <QRCodeSVG value={setup.otpauthUrl} size={180} />
+              </Col>
+              <Col>
+                <ol className="small ps-3">
+                  <li>Scan the QR code with your authenticator app.</li>
+                  <li>
+                    Can't scan it? Enter this key instead:
+                    <div className="font-monospace text-break">{setup.secret}</div>
+                  </li>
+                  <li>Enter the 6-digit code the app shows.</li>
+                </ol>
+                <Form.Group className="mb-2">
+                  <Form.Control
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="123456"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    maxLength={6}
+                  />
+                </Form.Group>
+                <Button variant="primary" size="sm" type="submit" className="me-2" disabled={isSaving || !code.trim()}>
+                  Enable
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => setSetup(null)}>
+                  Cancel
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        )}
+
+        {status.enabled && (
+          <>
+            <p className="text-muted">
+              Enabled since {new Date(status.enabledAt).toLocaleDateString()} &middot;{' '}
+              {status.recoveryCodesRemaining} recovery codes left
+            </p>
+
+            <Form onSubmit={regenerateRecoveryCodes} className="mb-3">
+              <Form.Label className="small">Generate new recovery codes (the old ones stop working)</Form.Label>
+              <div className="d-flex gap-2" style={{ maxWidth: '360px' }}>
+                <Form.Control
+                  type="text"
+                  size="sm"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Code from your app"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                />
+                <Button variant="outline-primary" size="sm" type="submit" disabled={isSaving || !code.trim()}>
+                  Generate
+                </Button>
+              </div>
+            </Form>
+
+            {!status.required && (
+              <Button variant="outline-danger" size="sm" onClick={() => setShowDisableModal(true)}>
+                <i className="bi bi-shield-x me-1"></i>
+                Disable Two-Factor Authentication
+              </Button>
+            )}
+          </>
+        )}
+      </Card.Body>
+
+      <Modal show={showDisableModal} onHide={() => setShowDisableModal(false)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Disable Two-Factor Authentication</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3">
+            <Form.Label>Password</Form.Label>
+            <Form.Control
+              type="password"
+              value={disableForm.password}
+              onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+            />
+          </Form.Group>
+          <Form.Group>
+            <Form.Label>Authentication code or recovery code</Form.Label>
+            <Form.Control
+              type="text"
+              value={disableForm.code}
+              onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+              autoComplete="one-time-code"
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowDisableModal(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="danger"
+            onClick={disable}
+            disabled={isSaving || !disableForm.password || !disableForm.code.trim()}
+          >
+            Disable
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { Modal, Button, Form, Table, Badge, Alert, Spinner } from 'react-bootstrap';
+import userService from '../services/userService';
+
+/**
+ * User Import Modal
+ * Uploads a CSV roster, previews the checked rows with their errors and
+ * imports them once every row is valid (admin only)
+ */
+const UserImportModal = ({ show, onHide, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [report, setReport] = useState(null);
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFileName('');
+    setCsv('');
+    setReport(null);
+    setErrorsOnly(false);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onHide();
+  };
+
+  // Every chosen file is checked right away with a dry run
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    reset();
+    if (!file) return;
+
+    try {
+      setIsChecking(true);
+      const text = await file.text();
+      setFileName(file.name);
+      setCsv(text);
+      const response = await userService.importUsers(text, true);
+      setReport(response.data.report);
+      setErrorsOnly(response.data.report.summary.invalidRows > 0);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to check the file');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsImporting(true);
+      setError('');
+      const response = await userService.importUsers(csv);
+      onImported(response.data.message);
+      handleClose();
+    } catch (err) {
+      // The rows can change between the check and the import
+      if (err.response?.data?.report) {
+        setReport(err.response.data.report);
+        setErrorsOnly(true);
+      }
+      setError(err.response?.data?.message || 'Failed to import users');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const summary = report?.summary;
+  const rows = report ? report.rows.filter(row => !errorsOnly || row.errors.length > 0) : [];
+
+  return (
+    <Modal show={show} onHide={handleClose} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Import Users from CSV</Modal.Title>
+      </Modal.Header>
+
+      <Modal.Body>
+        <Form.Group className="mb-3">
+          <Form.Label>CSV file</Form.Label>
+          <Form.Control
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            disabled={isChecking || isImporting}
+          />
+          <Form.Text className="text-muted">
+            Columns: <code>name</code>, <code>email</code>, and optionally <code>role</code> (student or
+            teacher), <code>password</code> and <code>course_codes</code> (separated by <code>;</code>).
+            Users without a password are emailed a link to choose one.
+          </Form.Text>
+        </Form.Group>
+
+        {isChecking && (
+          <div className="text-center py-3">
+            <Spinner animation="border" size="sm" className="me-2" />
+            Checking {fileName || 'file'}...
+          </div>
+        )}
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {summary && (
+          <>
+            <Alert variant={summary.invalidRows > 0 ? 'warning' : 'success'}>
+              <strong>{fileName}:</strong> {summary.totalRows} rows, {summary.validRows} valid
+              {summary.invalidRows > 0 && `, ${summary.invalidRows} with errors`}.
+              {' '}{summary.enrollments} course enrollments, {summary.invitations} email invitations.
+              {summary.invalidRows > 0 && (
+                <div className="mt-1">Fix the rows with errors and choose the file again; nothing is imported until every row is valid.</div>
+              )}
+            </Alert>
+
+            <Form.Check
+              type="switch"
+              id="import-errors-only"
+              className="mb-2"
+              label="Show only rows with errors"
+              checked={errorsOnly}
+              onChange={(e) => setErrorsOnly(e.target.checked)}
+            />
+
+            <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+              <Table size="sm" hover>
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Courses</th>
+                    <th>Password</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr key={row.row} className={row.errors.length > 0 ? 'table-danger' : undefined}>
+                      <td>{row.row}</td>
+                      <td>{row.name}</td>
+                      <td>{row.email}</td>
+                      <td>{row.role}</td>
+                      <td>{row.courseCodes.join(', ') || '-'}</td>
+                      <td>{row.hasPassword ? 'Set' : 'Invite'}</td>
+                      <td>
+                        {row.errors.length === 0 ? (
+                          <Badge bg="success">OK</Badge>
+                        ) : (
+                          row.errors.map((message) => (
+                            <div key={message} className="small text-danger">{message}</div>
+                          ))
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          </>
+        )}
+      </Modal.Body>
+
+      <Modal.Footer>
+        <Button variant="secondary" onClick={handleClose}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleImport}
+          disabled={!summary || summary.invalidRows > 0 || isImporting}
+        >
+          <i className="bi bi-upload me-2"></i>
+          {isImporting ? 'Importing...' : `Import ${summary?.totalRows || ''} Users`}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default UserImportModal;
@@ -5,25 +5,37 @@ import {
 } from 'react-bootstrap';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchUsers, createUser, updateUser, deleteUser } from '../store/slices/usersSlice';
+import TeacherApplications from './TeacherApplications';
+import UserImportModal from './UserImportModal';
+import userService from '../services/userService';
+import roleService from '../services/roleService';
+import { hasPermission, formatRoleName } from '../utils/permissions';
+
+const EMPTY_USER = { name: '', email: '', password: '', role: 'student', departmentId: '', emailVerified: true };
 
 /**
  * User Management Component for Admin Dashboard
- * Provides CRUD operations for user accounts
+ * Provides CRUD operations for user accounts; the actions shown follow the
+ * permissions of the logged-in user
  */
 const UserManagement = () => {
   const dispatch = useDispatch();
   const { users = [], isLoading, error } = useSelector((state) => state.users);
+  const { user: currentUser } = useSelector((state) => state.auth);
+  const canCreate = hasPermission(currentUser, 'users.create');
+  const canUpdate = hasPermission(currentUser, 'users.update');
+  const canDelete = hasPermission(currentUser, 'users.delete');
+
+  // Roles and departments users can be given
+  const [roles, setRoles] = useState([]);
+  const [departments, setDepartments] = useState([]);
   
   // Modal and form states
   const [showModal, setShowModal] = useState(false);
   const [modalType, setModalType] = useState('create'); // 'create', 'edit', 'delete'
   const [selectedUser, setSelectedUser] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    password: '',
-    role: 'student'
-  });
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_USER);
   
   // Filter and pagination states
   const [searchTerm, setSearchTerm] = useState('');
@@ -38,6 +50,13 @@ const UserManagement = () => {
 
   useEffect(() => {
     dispatch(fetchUsers());
+
+    Promise.all([roleService.getRoles(), roleService.getDepartments()])
+      .then(([rolesResponse, departmentsResponse]) => {
+        setRoles(rolesResponse.data.roles || []);
+        setDepartments(departmentsResponse.data.departments || []);
+      })
+      .catch(err => console.error('Failed to load roles and departments:', err));
   }, [dispatch]);
 
   // Filter users based on search and role filter
@@ -60,13 +79,15 @@ const UserManagement = () => {
     setSelectedUser(user);
     
     if (type === 'create') {
-      setFormData({ name: '', email: '', password: '', role: 'student' });
+      setFormData(EMPTY_USER);
     } else if (type === 'edit' && user) {
       setFormData({ 
         name: user.name, 
         email: user.email, 
         password: '', 
-        role: user.role 
+        role: user.role,
+        departmentId: user.department_id || '',
+        emailVerified: !!user.email_verified_at
       });
     }
     
@@ -76,13 +97,13 @@ const UserManagement = () => {
   const handleCloseModal = () => {
     setShowModal(false);
     setSelectedUser(null);
-    setFormData({ name: '', email: '', password: '', role: 'student' });
+    setFormData(EMPTY_USER);
   };
 
   // Form handlers
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
   };
 
   const handleSubmit = async (e) => {
@@ -90,14 +111,15 @@ const UserManagement = () => {
     
     try {
       if (modalType === 'create') {
-        await dispatch(createUser(formData)).unwrap();
+        const { departmentId, ...createData } = formData;
+        await dispatch(createUser(createData)).unwrap();
         showSuccessAlert('User created successfully!');
       } else if (modalType === 'edit') {
-        const updateData = { ...formData };
+        const updateData = { ...formData, departmentId: formData.departmentId ? Number(formData.departmentId) : null };
         if (!updateData.password) delete updateData.password; // Don't update password if empty
         
         await dispatch(updateUser({ 
-          id: selectedUser.id, 
+          userId: selectedUser.id, 
           userData: updateData 
         })).unwrap();
         showSuccessAlert('User updated successfully!');
@@ -110,6 +132,32 @@ const UserManagement = () => {
     }
   };
 
+  // Admin override for accounts that can't receive the verification email
+  const handleVerifyEmail = async (user) => {
+    try {
+      await dispatch(updateUser({ userId: user.id, userData: { emailVerified: true } })).unwrap();
+      showSuccessAlert(`${user.email} marked as verified`);
+      dispatch(fetchUsers());
+    } catch (error) {
+      showErrorAlert(error.message || 'Failed to verify email');
+    }
+  };
+
+  // For users who lost their authenticator app and recovery codes
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? They will be logged out everywhere.`)) {
+      return;
+    }
+
+    try {
+      await userService.resetTwoFactor(user.id);
+      showSuccessAlert(`Two-factor authentication reset for ${user.email}`);
+      dispatch(fetchUsers());
+    } catch (error) {
+      showErrorAlert(error.response?.data?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const handleDelete = async () => {
     try {
       await dispatch(deleteUser(selectedUser.id)).unwrap();
@@ -180,15 +228,25 @@ const UserManagement = () => {
           <h2>User Management</h2>
           <p className="text-muted">Manage user accounts and permissions</p>
         </Col>
-        <Col xs="auto">
-          <Button 
-            variant="primary" 
-            onClick={() => handleShowModal('create')}
-          >
-            <i className="bi bi-plus-circle me-2"></i>
-            Add New User
-          </Button>
-        </Col>
+        {canCreate && (
+          <Col xs="auto">
+            <Button
+              variant="outline-primary"
+              className="me-2"
+              onClick={() => setShowImportModal(true)}
+            >
+              <i className="bi bi-file-earmark-arrow-up me-2"></i>
+              Import CSV
+            </Button>
+            <Button 
+              variant="primary" 
+              onClick={() => handleShowModal('create')}
+            >
+              <i className="bi bi-plus-circle me-2"></i>
+              Add New User
+            </Button>
+          </Col>
+        )}
       </Row>
 
       {/* User Statistics Cards */}
@@ -227,6 +285,9 @@ const UserManagement = () => {
         </Col>
       </Row>
 
+      {/* Teacher Approval Queue */}
+      {canUpdate && <TeacherApplications onReviewed={() => dispatch(fetchUsers())} />}
+
       {/* Filters and Search */}
       <Card className="mb-4">
         <Card.Body>
@@ -250,9 +311,9 @@ const UserManagement = () => {
                 onChange={(e) => setRoleFilter(e.target.value)}
               >
                 <option value="all">All Roles</option>
-                <option value="admin">Administrators</option>
-                <option value="teacher">Teachers</option>
-                <option value="student">Students</option>
+                {roles.map(role => (
+                  <option key={role.name} value={role.name}>{formatRoleName(role.name)}</option>
+                ))}
               </Form.Select>
             </Col>
             <Col md={3}>
@@ -292,31 +353,74 @@ const UserManagement = () => {
                     <td>
                       <strong>{user.name}</strong>
                     </td>
-                    <td>{user.email}</td>
+                    <td>
+                      {user.email}
+                      {!user.email_verified_at && (
+                        <Badge bg="warning" text="dark" className="ms-2">Unverified</Badge>
+                      )}
+                    </td>
                     <td>
                       <Badge bg={getRoleBadgeColor(user.role)}>
-                        {user.role.charAt(0).toUpperCase() + user.role.slice(1)}
+                        {formatRoleName(user.role)}
                       </Badge>
+                      {user.department_name && (
+                        <Badge bg="light" text="dark" className="ms-2">{user.department_name}</Badge>
+                      )}
+                      {user.approval_status === 'pending_approval' && (
+                        <Badge bg="warning" text="dark" className="ms-2">Pending approval</Badge>
+                      )}
+                      {user.approval_status === 'rejected' && (
+                        <Badge bg="secondary" className="ms-2">Rejected</Badge>
+                      )}
+                      {user.two_factor_enabled && (
+                        <Badge bg="info" className="ms-2" title="Two-factor authentication enabled">2FA</Badge>
+                      )}
                     </td>
                     <td>
                       {new Date(user.created_at).toLocaleDateString()}
                     </td>
                     <td>
-                      <Button
-                        variant="outline-primary"
-                        size="sm"
-                        className="me-2"
-                        onClick={() => handleShowModal('edit', user)}
-                      >
-                        <i className="bi bi-pencil"></i>
-                      </Button>
-                      <Button
-                        variant="outline-danger"
-                        size="sm"
-                        onClick={() => handleShowModal('delete', user)}
-                      >
-                        <i className="bi bi-trash"></i>
-                      </Button>
+                      {canUpdate && !user.email_verified_at && (
+                        <Button
+                          variant="outline-success"
+                          size="sm"
+                          className="me-2"
+                          title="Mark email as verified"
+                          onClick={() => handleVerifyEmail(user)}
+                        >
+                          <i className="bi bi-patch-check"></i>
+                        </Button>
+                      )}
+                      {canUpdate && user.two_factor_enabled && (
+                        <Button
+                          variant="outline-warning"
+                          size="sm"
+                          className="me-2"
+                          title="Reset two-factor authentication"
+                          onClick={() => handleResetTwoFactor(user)}
+                        >
+                          <i className="bi bi-shield-x"></i>
+                        </Button>
+                      )}
+                      {canUpdate && (
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleShowModal('edit', user)}
+                        >
+                          <i className="bi bi-pencil"></i>
+                        </Button>
+                      )}
+                      {canDelete && (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => handleShowModal('delete', user)}
+                        >
+                          <i className="bi bi-trash"></i>
+                        </Button>
+                      )}
                     </td>
                   </tr>
                 ))
@@ -436,14 +540,53 @@ const UserManagement = () => {
                       onChange={handleInputChange}
                       required
                     >
-                      <option value="student">Student</option>
-                      <option value="teacher">Teacher</option>
-                      <option value="admin">Administrator</option>
+                      {roles.length > 0 ? roles.map(role => (
+                        <option key={role.name} value={role.name}>{formatRoleName(role.name)}</option>
+                      )) : (
+                        <>
+                          <option value="student">Student</option>
+                          <option value="teacher">Teacher</option>
+                          <option value="admin">Administrator</option>
+                        </>
+                      )}
                     </Form.Select>
                   </Form.Group>
                 </Col>
               </Row>
 
+              {modalType === 'edit' && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Department</Form.Label>
+                  <Form.Select
+                    name="departmentId"
+                    value={formData.departmentId}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">No department</option>
+                    {departments.map(department => (
+                      <option key={department.id} value={department.id}>{department.name}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Department admins manage the courses of their department. Teachers' new courses join it.
+                  </Form.Text>
+                </Form.Group>
+              )}
+
+              <Form.Group className="mb-3">
+                <Form.Check
+                  type="checkbox"
+                  id="user-email-verified"
+                  name="emailVerified"
+                  label="Email address verified"
+                  checked={formData.emailVerified}
+                  onChange={handleInputChange}
+                />
+                <Form.Text className="text-muted">
+                  Users with an unverified email address can't log in.
+                </Form.Text>
+              </Form.Group>
+
               {modalType === 'create' && (
                 <Alert variant="info">
                   <strong>Note:</strong> The user will receive login credentials and can change their password after first login.
@@ -470,6 +613,15 @@ const UserManagement = () => {
           )}
         </Modal.Footer>
       </Modal>
+
+      <UserImportModal
+        show={showImportModal}
+        onHide={() => setShowImportModal(false)}
+        onImported={(message) => {
+          showSuccessAlert(message);
+          dispatch(fetchUsers());
+        }}
+      />
     </Container>
   );
 };
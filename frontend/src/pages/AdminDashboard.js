@@ -8,23 +8,34 @@ import UserManagement from '../components/UserManagement';
 import SessionManagement from '../components/SessionManagement';
 import AttendanceReports from '../components/AttendanceReports';
 import AnalyticsDashboard from '../components/AnalyticsDashboard';
+import AcademicTerms from '../components/AcademicTerms';
+import RolesAndDepartments from '../components/RolesAndDepartments';
+import Institutions from '../components/Institutions';
 import { fetchUsers, fetchUserStats } from '../store/slices/usersSlice';
+import { hasPermission } from '../utils/permissions';
 
 /**
  * Admin Dashboard Component
- * Main dashboard for admin users with navigation and overview
+ * Main dashboard for admin users with navigation and overview. Other staff
+ * roles, like department admins and auditors, get the pages their
+ * permissions allow.
  */
 const AdminDashboard = () => {
   const dispatch = useDispatch();
   const location = useLocation();
   const { user } = useSelector((state) => state.auth);
   const { stats, isLoading } = useSelector((state) => state.users);
+  const canViewUsers = hasPermission(user, 'users.view');
+  const canViewSessions = hasPermission(user, 'course.view');
+  const canViewReports = hasPermission(user, 'reports.view');
 
   useEffect(() => {
     // Fetch initial data
-    dispatch(fetchUserStats());
-    dispatch(fetchUsers());
-  }, [dispatch]);
+    if (canViewUsers) {
+      dispatch(fetchUserStats());
+      dispatch(fetchUsers());
+    }
+  }, [dispatch, canViewUsers]);
 
   const DashboardOverview = () => (
     <div className="fade-in">
@@ -50,71 +61,73 @@ const AdminDashboard = () => {
         ) : (
           <>
             {/* Statistics Cards */}
-            <Row className="mb-4">
-              <Col md={3} sm={6} className="mb-3">
-                <Card className="stats-card stats-primary h-100">
-                  <Card.Body>
-                    <div className="d-flex justify-content-between">
-                      <div>
-                        <h6 className="text-muted mb-1">Total Users</h6>
-                        <h3 className="mb-0">{stats?.total_users || 0}</h3>
-                      </div>
-                      <div className="align-self-center">
-                        <i className="bi bi-people text-primary" style={{ fontSize: '2rem' }}></i>
+            {canViewUsers && (
+              <Row className="mb-4">
+                <Col md={3} sm={6} className="mb-3">
+                  <Card className="stats-card stats-primary h-100">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between">
+                        <div>
+                          <h6 className="text-muted mb-1">Total Users</h6>
+                          <h3 className="mb-0">{stats?.total_users || 0}</h3>
+                        </div>
+                        <div className="align-self-center">
+                          <i className="bi bi-people text-primary" style={{ fontSize: '2rem' }}></i>
+                        </div>
                       </div>
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
+                    </Card.Body>
+                  </Card>
+                </Col>
 
-              <Col md={3} sm={6} className="mb-3">
-                <Card className="stats-card stats-success h-100">
-                  <Card.Body>
-                    <div className="d-flex justify-content-between">
-                      <div>
-                        <h6 className="text-muted mb-1">Teachers</h6>
-                        <h3 className="mb-0">{stats?.total_teachers || 0}</h3>
-                      </div>
-                      <div className="align-self-center">
-                        <i className="bi bi-person-workspace text-success" style={{ fontSize: '2rem' }}></i>
+                <Col md={3} sm={6} className="mb-3">
+                  <Card className="stats-card stats-success h-100">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between">
+                        <div>
+                          <h6 className="text-muted mb-1">Teachers</h6>
+                          <h3 className="mb-0">{stats?.total_teachers || 0}</h3>
+                        </div>
+                        <div className="align-self-center">
+                          <i className="bi bi-person-workspace text-success" style={{ fontSize: '2rem' }}></i>
+                        </div>
                       </div>
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
+                    </Card.Body>
+                  </Card>
+                </Col>
 
-              <Col md={3} sm={6} className="mb-3">
-                <Card className="stats-card stats-info h-100">
-                  <Card.Body>
-                    <div className="d-flex justify-content-between">
-                      <div>
-                        <h6 className="text-muted mb-1">Students</h6>
-                        <h3 className="mb-0">{stats?.total_students || 0}</h3>
-                      </div>
-                      <div className="align-self-center">
-                        <i className="bi bi-person-check text-info" style={{ fontSize: '2rem' }}></i>
+                <Col md={3} sm={6} className="mb-3">
+                  <Card className="stats-card stats-info h-100">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between">
+                        <div>
+                          <h6 className="text-muted mb-1">Students</h6>
+                          <h3 className="mb-0">{stats?.total_students || 0}</h3>
+                        </div>
+                        <div className="align-self-center">
+                          <i className="bi bi-person-check text-info" style={{ fontSize: '2rem' }}></i>
+                        </div>
                       </div>
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
+                    </Card.Body>
+                  </Card>
+                </Col>
 
-              <Col md={3} sm={6} className="mb-3">
-                <Card className="stats-card stats-warning h-100">
-                  <Card.Body>
-                    <div className="d-flex justify-content-between">
-                      <div>
-                        <h6 className="text-muted mb-1">New This Month</h6>
-                        <h3 className="mb-0">{stats?.new_users_this_month || 0}</h3>
-                      </div>
-                      <div className="align-self-center">
-                        <i className="bi bi-person-plus text-warning" style={{ fontSize: '2rem' }}></i>
+                <Col md={3} sm={6} className="mb-3">
+                  <Card className="stats-card stats-warning h-100">
+                    <Card.Body>
+                      <div className="d-flex justify-content-between">
+                        <div>
+                          <h6 className="text-muted mb-1">New This Month</h6>
+                          <h3 className="mb-0">{stats?.new_users_this_month || 0}</h3>
+                        </div>
+                        <div className="align-self-center">
+                          <i className="bi bi-person-plus text-warning" style={{ fontSize: '2rem' }}></i>
+                        </div>
                       </div>
-                    </div>
-                  </Card.Body>
-                </Card>
-              </Col>
-            </Row>
+                    </Card.Body>
+                  </Card>
+                </Col>
+              </Row>
+            )}
 
             {/* Quick Actions */}
             <Row className="mb-4">
@@ -128,50 +141,58 @@ const AdminDashboard = () => {
                   </Card.Header>
                   <Card.Body>
                     <Row>
-                      <Col md={3} sm={6} className="mb-3">
-                        <div className="d-grid">
-                          <Link 
-                            to="/admin/users"
-                            className="btn quick-action-btn p-3 text-decoration-none"
-                          >
-                            <i className="bi bi-person-plus d-block mb-2" style={{ fontSize: '2rem' }}></i>
-                            <span>Manage Users</span>
-                          </Link>
-                        </div>
-                      </Col>
-                      <Col md={3} sm={6} className="mb-3">
-                        <div className="d-grid">
-                          <Link 
-                            to="/admin/sessions"
-                            className="btn quick-action-btn p-3 text-decoration-none"
-                          >
-                            <i className="bi bi-calendar-plus d-block mb-2" style={{ fontSize: '2rem' }}></i>
-                            <span>Manage Sessions</span>
-                          </Link>
-                        </div>
-                      </Col>
-                      <Col md={3} sm={6} className="mb-3">
-                        <div className="d-grid">
-                          <Link 
-                            to="/admin/attendance"
-                            className="btn quick-action-btn p-3 text-decoration-none"
-                          >
-                            <i className="bi bi-bar-chart d-block mb-2" style={{ fontSize: '2rem' }}></i>
-                            <span>View Reports</span>
-                          </Link>
-                        </div>
-                      </Col>
-                      <Col md={3} sm={6} className="mb-3">
-                        <div className="d-grid">
-                          <Link 
-                            to="/admin/analytics"
-                            className="btn quick-action-btn p-3 text-decoration-none"
-                          >
-                            <i className="bi bi-graph-up d-block mb-2" style={{ fontSize: '2rem' }}></i>
-                            <span>Analytics</span>
-                          </Link>
-                        </div>
-                      </Col>
+                      {canViewUsers && (
+                        <Col md={3} sm={6} className="mb-3">
+                          <div className="d-grid">
+                            <Link 
+                              to="/admin/users"
+                              className="btn quick-action-btn p-3 text-decoration-none"
+                            >
+                              <i className="bi bi-person-plus d-block mb-2" style={{ fontSize: '2rem' }}></i>
+                              <span>Manage Users</span>
+                            </Link>
+                          </div>
+                        </Col>
+                      )}
+                      {canViewSessions && (
+                        <Col md={3} sm={6} className="mb-3">
+                          <div className="d-grid">
+                            <Link 
+                              to="/admin/sessions"
+                              className="btn quick-action-btn p-3 text-decoration-none"
+                            >
+                              <i className="bi bi-calendar-plus d-block mb-2" style={{ fontSize: '2rem' }}></i>
+                              <span>Manage Sessions</span>
+                            </Link>
+                          </div>
+                        </Col>
+                      )}
+                      {canViewReports && (
+                        <Col md={3} sm={6} className="mb-3">
+                          <div className="d-grid">
+                            <Link 
+                              to="/admin/attendance"
+                              className="btn quick-action-btn p-3 text-decoration-none"
+                            >
+                              <i className="bi bi-bar-chart d-block mb-2" style={{ fontSize: '2rem' }}></i>
+                              <span>View Reports</span>
+                            </Link>
+                          </div>
+                        </Col>
+                      )}
+                      {canViewReports && (
+                        <Col md={3} sm={6} className="mb-3">
+                          <div className="d-grid">
+                            <Link 
+                              to="/admin/analytics"
+                              className="btn quick-action-btn p-3 text-decoration-none"
+                            >
+                              <i className="bi bi-graph-up d-block mb-2" style={{ fontSize: '2rem' }}></i>
+                              <span>Analytics</span>
+                            </Link>
+                          </div>
+                        </Col>
+                      )}
                     </Row>
                   </Card.Body>
                 </Card>
@@ -239,38 +260,76 @@ const AdminDashboard = () => {
                 <i className="bi bi-speedometer2 me-2"></i>
                 Dashboard
               </Nav.Link>
-              <Nav.Link 
-                as={Link} 
-                to="/admin/users"
-                className={location.pathname === '/admin/users' ? 'active' : ''}
-              >
-                <i className="bi bi-people me-2"></i>
-                User Management
-              </Nav.Link>
-              <Nav.Link 
-                as={Link} 
-                to="/admin/sessions"
-                className={location.pathname === '/admin/sessions' ? 'active' : ''}
-              >
-                <i className="bi bi-calendar-week me-2"></i>
-                Session Management
-              </Nav.Link>
-              <Nav.Link 
-                as={Link} 
-                to="/admin/attendance"
-                className={location.pathname === '/admin/attendance' ? 'active' : ''}
-              >
-                <i className="bi bi-check-circle me-2"></i>
-                Attendance Reports
-              </Nav.Link>
-              <Nav.Link 
-                as={Link} 
-                to="/admin/analytics"
-                className={location.pathname === '/admin/analytics' ? 'active' : ''}
-              >
-                <i className="bi bi-bar-chart me-2"></i>
-                Analytics
-              </Nav.Link>
+              {canViewUsers && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/users"
+                  className={location.pathname === '/admin/users' ? 'active' : ''}
+                >
+                  <i className="bi bi-people me-2"></i>
+                  User Management
+                </Nav.Link>
+              )}
+              {canViewSessions && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/sessions"
+                  className={location.pathname === '/admin/sessions' ? 'active' : ''}
+                >
+                  <i className="bi bi-calendar-week me-2"></i>
+                  Session Management
+                </Nav.Link>
+              )}
+              {canViewReports && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/attendance"
+                  className={location.pathname === '/admin/attendance' ? 'active' : ''}
+                >
+                  <i className="bi bi-check-circle me-2"></i>
+                  Attendance Reports
+                </Nav.Link>
+              )}
+              {canViewReports && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/analytics"
+                  className={location.pathname === '/admin/analytics' ? 'active' : ''}
+                >
+                  <i className="bi bi-bar-chart me-2"></i>
+                  Analytics
+                </Nav.Link>
+              )}
+              {hasPermission(user, 'terms.manage') && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/terms"
+                  className={location.pathname === '/admin/terms' ? 'active' : ''}
+                >
+                  <i className="bi bi-calendar-range me-2"></i>
+                  Academic Terms
+                </Nav.Link>
+              )}
+              {hasPermission(user, 'roles.manage') && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/roles"
+                  className={location.pathname === '/admin/roles' ? 'active' : ''}
+                >
+                  <i className="bi bi-shield-lock me-2"></i>
+                  Roles &amp; Departments
+                </Nav.Link>
+              )}
+              {user?.is_super_admin && (
+                <Nav.Link 
+                  as={Link} 
+                  to="/admin/institutions"
+                  className={location.pathname === '/admin/institutions' ? 'active' : ''}
+                >
+                  <i className="bi bi-buildings me-2"></i>
+                  Institutions
+                </Nav.Link>
+              )}
             </Nav>
           </Col>
 
@@ -282,6 +341,9 @@ const AdminDashboard = () => {
               <Route path="/sessions" element={<SessionManagement />} />
               <Route path="/attendance" element={<AttendanceReports />} />
               <Route path="/analytics" element={<AnalyticsDashboard />} />
+              <Route path="/terms" element={<AcademicTerms />} />
+              <Route path="/roles" element={<RolesAndDepartments />} />
+              <Route path="/institutions" element={<Institutions />} />
             </Routes>
           </Col>
         </Row>
@@ -5,6 +5,9 @@ import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { loginUser, clearError } from '../store/slices/authSlice';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ForgotPasswordModal from '../components/ForgotPasswordModal';
+import ResendVerificationButton from '../components/ResendVerificationButton';
+import TwoFactorLoginForm from '../components/TwoFactorLoginForm';
 
 /**
  * Login Page Component
@@ -12,8 +15,9 @@ import LoadingSpinner from '../components/LoadingSpinner';
  */
 const LoginPage = () => {
   const dispatch = useDispatch();
-  const { isLoading, error } = useSelector((state) => state.auth);
+  const { isLoading, error, unverifiedEmail, twoFactorChallenge } = useSelector((state) => state.auth);
   const [showPassword, setShowPassword] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
 
   const {
     register,
@@ -26,6 +30,37 @@ const LoginPage = () => {
     dispatch(loginUser(data));
   };
 
+  // The password was accepted; the account also needs a two-factor code
+  if (twoFactorChallenge) {
+    return (
+      <div className="login-container d-flex align-items-center justify-content-center">
+        <Container>
+          <Row className="justify-content-center">
+            <Col md={6} lg={4}>
+              <Card className="login-card">
+                <Card.Body className="p-4">
+                  <div className="text-center mb-4">
+                    <i className="bi bi-shield-lock-fill text-primary" style={{ fontSize: '3rem' }}></i>
+                    <h2 className="mt-3 mb-2">Two-Factor Authentication</h2>
+                  </div>
+
+                  {error && (
+                    <Alert variant="danger" dismissible onClose={() => dispatch(clearError())}>
+                      <i className="bi bi-exclamation-circle me-2"></i>
+                      {error}
+                    </Alert>
+                  )}
+
+                  <TwoFactorLoginForm />
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        </Container>
+      </div>
+    );
+  }
+
   if (isLoading) {
     return <LoadingSpinner text="Signing you in..." />;
   }
@@ -47,6 +82,11 @@ const LoginPage = () => {
                   <Alert variant="danger" dismissible onClose={() => dispatch(clearError())}>
                     <i className="bi bi-exclamation-circle me-2"></i>
                     {error}
+                    {unverifiedEmail && (
+                      <div className="mt-3">
+                        <ResendVerificationButton email={unverifiedEmail} variant="outline-danger" />
+                      </div>
+                    )}
                   </Alert>
                 )}
 
@@ -71,7 +111,18 @@ const LoginPage = () => {
                   </Form.Group>
 
                   <Form.Group className="mb-3">
-                    <Form.Label>Password</Form.Label>
+                    <div className="d-flex justify-content-between align-items-baseline">
+                      <Form.Label>Password</Form.Label>
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="p-0 text-decoration-none"
+                        onClick={() => setShowForgotPassword(true)}
+                        type="button"
+                      >
+                        Forgot password?
+                      </Button>
+                    </div>
                     <div className="position-relative">
                       <Form.Control
                         type={showPassword ? 'text' : 'password'}
@@ -161,6 +212,8 @@ const LoginPage = () => {
           </Col>
         </Row>
       </Container>
+
+      <ForgotPasswordModal show={showForgotPassword} onHide={() => setShowForgotPassword(false)} />
     </div>
   );
 };
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Alert, Button } from 'react-bootstrap';
+import { useDispatch } from 'react-redux';
+import Header from '../components/Header';
+import authService from '../services/authService';
+import realtimeService from '../services/realtimeService';
+import { checkAuth } from '../store/slices/authSlice';
+
+/**
+ * Pending Approval Page Component
+ * Shown to self-registered teachers until an admin approves their account
+ */
+const PendingApprovalPage = () => {
+  const dispatch = useDispatch();
+  const [profile, setProfile] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setChecking(true);
+      const response = await authService.getProfile();
+      const user = response.data.user;
+      setProfile(user);
+
+      // Reload the session so the teacher dashboard becomes available
+      if (user.approval_status === 'approved') {
+        dispatch(checkAuth());
+      }
+    } catch (error) {
+      console.error('Error checking approval status:', error);
+    } finally {
+      setChecking(false);
+    }
+  }, [dispatch]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // The decision arrives as a notification
+  useEffect(() => {
+    return realtimeService.subscribe({
+      notification: (notification) => {
+        if (notification.type === 'teacher_approval') {
+          loadStatus();
+        }
+      },
+    });
+  }, [loadStatus]);
+
+  const rejected = profile?.approval_status === 'rejected';
+
+  return (
+    <div>
+      <Header title="Teacher Account" />
+      <Container className="mt-5">
+        <Row className="justify-content-center">
+          <Col md={8} lg={6}>
+            <Card>
+              <Card.Body className="p-4 text-center">
+                <i
+                  className={`bi ${rejected ? 'bi-x-circle text-danger' : 'bi-hourglass-split text-primary'}`}
+                  style={{ fontSize: '3rem' }}
+                ></i>
+                <h2 className="mt-3 mb-3">
+                  {rejected ? 'Application Not Approved' : 'Waiting for Approval'}
+                </h2>
+
+                {rejected ? (
+                  <Alert variant="danger" className="text-start">
+                    Your application for a teacher account was rejected.
+                    {profile.approval_reason && (
+                      <div className="mt-2" style={{ whiteSpace: 'pre-wrap' }}>
+                        <strong>Reason:</strong> {profile.approval_reason}
+                      </div>
+                    )}
+                  </Alert>
+                ) : (
+                  <p className="text-muted">
+                    An administrator needs to approve your teacher account before you can create
+                    courses and sessions. We'll notify you by email as soon as it's reviewed.
+                  </p>
+                )}
+
+                <Button variant="outline-primary" onClick={loadStatus} disabled={checking}>
+                  <i className="bi bi-arrow-clockwise me-2"></i>
+                  {checking ? 'Checking...' : 'Check Status'}
+                </Button>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default PendingApprovalPage;
@@ -5,6 +5,7 @@ import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { registerUser, clearError } from '../store/slices/authSlice';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ResendVerificationButton from '../components/ResendVerificationButton';
 
 /**
  * Register Page Component
@@ -14,6 +15,7 @@ const RegisterPage = () => {
   const dispatch = useDispatch();
   const { isLoading, error } = useSelector((state) => state.auth);
   const [showPassword, setShowPassword] = useState(false);
+  const [registeredUser, setRegisteredUser] = useState(null);
 
   const {
     register,
@@ -24,16 +26,56 @@ const RegisterPage = () => {
 
   const watchPassword = watch('password');
 
-  const onSubmit = (data) => {
+  const onSubmit = async (data) => {
     dispatch(clearError());
     const { confirmPassword, ...userData } = data;
-    dispatch(registerUser(userData));
+    const result = await dispatch(registerUser(userData));
+    if (registerUser.fulfilled.match(result)) {
+      setRegisteredUser(result.payload.user);
+    }
   };
 
   if (isLoading) {
     return <LoadingSpinner text="Creating your account..." />;
   }
 
+  if (registeredUser) {
+    return (
+      <div className="login-container d-flex align-items-center justify-content-center">
+        <Container>
+          <Row className="justify-content-center">
+            <Col md={8} lg={6}>
+              <Card className="login-card">
+                <Card.Body className="p-4 text-center">
+                  <i className="bi bi-envelope-check text-primary" style={{ fontSize: '3rem' }}></i>
+                  <h2 className="mt-3 mb-2">Check Your Email</h2>
+                  <p className="text-muted">
+                    We sent a verification link to <strong>{registeredUser.email}</strong>.
+                    Open it to activate your account, then sign in.
+                  </p>
+                  {registeredUser.approval_status === 'pending_approval' && (
+                    <Alert variant="info" className="text-start">
+                      <i className="bi bi-hourglass-split me-2"></i>
+                      Teacher accounts are reviewed by an administrator. You can sign in once your
+                      email is verified, and you'll get teacher access when your account is approved.
+                    </Alert>
+                  )}
+                  <div className="d-flex justify-content-center mb-4">
+                    <ResendVerificationButton email={registeredUser.email} />
+                  </div>
+                  <Link to="/login" className="btn btn-primary">
+                    <i className="bi bi-box-arrow-in-right me-2"></i>
+                    Go to Sign In
+                  </Link>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        </Container>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container d-flex align-items-center justify-content-center">
       <Container>
@@ -112,7 +154,7 @@ const RegisterPage = () => {
                       <option value="teacher">Teacher</option>
                     </Form.Select>
                     <Form.Text className="text-muted">
-                      Choose your primary role in the platform. You can only register as Student or Teacher.
+                      Choose your primary role in the platform. You can only register as Student or Teacher; teacher accounts need approval by an administrator.
                     </Form.Text>
                     <Form.Control.Feedback type="invalid">
                       {errors.role?.message}
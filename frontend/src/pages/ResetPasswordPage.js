@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Container, Row, Col, Card, Form, Button, Alert } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import authService from '../services/authService';
+
+/**
+ * Reset Password Page Component
+ * Sets a new password using the token from an emailed reset link
+ */
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [completed, setCompleted] = useState(false);
+  const [error, setError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm();
+
+  const watchPassword = watch('password');
+
+  const onSubmit = async (data) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      await authService.resetPassword(token, data.password);
+      setCompleted(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reset your password. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <Alert variant="danger" className="mb-0">
+          <i className="bi bi-exclamation-circle me-2"></i>
+          This password reset link is incomplete. Request a new one from the{' '}
+          <Link to="/login">sign in page</Link>.
+        </Alert>
+      );
+    }
+
+    if (completed) {
+      return (
+        <>
+          <Alert variant="success">
+            <i className="bi bi-check-circle me-2"></i>
+            Your password was reset. You have been logged out on all devices.
+          </Alert>
+          <div className="d-grid">
+            <Link to="/login" className="btn btn-primary btn-lg">
+              <i className="bi bi-box-arrow-in-right me-2"></i>
+              Sign In
+            </Link>
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <Form onSubmit={handleSubmit(onSubmit)}>
+        {error && (
+          <Alert variant="danger" dismissible onClose={() => setError('')}>
+            <i className="bi bi-exclamation-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        <Form.Group className="mb-3">
+          <Form.Label>New Password</Form.Label>
+          <div className="position-relative">
+            <Form.Control
+              type={showPassword ? 'text' : 'password'}
+              placeholder="Create a new password"
+              {...register('password', {
+                required: 'Password is required',
+                minLength: {
+                  value: 6,
+                  message: 'Password must be at least 6 characters',
+                },
+                pattern: {
+                  value: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+                  message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number',
+                },
+              })}
+              isInvalid={!!errors.password}
+            />
+            <Button
+              variant="outline-secondary"
+              className="position-absolute end-0 top-0 h-100 border-0"
+              style={{ zIndex: 10 }}
+              onClick={() => setShowPassword(!showPassword)}
+              type="button"
+            >
+              <i className={`bi bi-eye${showPassword ? '-slash' : ''}`}></i>
+            </Button>
+            <Form.Control.Feedback type="invalid">
+              {errors.password?.message}
+            </Form.Control.Feedback>
+          </div>
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Label>Confirm New Password</Form.Label>
+          <Form.Control
+            type={showPassword ? 'text' : 'password'}
+            placeholder="Confirm your new password"
+            {...register('confirmPassword', {
+              required: 'Please confirm your password',
+              validate: (value) =>
+                value === watchPassword || 'Passwords do not match',
+            })}
+            isInvalid={!!errors.confirmPassword}
+          />
+          <Form.Control.Feedback type="invalid">
+            {errors.confirmPassword?.message}
+          </Form.Control.Feedback>
+        </Form.Group>
+
+        <div className="d-grid mb-3">
+          <Button variant="primary" type="submit" size="lg" disabled={submitting}>
+            {submitting ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Resetting...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-key me-2"></i>
+                Reset Password
+              </>
+            )}
+          </Button>
+        </div>
+
+        <div className="text-center">
+          <Link to="/login" className="text-decoration-none">
+            Back to sign in
+          </Link>
+        </div>
+      </Form>
+    );
+  };
+
+  return (
+    <div className="login-container d-flex align-items-center justify-content-center">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={4}>
+            <Card className="login-card">
+              <Card.Body className="p-4">
+                <div className="text-center mb-4">
+                  <i className="bi bi-shield-lock-fill text-primary" style={{ fontSize: '3rem' }}></i>
+                  <h2 className="mt-3 mb-2">Reset Password</h2>
+                  <p className="text-muted welcome-text">Choose a new password for your account</p>
+                </div>
+
+                {renderContent()}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
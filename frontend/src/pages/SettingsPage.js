@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Form, Button, Alert, Modal } from 'react-bootstrap';
-import { useSelector } from 'react-redux';
+import { Container, Row, Col, Card, Form, Button, Alert, Modal, InputGroup, ListGroup, Badge } from 'react-bootstrap';
+import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
+import calendarService from '../services/calendarService';
+import authService from '../services/authService';
+import { logoutAllDevices } from '../store/slices/authSlice';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import SecurityPolicySettings from '../components/SecurityPolicySettings';
+import { hasPermission } from '../utils/permissions';
 
 /**
  * Settings Page Component
@@ -10,6 +16,7 @@ import Header from '../components/Header';
  */
 const SettingsPage = () => {
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const { user } = useSelector(state => state.auth);
   
   const [settings, setSettings] = useState({
@@ -26,6 +33,10 @@ const SettingsPage = () => {
   const [alert, setAlert] = useState({ show: false, message: '', variant: '' });
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [confirmText, setConfirmText] = useState('');
+  const [calendarFeed, setCalendarFeed] = useState({ active: false, created_at: null, last_used_at: null });
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState('');
+  const [calendarLoading, setCalendarLoading] = useState(false);
+  const [loginSessions, setLoginSessions] = useState([]);
 
   useEffect(() => {
     // Load saved settings from localStorage
@@ -33,6 +44,14 @@ const SettingsPage = () => {
     if (savedSettings) {
       setSettings(JSON.parse(savedSettings));
     }
+
+    calendarService.getFeedStatus()
+      .then(setCalendarFeed)
+      .catch(() => {});
+
+    authService.getSessions()
+      .then(response => setLoginSessions(response.data.sessions || []))
+      .catch(() => {});
   }, []);
 
   const handleSettingChange = (setting, value) => {
@@ -105,6 +124,99 @@ const SettingsPage = () => {
     }
   };
 
+  const generateCalendarFeed = async () => {
+    if (calendarFeed.active && !window.confirm('Your current calendar link will stop working. Continue?')) {
+      return;
+    }
+
+    setCalendarLoading(true);
+    try {
+      const result = await calendarService.regenerateFeedUrl();
+      setCalendarFeedUrl(result.feedUrl);
+      setCalendarFeed({ active: true, created_at: result.created_at, last_used_at: null });
+    } catch (error) {
+      setAlert({
+        show: true,
+        message: error.response?.data?.message || 'Failed to generate calendar link',
+        variant: 'danger'
+      });
+    } finally {
+      setCalendarLoading(false);
+    }
+  };
+
+  const revokeCalendarFeed = async () => {
+    if (!window.confirm('Calendars subscribed with this link will stop updating. Continue?')) {
+      return;
+    }
+
+    setCalendarLoading(true);
+    try {
+      await calendarService.revokeFeedUrl();
+      setCalendarFeedUrl('');
+      setCalendarFeed({ active: false, created_at: null, last_used_at: null });
+      setAlert({
+        show: true,
+        message: 'Calendar link revoked',
+        variant: 'info'
+      });
+    } catch (error) {
+      setAlert({
+        show: true,
+        message: error.response?.data?.message || 'Failed to revoke calendar link',
+        variant: 'danger'
+      });
+    } finally {
+      setCalendarLoading(false);
+    }
+  };
+
+  const revokeLoginSession = async (sessionId) => {
+    try {
+      await authService.revokeSession(sessionId);
+      setLoginSessions(prev => prev.filter(session => session.id !== sessionId));
+      setAlert({
+        show: true,
+        message: 'Device logged out',
+        variant: 'info'
+      });
+    } catch (error) {
+      setAlert({
+        show: true,
+        message: error.response?.data?.message || 'Failed to log out the device',
+        variant: 'danger'
+      });
+    }
+  };
+
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('You will be logged out on every device, including this one. Continue?')) {
+      return;
+    }
+
+    const result = await dispatch(logoutAllDevices());
+    if (logoutAllDevices.fulfilled.match(result)) {
+      navigate('/login');
+    }
+  };
+
+  const copyCalendarFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeedUrl);
+      setAlert({
+        show: true,
+        message: 'Calendar link copied to clipboard',
+        variant: 'success'
+      });
+    } catch (error) {
+      setAlert({
+        show: true,
+        message: 'Could not copy the link, please copy it manually',
+        variant: 'warning'
+      });
+    }
+  };
+
   const goBack = () => {
     const role = user?.role;
     switch (role) {
@@ -136,6 +248,13 @@ const SettingsPage = () => {
           </Alert>
         )}
 
+        {user?.two_factor_setup_required && (
+          <Alert variant="warning">
+            <i className="bi bi-shield-exclamation me-2"></i>
+            Your organization requires two-factor authentication for your account. Set it up below to continue.
+          </Alert>
+        )}
+
         <Row>
           <Col md={8} className="mx-auto">
             {/* Notification Settings */}
@@ -280,6 +399,121 @@ const SettingsPage = () => {
               </Card.Body>
             </Card>
 
+            {/* Two-Factor Authentication */}
+            <TwoFactorSettings />
+
+            {/* Security Policy (settings.manage permission) */}
+            {hasPermission(user, 'settings.manage') && !user.two_factor_setup_required && <SecurityPolicySettings />}
+
+            {/* Active Sessions */}
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">
+                  <i className="bi bi-laptop me-2"></i>
+                  Active Sessions
+                </h5>
+              </Card.Header>
+              <Card.Body>
+                <p className="text-muted">
+                  Devices where you are logged in. Changing your password logs out every other device.
+                </p>
+
+                <ListGroup className="mb-3">
+                  {loginSessions.map(session => (
+                    <ListGroup.Item key={session.id} className="d-flex justify-content-between align-items-center">
+                      <div>
+                        <div className="small text-truncate" style={{ maxWidth: '420px' }}>
+                          {session.user_agent || 'Unknown device'}
+                          {session.current && <Badge bg="success" className="ms-2">This device</Badge>}
+                        </div>
+                        <small className="text-muted">
+                          {session.ip_address && <>{session.ip_address} &middot; </>}
+                          last active {new Date(session.last_used_at).toLocaleString()}
+                        </small>
+                      </div>
+                      {!session.current && (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          onClick={() => revokeLoginSession(session.id)}
+                        >
+                          Log out
+                        </Button>
+                      )}
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+
+                <Button variant="outline-danger" size="sm" onClick={handleLogoutAllDevices}>
+                  <i className="bi bi-box-arrow-right me-1"></i>
+                  Log Out All Devices
+                </Button>
+              </Card.Body>
+            </Card>
+
+            {/* Calendar Subscription */}
+            <Card className="mb-4">
+              <Card.Header>
+                <h5 className="mb-0">
+                  <i className="bi bi-calendar-week me-2"></i>
+                  Calendar Subscription
+                </h5>
+              </Card.Header>
+              <Card.Body>
+                <p className="text-muted">
+                  Subscribe to your sessions from Google Calendar, Outlook or any calendar app that
+                  supports iCalendar (.ics) links. Changes and cancellations sync automatically.
+                </p>
+
+                {calendarFeedUrl && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Your calendar link</Form.Label>
+                    <InputGroup>
+                      <Form.Control type="text" value={calendarFeedUrl} readOnly />
+                      <Button variant="outline-secondary" onClick={copyCalendarFeedUrl}>
+                        <i className="bi bi-clipboard me-1"></i>
+                        Copy
+                      </Button>
+                    </InputGroup>
+                    <Form.Text className="text-muted">
+                      Keep this link private. It is only shown once; generate a new one if you lose it.
+                    </Form.Text>
+                  </Form.Group>
+                )}
+
+                {calendarFeed.active && !calendarFeedUrl && (
+                  <p className="small mb-3">
+                    Calendar link active since {new Date(calendarFeed.created_at).toLocaleDateString()}
+                    {calendarFeed.last_used_at && (
+                      <> &middot; last synced {new Date(calendarFeed.last_used_at).toLocaleString()}</>
+                    )}
+                  </p>
+                )}
+
+                <Button
+                  variant="outline-primary"
+                  size="sm"
+                  className="me-2"
+                  onClick={generateCalendarFeed}
+                  disabled={calendarLoading}
+                >
+                  <i className="bi bi-link-45deg me-1"></i>
+                  {calendarFeed.active ? 'Generate New Link' : 'Generate Link'}
+                </Button>
+                {calendarFeed.active && (
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={revokeCalendarFeed}
+                    disabled={calendarLoading}
+                  >
+                    <i className="bi bi-x-circle me-1"></i>
+                    Revoke Link
+                  </Button>
+                )}
+              </Card.Body>
+            </Card>
+
             {/* Data & Privacy */}
             <Card className="mb-4">
               <Card.Header>
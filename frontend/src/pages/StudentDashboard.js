@@ -5,6 +5,9 @@ import { useDispatch, useSelector } from 'react-redux';
 import Header from '../components/Header';
 import LoadingSpinner from '../components/LoadingSpinner';
 import CourseEnrollment from '../components/CourseEnrollment';
+import AbsenceRequestModal from '../components/AbsenceRequestModal';
+import StudentAssignments from '../components/StudentAssignments';
+import { invalidateCache } from '../services/api';
 import { fetchSessions } from '../store/slices/sessionsSlice';
 import { fetchStudentAttendance } from '../store/slices/attendanceSlice';
 
@@ -18,6 +21,7 @@ const StudentDashboard = () => {
   const location = useLocation();
   
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [justifyAttendance, setJustifyAttendance] = useState(null);
   
   const { user } = useSelector((state) => state.auth);
   const { sessions, upcomingSessions, isLoading: sessionsLoading } = useSelector((state) => state.sessions);
@@ -33,6 +37,7 @@ const StudentDashboard = () => {
     // Set active tab based on current path
     const path = location.pathname;
     if (path.includes('/courses')) setActiveTab('courses');
+    else if (path.includes('/assignments')) setActiveTab('assignments');
     else if (path.includes('/sessions')) setActiveTab('sessions');
     else if (path.includes('/attendance')) setActiveTab('attendance');
     else if (path.includes('/schedule')) setActiveTab('schedule');
@@ -239,6 +244,25 @@ const StudentDashboard = () => {
     </div>
   );
 
+  const handleAbsenceRequestSubmitted = () => {
+    setJustifyAttendance(null);
+    invalidateCache('/attendance');
+    dispatch(fetchStudentAttendance());
+  };
+
+  const attendanceStatusVariants = {
+    present: 'success',
+    late: 'warning',
+    absent: 'danger',
+    excused: 'info'
+  };
+
+  const absenceRequestVariants = {
+    pending: 'secondary',
+    approved: 'success',
+    rejected: 'danger'
+  };
+
   // Component for Student's Attendance Record
   const MyAttendance = () => (
     <div className="fade-in">
@@ -260,6 +284,7 @@ const StudentDashboard = () => {
                     <th>Date</th>
                     <th>Attended At</th>
                     <th>Status</th>
+                    <th>Absence Request</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -268,10 +293,24 @@ const StudentDashboard = () => {
                       <td>
                         <strong>{attendance.session_title || 'Session'}</strong>
                       </td>
-                      <td>{new Date(attendance.session_date).toLocaleDateString()}</td>
+                      <td>{new Date(attendance.session_date_time).toLocaleDateString()}</td>
                       <td>{new Date(attendance.timestamp).toLocaleString()}</td>
                       <td>
-                        <Badge bg="success">Present</Badge>
+                        <Badge bg={attendanceStatusVariants[attendance.status] || 'secondary'} className="text-capitalize">
+                          {attendance.status}
+                        </Badge>
+                      </td>
+                      <td>
+                        {attendance.absence_request_status && (
+                          <Badge bg={absenceRequestVariants[attendance.absence_request_status]} className="text-capitalize me-2">
+                            {attendance.absence_request_status}
+                          </Badge>
+                        )}
+                        {attendance.status === 'absent' && !['pending', 'approved'].includes(attendance.absence_request_status) && (
+                          <Button variant="outline-primary" size="sm" onClick={() => setJustifyAttendance(attendance)}>
+                            Justify
+                          </Button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -382,6 +421,17 @@ const StudentDashboard = () => {
                   My Courses
                 </Nav.Link>
               </Nav.Item>
+              <Nav.Item>
+                <Nav.Link 
+                  active={activeTab === 'assignments'}
+                  onClick={() => handleTabClick('assignments', '/student/assignments')}
+                  className="d-flex align-items-center"
+                  style={{ cursor: 'pointer' }}
+                >
+                  <i className="bi bi-journal-text me-2"></i>
+                  Assignments
+                </Nav.Link>
+              </Nav.Item>
               <Nav.Item>
                 <Nav.Link 
                   active={activeTab === 'sessions'}
@@ -423,6 +473,7 @@ const StudentDashboard = () => {
             <Routes>
               <Route path="/" element={<DashboardOverview />} />
               <Route path="/courses" element={<CourseEnrollment />} />
+              <Route path="/assignments" element={<StudentAssignments />} />
               <Route path="/sessions" element={<AvailableSessions />} />
               <Route path="/attendance" element={<MyAttendance />} />
               <Route path="/schedule" element={<Schedule />} />
@@ -430,6 +481,12 @@ const StudentDashboard = () => {
           </Col>
         </Row>
       </Container>
+
+      <AbsenceRequestModal
+        attendance={justifyAttendance}
+        onHide={() => setJustifyAttendance(null)}
+        onSubmitted={handleAbsenceRequestSubmitted}
+      />
     </div>
   );
 };
@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Container, Row, Col, Card, Alert, Spinner } from 'react-bootstrap';
+import { Link, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+
+/**
+ * Verify Email Page Component
+ * Confirms an email address with the token from an emailed verification link
+ */
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so make sure the request is only sent once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to verify your email address. Please try again.');
+      });
+  }, [token]);
+
+  return (
+    <div className="login-container d-flex align-items-center justify-content-center">
+      <Container>
+        <Row className="justify-content-center">
+          <Col md={6} lg={4}>
+            <Card className="login-card">
+              <Card.Body className="p-4 text-center">
+                <i className="bi bi-envelope-check text-primary" style={{ fontSize: '3rem' }}></i>
+                <h2 className="mt-3 mb-4">Email Verification</h2>
+
+                {status === 'verifying' && (
+                  <div className="mb-3">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    Verifying your email address...
+                  </div>
+                )}
+
+                {status === 'verified' && (
+                  <Alert variant="success">
+                    <i className="bi bi-check-circle me-2"></i>
+                    {message}
+                  </Alert>
+                )}
+
+                {status === 'error' && (
+                  <Alert variant="danger">
+                    <i className="bi bi-exclamation-circle me-2"></i>
+                    {message} Sign in with your account to request a new verification email.
+                  </Alert>
+                )}
+
+                {status !== 'verifying' && (
+                  <div className="d-grid">
+                    <Link to="/login" className="btn btn-primary btn-lg">
+                      <i className="bi bi-box-arrow-in-right me-2"></i>
+                      Sign In
+                    </Link>
+                  </div>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      </Container>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,50 @@
+import api from './api';
+import { toUpload } from '../utils/files';
+
+/**
+ * Absence Request Service
+ * Handles absence justification API calls
+ */
+const absenceRequestService = {
+  /**
+   * Submit an absence justification (students)
+   * @param {number} sessionId - Missed session ID
+   * @param {string} reason - Justification
+   * @param {File} [file] - Optional supporting document
+   * @returns {Promise} API response
+   */
+  createRequest: async (sessionId, reason, file = null) => {
+    return await api.post('/absence-requests', { sessionId, reason, document: await toUpload(file) });
+  },
+
+  /**
+   * Get absence requests visible to the current user
+   * @param {string} [status] - pending, approved or rejected
+   * @returns {Promise} API response
+   */
+  getRequests: async (status) => {
+    return await api.get('/absence-requests', { params: status ? { status } : undefined });
+  },
+
+  /**
+   * Download the document attached to a request
+   * @param {number} requestId - Absence request ID
+   * @returns {Promise} API response with a Blob body
+   */
+  getDocument: async (requestId) => {
+    return await api.get(`/absence-requests/${requestId}/document`, { responseType: 'blob' });
+  },
+
+  /**
+   * Approve or reject an absence request (teacher/admin)
+   * @param {number} requestId - Absence request ID
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} [note] - Optional note for the student
+   * @returns {Promise} API response
+   */
+  reviewRequest: async (requestId, decision, note) => {
+    return await api.put(`/absence-requests/${requestId}/review`, { decision, note });
+  }
+};
+
+export default absenceRequestService;
@@ -23,6 +23,101 @@ const api = axios.create({
   },
 });
 
+/**
+ * Get the slug of the institution requests are made for
+ * Without institution subdomains the API can't tell which institution a login
+ * is for, so the client names it: the one of the last login, else one given
+ * as ?institution=<slug> in a link, else REACT_APP_INSTITUTION.
+ * @returns {string|null} Slug or null for the default institution
+ */
+export const getInstitutionSlug = () => (
+  localStorage.getItem('institution') || process.env.REACT_APP_INSTITUTION || null
+);
+
+const linkedInstitution = new URLSearchParams(window.location.search).get('institution');
+if (linkedInstitution) {
+  localStorage.setItem('institution', linkedInstitution.trim().toLowerCase());
+}
+
+/**
+ * Headers naming the institution, for requests made outside the api instance
+ * @returns {Object} X-Institution header, or none
+ */
+const institutionHeaders = () => {
+  const slug = getInstitutionSlug();
+  return slug ? { 'X-Institution': slug } : {};
+};
+
+/**
+ * Store the tokens returned by login, registration or a refresh
+ * The institution of a login is kept too, for the next login and refreshes.
+ * @param {Object} tokens - {token, refreshToken, user}
+ */
+export const setAuthTokens = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  if (user?.institution_slug) {
+    localStorage.setItem('institution', user.institution_slug);
+  }
+};
+
+/**
+ * Forget the stored tokens
+ */
+export const clearAuthTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Refresh in progress, shared by all requests that failed with an expired token
+let refreshPromise = null;
+
+/**
+ * Get a new access token with the stored refresh token
+ * Concurrent callers share one refresh, since each refresh token works only once.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { headers: institutionHeaders() })
+        .then(({ data }) => {
+          setAuthTokens(data);
+          return data.token;
+        })
+        .catch((error) => {
+          // Another tab may have refreshed with the same token in the meantime
+          const latestRefreshToken = localStorage.getItem('refreshToken');
+          if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+            return localStorage.getItem('token');
+          }
+          throw error;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Drop cached GET responses whose URL contains a fragment
+ * Used when a real-time event says the cached data is stale.
+ * @param {string} urlFragment - Part of the request URL, e.g. '/attendance'
+ */
+export const invalidateCache = (urlFragment) => {
+  for (const key of requestCache.keys()) {
+    if (key.includes(urlFragment)) {
+      requestCache.delete(key);
+    }
+  }
+};
+
 // Helper function to generate cache key
 const generateCacheKey = (config) => {
   const { method, url, params, data } = config;
@@ -41,9 +136,11 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    Object.assign(config.headers, institutionHeaders());
 
     // Only cache GET requests for specific endpoints
-    const shouldCache = config.method === 'get' && (
+    // Rotating attendance codes and audit history must always be fetched fresh
+    const shouldCache = config.method === 'get' && !config.url.includes('/attendance-code') && !config.url.includes('/history') && (
       config.url.includes('/sessions') ||
       config.url.includes('/attendance') ||
       config.url.includes('/users/profile')
@@ -108,7 +205,7 @@ api.interceptors.response.use(
 
     return response;
   },
-  (error) => {
+  async (error) => {
     // Handle cached responses
     if (error.cached) {
       return Promise.resolve({
@@ -123,9 +220,24 @@ api.interceptors.response.use(
       ongoingRequests.delete(error.config._cacheKey);
     }
 
+    // Renew an expired access token and retry once; give up and log out if that fails
+    const status = error.response?.status;
+    const isAuthRequest = /\/auth\/(login|register|refresh|logout)/.test(error.config?.url || '');
+    const isTokenRejected = status === 401 || (status === 403 && error.response.data?.error === 'Token expired');
+    if (isTokenRejected && !isAuthRequest && !error.config._retried) {
+      try {
+        await refreshAccessToken();
+        return api({ ...error.config, _retried: true });
+      } catch (refreshError) {
+        clearAuthTokens();
+        window.location.href = '/login';
+        return Promise.reject(error);
+      }
+    }
+
     // Handle common errors
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
+    if (status === 401 && !isAuthRequest) {
+      clearAuthTokens();
       window.location.href = '/login';
     }
     
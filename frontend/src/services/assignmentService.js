@@ -0,0 +1,115 @@
+import api from './api';
+import { toUpload } from '../utils/files';
+
+/**
+ * Assignment Service
+ * Handles course assignment and submission API calls
+ */
+const assignmentService = {
+  /**
+   * Get the assignments of a course; staff get submission counts, students their own status
+   * @param {number} courseId - Course ID
+   * @returns {Promise} API response
+   */
+  getAssignments: async (courseId) => {
+    return await api.get(`/courses/${courseId}/assignments`);
+  },
+
+  /**
+   * Get an assignment; students also get their submission
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise} API response
+   */
+  getAssignment: async (courseId, assignmentId) => {
+    return await api.get(`/courses/${courseId}/assignments/${assignmentId}`);
+  },
+
+  /**
+   * Create an assignment (course staff)
+   * @param {number} courseId - Course ID
+   * @param {Object} assignmentData - {title, instructions, due_at, points, allow_late_submissions}
+   * @returns {Promise} API response
+   */
+  createAssignment: async (courseId, assignmentData) => {
+    return await api.post(`/courses/${courseId}/assignments`, assignmentData);
+  },
+
+  /**
+   * Update an assignment (course staff)
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @param {Object} assignmentData - Fields to change
+   * @returns {Promise} API response
+   */
+  updateAssignment: async (courseId, assignmentId, assignmentData) => {
+    return await api.put(`/courses/${courseId}/assignments/${assignmentId}`, assignmentData);
+  },
+
+  /**
+   * Delete an assignment with its submissions (course staff)
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise} API response
+   */
+  deleteAssignment: async (courseId, assignmentId) => {
+    return await api.delete(`/courses/${courseId}/assignments/${assignmentId}`);
+  },
+
+  /**
+   * Hand in an assignment (students)
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @param {string} text - Text response
+   * @param {File} [file] - Optional file
+   * @returns {Promise} API response
+   */
+  submitAssignment: async (courseId, assignmentId, text, file = null) => {
+    return await api.post(`/courses/${courseId}/assignments/${assignmentId}/submission`, {
+      text,
+      file: await toUpload(file)
+    });
+  },
+
+  /**
+   * Get the submissions for an assignment (course staff)
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @returns {Promise} API response
+   */
+  getSubmissions: async (courseId, assignmentId) => {
+    return await api.get(`/courses/${courseId}/assignments/${assignmentId}/submissions`);
+  },
+
+  /**
+   * Download the file of a submission
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @param {number} submissionId - Submission ID
+   * @returns {Promise} API response with a Blob body
+   */
+  getSubmissionFile: async (courseId, assignmentId, submissionId) => {
+    return await api.get(
+      `/courses/${courseId}/assignments/${assignmentId}/submissions/${submissionId}/file`,
+      { responseType: 'blob' }
+    );
+  },
+
+  /**
+   * Grade a submission (course staff)
+   * @param {number} courseId - Course ID
+   * @param {number} assignmentId - Assignment ID
+   * @param {number} submissionId - Submission ID
+   * @param {number} score - Points given
+   * @param {string} [feedback] - Feedback for the student
+   * @returns {Promise} API response
+   */
+  gradeSubmission: async (courseId, assignmentId, submissionId, score, feedback) => {
+    return await api.put(
+      `/courses/${courseId}/assignments/${assignmentId}/submissions/${submissionId}/grade`,
+      { score, feedback }
+    );
+  }
+};
+
+export default assignmentService;
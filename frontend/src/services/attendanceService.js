@@ -9,11 +9,12 @@ const attendanceService = {
    * Mark attendance for a session
    * @param {number} sessionId - Session ID
    * @param {number} studentId - Student ID
-   * @param {string} status - Attendance status (present, absent, late)
+   * @param {string} status - Attendance status (present, absent, late, excused)
+   * @param {string} [reason] - Reason recorded in the audit log
    * @returns {Promise} API response
    */
-  markAttendance: async (sessionId, studentId, status = 'present') => {
-    return await api.post('/attendance/mark', { sessionId, studentId, status });
+  markAttendance: async (sessionId, studentId, status = 'present', reason) => {
+    return await api.post('/attendance/mark', { sessionId, studentId, status, reason });
   },
 
   /**
@@ -37,30 +38,55 @@ const attendanceService = {
 
   /**
    * Get attendance statistics
+   * @param {Object} [options] - {excludeExcused} leaves excused absences out of the rate,
+   *   {termId} limits the statistics to one term
    * @returns {Promise} API response
    */
-  getAttendanceStats: async () => {
-    return await api.get('/attendance/stats');
+  getAttendanceStats: async ({ excludeExcused = false, termId } = {}) => {
+    const params = {};
+    if (excludeExcused) params.excludeExcused = true;
+    if (termId) params.termId = termId;
+    return await api.get('/attendance/stats', { params });
   },
 
   /**
    * Get attendance report for teacher's sessions
    * @param {number} teacherId - Teacher ID (optional for current user)
+   * @param {Object} [options] - {excludeExcused} leaves excused absences out of the rates
    * @returns {Promise} API response
    */
-  getTeacherAttendanceReport: async (teacherId = null) => {
+  getTeacherAttendanceReport: async (teacherId = null, { excludeExcused = false } = {}) => {
     const url = teacherId ? `/attendance/teacher/${teacherId}` : '/attendance/teacher/';
-    return await api.get(url);
+    return await api.get(url, { params: excludeExcused ? { excludeExcused } : undefined });
   },
 
   /**
    * Update attendance status
    * @param {number} attendanceId - Attendance ID
-   * @param {string} status - New status (present, absent, late)
+   * @param {string} status - New status (present, absent, late, excused)
+   * @param {string} [reason] - Reason recorded in the audit log
+   * @returns {Promise} API response
+   */
+  updateAttendanceStatus: async (attendanceId, status, reason) => {
+    return await api.put(`/attendance/${attendanceId}/status`, { status, reason });
+  },
+
+  /**
+   * Get the change history of an attendance record
+   * @param {number} attendanceId - Attendance ID
    * @returns {Promise} API response
    */
-  updateAttendanceStatus: async (attendanceId, status) => {
-    return await api.put(`/attendance/${attendanceId}/status`, { status });
+  getAttendanceHistory: async (attendanceId) => {
+    return await api.get(`/attendance/${attendanceId}/history`);
+  },
+
+  /**
+   * Get the attendance change history of a student
+   * @param {number} studentId - Student ID
+   * @returns {Promise} API response
+   */
+  getStudentAttendanceHistory: async (studentId) => {
+    return await api.get(`/attendance/student/${studentId}/history`);
   },
 
   /**
@@ -73,6 +99,16 @@ const attendanceService = {
     return await api.post('/attendance/checkin', { sessionId, attendanceCode });
   },
 
+  /**
+   * Check in for attendance with a signed QR code token
+   * @param {number} sessionId - Session ID
+   * @param {string} token - Token from the scanned check-in URL
+   * @returns {Promise} API response
+   */
+  checkInWithQrToken: async (sessionId, token) => {
+    return await api.post('/attendance/checkin/qr', { sessionId, token });
+  },
+
   /**
    * Verify attendance code
    * @param {string} attendanceCode - Attendance code to verify
@@ -1,4 +1,4 @@
-import api from './api';
+import api, { clearAuthTokens } from './api';
 
 /**
  * Authentication Service
@@ -14,6 +14,15 @@ const authService = {
     return await api.post('/auth/login', credentials);
   },
 
+  /**
+   * Second login step: exchange the login challenge and a code for tokens
+   * @param {Object} data - {challengeToken, code} or {challengeToken, recoveryCode}
+   * @returns {Promise} API response
+   */
+  verifyTwoFactorLogin: async (data) => {
+    return await api.post('/auth/login/2fa', data);
+  },
+
   /**
    * Register user
    * @param {Object} userData - User registration data
@@ -40,10 +49,122 @@ const authService = {
   },
 
   /**
-   * Logout user (client-side only)
+   * Logout user: end the login session on the server and forget the tokens
+   * @returns {Promise} API response
+   */
+  logout: async () => {
+    try {
+      return await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } finally {
+      clearAuthTokens();
+    }
+  },
+
+  /**
+   * Logout from all devices, including this one
+   * @returns {Promise} API response
+   */
+  logoutAll: async () => {
+    const response = await api.post('/auth/logout-all');
+    clearAuthTokens();
+    return response;
+  },
+
+  /**
+   * Get the active login sessions of the current user
+   * @returns {Promise} API response
+   */
+  getSessions: async () => {
+    return await api.get('/auth/sessions');
+  },
+
+  /**
+   * Revoke one login session (e.g. a lost device)
+   * @param {number} sessionId - Login session ID
+   * @returns {Promise} API response
+   */
+  revokeSession: async (sessionId) => {
+    return await api.delete(`/auth/sessions/${sessionId}`);
+  },
+
+  /**
+   * Request a password reset link by email
+   * @param {string} email - Account email address
+   * @returns {Promise} API response
+   */
+  forgotPassword: async (email) => {
+    return await api.post('/auth/forgot-password', { email });
+  },
+
+  /**
+   * Set a new password using the token from a reset link
+   * @param {string} token - Password reset token
+   * @param {string} password - New password
+   * @returns {Promise} API response
+   */
+  resetPassword: async (token, password) => {
+    return await api.post('/auth/reset-password', { token, password });
+  },
+
+  /**
+   * Verify an email address using the token from a verification link
+   * @param {string} token - Verification token
+   * @returns {Promise} API response
+   */
+  verifyEmail: async (token) => {
+    return await api.post('/auth/verify-email', { token });
+  },
+
+  /**
+   * Send a new verification email
+   * @param {string} email - Account email address
+   * @returns {Promise} API response
+   */
+  resendVerification: async (email) => {
+    return await api.post('/auth/resend-verification', { email });
+  },
+
+  /**
+   * Get the two-factor authentication status of the current user
+   * @returns {Promise} API response
+   */
+  getTwoFactorStatus: async () => {
+    return await api.get('/auth/2fa');
+  },
+
+  /**
+   * Start two-factor enrollment
+   * @returns {Promise} API response with the secret and otpauth URL
+   */
+  setupTwoFactor: async () => {
+    return await api.post('/auth/2fa/setup');
+  },
+
+  /**
+   * Finish two-factor enrollment
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise} API response with the recovery codes
+   */
+  enableTwoFactor: async (code) => {
+    return await api.post('/auth/2fa/enable', { code });
+  },
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} data - {password, code} or {password, recoveryCode}
+   * @returns {Promise} API response
+   */
+  disableTwoFactor: async (data) => {
+    return await api.post('/auth/2fa/disable', data);
+  },
+
+  /**
+   * Replace the two-factor recovery codes
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise} API response with the new recovery codes
    */
-  logout: () => {
-    localStorage.removeItem('token');
+  regenerateRecoveryCodes: async (code) => {
+    return await api.post('/auth/2fa/recovery-codes', { code });
   },
 
   /**
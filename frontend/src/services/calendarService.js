@@ -0,0 +1,49 @@
+import api from './api';
+
+/**
+ * Calendar Service
+ * Handles iCalendar feed subscription API calls
+ */
+
+const calendarService = {
+  /**
+   * Get the status of the current user's calendar feed
+   */
+  getFeedStatus: async () => {
+    try {
+      const response = await api.get('/calendar/token');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Generate a new calendar feed URL (revokes the previous one)
+   */
+  regenerateFeedUrl: async () => {
+    try {
+      const response = await api.post('/calendar/token');
+      return response.data;
+    } catch (error) {
+      console.error('Error generating calendar feed:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke the current calendar feed URL
+   */
+  revokeFeedUrl: async () => {
+    try {
+      const response = await api.delete('/calendar/token');
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+};
+
+export default calendarService;
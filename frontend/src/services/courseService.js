@@ -11,10 +11,11 @@ const courseService = {
    * - Students: Available courses to enroll
    * - Teachers: Own courses
    * - Admin: All courses
+   * @param {Object} [filters] - {termId, archived}
    */
-  getAllCourses: async () => {
+  getAllCourses: async (filters = {}) => {
     try {
-      const response = await api.get('/courses');
+      const response = await api.get('/courses', { params: filters });
       return response.data;
     } catch (error) {
       console.error('Error fetching courses:', error);
@@ -66,12 +67,13 @@ const courseService = {
   },
 
   /**
-   * Enroll student in a course
+   * Enroll student in a course (or request approval, depending on the course)
    * @param {number} courseId - Course ID
+   * @param {string} [enrollmentKey] - Key for courses that require one
    */
-  enrollInCourse: async (courseId) => {
+  enrollInCourse: async (courseId, enrollmentKey) => {
     try {
-      const response = await api.post(`/courses/${courseId}/enroll`);
+      const response = await api.post(`/courses/${courseId}/enroll`, { enrollmentKey });
       return response.data;
     } catch (error) {
       console.error('Error enrolling in course:', error);
@@ -79,12 +81,268 @@ const courseService = {
     }
   },
 
+  /**
+   * Get the pending enrollment requests of a course (teacher/admin)
+   * @param {number} courseId - Course ID
+   */
+  getEnrollmentRequests: async (courseId) => {
+    try {
+      const response = await api.get(`/courses/${courseId}/enrollment-requests`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching enrollment requests:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve or deny an enrollment request (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} studentId - Student ID
+   * @param {string} decision - 'approved' or 'denied'
+   * @param {string} [reason] - Reason shown to the student
+   */
+  reviewEnrollmentRequest: async (courseId, studentId, decision, reason) => {
+    try {
+      const response = await api.put(`/courses/${courseId}/enrollment-requests/${studentId}`, { decision, reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error reviewing enrollment request:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Drop a course that hasn't started yet (student)
+   * @param {number} courseId - Course ID
+   * @param {string} [reason] - Optional reason
+   */
+  dropCourse: async (courseId, reason) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/drop`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error dropping course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Withdraw from a running course (student)
+   * @param {number} courseId - Course ID
+   * @param {string} [reason] - Optional reason
+   */
+  withdrawFromCourse: async (courseId, reason) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/withdraw`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error withdrawing from course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a student from a course (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} studentId - Student ID
+   * @param {string} reason - Reason shown to the student
+   */
+  removeStudent: async (courseId, studentId, reason) => {
+    try {
+      const response = await api.delete(`/courses/${courseId}/students/${studentId}`, { data: { reason } });
+      return response.data;
+    } catch (error) {
+      console.error('Error removing student from course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Enroll a removed student again (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} studentId - Student ID
+   */
+  readmitStudent: async (courseId, studentId) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/students/${studentId}/readmit`);
+      return response.data;
+    } catch (error) {
+      console.error('Error readmitting student to course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Join the waitlist of a full course (student)
+   * @param {number} courseId - Course ID
+   * @param {string} [enrollmentKey] - Key for courses that require one
+   */
+  joinWaitlist: async (courseId, enrollmentKey) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/waitlist`, { enrollmentKey });
+      return response.data;
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Leave the waitlist of a course (student)
+   * @param {number} courseId - Course ID
+   */
+  leaveWaitlist: async (courseId) => {
+    try {
+      const response = await api.delete(`/courses/${courseId}/waitlist`);
+      return response.data;
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the waitlist of a course in queue order (teacher/admin)
+   * @param {number} courseId - Course ID
+   */
+  getCourseWaitlist: async (courseId) => {
+    try {
+      const response = await api.get(`/courses/${courseId}/waitlist`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching course waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reorder the waitlist of a course (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {Array} studentIds - Waitlisted student IDs, first in line first
+   */
+  reorderWaitlist: async (courseId, studentIds) => {
+    try {
+      const response = await api.put(`/courses/${courseId}/waitlist`, { studentIds });
+      return response.data;
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a student from the waitlist of a course (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} studentId - Student ID
+   */
+  removeFromWaitlist: async (courseId, studentId) => {
+    try {
+      const response = await api.delete(`/courses/${courseId}/waitlist/${studentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing student from waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the prerequisites of a course and the courses to choose them from (teacher/admin)
+   * @param {number} courseId - Course ID
+   */
+  getCoursePrerequisites: async (courseId) => {
+    try {
+      const response = await api.get(`/courses/${courseId}/prerequisites`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching course prerequisites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replace the prerequisites of a course (teacher/admin)
+   * @param {number} courseId - Course ID
+   * @param {Array} prerequisites - {courseId, minAttendanceRate} per prerequisite
+   */
+  setCoursePrerequisites: async (courseId, prerequisites) => {
+    try {
+      const response = await api.put(`/courses/${courseId}/prerequisites`, { prerequisites });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating course prerequisites:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the staff of a course: owner, co-teachers and TAs (teacher/admin)
+   * @param {number} courseId - Course ID
+   */
+  getCourseStaff: async (courseId) => {
+    try {
+      const response = await api.get(`/courses/${courseId}/staff`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching course staff:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a teacher to the staff of a course (course owner/admin)
+   * @param {number} courseId - Course ID
+   * @param {string} email - Email of the teacher to add
+   * @param {string} role - 'co_teacher' or 'ta'
+   */
+  addCourseStaff: async (courseId, email, role) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/staff`, { email, role });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding course staff:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Change the role of a co-teacher or TA (course owner/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Staff member
+   * @param {string} role - 'co_teacher' or 'ta'
+   */
+  updateCourseStaff: async (courseId, userId, role) => {
+    try {
+      const response = await api.put(`/courses/${courseId}/staff/${userId}`, { role });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating course staff:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a co-teacher or TA from a course (course owner/admin)
+   * @param {number} courseId - Course ID
+   * @param {number} userId - Staff member
+   */
+  removeCourseStaff: async (courseId, userId) => {
+    try {
+      const response = await api.delete(`/courses/${courseId}/staff/${userId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing course staff:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get student's enrolled courses
+   * @param {Object} [filters] - {termId, archived}
    */
-  getStudentCourses: async () => {
+  getStudentCourses: async (filters = {}) => {
     try {
-      const response = await api.get('/courses/student/enrolled');
+      const response = await api.get('/courses/student/enrolled', { params: filters });
       return response.data;
     } catch (error) {
       console.error('Error fetching student courses:', error);
@@ -126,10 +384,11 @@ const courseService = {
 
   /**
    * Get teacher's courses
+   * @param {Object} [filters] - {termId, archived}
    */
-  getTeacherCourses: async () => {
+  getTeacherCourses: async (filters = {}) => {
     try {
-      const response = await api.get('/courses/teacher/my-courses');
+      const response = await api.get('/courses/teacher/my-courses', { params: filters });
       return response.data;
     } catch (error) {
       console.error('Error fetching teacher courses:', error);
@@ -192,6 +451,34 @@ const courseService = {
     }
   },
 
+  /**
+   * Archive a course whose term has ended (teacher/admin)
+   * @param {number} courseId - Course ID
+   */
+  archiveCourse: async (courseId) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/archive`);
+      return response.data;
+    } catch (error) {
+      console.error('Error archiving course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Take a course out of the archive (admin only)
+   * @param {number} courseId - Course ID
+   */
+  unarchiveCourse: async (courseId) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/unarchive`);
+      return response.data;
+    } catch (error) {
+      console.error('Error unarchiving course:', error);
+      throw error;
+    }
+  },
+
   /**
    * Delete a course (admin only)
    * @param {number} courseId - Course ID
@@ -0,0 +1,110 @@
+import api from './api';
+
+/**
+ * Gradebook Service
+ * Handles course gradebook API calls
+ */
+const gradebookService = {
+  /**
+   * Get the gradebook of a course with every student's grades (course staff)
+   * @param {number} courseId - Course ID
+   * @returns {Promise} API response
+   */
+  getGradebook: async (courseId) => {
+    return await api.get(`/courses/${courseId}/gradebook`);
+  },
+
+  /**
+   * Get your own grades in a course (students)
+   * @param {number} courseId - Course ID
+   * @returns {Promise} API response
+   */
+  getMyGrades: async (courseId) => {
+    return await api.get(`/courses/${courseId}/gradebook/me`);
+  },
+
+  /**
+   * Create a grade category
+   * @param {number} courseId - Course ID
+   * @param {Object} categoryData - {name, weight, source}
+   * @returns {Promise} API response
+   */
+  createCategory: async (courseId, categoryData) => {
+    return await api.post(`/courses/${courseId}/gradebook/categories`, categoryData);
+  },
+
+  /**
+   * Update a grade category
+   * @param {number} courseId - Course ID
+   * @param {number} categoryId - Category ID
+   * @param {Object} categoryData - Any of name, weight, position
+   * @returns {Promise} API response
+   */
+  updateCategory: async (courseId, categoryId, categoryData) => {
+    return await api.put(`/courses/${courseId}/gradebook/categories/${categoryId}`, categoryData);
+  },
+
+  /**
+   * Delete a grade category with its items and scores
+   * @param {number} courseId - Course ID
+   * @param {number} categoryId - Category ID
+   * @returns {Promise} API response
+   */
+  deleteCategory: async (courseId, categoryId) => {
+    return await api.delete(`/courses/${courseId}/gradebook/categories/${categoryId}`);
+  },
+
+  /**
+   * Create a grade item
+   * @param {number} courseId - Course ID
+   * @param {Object} itemData - {category_id, title, points, due_date}
+   * @returns {Promise} API response
+   */
+  createItem: async (courseId, itemData) => {
+    return await api.post(`/courses/${courseId}/gradebook/items`, itemData);
+  },
+
+  /**
+   * Update a grade item
+   * @param {number} courseId - Course ID
+   * @param {number} itemId - Item ID
+   * @param {Object} itemData - Fields to change
+   * @returns {Promise} API response
+   */
+  updateItem: async (courseId, itemId, itemData) => {
+    return await api.put(`/courses/${courseId}/gradebook/items/${itemId}`, itemData);
+  },
+
+  /**
+   * Delete a grade item with its scores
+   * @param {number} courseId - Course ID
+   * @param {number} itemId - Item ID
+   * @returns {Promise} API response
+   */
+  deleteItem: async (courseId, itemId) => {
+    return await api.delete(`/courses/${courseId}/gradebook/items/${itemId}`);
+  },
+
+  /**
+   * Enter or clear scores for a grade item
+   * @param {number} courseId - Course ID
+   * @param {number} itemId - Item ID
+   * @param {Array} scores - [{studentId, score}]; a null score clears it
+   * @returns {Promise} API response
+   */
+  setItemScores: async (courseId, itemId, scores) => {
+    return await api.put(`/courses/${courseId}/gradebook/items/${itemId}/scores`, { scores });
+  },
+
+  /**
+   * Set the letter-grade scale of a course
+   * @param {number} courseId - Course ID
+   * @param {Array|null} scale - [{letter, min}], or null for the default scale
+   * @returns {Promise} API response
+   */
+  setGradeScale: async (courseId, scale) => {
+    return await api.put(`/courses/${courseId}/gradebook/scale`, { scale });
+  }
+};
+
+export default gradebookService;
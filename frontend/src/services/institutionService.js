@@ -0,0 +1,36 @@
+import api from './api';
+
+/**
+ * Institution Service
+ * Handles institution API calls (super-admins only)
+ */
+const institutionService = {
+  /**
+   * Get all institutions with their user and course counts
+   * @returns {Promise} API response
+   */
+  getInstitutions: async () => {
+    return await api.get('/institutions');
+  },
+
+  /**
+   * Create an institution with its first admin
+   * @param {Object} institutionData - {name, slug, admin: {name, email, password}}
+   * @returns {Promise} API response
+   */
+  createInstitution: async (institutionData) => {
+    return await api.post('/institutions', institutionData);
+  },
+
+  /**
+   * Rename an institution
+   * @param {number} institutionId - Institution ID
+   * @param {string} name - New name
+   * @returns {Promise} API response
+   */
+  updateInstitution: async (institutionId, name) => {
+    return await api.put(`/institutions/${institutionId}`, { name });
+  },
+};
+
+export default institutionService;
@@ -0,0 +1,85 @@
+import api, { refreshAccessToken } from './api';
+
+/**
+ * Realtime Service
+ * Subscribes to server-pushed events (Server-Sent Events)
+ *
+ * Events:
+ * - notification        a new notification for the current user
+ * - session.live        a followed session went live or ended
+ * - attendance.checkin  a student checked in (teachers/admins)
+ * - teacher.application  a teacher registered and awaits approval (admins)
+ */
+
+// Wait before reconnecting with a renewed token, like the server's retry delay
+const RECONNECT_DELAY_MS = 5000;
+
+const realtimeService = {
+  /**
+   * Open the event stream
+   * The browser reconnects automatically after network errors. When the
+   * server rejects the access token (e.g. it expired) the stream is reopened
+   * with a renewed one.
+   * @param {Object} handlers - Map of event name to handler(data)
+   * @param {Array} [sessionIds] - Sessions to follow
+   * @returns {Function} Closes the stream
+   */
+  subscribe: (handlers, sessionIds = []) => {
+    if (typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    let source = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      const token = localStorage.getItem('token');
+      if (!token || closed) {
+        return;
+      }
+
+      // EventSource can't send headers, so the token goes in the URL
+      const params = new URLSearchParams({ access_token: token });
+      if (sessionIds.length > 0) {
+        params.set('sessions', sessionIds.join(','));
+      }
+
+      source = new EventSource(`${api.defaults.baseURL}/events?${params}`);
+
+      Object.entries(handlers).forEach(([event, handler]) => {
+        source.addEventListener(event, (e) => {
+          try {
+            handler(JSON.parse(e.data));
+          } catch (error) {
+            console.error(`Error handling ${event} event:`, error);
+          }
+        });
+      });
+
+      // The browser gives up for good when the server answers with an error status
+      source.onerror = () => {
+        if (closed || source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+        reconnectTimer = setTimeout(() => {
+          refreshAccessToken()
+            .then(connect)
+            .catch(() => {});
+        }, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (source) {
+        source.close();
+      }
+    };
+  }
+};
+
+export default realtimeService;
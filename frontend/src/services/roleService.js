@@ -0,0 +1,81 @@
+import api from './api';
+
+/**
+ * Role Service
+ * Handles role and department API calls
+ */
+const roleService = {
+  /**
+   * Get all roles, with the permissions that can be granted
+   * @returns {Promise} API response
+   */
+  getRoles: async () => {
+    return await api.get('/roles');
+  },
+
+  /**
+   * Create a role (roles.manage permission)
+   * @param {Object} roleData - {name, description, permissions}
+   * @returns {Promise} API response
+   */
+  createRole: async (roleData) => {
+    return await api.post('/roles', roleData);
+  },
+
+  /**
+   * Replace the description and permissions of a role (roles.manage permission)
+   * @param {string} name - Role name
+   * @param {Object} roleData - {description, permissions}
+   * @returns {Promise} API response
+   */
+  updateRole: async (name, roleData) => {
+    return await api.put(`/roles/${name}`, roleData);
+  },
+
+  /**
+   * Delete a custom role no user has (roles.manage permission)
+   * @param {string} name - Role name
+   * @returns {Promise} API response
+   */
+  deleteRole: async (name) => {
+    return await api.delete(`/roles/${name}`);
+  },
+
+  /**
+   * Get all departments
+   * @returns {Promise} API response
+   */
+  getDepartments: async () => {
+    return await api.get('/departments');
+  },
+
+  /**
+   * Create a department (roles.manage permission)
+   * @param {string} name - Department name
+   * @returns {Promise} API response
+   */
+  createDepartment: async (name) => {
+    return await api.post('/departments', { name });
+  },
+
+  /**
+   * Rename a department (roles.manage permission)
+   * @param {number} departmentId - Department ID
+   * @param {string} name - New name
+   * @returns {Promise} API response
+   */
+  updateDepartment: async (departmentId, name) => {
+    return await api.put(`/departments/${departmentId}`, { name });
+  },
+
+  /**
+   * Delete a department no course belongs to (roles.manage permission)
+   * @param {number} departmentId - Department ID
+   * @returns {Promise} API response
+   */
+  deleteDepartment: async (departmentId) => {
+    return await api.delete(`/departments/${departmentId}`);
+  },
+};
+
+export default roleService;
@@ -7,10 +7,11 @@ import api from './api';
 const sessionService = {
   /**
    * Get all sessions (role-based filtering)
+   * @param {Object} [filters] - {termId} to get the sessions of one term's courses
    * @returns {Promise} API response
    */
-  getAllSessions: async () => {
-    return await api.get('/sessions');
+  getAllSessions: async ({ termId } = {}) => {
+    return await api.get('/sessions', { params: termId ? { termId } : undefined });
   },
 
   /**
@@ -68,13 +69,22 @@ const sessionService = {
   },
 
   /**
-   * Start live session with attendance code
+   * Start live session with a rotating attendance code
+   * @param {number} sessionId - Session ID
+   * @param {number} [codePeriod] - Code rotation period in seconds (server default if omitted)
+   * @returns {Promise} API response
+   */
+  startLiveSession: async (sessionId, codePeriod) => {
+    return await api.post(`/sessions/${sessionId}/start-live`, codePeriod ? { codePeriod } : {});
+  },
+
+  /**
+   * Get the current attendance code of a live session
    * @param {number} sessionId - Session ID
-   * @param {string} attendanceCode - Generated attendance code
    * @returns {Promise} API response
    */
-  startLiveSession: async (sessionId, attendanceCode) => {
-    return await api.post(`/sessions/${sessionId}/start-live`, { attendanceCode });
+  getAttendanceCode: async (sessionId) => {
+    return await api.get(`/sessions/${sessionId}/attendance-code`);
   },
 
   /**
@@ -86,6 +96,57 @@ const sessionService = {
     return await api.post(`/sessions/${sessionId}/end-live`);
   },
 
+  /**
+   * Create a recurring session series
+   * @param {Object} seriesData - Session fields plus date_time (local), timezone and recurrence
+   * @returns {Promise} API response
+   */
+  createSessionSeries: async (seriesData) => {
+    return await api.post('/sessions/series', seriesData);
+  },
+
+  /**
+   * Get a session series with its occurrences and exceptions
+   * @param {number} seriesId - Series ID
+   * @returns {Promise} API response
+   */
+  getSessionSeries: async (seriesId) => {
+    return await api.get(`/sessions/series/${seriesId}`);
+  },
+
+  /**
+   * Update one occurrence of a series, or it and all following ones
+   * @param {number} seriesId - Series ID
+   * @param {number} sessionId - Session ID of the occurrence
+   * @param {Object} updateData - Changed fields plus scope ('this' or 'following')
+   * @returns {Promise} API response
+   */
+  updateSeriesOccurrence: async (seriesId, sessionId, updateData) => {
+    return await api.put(`/sessions/series/${seriesId}/occurrences/${sessionId}`, updateData);
+  },
+
+  /**
+   * Skip a single occurrence of a series
+   * @param {number} seriesId - Series ID
+   * @param {number} sessionId - Session ID of the occurrence
+   * @param {string} reason - Optional reason
+   * @returns {Promise} API response
+   */
+  skipSeriesOccurrence: async (seriesId, sessionId, reason) => {
+    return await api.post(`/sessions/series/${seriesId}/occurrences/${sessionId}/skip`, { reason });
+  },
+
+  /**
+   * Cancel a single occurrence of a series
+   * @param {number} seriesId - Series ID
+   * @param {number} sessionId - Session ID of the occurrence
+   * @param {string} reason - Optional reason
+   * @returns {Promise} API response
+   */
+  cancelSeriesOccurrence: async (seriesId, sessionId, reason) => {
+    return await api.post(`/sessions/series/${seriesId}/occurrences/${sessionId}/cancel`, { reason });
+  },
+
   /**
    * Get live sessions for teacher
    * @returns {Promise} API response
@@ -0,0 +1,26 @@
+import api from './api';
+
+/**
+ * Settings Service
+ * Handles instance-wide settings API calls (admin only)
+ */
+const settingsService = {
+  /**
+   * Get the security settings
+   * @returns {Promise} API response
+   */
+  getSecuritySettings: async () => {
+    return await api.get('/settings/security');
+  },
+
+  /**
+   * Set the roles that must use two-factor authentication
+   * @param {Array} twoFactorRequiredRoles - [], ['admin'] or ['admin', 'teacher']
+   * @returns {Promise} API response
+   */
+  updateSecuritySettings: async (twoFactorRequiredRoles) => {
+    return await api.put('/settings/security', { twoFactorRequiredRoles });
+  },
+};
+
+export default settingsService;
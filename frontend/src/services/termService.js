@@ -0,0 +1,45 @@
+import api from './api';
+
+/**
+ * Term Service
+ * Handles academic term API calls
+ */
+const termService = {
+  /**
+   * Get all academic terms, latest first
+   * @returns {Promise} API response
+   */
+  getTerms: async () => {
+    return await api.get('/terms');
+  },
+
+  /**
+   * Create a term (admin only)
+   * @param {Object} termData - {name, start_date, end_date}
+   * @returns {Promise} API response
+   */
+  createTerm: async (termData) => {
+    return await api.post('/terms', termData);
+  },
+
+  /**
+   * Update a term (admin only)
+   * @param {number} termId - Term ID
+   * @param {Object} termData - {name, start_date, end_date}
+   * @returns {Promise} API response
+   */
+  updateTerm: async (termId, termData) => {
+    return await api.put(`/terms/${termId}`, termData);
+  },
+
+  /**
+   * Delete a term no course belongs to (admin only)
+   * @param {number} termId - Term ID
+   * @returns {Promise} API response
+   */
+  deleteTerm: async (termId) => {
+    return await api.delete(`/terms/${termId}`);
+  },
+};
+
+export default termService;
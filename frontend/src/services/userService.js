@@ -39,6 +39,16 @@ const userService = {
     return await api.post('/users', userData);
   },
 
+  /**
+   * Import users from a CSV roster
+   * @param {string} csv - Contents of the CSV file
+   * @param {boolean} dryRun - Only check the rows and return the report
+   * @returns {Promise} API response
+   */
+  importUsers: async (csv, dryRun = false) => {
+    return await api.post('/users/import', { csv, dryRun });
+  },
+
   /**
    * Update user
    * @param {number} userId - User ID
@@ -49,6 +59,35 @@ const userService = {
     return await api.put(`/users/${userId}`, userData);
   },
 
+  /**
+   * Get teacher applicants
+   * @param {string} status - 'pending_approval' or 'rejected'
+   * @returns {Promise} API response
+   */
+  getTeacherApplications: async (status = 'pending_approval') => {
+    return await api.get('/users/teacher-applications', { params: { status } });
+  },
+
+  /**
+   * Approve or reject a teacher applicant
+   * @param {number} userId - User ID
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} reason - Reason shown to the applicant (required to reject)
+   * @returns {Promise} API response
+   */
+  reviewTeacherApplication: async (userId, decision, reason) => {
+    return await api.put(`/users/${userId}/approval`, { decision, reason });
+  },
+
+  /**
+   * Reset a user's two-factor authentication (e.g. after a lost phone)
+   * @param {number} userId - User ID
+   * @returns {Promise} API response
+   */
+  resetTwoFactor: async (userId) => {
+    return await api.delete(`/users/${userId}/two-factor`);
+  },
+
   /**
    * Delete user
    * @param {number} userId - User ID
@@ -36,9 +36,9 @@ export const fetchStudentAttendance = createAsyncThunk(
 
 export const fetchAttendanceStats = createAsyncThunk(
   'attendance/fetchAttendanceStats',
-  async (_, { rejectWithValue }) => {
+  async (filters = {}, { rejectWithValue }) => {
     try {
-      const response = await attendanceService.getAttendanceStats();
+      const response = await attendanceService.getAttendanceStats(filters);
       return response.data.stats;
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to fetch attendance statistics';
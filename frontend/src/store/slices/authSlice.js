@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import authService from '../../services/authService';
+import { setAuthTokens, clearAuthTokens } from '../../services/api';
 import { toast } from 'react-toastify';
 
 /**
@@ -13,12 +14,38 @@ export const loginUser = createAsyncThunk(
   async (credentials, { rejectWithValue }) => {
     try {
       const response = await authService.login(credentials);
-      toast.success('Login successful!');
+      // Accounts with two-factor authentication continue with verifyTwoFactorLogin
+      if (!response.data.twoFactorRequired) {
+        toast.success('Login successful!');
+      }
       return response.data;
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       toast.error(message);
-      return rejectWithValue(message);
+      return rejectWithValue(message, {
+        emailNotVerified: error.response?.data?.error === 'Email not verified'
+      });
+    }
+  }
+);
+
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactorLogin',
+  async (codes, { getState, rejectWithValue }) => {
+    try {
+      const { challengeToken } = getState().auth.twoFactorChallenge;
+      const response = await authService.verifyTwoFactorLogin({ challengeToken, ...codes });
+      toast.success('Login successful!');
+      if (response.data.recoveryCodesRemaining !== undefined) {
+        toast.warning(`${response.data.recoveryCodesRemaining} recovery codes left. Generate new ones in Settings.`);
+      }
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return rejectWithValue(message, {
+        challengeExpired: error.response?.data?.error === 'Login expired'
+      });
     }
   }
 );
@@ -28,7 +55,7 @@ export const registerUser = createAsyncThunk(
   async (userData, { rejectWithValue }) => {
     try {
       const response = await authService.register(userData);
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your email to verify your address.');
       return response.data;
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -50,12 +77,37 @@ export const checkAuth = createAsyncThunk(
       const response = await authService.verifyToken();
       return response.data;
     } catch (error) {
-      localStorage.removeItem('token');
+      clearAuthTokens();
       return rejectWithValue('Token verification failed');
     }
   }
 );
 
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      // The tokens are forgotten either way
+      console.error('Logout error:', error);
+    }
+  }
+);
+
+export const logoutAllDevices = createAsyncThunk(
+  'auth/logoutAllDevices',
+  async (_, { rejectWithValue }) => {
+    try {
+      await authService.logoutAll();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to log out from all devices';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
 export const getProfile = createAsyncThunk(
   'auth/getProfile',
   async (_, { rejectWithValue }) => {
@@ -75,6 +127,36 @@ const initialState = {
   isLoading: false,
   isAuthenticated: false,
   error: null,
+  // Email of an account that must be verified before it can log in
+  unverifiedEmail: null,
+  // {challengeToken, email} while a login waits for the two-factor code
+  twoFactorChallenge: null,
+};
+
+/**
+ * Store the tokens of a completed login
+ * @param {Object} state - Auth state
+ * @param {Object} payload - Login response
+ */
+const startSession = (state, payload) => {
+  state.isAuthenticated = true;
+  state.user = payload.user;
+  state.token = payload.token;
+  state.unverifiedEmail = null;
+  state.twoFactorChallenge = null;
+  setAuthTokens(payload);
+};
+
+/**
+ * Reset the state after logging out
+ * @param {Object} state - Auth state
+ */
+const clearSession = (state) => {
+  state.user = null;
+  state.token = null;
+  state.isAuthenticated = false;
+  state.error = null;
+  toast.info('Logged out successfully');
 };
 
 const authSlice = createSlice({
@@ -82,19 +164,23 @@ const authSlice = createSlice({
   initialState,
   reducers: {
     logout: (state) => {
-      localStorage.removeItem('token');
-      state.user = null;
-      state.token = null;
-      state.isAuthenticated = false;
-      state.error = null;
-      toast.info('Logged out successfully');
+      clearAuthTokens();
+      clearSession(state);
     },
     clearError: (state) => {
       state.error = null;
+      state.unverifiedEmail = null;
     },
     setLoading: (state, action) => {
       state.isLoading = action.payload;
     },
+    updateCurrentUser: (state, action) => {
+      state.user = { ...state.user, ...action.payload };
+    },
+    cancelTwoFactorLogin: (state) => {
+      state.twoFactorChallenge = null;
+      state.error = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -105,27 +191,43 @@ const authSlice = createSlice({
       })
       .addCase(loginUser.fulfilled, (state, action) => {
         state.isLoading = false;
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
-        localStorage.setItem('token', action.payload.token);
+        if (action.payload.twoFactorRequired) {
+          state.unverifiedEmail = null;
+          state.twoFactorChallenge = {
+            challengeToken: action.payload.challengeToken,
+            email: action.meta.arg.email,
+          };
+          return;
+        }
+        startSession(state, action.payload);
       })
       .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
+        state.unverifiedEmail = action.meta.emailNotVerified ? action.meta.arg.email : null;
+      })
+
+      // Second login step (two-factor code); isLoading stays off so the form keeps its state
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        startSession(state, action.payload);
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.error = action.payload;
+        if (action.meta.challengeExpired) {
+          state.twoFactorChallenge = null;
+        }
       })
       
-      // Register
+      // Register (the account can log in once its email is verified)
       .addCase(registerUser.pending, (state) => {
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(registerUser.fulfilled, (state, action) => {
+      .addCase(registerUser.fulfilled, (state) => {
         state.isLoading = false;
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
-        localStorage.setItem('token', action.payload.token);
       })
       .addCase(registerUser.rejected, (state, action) => {
         state.isLoading = false;
@@ -148,6 +250,10 @@ const authSlice = createSlice({
         state.token = null;
       })
       
+      // Logout
+      .addCase(logoutUser.fulfilled, clearSession)
+      .addCase(logoutAllDevices.fulfilled, clearSession)
+
       // Get Profile
       .addCase(getProfile.pending, (state) => {
         state.isLoading = true;
@@ -163,5 +269,5 @@ const authSlice = createSlice({
   },
 });
 
-export const { logout, clearError, setLoading } = authSlice.actions;
+export const { logout, clearError, setLoading, updateCurrentUser, cancelTwoFactorLogin } = authSlice.actions;
 export default authSlice.reducer;
\ No newline at end of file
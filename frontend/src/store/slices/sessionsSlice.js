@@ -10,9 +10,9 @@ import { toast } from 'react-toastify';
 // Async thunks for session operations
 export const fetchSessions = createAsyncThunk(
   'sessions/fetchSessions',
-  async (_, { rejectWithValue }) => {
+  async (filters = {}, { rejectWithValue }) => {
     try {
-      const response = await sessionService.getAllSessions();
+      const response = await sessionService.getAllSessions(filters);
       return response.data;
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to fetch sessions';
@@ -124,8 +124,8 @@ const usersSlice = createSlice({
       })
       .addCase(fetchUsers.fulfilled, (state, action) => {
         state.isLoading = false;
-        state.users = action.payload.users;
-        state.totalUsers = action.payload.count;
+        state.users = action.payload;
+        state.totalUsers = action.payload.length;
       })
       .addCase(fetchUsers.rejected, (state, action) => {
         state.isLoading = false;
@@ -0,0 +1,54 @@
+/**
+ * File helpers
+ * Uploads travel inside JSON bodies as {name, type, data} with a base64 data URL.
+ */
+
+/**
+ * Read a file as a base64 data URL
+ * @param {File} file - File from an input element
+ * @returns {Promise<string>} Data URL
+ */
+export const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Turn a file from an input element into an upload for the API
+ * @param {File} file - File from an input element
+ * @returns {Promise<Object|null>} {name, type, data} or null without a file
+ */
+export const toUpload = async (file) => (
+  file ? { name: file.name, type: file.type, data: await readAsDataUrl(file) } : null
+);
+
+/**
+ * Save a downloaded Blob under a file name
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Name to save as
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Write rows as CSV text, quoting fields that need it (RFC 4180)
+ * Text starting like a formula gets a leading ' so spreadsheets show it as
+ * text instead of running it; numbers are written as they are.
+ * @param {Array<Array>} rows - Rows of field values; null and undefined are written empty
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) => rows.map(row => row.map(value => {
+  let field = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}).join(',')).join('\n');
@@ -0,0 +1,43 @@
+/**
+ * Permission helpers
+ * The logged-in user carries the permissions their role grants, as a map of
+ * permission name to scope ('all', 'department' or 'own').
+ */
+
+/**
+ * Check whether a user holds a permission, in any scope
+ * @param {Object} user - Logged-in user
+ * @param {string} permission - Permission name, e.g. 'users.update'
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.[permission]);
+
+/**
+ * Turn a role name into a label, e.g. department_admin → Department admin
+ * @param {string} role - Role name
+ * @returns {string} Label
+ */
+export const formatRoleName = (role = '') => {
+  const words = role.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Get the dashboard of a role; every role but teacher and student uses the
+ * admin portal, which shows what the role's permissions allow
+ * @param {string} role - Role name
+ * @returns {string} Dashboard route
+ */
+export const getDashboardRoute = (role) => {
+  switch (role) {
+    case 'teacher':
+      return '/teacher';
+    case 'student':
+      return '/student';
+    case undefined:
+    case null:
+      return '/login';
+    default:
+      return '/admin';
+  }
+};